@@ -0,0 +1,36 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.8.4;
+
+/**
+ * @dev Provides the sending side of cross-chain communication. This abstract
+ * contract exposes a single internal function that sends a message to a
+ * contract on another chain, through a bridge.
+ *
+ * Messages sent through this abstraction are received on the other side by
+ * contracts inheriting from a specialization of {CrossChainEnabled} for the
+ * same bridge, where {CrossChainEnabled-_crossChainSender} identifies the
+ * sending contract.
+ *
+ * Actual implementations have to implement {_sendCrossChainMessage}, usually
+ * with the `sendCrossChainMessage` function of the library for their bridge
+ * (see {LibAMB}, {LibArbitrumL1}, {LibArbitrumL2}, {LibOptimism} and
+ * {LibPolygonRoot}).
+ *
+ * _Available since v4.7._
+ */
+abstract contract CrossChainSender {
+    /**
+     * @dev Sends a message through the bridge, that will result in a call to
+     * `target` with `data` on the other chain. `gasLimit` is the gas made
+     * available to the call on the other chain, for bridges that support it.
+     *
+     * Delivery of the message is asynchronous, and not guaranteed: the call
+     * may never happen, happen after a delay, or revert on the other chain.
+     */
+    function _sendCrossChainMessage(
+        address target,
+        bytes memory data,
+        uint256 gasLimit
+    ) internal virtual;
+}
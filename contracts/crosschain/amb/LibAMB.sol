@@ -32,4 +32,18 @@ library LibAMB {
         if (!isCrossChain(bridge)) revert NotCrossChainCall();
         return AMB_Bridge(bridge).messageSender();
     }
+
+    /**
+     * @dev Sends a message through `bridge` that will result in a call to
+     * `target` with `data` on the other side of the bridge, with `gasLimit`
+     * gas. Returns the identifier of the message, as assigned by the bridge.
+     */
+    function sendCrossChainMessage(
+        address bridge,
+        address target,
+        bytes memory data,
+        uint256 gasLimit
+    ) internal returns (bytes32) {
+        return AMB_Bridge(bridge).requireToPassMessage(target, data, gasLimit);
+    }
 }
@@ -13,7 +13,8 @@ import "../errors.sol";
  * https://arbitrum.io/[Arbitrum].
  *
  * This version should only be used on L1 to process cross-chain messages
- * originating from L2. For the other side, use {LibArbitrumL2}.
+ * originating from L2, or to send messages to L2. For the other side, use
+ * {LibArbitrumL2}.
  */
 library LibArbitrumL1 {
     /**
@@ -40,4 +41,39 @@ library LibArbitrumL1 {
 
         return sender;
     }
+
+    /**
+     * @dev Sends a message through `inbox` that will result in a call to
+     * `target` with `data` on L2, by creating a retryable ticket. Returns the
+     * identifier of the ticket.
+     *
+     * The ticket is paid for by this contract: `maxSubmissionCost + maxGas * gasPriceBid`
+     * is forwarded to the inbox, and any excess is refunded on L2 to
+     * `refundAddress`.
+     *
+     * NOTE: If the ticket cannot be redeemed automatically on L2, for example
+     * because `maxGas` or `gasPriceBid` is too low, it has to be redeemed
+     * manually before it expires.
+     */
+    function sendCrossChainMessage(
+        address inbox,
+        address target,
+        bytes memory data,
+        uint256 maxSubmissionCost,
+        uint256 maxGas,
+        uint256 gasPriceBid,
+        address refundAddress
+    ) internal returns (uint256) {
+        return
+            ArbitrumL1_Inbox(inbox).createRetryableTicket{value: maxSubmissionCost + maxGas * gasPriceBid}(
+                target,
+                0,
+                maxSubmissionCost,
+                refundAddress,
+                refundAddress,
+                maxGas,
+                gasPriceBid,
+                data
+            );
+    }
 }
@@ -11,7 +11,8 @@ import "../errors.sol";
  * https://arbitrum.io/[Arbitrum].
  *
  * This version should only be used on L2 to process cross-chain messages
- * originating from L1. For the other side, use {LibArbitrumL1}.
+ * originating from L1, or to send messages to L1. For the other side, use
+ * {LibArbitrumL1}.
  */
 library LibArbitrumL2 {
     /**
@@ -40,4 +41,18 @@ library LibArbitrumL2 {
                 ? ArbitrumL2_Bridge(arbsys).myCallersAddressWithoutAliasing()
                 : msg.sender;
     }
+
+    /**
+     * @dev Sends a message through `arbsys` that will result in a call to
+     * `target` with `data` on L1, once the L2 to L1 transaction is confirmed
+     * and executed through the outbox. Returns the identifier of the L2 to L1
+     * transaction.
+     */
+    function sendCrossChainMessage(
+        address arbsys,
+        address target,
+        bytes memory data
+    ) internal returns (uint256) {
+        return ArbitrumL2_Bridge(arbsys).sendTxToL1(target, data);
+    }
 }
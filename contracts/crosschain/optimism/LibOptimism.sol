@@ -33,4 +33,17 @@ library LibOptimism {
 
         return Optimism_Bridge(messenger).xDomainMessageSender();
     }
+
+    /**
+     * @dev Sends a message through `messenger` that will result in a call to
+     * `target` with `data` on the other domain, with `gasLimit` gas.
+     */
+    function sendCrossChainMessage(
+        address messenger,
+        address target,
+        bytes memory data,
+        uint32 gasLimit
+    ) internal {
+        Optimism_Bridge(messenger).sendMessage(target, data, gasLimit);
+    }
 }
@@ -0,0 +1,31 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.8.4;
+
+import {IFxStateSender as PolygonRoot_Bridge} from "../../vendor/polygon/IFxStateSender.sol";
+
+/**
+ * @dev Primitives for cross-chain aware contracts for
+ * https://polygon.technology/[Polygon], using the Fx-Portal bridge.
+ *
+ * This version should only be used on the root chain (mainnet) to send
+ * messages to the child chain, where they are processed by contracts
+ * inheriting from {CrossChainEnabledPolygonChild}.
+ */
+library LibPolygonRoot {
+    /**
+     * @dev Sends a message through `fxRoot` that will result in a call to
+     * `target` with `data` on the child chain.
+     *
+     * NOTE: Messages are delivered to `target` through
+     * {IFxMessageProcessor-processMessageFromRoot}, which
+     * {CrossChainEnabledPolygonChild} implements by calling itself with `data`.
+     */
+    function sendCrossChainMessage(
+        address fxRoot,
+        address target,
+        bytes memory data
+    ) internal {
+        PolygonRoot_Bridge(fxRoot).sendMessageToChild(target, data);
+    }
+}
@@ -0,0 +1,180 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.8.4;
+
+import "../crosschain/CrossChainEnabled.sol";
+import "../token/ERC721/IERC721Receiver.sol";
+import "../token/ERC1155/IERC1155Receiver.sol";
+import "../utils/introspection/ERC165.sol";
+import "../utils/Address.sol";
+
+/**
+ * @dev Executor for a {Governor} that lives on another chain (the home chain). It executes batches of calls that are
+ * relayed by a bridge, provided they were sent by the home governor, for example through {GovernorCrossChain}. Assets
+ * and permissions on this chain should be held by the executor.
+ *
+ * Each batch is identified by a `salt`, such as the id of the proposal that sent it, and can only be executed once.
+ * This protects against bridges that may deliver a message more than once.
+ *
+ * This contract must be combined with the specialization of {CrossChainEnabled} for the bridge that relays the
+ * messages of the home governor.
+ *
+ * _Available since v4.7._
+ */
+abstract contract CrossChainExecutor is ERC165, IERC721Receiver, IERC1155Receiver, CrossChainEnabled {
+    address private _homeGovernor;
+
+    mapping(bytes32 => bool) private _executed;
+
+    /**
+     * @dev Emitted when the home governor is changed.
+     */
+    event HomeGovernorChanged(address oldHomeGovernor, address newHomeGovernor);
+
+    /**
+     * @dev Emitted when a call is performed as part of batch `id`.
+     */
+    event CallExecuted(bytes32 indexed id, uint256 indexed index, address target, uint256 value, bytes data);
+
+    /**
+     * @dev Sets the home governor, whose messages are executed.
+     */
+    constructor(address homeGovernor_) {
+        _setHomeGovernor(homeGovernor_);
+    }
+
+    /**
+     * @dev Contract might receive/hold ETH as part of the maintenance process.
+     */
+    receive() external payable virtual {}
+
+    /**
+     * @dev See {IERC165-supportsInterface}.
+     */
+    function supportsInterface(bytes4 interfaceId) public view virtual override(IERC165, ERC165) returns (bool) {
+        return interfaceId == type(IERC1155Receiver).interfaceId || super.supportsInterface(interfaceId);
+    }
+
+    /**
+     * @dev Address of the governor, on the home chain, that controls this executor.
+     */
+    function homeGovernor() public view virtual returns (address) {
+        return _homeGovernor;
+    }
+
+    /**
+     * @dev Returns whether the batch identified by `id` was executed.
+     */
+    function isExecuted(bytes32 id) public view virtual returns (bool) {
+        return _executed[id];
+    }
+
+    /**
+     * @dev Returns the identifier of a batch of calls.
+     */
+    function hashOperationBatch(
+        address[] calldata targets,
+        uint256[] calldata values,
+        bytes[] calldata calldatas,
+        bytes32 salt
+    ) public pure virtual returns (bytes32) {
+        return keccak256(abi.encode(targets, values, calldatas, salt));
+    }
+
+    /**
+     * @dev Execute a batch of calls.
+     *
+     * Emits one {CallExecuted} event per call in the batch.
+     *
+     * Requirements:
+     *
+     * - the call must be a cross-chain message sent by the home governor.
+     * - the batch must not have been executed before.
+     */
+    function executeBatch(
+        address[] calldata targets,
+        uint256[] calldata values,
+        bytes[] calldata calldatas,
+        bytes32 salt
+    ) public payable virtual onlyCrossChainSender(homeGovernor()) {
+        require(targets.length == values.length, "CrossChainExecutor: length mismatch");
+        require(targets.length == calldatas.length, "CrossChainExecutor: length mismatch");
+
+        bytes32 id = hashOperationBatch(targets, values, calldatas, salt);
+        require(!isExecuted(id), "CrossChainExecutor: operation already executed");
+        _executed[id] = true;
+
+        for (uint256 i = 0; i < targets.length; ++i) {
+            _execute(targets[i], values[i], calldatas[i]);
+            emit CallExecuted(id, i, targets[i], values[i], calldatas[i]);
+        }
+    }
+
+    /**
+     * @dev Changes the home governor, for example when governance migrates to a new governor.
+     *
+     * Requirements:
+     *
+     * - the caller must be the executor itself. This can only be achieved by executing a batch sent by the current
+     * home governor.
+     */
+    function updateHomeGovernor(address newHomeGovernor) external virtual {
+        require(msg.sender == address(this), "CrossChainExecutor: caller must be executor");
+        _setHomeGovernor(newHomeGovernor);
+    }
+
+    /**
+     * @dev See {IERC721Receiver-onERC721Received}.
+     */
+    function onERC721Received(
+        address,
+        address,
+        uint256,
+        bytes memory
+    ) public virtual override returns (bytes4) {
+        return this.onERC721Received.selector;
+    }
+
+    /**
+     * @dev See {IERC1155Receiver-onERC1155Received}.
+     */
+    function onERC1155Received(
+        address,
+        address,
+        uint256,
+        uint256,
+        bytes memory
+    ) public virtual override returns (bytes4) {
+        return this.onERC1155Received.selector;
+    }
+
+    /**
+     * @dev See {IERC1155Receiver-onERC1155BatchReceived}.
+     */
+    function onERC1155BatchReceived(
+        address,
+        address,
+        uint256[] memory,
+        uint256[] memory,
+        bytes memory
+    ) public virtual override returns (bytes4) {
+        return this.onERC1155BatchReceived.selector;
+    }
+
+    /**
+     * @dev Execute a call.
+     */
+    function _execute(
+        address target,
+        uint256 value,
+        bytes calldata data
+    ) internal virtual {
+        (bool success, bytes memory returndata) = target.call{value: value}(data);
+        Address.verifyCallResult(success, returndata, "CrossChainExecutor: call reverted without message");
+    }
+
+    function _setHomeGovernor(address newHomeGovernor) private {
+        emit HomeGovernorChanged(_homeGovernor, newHomeGovernor);
+        _homeGovernor = newHomeGovernor;
+    }
+}
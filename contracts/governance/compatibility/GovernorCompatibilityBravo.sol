@@ -103,15 +103,13 @@ abstract contract GovernorCompatibilityBravo is IGovernorTimelock, IGovernorComp
         );
     }
 
+    /**
+     * @dev See {IGovernorCompatibilityBravo-cancel}.
+     */
     function cancel(uint256 proposalId) public virtual override {
         ProposalDetails storage details = _proposalDetails[proposalId];
 
-        require(
-            _msgSender() == details.proposer || getVotes(details.proposer, block.number - 1) < proposalThreshold(),
-            "GovernorBravo: proposer above threshold"
-        );
-
-        _cancel(
+        cancel(
             details.targets,
             details.values,
             _encodeCalldata(details.signatures, details.calldatas),
@@ -119,6 +117,28 @@ abstract contract GovernorCompatibilityBravo is IGovernorTimelock, IGovernorComp
         );
     }
 
+    /**
+     * @dev Cancel a proposal with GovernorBravo logic, which replaces the logic of {Governor-cancel}: the proposer can
+     * cancel a proposal at any time before it is executed, and anyone can cancel it if the voting power of the proposer
+     * dropped below the proposal threshold.
+     */
+    function cancel(
+        address[] memory targets,
+        uint256[] memory values,
+        bytes[] memory calldatas,
+        bytes32 descriptionHash
+    ) public virtual override(IGovernor, Governor) returns (uint256) {
+        uint256 proposalId = hashProposal(targets, values, calldatas, descriptionHash);
+        address proposer = _proposalDetails[proposalId].proposer;
+
+        require(
+            _msgSender() == proposer || getVotes(proposer, clock() - 1) < proposalThreshold(),
+            "GovernorBravo: proposer above threshold"
+        );
+
+        return _cancel(targets, values, calldatas, descriptionHash);
+    }
+
     /**
      * @dev Encodes calldatas with optional function signature.
      */
@@ -231,7 +251,7 @@ abstract contract GovernorCompatibilityBravo is IGovernorTimelock, IGovernorComp
      * @dev See {IGovernorCompatibilityBravo-quorumVotes}.
      */
     function quorumVotes() public view virtual override returns (uint256) {
-        return quorum(block.number - 1);
+        return quorum(clock() - 1);
     }
 
     // ==================================================== Voting ====================================================
@@ -0,0 +1,224 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.8.0;
+
+import "../Governor.sol";
+import "../../utils/Counters.sol";
+
+/**
+ * @dev Extension of {Governor} for fractional vote counting, where an account can split its voting weight between the
+ * Against, For and Abstain options, possibly over several votes. This is useful for custodians and delegation pools
+ * that vote on behalf of many holders, who may not all agree with each other.
+ *
+ * Fractional votes are cast using {IGovernor-castVoteWithReasonAndParams} with `support` set to
+ * `VOTE_TYPE_FRACTIONAL` and the params set to `abi.encode(againstVotes, forVotes, abstainVotes)`, three `uint256`
+ * amounts that must not add up to more than the weight of the account that has not been cast yet. The other values of
+ * `support` follow the `VoteType` enum of {GovernorCountingSimple}: such votes have no params, and cast all the remaining
+ * weight of the account for a single option.
+ *
+ * Because an account can vote several times, fractional votes cast through {IGovernor-castVoteWithReasonAndParamsBySig}
+ * are protected against replay by a nonce: their params are `abi.encode(againstVotes, forVotes, abstainVotes, nonce)`,
+ * where `nonce` must be the current {fractionalVoteNonces} of the voter. The nonce is removed from the params before
+ * the vote is counted and emitted.
+ *
+ * Accounts that have no voting weight for a proposal cannot vote on it.
+ *
+ * NOTE: The `weight` of the {IGovernor-VoteCast} and {IGovernor-VoteCastWithParams} events is the total voting weight
+ * of the account, and not the part of it that was cast by the vote. Use {usedVotes} to track how much of it was cast.
+ *
+ * _Available since v4.7._
+ */
+abstract contract GovernorCountingFractional is Governor {
+    using Counters for Counters.Counter;
+
+    /**
+     * @dev Supported vote types, other than fractional votes. Matches Governor Bravo ordering.
+     */
+    enum VoteType {
+        Against,
+        For,
+        Abstain
+    }
+
+    /**
+     * @dev Value of `support` for votes whose weight is split according to their params.
+     */
+    uint8 public constant VOTE_TYPE_FRACTIONAL = 255;
+
+    struct ProposalVote {
+        uint256 againstVotes;
+        uint256 forVotes;
+        uint256 abstainVotes;
+        mapping(address => uint256) usedVotes;
+    }
+
+    mapping(uint256 => ProposalVote) private _proposalVotes;
+    mapping(address => Counters.Counter) private _fractionalVoteNonces;
+
+    /**
+     * @dev See {IGovernor-COUNTING_MODE}.
+     */
+    // solhint-disable-next-line func-name-mixedcase
+    function COUNTING_MODE() public pure virtual override returns (string memory) {
+        return "support=bravo,fractional&quorum=for,abstain&params=fractional";
+    }
+
+    /**
+     * @dev See {IGovernor-hasVoted}. In this module, an account has voted once it has cast part of its weight.
+     */
+    function hasVoted(uint256 proposalId, address account) public view virtual override returns (bool) {
+        return usedVotes(proposalId, account) > 0;
+    }
+
+    /**
+     * @dev Amount of the voting weight of `account` that was already cast on a proposal.
+     */
+    function usedVotes(uint256 proposalId, address account) public view virtual returns (uint256) {
+        return _proposalVotes[proposalId].usedVotes[account];
+    }
+
+    /**
+     * @dev Current nonce of `account`, that must be included in the next fractional vote it casts by signature.
+     */
+    function fractionalVoteNonces(address account) public view virtual returns (uint256) {
+        return _fractionalVoteNonces[account].current();
+    }
+
+    /**
+     * @dev Accessor to the internal vote counts.
+     */
+    function proposalVotes(uint256 proposalId)
+        public
+        view
+        virtual
+        returns (
+            uint256 againstVotes,
+            uint256 forVotes,
+            uint256 abstainVotes
+        )
+    {
+        ProposalVote storage proposalvote = _proposalVotes[proposalId];
+        return (proposalvote.againstVotes, proposalvote.forVotes, proposalvote.abstainVotes);
+    }
+
+    /**
+     * @dev See {IGovernor-castVoteWithReasonAndParamsBySig}. In this module, fractional votes must include the current
+     * {fractionalVoteNonces} of the voter after the split of the vote, so that the signature cannot be replayed.
+     */
+    function castVoteWithReasonAndParamsBySig(
+        uint256 proposalId,
+        uint8 support,
+        string calldata reason,
+        bytes memory params,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) public virtual override returns (uint256) {
+        if (support != VOTE_TYPE_FRACTIONAL) {
+            return super.castVoteWithReasonAndParamsBySig(proposalId, support, reason, params, v, r, s);
+        }
+
+        address voter = ECDSA.recover(
+            _hashTypedDataV4(
+                keccak256(
+                    abi.encode(
+                        EXTENDED_BALLOT_TYPEHASH,
+                        proposalId,
+                        support,
+                        keccak256(bytes(reason)),
+                        keccak256(params)
+                    )
+                )
+            ),
+            v,
+            r,
+            s
+        );
+
+        return _castVote(proposalId, voter, support, reason, _useFractionalVoteNonce(voter, params));
+    }
+
+    /**
+     * @dev Checks and consumes the nonce at the end of the `params` of a fractional vote cast by signature, and returns
+     * the params without it.
+     */
+    function _useFractionalVoteNonce(address account, bytes memory params) private returns (bytes memory) {
+        require(params.length == 0x80, "GovernorCountingFractional: invalid params");
+        (uint256 againstVotes, uint256 forVotes, uint256 abstainVotes, uint256 nonce) = abi.decode(
+            params,
+            (uint256, uint256, uint256, uint256)
+        );
+
+        Counters.Counter storage counter = _fractionalVoteNonces[account];
+        require(nonce == counter.current(), "GovernorCountingFractional: invalid nonce");
+        counter.increment();
+
+        return abi.encode(againstVotes, forVotes, abstainVotes);
+    }
+
+    /**
+     * @dev See {Governor-_quorumReached}.
+     */
+    function _quorumReached(uint256 proposalId) internal view virtual override returns (bool) {
+        ProposalVote storage proposalvote = _proposalVotes[proposalId];
+
+        return quorum(proposalSnapshot(proposalId)) <= proposalvote.forVotes + proposalvote.abstainVotes;
+    }
+
+    /**
+     * @dev See {Governor-_voteSucceeded}. In this module, the forVotes must be strictly over the againstVotes.
+     */
+    function _voteSucceeded(uint256 proposalId) internal view virtual override returns (bool) {
+        ProposalVote storage proposalvote = _proposalVotes[proposalId];
+
+        return proposalvote.forVotes > proposalvote.againstVotes;
+    }
+
+    /**
+     * @dev See {Governor-_countVote}. In this module, the support follows the `VoteType` enum (from Governor Bravo),
+     * unless it is `VOTE_TYPE_FRACTIONAL`, in which case the params hold the split of the vote.
+     */
+    function _countVote(
+        uint256 proposalId,
+        address account,
+        uint8 support,
+        uint256 weight,
+        bytes memory params
+    ) internal virtual override {
+        ProposalVote storage proposalvote = _proposalVotes[proposalId];
+
+        require(weight > 0, "GovernorCountingFractional: no weight");
+
+        uint256 used = proposalvote.usedVotes[account];
+        require(weight > used, "GovernorCountingFractional: all weight cast");
+        uint256 remaining = weight - used;
+
+        if (support == VOTE_TYPE_FRACTIONAL) {
+            require(params.length == 0x60, "GovernorCountingFractional: invalid params");
+            (uint256 againstVotes, uint256 forVotes, uint256 abstainVotes) = abi.decode(
+                params,
+                (uint256, uint256, uint256)
+            );
+            uint256 votes = againstVotes + forVotes + abstainVotes;
+            require(votes <= remaining, "GovernorCountingFractional: vote exceeds remaining weight");
+
+            proposalvote.againstVotes += againstVotes;
+            proposalvote.forVotes += forVotes;
+            proposalvote.abstainVotes += abstainVotes;
+            proposalvote.usedVotes[account] = used + votes;
+        } else {
+            require(params.length == 0, "GovernorCountingFractional: invalid params");
+
+            if (support == uint8(VoteType.Against)) {
+                proposalvote.againstVotes += remaining;
+            } else if (support == uint8(VoteType.For)) {
+                proposalvote.forVotes += remaining;
+            } else if (support == uint8(VoteType.Abstain)) {
+                proposalvote.abstainVotes += remaining;
+            } else {
+                revert("GovernorCountingFractional: invalid value for enum VoteType");
+            }
+            proposalvote.usedVotes[account] = weight;
+        }
+    }
+}
@@ -0,0 +1,40 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.8.4;
+
+import "../Governor.sol";
+import "../../crosschain/CrossChainSender.sol";
+
+/**
+ * @dev Extension of {Governor} that can send messages to other chains, so that proposals can control contracts
+ * deployed there. Proposals include calls to {relayCrossChain}, that send a message through the bridge. On the
+ * destination chain, the messages are usually received by a {CrossChainExecutor} that only accepts messages sent by
+ * this governor.
+ *
+ * This extension must be combined with a specialization of {CrossChainSender} for the bridge to the destination chain.
+ *
+ * _Available since v4.7._
+ */
+abstract contract GovernorCrossChain is Governor, CrossChainSender {
+    /**
+     * @dev Emitted when a cross-chain message is sent as part of a proposal execution.
+     */
+    event CrossChainMessageSent(address target, bytes data, uint256 gasLimit);
+
+    /**
+     * @dev Sends a cross-chain message that will result in a call to `target` with `data` on the other chain. The
+     * sender of the message, as seen on the other chain, is this governor.
+     *
+     * Requirements:
+     *
+     * - Can only be called through a governance proposal.
+     */
+    function relayCrossChain(
+        address target,
+        bytes calldata data,
+        uint256 gasLimit
+    ) public payable virtual onlyGovernance {
+        _sendCrossChainMessage(target, data, gasLimit);
+        emit CrossChainMessageSent(target, data, gasLimit);
+    }
+}
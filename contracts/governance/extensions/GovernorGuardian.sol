@@ -0,0 +1,178 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.8.0;
+
+import "../Governor.sol";
+import "./IGovernorTimelock.sol";
+import "../../utils/Checkpoints.sol";
+import "../../utils/math/SafeCast.sol";
+
+/**
+ * @dev Extension of {Governor} that lets a guardian veto proposals that passed. The guardian is a single address, that
+ * can be a multisig or any other contract acting as a security council.
+ *
+ * A proposal that has Succeeded can be vetoed until a number of blocks (or other units of the governor's clock), the
+ * "veto period", have passed since the proposal deadline. Once a proposal is Queued in a timelock, it can be vetoed
+ * until its eta, so that the guardian can always veto a proposal before it becomes executable, whatever the delay of
+ * the timelock. When the governor doesn't use a timelock, proposals cannot be executed until their veto period is
+ * over.
+ *
+ * Vetoing a proposal cancels it, so when combined with {GovernorTimelockControl} or {GovernorTimelockCompound} the
+ * queued timelock operation is cancelled as well. In the case of {GovernorTimelockControl}, this requires the governor
+ * to have the canceller role on the timelock, which replaces giving that role to the guardian itself.
+ *
+ * The guardian and the veto period can only be updated through governance proposals. The veto period is checkpointed,
+ * so that updating it doesn't change the veto period of proposals whose snapshot is before the update.
+ *
+ * NOTE: The veto period is checkpointed using the governor's clock, which is read in the constructor. When the clock
+ * is provided by {GovernorVotes}, this module must come after it in the inheritance list.
+ *
+ * _Available since v4.7._
+ */
+abstract contract GovernorGuardian is Governor {
+    using Checkpoints for Checkpoints.Trace224;
+
+    address private _guardian;
+    Checkpoints.Trace224 private _vetoPeriodHistory;
+
+    /// @dev Emitted when the guardian is changed.
+    event GuardianSet(address oldGuardian, address newGuardian);
+
+    /// @dev Emitted when the veto period is changed.
+    event VetoPeriodSet(uint256 oldVetoPeriod, uint256 newVetoPeriod);
+
+    /// @dev Emitted when a proposal is vetoed by the guardian.
+    event ProposalVetoed(uint256 proposalId);
+
+    /**
+     * @dev Initializes the guardian and the veto period. The guardian can be set to the zero address to disable vetoes.
+     */
+    constructor(address initialGuardian, uint256 initialVetoPeriod) {
+        _setGuardian(initialGuardian);
+        _setVetoPeriod(initialVetoPeriod);
+    }
+
+    /**
+     * @dev Returns the address that is allowed to veto proposals.
+     */
+    function guardian() public view virtual returns (address) {
+        return _guardian;
+    }
+
+    /**
+     * @dev Returns the current veto period: the number of blocks (or other units of the governor's clock) after the
+     * deadline of a proposal during which it can be vetoed, unless it is queued.
+     */
+    function vetoPeriod() public view virtual returns (uint256) {
+        return _vetoPeriodHistory.latest();
+    }
+
+    /**
+     * @dev Returns the veto period at a specific timepoint (in units of the governor's clock).
+     */
+    function vetoPeriod(uint256 timepoint) public view virtual returns (uint256) {
+        // Proposals usually look up a recent value of the veto period
+        return _vetoPeriodHistory.upperLookupRecent(SafeCast.toUint32(timepoint));
+    }
+
+    /**
+     * @dev Returns the last timepoint at which a proposal that has Succeeded can be vetoed, using the veto period in
+     * force at the snapshot of the proposal. Queued proposals can be vetoed until their eta instead.
+     */
+    function proposalVetoDeadline(uint256 proposalId) public view virtual returns (uint256) {
+        return proposalDeadline(proposalId) + vetoPeriod(proposalSnapshot(proposalId));
+    }
+
+    /**
+     * @dev Vetoes a proposal, which cancels it.
+     *
+     * Emits a {ProposalVetoed} and a {IGovernor-ProposalCanceled} event.
+     *
+     * Requirements:
+     *
+     * - The caller must be the guardian.
+     * - The proposal must have Succeeded, and its {proposalVetoDeadline} must not be over.
+     * - Or the proposal must be Queued, and its eta must not be reached.
+     */
+    function veto(
+        address[] memory targets,
+        uint256[] memory values,
+        bytes[] memory calldatas,
+        bytes32 descriptionHash
+    ) public virtual returns (uint256) {
+        require(_msgSender() == guardian(), "GovernorGuardian: caller is not the guardian");
+
+        uint256 proposalId = hashProposal(targets, values, calldatas, descriptionHash);
+        ProposalState status = state(proposalId);
+        if (status == ProposalState.Queued) {
+            // Proposals can only be queued by a timelock module, and the eta of their operation is a timestamp
+            require(
+                block.timestamp < IGovernorTimelock(address(this)).proposalEta(proposalId),
+                "GovernorGuardian: veto period over"
+            );
+        } else {
+            require(status == ProposalState.Succeeded, "GovernorGuardian: proposal not successful");
+            require(clock() <= proposalVetoDeadline(proposalId), "GovernorGuardian: veto period over");
+        }
+
+        emit ProposalVetoed(proposalId);
+
+        return _cancel(targets, values, calldatas, descriptionHash);
+    }
+
+    /**
+     * @dev Hook before execution that, when the governor doesn't use a timelock (see {IGovernorTimelock}), prevents
+     * proposals from being executed before the end of their veto period.
+     */
+    function _beforeExecute(
+        uint256 proposalId,
+        address[] memory targets,
+        uint256[] memory values,
+        bytes[] memory calldatas,
+        bytes32 descriptionHash
+    ) internal virtual override {
+        if (!supportsInterface(type(IGovernorTimelock).interfaceId)) {
+            require(clock() > proposalVetoDeadline(proposalId), "GovernorGuardian: veto period not over");
+        }
+        super._beforeExecute(proposalId, targets, values, calldatas, descriptionHash);
+    }
+
+    /**
+     * @dev Changes the guardian. This operation can only be performed through a governance proposal.
+     *
+     * Emits a {GuardianSet} event.
+     */
+    function setGuardian(address newGuardian) public virtual onlyGovernance {
+        _setGuardian(newGuardian);
+    }
+
+    /**
+     * @dev Changes the veto period. This operation can only be performed through a governance proposal.
+     *
+     * Emits a {VetoPeriodSet} event.
+     */
+    function setVetoPeriod(uint256 newVetoPeriod) public virtual onlyGovernance {
+        _setVetoPeriod(newVetoPeriod);
+    }
+
+    /**
+     * @dev Internal setter for the guardian.
+     *
+     * Emits a {GuardianSet} event.
+     */
+    function _setGuardian(address newGuardian) internal virtual {
+        emit GuardianSet(_guardian, newGuardian);
+        _guardian = newGuardian;
+    }
+
+    /**
+     * @dev Internal setter for the veto period. The new veto period applies to proposals whose snapshot is at or after
+     * the current timepoint.
+     *
+     * Emits a {VetoPeriodSet} event.
+     */
+    function _setVetoPeriod(uint256 newVetoPeriod) internal virtual {
+        emit VetoPeriodSet(vetoPeriod(), newVetoPeriod);
+        _vetoPeriodHistory.push(SafeCast.toUint32(clock()), SafeCast.toUint224(newVetoPeriod));
+    }
+}
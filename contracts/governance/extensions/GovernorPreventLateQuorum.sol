@@ -18,7 +18,6 @@ import "../../utils/math/Math.sol";
  * _Available since v4.5._
  */
 abstract contract GovernorPreventLateQuorum is Governor {
-    using SafeCast for uint256;
     using Timers for Timers.BlockNumber;
 
     uint64 private _voteExtension;
@@ -65,7 +64,7 @@ abstract contract GovernorPreventLateQuorum is Governor {
         Timers.BlockNumber storage extendedDeadline = _extendedDeadlines[proposalId];
 
         if (extendedDeadline.isUnset() && _quorumReached(proposalId)) {
-            uint64 extendedDeadlineValue = block.number.toUint64() + lateQuorumVoteExtension();
+            uint64 extendedDeadlineValue = clock() + lateQuorumVoteExtension();
 
             if (extendedDeadlineValue > proposalDeadline(proposalId)) {
                 emit ProposalExtended(proposalId, extendedDeadlineValue);
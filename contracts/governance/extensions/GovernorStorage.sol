@@ -0,0 +1,138 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.8.0;
+
+import "../Governor.sol";
+
+/**
+ * @dev Extension of {Governor} that stores the details of proposals on chain, and keeps track of all the proposals
+ * that were created. This makes it possible to enumerate the proposals with {proposalCount} and {proposalDetailsAt},
+ * and to queue or execute a proposal by id, without having to look up its details in the `ProposalCreated` events.
+ *
+ * NOTE: {GovernorCompatibilityBravo} already stores the details of proposals, and provides its own `queue(uint256)` and
+ * `execute(uint256)` functions. This extension is meant for governors that don't use the Bravo interface, and should
+ * not be combined with it.
+ *
+ * _Available since v4.7._
+ */
+abstract contract GovernorStorage is Governor {
+    struct ProposalDetails {
+        address[] targets;
+        uint256[] values;
+        bytes[] calldatas;
+        bytes32 descriptionHash;
+    }
+
+    uint256[] private _proposalIds;
+    mapping(uint256 => ProposalDetails) private _proposalDetails;
+
+    /**
+     * @dev See {IGovernor-propose}. Stores the details of the proposal once it is created.
+     */
+    function propose(
+        address[] memory targets,
+        uint256[] memory values,
+        bytes[] memory calldatas,
+        string memory description
+    ) public virtual override returns (uint256) {
+        uint256 proposalId = super.propose(targets, values, calldatas, description);
+
+        // Governor.propose reverts if the proposal already exists, so the details are never overwritten
+        _proposalDetails[proposalId] = ProposalDetails({
+            targets: targets,
+            values: values,
+            calldatas: calldatas,
+            descriptionHash: keccak256(bytes(description))
+        });
+        _proposalIds.push(proposalId);
+
+        return proposalId;
+    }
+
+    /**
+     * @dev Version of {IGovernorTimelock-queue} with only `proposalId` as an argument.
+     *
+     * Requires the governor to include a timelock module, such as {GovernorTimelockControl} or
+     * {GovernorTimelockCompound}.
+     */
+    function queue(uint256 proposalId) public virtual {
+        (
+            address[] memory targets,
+            uint256[] memory values,
+            bytes[] memory calldatas,
+            bytes32 descriptionHash
+        ) = proposalDetails(proposalId);
+
+        _queue(targets, values, calldatas, descriptionHash);
+    }
+
+    /**
+     * @dev Version of {IGovernor-execute} with only `proposalId` as an argument.
+     */
+    function execute(uint256 proposalId) public payable virtual {
+        (
+            address[] memory targets,
+            uint256[] memory values,
+            bytes[] memory calldatas,
+            bytes32 descriptionHash
+        ) = proposalDetails(proposalId);
+
+        execute(targets, values, calldatas, descriptionHash);
+    }
+
+    /**
+     * @dev Returns the number of proposals that were created.
+     */
+    function proposalCount() public view virtual returns (uint256) {
+        return _proposalIds.length;
+    }
+
+    /**
+     * @dev Returns the details of a proposal, as given to {IGovernor-propose}, except for the description that is
+     * hashed.
+     *
+     * Requirements:
+     *
+     * - the proposal must exist.
+     */
+    function proposalDetails(uint256 proposalId)
+        public
+        view
+        virtual
+        returns (
+            address[] memory targets,
+            uint256[] memory values,
+            bytes[] memory calldatas,
+            bytes32 descriptionHash
+        )
+    {
+        ProposalDetails storage details = _proposalDetails[proposalId];
+        // proposals can't be empty, so an empty list of targets means that the proposal doesn't exist
+        require(details.targets.length > 0, "GovernorStorage: unknown proposal id");
+        return (details.targets, details.values, details.calldatas, details.descriptionHash);
+    }
+
+    /**
+     * @dev Returns the id and the details of the proposal at position `index` in the list of proposals, which are
+     * ordered by creation. See {proposalDetails}.
+     *
+     * Requirements:
+     *
+     * - `index` must be strictly less than {proposalCount}.
+     */
+    function proposalDetailsAt(uint256 index)
+        public
+        view
+        virtual
+        returns (
+            uint256 proposalId,
+            address[] memory targets,
+            uint256[] memory values,
+            bytes[] memory calldatas,
+            bytes32 descriptionHash
+        )
+    {
+        proposalId = _proposalIds[index];
+        (targets, values, calldatas, descriptionHash) = proposalDetails(proposalId);
+    }
+}
@@ -24,18 +24,20 @@ interface IVotes {
     function getVotes(address account) external view returns (uint256);
 
     /**
-     * @dev Returns the amount of votes that `account` had at the end of a past block (`blockNumber`).
+     * @dev Returns the amount of votes that `account` had at a specific moment in the past (`timepoint`). Timepoints
+     * are block numbers, unless the implementation exposes a different clock through {IERC6372}.
      */
-    function getPastVotes(address account, uint256 blockNumber) external view returns (uint256);
+    function getPastVotes(address account, uint256 timepoint) external view returns (uint256);
 
     /**
-     * @dev Returns the total supply of votes available at the end of a past block (`blockNumber`).
+     * @dev Returns the total supply of votes available at a specific moment in the past (`timepoint`). Timepoints
+     * are block numbers, unless the implementation exposes a different clock through {IERC6372}.
      *
      * NOTE: This value is the sum of all available votes, which is not necessarily the sum of all delegated votes.
      * Votes that have not been delegated are still part of total supply, even though they would not participate in a
      * vote.
      */
-    function getPastTotalSupply(uint256 blockNumber) external view returns (uint256);
+    function getPastTotalSupply(uint256 timepoint) external view returns (uint256);
 
     /**
      * @dev Returns the delegate that `account` has chosen.
@@ -6,6 +6,8 @@ import "../../utils/Context.sol";
 import "../../utils/Counters.sol";
 import "../../utils/Checkpoints.sol";
 import "../../utils/cryptography/draft-EIP712.sol";
+import "../../utils/math/SafeCast.sol";
+import "../../interfaces/IERC6372.sol";
 import "./IVotes.sol";
 
 /**
@@ -19,28 +21,49 @@ import "./IVotes.sol";
  * example, see {ERC721Votes}.
  *
  * The full history of delegate votes is tracked on-chain so that governance protocols can consider votes as distributed
- * at a particular block number to protect against flash loans and double voting. The opt-in delegate system makes the
+ * at a particular timepoint to protect against flash loans and double voting. The opt-in delegate system makes the
  * cost of this history tracking optional.
  *
+ * Timepoints are block numbers by default. They can be switched to timestamps (or any other monotonic clock) by
+ * overriding {clock} and {CLOCK_MODE}, following ERC6372.
+ *
  * When using this module the derived contract must implement {_getVotingUnits} (for example, make it return
  * {ERC721-balanceOf}), and can use {_transferVotingUnits} to track a change in the distribution of those units (in the
  * previous example, it would be included in {ERC721-_beforeTokenTransfer}).
  *
  * _Available since v4.5._
  */
-abstract contract Votes is IVotes, Context, EIP712 {
-    using Checkpoints for Checkpoints.History;
+abstract contract Votes is IVotes, Context, EIP712, IERC6372 {
+    using Checkpoints for Checkpoints.Trace224;
     using Counters for Counters.Counter;
 
     bytes32 private constant _DELEGATION_TYPEHASH =
         keccak256("Delegation(address delegatee,uint256 nonce,uint256 expiry)");
 
     mapping(address => address) private _delegation;
-    mapping(address => Checkpoints.History) private _delegateCheckpoints;
-    Checkpoints.History private _totalCheckpoints;
+    mapping(address => Checkpoints.Trace224) private _delegateCheckpoints;
+    Checkpoints.Trace224 private _totalCheckpoints;
 
     mapping(address => Counters.Counter) private _nonces;
 
+    /**
+     * @dev Clock used for flagging checkpoints. Can be overridden to implement timestamp based checkpoints (and voting),
+     * in which case {CLOCK_MODE} should be overridden as well to match.
+     */
+    function clock() public view virtual override returns (uint48) {
+        return SafeCast.toUint48(block.number);
+    }
+
+    /**
+     * @dev Machine-readable description of the clock as specified in EIP-6372.
+     */
+    // solhint-disable-next-line func-name-mixedcase
+    function CLOCK_MODE() public view virtual override returns (string memory) {
+        // Check that the clock was not modified
+        require(clock() == block.number, "Votes: broken clock mode");
+        return "mode=blocknumber&from=default";
+    }
+
     /**
      * @dev Returns the current amount of votes that `account` has.
      */
@@ -49,18 +72,21 @@ abstract contract Votes is IVotes, Context, EIP712 {
     }
 
     /**
-     * @dev Returns the amount of votes that `account` had at the end of a past block (`blockNumber`).
+     * @dev Returns the amount of votes that `account` had at a specific moment in the past (`timepoint`). If the
+     * {clock} is configured to use block numbers, this will return the value at the end of the corresponding block.
      *
      * Requirements:
      *
-     * - `blockNumber` must have been already mined
+     * - `timepoint` must be in the past
      */
-    function getPastVotes(address account, uint256 blockNumber) public view virtual override returns (uint256) {
-        return _delegateCheckpoints[account].getAtBlock(blockNumber);
+    function getPastVotes(address account, uint256 timepoint) public view virtual override returns (uint256) {
+        require(timepoint < clock(), "Votes: future lookup");
+        return _delegateCheckpoints[account].upperLookupRecent(SafeCast.toUint32(timepoint));
     }
 
     /**
-     * @dev Returns the total supply of votes available at the end of a past block (`blockNumber`).
+     * @dev Returns the total supply of votes available at a specific moment in the past (`timepoint`). If the {clock}
+     * is configured to use block numbers, this will return the value at the end of the corresponding block.
      *
      * NOTE: This value is the sum of all available votes, which is not necessarily the sum of all delegated votes.
      * Votes that have not been delegated are still part of total supply, even though they would not participate in a
@@ -68,11 +94,11 @@ abstract contract Votes is IVotes, Context, EIP712 {
      *
      * Requirements:
      *
-     * - `blockNumber` must have been already mined
+     * - `timepoint` must be in the past
      */
-    function getPastTotalSupply(uint256 blockNumber) public view virtual override returns (uint256) {
-        require(blockNumber < block.number, "Votes: block not yet mined");
-        return _totalCheckpoints.getAtBlock(blockNumber);
+    function getPastTotalSupply(uint256 timepoint) public view virtual override returns (uint256) {
+        require(timepoint < clock(), "Votes: future lookup");
+        return _totalCheckpoints.upperLookupRecent(SafeCast.toUint32(timepoint));
     }
 
     /**
@@ -142,10 +168,10 @@ abstract contract Votes is IVotes, Context, EIP712 {
         uint256 amount
     ) internal virtual {
         if (from == address(0)) {
-            _totalCheckpoints.push(_add, amount);
+            _push(_totalCheckpoints, _add, amount);
         }
         if (to == address(0)) {
-            _totalCheckpoints.push(_subtract, amount);
+            _push(_totalCheckpoints, _subtract, amount);
         }
         _moveDelegateVotes(delegates(from), delegates(to), amount);
     }
@@ -160,16 +186,27 @@ abstract contract Votes is IVotes, Context, EIP712 {
     ) private {
         if (from != to && amount > 0) {
             if (from != address(0)) {
-                (uint256 oldValue, uint256 newValue) = _delegateCheckpoints[from].push(_subtract, amount);
+                (uint256 oldValue, uint256 newValue) = _push(_delegateCheckpoints[from], _subtract, amount);
                 emit DelegateVotesChanged(from, oldValue, newValue);
             }
             if (to != address(0)) {
-                (uint256 oldValue, uint256 newValue) = _delegateCheckpoints[to].push(_add, amount);
+                (uint256 oldValue, uint256 newValue) = _push(_delegateCheckpoints[to], _add, amount);
                 emit DelegateVotesChanged(to, oldValue, newValue);
             }
         }
     }
 
+    /**
+     * @dev Updates the latest value of a checkpoint history with binary operation `op`, keyed by the current {clock}.
+     */
+    function _push(
+        Checkpoints.Trace224 storage store,
+        function(uint256, uint256) view returns (uint256) op,
+        uint256 delta
+    ) private returns (uint256, uint256) {
+        return store.push(SafeCast.toUint32(clock()), SafeCast.toUint224(op(store.latest(), delta)));
+    }
+
     function _add(uint256 a, uint256 b) private pure returns (uint256) {
         return a + b;
     }
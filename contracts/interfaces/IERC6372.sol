@@ -0,0 +1,22 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.8.0;
+
+/**
+ * @dev Interface of the ERC6372 standard, as defined in the https://eips.ethereum.org/EIPS/eip-6372[EIP].
+ *
+ * Contracts that track values over time (such as {Votes} and {Governor}) expose the clock they use, so that
+ * integrators can tell whether timepoints are expressed as block numbers or as timestamps.
+ */
+interface IERC6372 {
+    /**
+     * @dev Clock used for flagging checkpoints. Can be overridden to implement timestamp based checkpoints (and voting).
+     */
+    function clock() external view returns (uint48);
+
+    /**
+     * @dev Description of the clock, in the format of a URL query string (for example `mode=timestamp`).
+     */
+    // solhint-disable-next-line func-name-mixedcase
+    function CLOCK_MODE() external view returns (string memory);
+}
@@ -6,10 +6,20 @@ import "../access/AccessControlCrossChain.sol";
 import "../crosschain/arbitrum/CrossChainEnabledArbitrumL2.sol";
 
 contract AccessControlCrossChainMock is AccessControlCrossChain, CrossChainEnabledArbitrumL2 {
+    // reports the sender observed on the receiving side, see `CrossChainSimulator` in the test helpers
+    event CrossChainSenderObserved(address sender);
+
     constructor() {
         _setupRole(DEFAULT_ADMIN_ROLE, _msgSender());
     }
 
+    function grantRole(bytes32 role, address account) public virtual override {
+        super.grantRole(role, account);
+        if (_isCrossChain()) {
+            emit CrossChainSenderObserved(_crossChainSender());
+        }
+    }
+
     function setRoleAdmin(bytes32 roleId, bytes32 adminRoleId) public {
         _setRoleAdmin(roleId, adminRoleId);
     }
@@ -1,4 +1,5 @@
 // SPDX-License-Identifier: MIT
+// This file was procedurally generated from scripts/generate/templates/CheckpointsImpl.js.
 
 pragma solidity ^0.8.0;
 
@@ -13,11 +14,115 @@ contract CheckpointsImpl {
         return _totalCheckpoints.latest();
     }
 
+    function latestCheckpoint()
+        public
+        view
+        returns (
+            bool,
+            uint32,
+            uint224
+        )
+    {
+        return _totalCheckpoints.latestCheckpoint();
+    }
+
+    function length() public view returns (uint256) {
+        return _totalCheckpoints.length();
+    }
+
     function getAtBlock(uint256 blockNumber) public view returns (uint256) {
         return _totalCheckpoints.getAtBlock(blockNumber);
     }
 
+    function getAtProbablyRecentBlock(uint256 blockNumber) public view returns (uint256) {
+        return _totalCheckpoints.getAtProbablyRecentBlock(blockNumber);
+    }
+
     function push(uint256 value) public returns (uint256, uint256) {
         return _totalCheckpoints.push(value);
     }
 }
+
+contract Checkpoints224Impl {
+    using Checkpoints for Checkpoints.Trace224;
+
+    Checkpoints.Trace224 private _trace;
+
+    function latest() public view returns (uint224) {
+        return _trace.latest();
+    }
+
+    function latestCheckpoint()
+        public
+        view
+        returns (
+            bool,
+            uint32,
+            uint224
+        )
+    {
+        return _trace.latestCheckpoint();
+    }
+
+    function length() public view returns (uint256) {
+        return _trace.length();
+    }
+
+    function push(uint32 key, uint224 value) public returns (uint224, uint224) {
+        return _trace.push(key, value);
+    }
+
+    function lowerLookup(uint32 key) public view returns (uint224) {
+        return _trace.lowerLookup(key);
+    }
+
+    function upperLookup(uint32 key) public view returns (uint224) {
+        return _trace.upperLookup(key);
+    }
+
+    function upperLookupRecent(uint32 key) public view returns (uint224) {
+        return _trace.upperLookupRecent(key);
+    }
+}
+
+contract Checkpoints160Impl {
+    using Checkpoints for Checkpoints.Trace160;
+
+    Checkpoints.Trace160 private _trace;
+
+    function latest() public view returns (uint160) {
+        return _trace.latest();
+    }
+
+    function latestCheckpoint()
+        public
+        view
+        returns (
+            bool,
+            uint96,
+            uint160
+        )
+    {
+        return _trace.latestCheckpoint();
+    }
+
+    function length() public view returns (uint256) {
+        return _trace.length();
+    }
+
+    function push(uint96 key, uint160 value) public returns (uint160, uint160) {
+        return _trace.push(key, value);
+    }
+
+    function lowerLookup(uint96 key) public view returns (uint160) {
+        return _trace.lowerLookup(key);
+    }
+
+    function upperLookup(uint96 key) public view returns (uint160) {
+        return _trace.upperLookup(key);
+    }
+
+    function upperLookupRecent(uint96 key) public view returns (uint160) {
+        return _trace.upperLookupRecent(key);
+    }
+}
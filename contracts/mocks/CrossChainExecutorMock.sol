@@ -0,0 +1,10 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.8.4;
+
+import "../governance/CrossChainExecutor.sol";
+import "../crosschain/amb/CrossChainEnabledAMB.sol";
+
+contract CrossChainExecutorAMBMock is CrossChainExecutor, CrossChainEnabledAMB {
+    constructor(address bridge, address homeGovernor) CrossChainExecutor(homeGovernor) CrossChainEnabledAMB(bridge) {}
+}
@@ -1,4 +1,5 @@
 // SPDX-License-Identifier: MIT
+// This file was procedurally generated from scripts/generate/templates/DoubleEndedQueueMock.js.
 
 pragma solidity ^0.8.0;
 
@@ -9,6 +10,7 @@ contract Bytes32DequeMock {
     using DoubleEndedQueue for DoubleEndedQueue.Bytes32Deque;
 
     event OperationResult(bytes32 value);
+    event OperationResults(bytes32[] values);
 
     DoubleEndedQueue.Bytes32Deque private _vector;
 
@@ -16,6 +18,10 @@ contract Bytes32DequeMock {
         _vector.pushBack(value);
     }
 
+    function pushBackMany(bytes32[] memory values) public {
+        _vector.pushBackMany(values);
+    }
+
     function pushFront(bytes32 value) public {
         _vector.pushFront(value);
     }
@@ -26,6 +32,12 @@ contract Bytes32DequeMock {
         return value;
     }
 
+    function popFrontMany(uint256 count) public returns (bytes32[] memory) {
+        bytes32[] memory values = _vector.popFrontMany(count);
+        emit OperationResults(values);
+        return values;
+    }
+
     function popBack() public returns (bytes32) {
         bytes32 value = _vector.popBack();
         emit OperationResult(value);
@@ -44,6 +56,146 @@ contract Bytes32DequeMock {
         return _vector.at(i);
     }
 
+    function slice(uint256 start, uint256 end) public view returns (bytes32[] memory) {
+        return _vector.slice(start, end);
+    }
+
+    function clear() public {
+        _vector.clear();
+    }
+
+    function length() public view returns (uint256) {
+        return _vector.length();
+    }
+
+    function empty() public view returns (bool) {
+        return _vector.empty();
+    }
+}
+
+// AddressDeque
+contract AddressDequeMock {
+    using DoubleEndedQueue for DoubleEndedQueue.AddressDeque;
+
+    event OperationResult(address value);
+    event OperationResults(address[] values);
+
+    DoubleEndedQueue.AddressDeque private _vector;
+
+    function pushBack(address value) public {
+        _vector.pushBack(value);
+    }
+
+    function pushBackMany(address[] memory values) public {
+        _vector.pushBackMany(values);
+    }
+
+    function pushFront(address value) public {
+        _vector.pushFront(value);
+    }
+
+    function popFront() public returns (address) {
+        address value = _vector.popFront();
+        emit OperationResult(value);
+        return value;
+    }
+
+    function popFrontMany(uint256 count) public returns (address[] memory) {
+        address[] memory values = _vector.popFrontMany(count);
+        emit OperationResults(values);
+        return values;
+    }
+
+    function popBack() public returns (address) {
+        address value = _vector.popBack();
+        emit OperationResult(value);
+        return value;
+    }
+
+    function front() public view returns (address) {
+        return _vector.front();
+    }
+
+    function back() public view returns (address) {
+        return _vector.back();
+    }
+
+    function at(uint256 i) public view returns (address) {
+        return _vector.at(i);
+    }
+
+    function slice(uint256 start, uint256 end) public view returns (address[] memory) {
+        return _vector.slice(start, end);
+    }
+
+    function clear() public {
+        _vector.clear();
+    }
+
+    function length() public view returns (uint256) {
+        return _vector.length();
+    }
+
+    function empty() public view returns (bool) {
+        return _vector.empty();
+    }
+}
+
+// Uint256Deque
+contract Uint256DequeMock {
+    using DoubleEndedQueue for DoubleEndedQueue.Uint256Deque;
+
+    event OperationResult(uint256 value);
+    event OperationResults(uint256[] values);
+
+    DoubleEndedQueue.Uint256Deque private _vector;
+
+    function pushBack(uint256 value) public {
+        _vector.pushBack(value);
+    }
+
+    function pushBackMany(uint256[] memory values) public {
+        _vector.pushBackMany(values);
+    }
+
+    function pushFront(uint256 value) public {
+        _vector.pushFront(value);
+    }
+
+    function popFront() public returns (uint256) {
+        uint256 value = _vector.popFront();
+        emit OperationResult(value);
+        return value;
+    }
+
+    function popFrontMany(uint256 count) public returns (uint256[] memory) {
+        uint256[] memory values = _vector.popFrontMany(count);
+        emit OperationResults(values);
+        return values;
+    }
+
+    function popBack() public returns (uint256) {
+        uint256 value = _vector.popBack();
+        emit OperationResult(value);
+        return value;
+    }
+
+    function front() public view returns (uint256) {
+        return _vector.front();
+    }
+
+    function back() public view returns (uint256) {
+        return _vector.back();
+    }
+
+    function at(uint256 i) public view returns (uint256) {
+        return _vector.at(i);
+    }
+
+    function slice(uint256 start, uint256 end) public view returns (uint256[] memory) {
+        return _vector.slice(start, end);
+    }
+
     function clear() public {
         _vector.clear();
     }
@@ -19,3 +19,16 @@ contract ERC20VotesMock is ERC20Votes {
         return block.chainid;
     }
 }
+
+contract ERC20VotesTimestampMock is ERC20VotesMock {
+    constructor(string memory name, string memory symbol) ERC20VotesMock(name, symbol) {}
+
+    function clock() public view virtual override returns (uint48) {
+        return SafeCast.toUint48(block.timestamp);
+    }
+
+    // solhint-disable-next-line func-name-mixedcase
+    function CLOCK_MODE() public view virtual override returns (string memory) {
+        return "mode=timestamp";
+    }
+}
@@ -23,3 +23,16 @@ contract ERC721VotesMock is ERC721Votes {
         return block.chainid;
     }
 }
+
+contract ERC721VotesTimestampMock is ERC721VotesMock {
+    constructor(string memory name, string memory symbol) ERC721VotesMock(name, symbol) {}
+
+    function clock() public view virtual override returns (uint48) {
+        return SafeCast.toUint48(block.timestamp);
+    }
+
+    // solhint-disable-next-line func-name-mixedcase
+    function CLOCK_MODE() public view virtual override returns (string memory) {
+        return "mode=timestamp";
+    }
+}
@@ -1,9 +1,120 @@
 // SPDX-License-Identifier: MIT
+// This file was procedurally generated from scripts/generate/templates/EnumerableMapMock.js.
 
 pragma solidity ^0.8.0;
 
 import "../utils/structs/EnumerableMap.sol";
 
+// Bytes32ToBytes32Map
+contract Bytes32ToBytes32MapMock {
+    using EnumerableMap for EnumerableMap.Bytes32ToBytes32Map;
+
+    event OperationResult(bool result);
+
+    EnumerableMap.Bytes32ToBytes32Map private _map;
+
+    function contains(bytes32 key) public view returns (bool) {
+        return _map.contains(key);
+    }
+
+    function set(bytes32 key, bytes32 value) public {
+        bool result = _map.set(key, value);
+        emit OperationResult(result);
+    }
+
+    function remove(bytes32 key) public {
+        bool result = _map.remove(key);
+        emit OperationResult(result);
+    }
+
+    function length() public view returns (uint256) {
+        return _map.length();
+    }
+
+    function at(uint256 index) public view returns (bytes32 key, bytes32 value) {
+        return _map.at(index);
+    }
+
+    function tryGet(bytes32 key) public view returns (bool, bytes32) {
+        return _map.tryGet(key);
+    }
+
+    function get(bytes32 key) public view returns (bytes32) {
+        return _map.get(key);
+    }
+
+    function getWithMessage(bytes32 key, string calldata errorMessage) public view returns (bytes32) {
+        return _map.get(key, errorMessage);
+    }
+
+    function keys() public view returns (bytes32[] memory) {
+        return _map.keys();
+    }
+
+    function keysRange(uint256 offset, uint256 limit) public view returns (bytes32[] memory) {
+        return _map.keys(offset, limit);
+    }
+
+    function entries(uint256 offset, uint256 limit) public view returns (bytes32[] memory, bytes32[] memory) {
+        return _map.entries(offset, limit);
+    }
+}
+
+// UintToUintMap
+contract UintToUintMapMock {
+    using EnumerableMap for EnumerableMap.UintToUintMap;
+
+    event OperationResult(bool result);
+
+    EnumerableMap.UintToUintMap private _map;
+
+    function contains(uint256 key) public view returns (bool) {
+        return _map.contains(key);
+    }
+
+    function set(uint256 key, uint256 value) public {
+        bool result = _map.set(key, value);
+        emit OperationResult(result);
+    }
+
+    function remove(uint256 key) public {
+        bool result = _map.remove(key);
+        emit OperationResult(result);
+    }
+
+    function length() public view returns (uint256) {
+        return _map.length();
+    }
+
+    function at(uint256 index) public view returns (uint256 key, uint256 value) {
+        return _map.at(index);
+    }
+
+    function tryGet(uint256 key) public view returns (bool, uint256) {
+        return _map.tryGet(key);
+    }
+
+    function get(uint256 key) public view returns (uint256) {
+        return _map.get(key);
+    }
+
+    function getWithMessage(uint256 key, string calldata errorMessage) public view returns (uint256) {
+        return _map.get(key, errorMessage);
+    }
+
+    function keys() public view returns (uint256[] memory) {
+        return _map.keys();
+    }
+
+    function keysRange(uint256 offset, uint256 limit) public view returns (uint256[] memory) {
+        return _map.keys(offset, limit);
+    }
+
+    function entries(uint256 offset, uint256 limit) public view returns (uint256[] memory, uint256[] memory) {
+        return _map.entries(offset, limit);
+    }
+}
+
 // UintToAddressMap
 contract UintToAddressMapMock {
     using EnumerableMap for EnumerableMap.UintToAddressMap;
@@ -45,6 +156,73 @@ contract UintToAddressMapMock {
     function getWithMessage(uint256 key, string calldata errorMessage) public view returns (address) {
         return _map.get(key, errorMessage);
     }
+
+    function keys() public view returns (uint256[] memory) {
+        return _map.keys();
+    }
+
+    function keysRange(uint256 offset, uint256 limit) public view returns (uint256[] memory) {
+        return _map.keys(offset, limit);
+    }
+
+    function entries(uint256 offset, uint256 limit) public view returns (uint256[] memory, address[] memory) {
+        return _map.entries(offset, limit);
+    }
+}
+
+// UintToBytes32Map
+contract UintToBytes32MapMock {
+    using EnumerableMap for EnumerableMap.UintToBytes32Map;
+
+    event OperationResult(bool result);
+
+    EnumerableMap.UintToBytes32Map private _map;
+
+    function contains(uint256 key) public view returns (bool) {
+        return _map.contains(key);
+    }
+
+    function set(uint256 key, bytes32 value) public {
+        bool result = _map.set(key, value);
+        emit OperationResult(result);
+    }
+
+    function remove(uint256 key) public {
+        bool result = _map.remove(key);
+        emit OperationResult(result);
+    }
+
+    function length() public view returns (uint256) {
+        return _map.length();
+    }
+
+    function at(uint256 index) public view returns (uint256 key, bytes32 value) {
+        return _map.at(index);
+    }
+
+    function tryGet(uint256 key) public view returns (bool, bytes32) {
+        return _map.tryGet(key);
+    }
+
+    function get(uint256 key) public view returns (bytes32) {
+        return _map.get(key);
+    }
+
+    function getWithMessage(uint256 key, string calldata errorMessage) public view returns (bytes32) {
+        return _map.get(key, errorMessage);
+    }
+
+    function keys() public view returns (uint256[] memory) {
+        return _map.keys();
+    }
+
+    function keysRange(uint256 offset, uint256 limit) public view returns (uint256[] memory) {
+        return _map.keys(offset, limit);
+    }
+
+    function entries(uint256 offset, uint256 limit) public view returns (uint256[] memory, bytes32[] memory) {
+        return _map.entries(offset, limit);
+    }
 }
 
 // AddressToUintMap
@@ -88,20 +266,143 @@ contract AddressToUintMapMock {
     function getWithMessage(address key, string calldata errorMessage) public view returns (uint256) {
         return _map.get(key, errorMessage);
     }
+
+    function keys() public view returns (address[] memory) {
+        return _map.keys();
+    }
+
+    function keysRange(uint256 offset, uint256 limit) public view returns (address[] memory) {
+        return _map.keys(offset, limit);
+    }
+
+    function entries(uint256 offset, uint256 limit) public view returns (address[] memory, uint256[] memory) {
+        return _map.entries(offset, limit);
+    }
 }
 
-contract Bytes32ToBytes32MapMock {
-    using EnumerableMap for EnumerableMap.Bytes32ToBytes32Map;
+// AddressToAddressMap
+contract AddressToAddressMapMock {
+    using EnumerableMap for EnumerableMap.AddressToAddressMap;
 
     event OperationResult(bool result);
 
-    EnumerableMap.Bytes32ToBytes32Map private _map;
+    EnumerableMap.AddressToAddressMap private _map;
+
+    function contains(address key) public view returns (bool) {
+        return _map.contains(key);
+    }
+
+    function set(address key, address value) public {
+        bool result = _map.set(key, value);
+        emit OperationResult(result);
+    }
+
+    function remove(address key) public {
+        bool result = _map.remove(key);
+        emit OperationResult(result);
+    }
+
+    function length() public view returns (uint256) {
+        return _map.length();
+    }
+
+    function at(uint256 index) public view returns (address key, address value) {
+        return _map.at(index);
+    }
+
+    function tryGet(address key) public view returns (bool, address) {
+        return _map.tryGet(key);
+    }
+
+    function get(address key) public view returns (address) {
+        return _map.get(key);
+    }
+
+    function getWithMessage(address key, string calldata errorMessage) public view returns (address) {
+        return _map.get(key, errorMessage);
+    }
+
+    function keys() public view returns (address[] memory) {
+        return _map.keys();
+    }
+
+    function keysRange(uint256 offset, uint256 limit) public view returns (address[] memory) {
+        return _map.keys(offset, limit);
+    }
+
+    function entries(uint256 offset, uint256 limit) public view returns (address[] memory, address[] memory) {
+        return _map.entries(offset, limit);
+    }
+}
+
+// AddressToBytes32Map
+contract AddressToBytes32MapMock {
+    using EnumerableMap for EnumerableMap.AddressToBytes32Map;
+
+    event OperationResult(bool result);
+
+    EnumerableMap.AddressToBytes32Map private _map;
+
+    function contains(address key) public view returns (bool) {
+        return _map.contains(key);
+    }
+
+    function set(address key, bytes32 value) public {
+        bool result = _map.set(key, value);
+        emit OperationResult(result);
+    }
+
+    function remove(address key) public {
+        bool result = _map.remove(key);
+        emit OperationResult(result);
+    }
+
+    function length() public view returns (uint256) {
+        return _map.length();
+    }
+
+    function at(uint256 index) public view returns (address key, bytes32 value) {
+        return _map.at(index);
+    }
+
+    function tryGet(address key) public view returns (bool, bytes32) {
+        return _map.tryGet(key);
+    }
+
+    function get(address key) public view returns (bytes32) {
+        return _map.get(key);
+    }
+
+    function getWithMessage(address key, string calldata errorMessage) public view returns (bytes32) {
+        return _map.get(key, errorMessage);
+    }
+
+    function keys() public view returns (address[] memory) {
+        return _map.keys();
+    }
+
+    function keysRange(uint256 offset, uint256 limit) public view returns (address[] memory) {
+        return _map.keys(offset, limit);
+    }
+
+    function entries(uint256 offset, uint256 limit) public view returns (address[] memory, bytes32[] memory) {
+        return _map.entries(offset, limit);
+    }
+}
+
+// Bytes32ToUintMap
+contract Bytes32ToUintMapMock {
+    using EnumerableMap for EnumerableMap.Bytes32ToUintMap;
+
+    event OperationResult(bool result);
+
+    EnumerableMap.Bytes32ToUintMap private _map;
 
     function contains(bytes32 key) public view returns (bool) {
         return _map.contains(key);
     }
 
-    function set(bytes32 key, bytes32 value) public {
+    function set(bytes32 key, uint256 value) public {
         bool result = _map.set(key, value);
         emit OperationResult(result);
     }
@@ -115,41 +416,53 @@ contract Bytes32ToBytes32MapMock {
         return _map.length();
     }
 
-    function at(uint256 index) public view returns (bytes32 key, bytes32 value) {
+    function at(uint256 index) public view returns (bytes32 key, uint256 value) {
         return _map.at(index);
     }
 
-    function tryGet(bytes32 key) public view returns (bool, bytes32) {
+    function tryGet(bytes32 key) public view returns (bool, uint256) {
         return _map.tryGet(key);
     }
 
-    function get(bytes32 key) public view returns (bytes32) {
+    function get(bytes32 key) public view returns (uint256) {
         return _map.get(key);
     }
 
-    function getWithMessage(bytes32 key, string calldata errorMessage) public view returns (bytes32) {
+    function getWithMessage(bytes32 key, string calldata errorMessage) public view returns (uint256) {
         return _map.get(key, errorMessage);
     }
+
+    function keys() public view returns (bytes32[] memory) {
+        return _map.keys();
+    }
+
+    function keysRange(uint256 offset, uint256 limit) public view returns (bytes32[] memory) {
+        return _map.keys(offset, limit);
+    }
+
+    function entries(uint256 offset, uint256 limit) public view returns (bytes32[] memory, uint256[] memory) {
+        return _map.entries(offset, limit);
+    }
 }
 
-// UintToUintMap
-contract UintToUintMapMock {
-    using EnumerableMap for EnumerableMap.UintToUintMap;
+// Bytes32ToAddressMap
+contract Bytes32ToAddressMapMock {
+    using EnumerableMap for EnumerableMap.Bytes32ToAddressMap;
 
     event OperationResult(bool result);
 
-    EnumerableMap.UintToUintMap private _map;
+    EnumerableMap.Bytes32ToAddressMap private _map;
 
-    function contains(uint256 key) public view returns (bool) {
+    function contains(bytes32 key) public view returns (bool) {
         return _map.contains(key);
     }
 
-    function set(uint256 key, uint256 value) public {
+    function set(bytes32 key, address value) public {
         bool result = _map.set(key, value);
         emit OperationResult(result);
     }
 
-    function remove(uint256 key) public {
+    function remove(bytes32 key) public {
         bool result = _map.remove(key);
         emit OperationResult(result);
     }
@@ -158,19 +471,31 @@ contract UintToUintMapMock {
         return _map.length();
     }
 
-    function at(uint256 index) public view returns (uint256 key, uint256 value) {
+    function at(uint256 index) public view returns (bytes32 key, address value) {
         return _map.at(index);
     }
 
-    function tryGet(uint256 key) public view returns (bool, uint256) {
+    function tryGet(bytes32 key) public view returns (bool, address) {
         return _map.tryGet(key);
     }
 
-    function get(uint256 key) public view returns (uint256) {
+    function get(bytes32 key) public view returns (address) {
         return _map.get(key);
     }
 
-    function getWithMessage(uint256 key, string calldata errorMessage) public view returns (uint256) {
+    function getWithMessage(bytes32 key, string calldata errorMessage) public view returns (address) {
         return _map.get(key, errorMessage);
     }
+
+    function keys() public view returns (bytes32[] memory) {
+        return _map.keys();
+    }
+
+    function keysRange(uint256 offset, uint256 limit) public view returns (bytes32[] memory) {
+        return _map.keys(offset, limit);
+    }
+
+    function entries(uint256 offset, uint256 limit) public view returns (bytes32[] memory, address[] memory) {
+        return _map.entries(offset, limit);
+    }
 }
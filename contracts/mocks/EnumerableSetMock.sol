@@ -1,4 +1,5 @@
 // SPDX-License-Identifier: MIT
+// This file was procedurally generated from scripts/generate/templates/EnumerableSetMock.js.
 
 pragma solidity ^0.8.0;
 
@@ -37,6 +38,10 @@ contract EnumerableBytes32SetMock {
     function values() public view returns (bytes32[] memory) {
         return _set.values();
     }
+
+    function valuesRange(uint256 offset, uint256 limit) public view returns (bytes32[] memory) {
+        return _set.values(offset, limit);
+    }
 }
 
 // AddressSet
@@ -72,6 +77,10 @@ contract EnumerableAddressSetMock {
     function values() public view returns (address[] memory) {
         return _set.values();
     }
+
+    function valuesRange(uint256 offset, uint256 limit) public view returns (address[] memory) {
+        return _set.values(offset, limit);
+    }
 }
 
 // UintSet
@@ -107,4 +116,8 @@ contract EnumerableUintSetMock {
     function values() public view returns (uint256[] memory) {
         return _set.values();
     }
+
+    function valuesRange(uint256 offset, uint256 limit) public view returns (uint256[] memory) {
+        return _set.values(offset, limit);
+    }
 }
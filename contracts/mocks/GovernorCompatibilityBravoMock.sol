@@ -74,6 +74,15 @@ contract GovernorCompatibilityBravoMock is
         return super.propose(targets, values, calldatas, description);
     }
 
+    function cancel(
+        address[] memory targets,
+        uint256[] memory values,
+        bytes[] memory calldatas,
+        bytes32 descriptionHash
+    ) public virtual override(IGovernor, Governor, GovernorCompatibilityBravo) returns (uint256) {
+        return super.cancel(targets, values, calldatas, descriptionHash);
+    }
+
     function queue(
         address[] memory targets,
         uint256[] memory values,
@@ -92,27 +101,23 @@ contract GovernorCompatibilityBravoMock is
         return super.execute(targets, values, calldatas, salt);
     }
 
-    function _execute(
-        uint256 proposalId,
+    function _queue(
         address[] memory targets,
         uint256[] memory values,
         bytes[] memory calldatas,
         bytes32 descriptionHash
-    ) internal virtual override(Governor, GovernorTimelockCompound) {
-        super._execute(proposalId, targets, values, calldatas, descriptionHash);
+    ) internal virtual override(Governor, GovernorTimelockCompound) returns (uint256) {
+        return super._queue(targets, values, calldatas, descriptionHash);
     }
 
-    /**
-     * @notice WARNING: this is for mock purposes only. Ability to the _cancel function should be restricted for live
-     * deployments.
-     */
-    function cancel(
+    function _execute(
+        uint256 proposalId,
         address[] memory targets,
         uint256[] memory values,
         bytes[] memory calldatas,
-        bytes32 salt
-    ) public returns (uint256 proposalId) {
-        return _cancel(targets, values, calldatas, salt);
+        bytes32 descriptionHash
+    ) internal virtual override(Governor, GovernorTimelockCompound) {
+        super._execute(proposalId, targets, values, calldatas, descriptionHash);
     }
 
     function _cancel(
@@ -0,0 +1,41 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.8.4;
+
+import "../governance/extensions/GovernorCountingSimple.sol";
+import "../governance/extensions/GovernorCrossChain.sol";
+import "../governance/extensions/GovernorVotes.sol";
+import "./crosschain/bridges.sol";
+
+contract GovernorCrossChainMock is GovernorCrossChain, GovernorVotes, GovernorCountingSimple {
+    // relays messages synchronously, through one of the bridge mocks
+    address private immutable _bridge;
+
+    constructor(
+        string memory name_,
+        IVotes token_,
+        address bridge_
+    ) Governor(name_) GovernorVotes(token_) {
+        _bridge = bridge_;
+    }
+
+    function quorum(uint256) public pure override returns (uint256) {
+        return 0;
+    }
+
+    function votingDelay() public pure override returns (uint256) {
+        return 4;
+    }
+
+    function votingPeriod() public pure override returns (uint256) {
+        return 16;
+    }
+
+    function _sendCrossChainMessage(
+        address target,
+        bytes memory data,
+        uint256 /* gasLimit */
+    ) internal override {
+        BaseRelayMock(_bridge).relayAs(target, data, address(this));
+    }
+}
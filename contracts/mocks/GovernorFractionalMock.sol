@@ -0,0 +1,34 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.8.0;
+
+import "../governance/extensions/GovernorCountingFractional.sol";
+import "../governance/extensions/GovernorVotesQuorumFraction.sol";
+
+contract GovernorFractionalMock is GovernorVotesQuorumFraction, GovernorCountingFractional {
+    constructor(
+        string memory name_,
+        IVotes token_,
+        uint256 quorumNumerator_
+    ) Governor(name_) GovernorVotes(token_) GovernorVotesQuorumFraction(quorumNumerator_) {}
+
+    function votingDelay() public pure override returns (uint256) {
+        return 4;
+    }
+
+    function votingPeriod() public pure override returns (uint256) {
+        return 16;
+    }
+
+    function castVoteWithReasonAndParamsBySig(
+        uint256 proposalId,
+        uint8 support,
+        string calldata reason,
+        bytes memory params,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) public override(Governor, GovernorCountingFractional) returns (uint256) {
+        return super.castVoteWithReasonAndParamsBySig(proposalId, support, reason, params, v, r, s);
+    }
+}
@@ -47,13 +47,13 @@ contract GovernorTimelockCompoundMock is
         return super.quorum(blockNumber);
     }
 
-    function cancel(
+    function forceCancel(
         address[] memory targets,
         uint256[] memory values,
         bytes[] memory calldatas,
-        bytes32 salt
+        bytes32 descriptionHash
     ) public returns (uint256 proposalId) {
-        return _cancel(targets, values, calldatas, salt);
+        return _cancel(targets, values, calldatas, descriptionHash);
     }
 
     /**
@@ -73,6 +73,15 @@ contract GovernorTimelockCompoundMock is
         return super.proposalThreshold();
     }
 
+    function _queue(
+        address[] memory targets,
+        uint256[] memory values,
+        bytes[] memory calldatas,
+        bytes32 descriptionHash
+    ) internal virtual override(Governor, GovernorTimelockCompound) returns (uint256) {
+        return super._queue(targets, values, calldatas, descriptionHash);
+    }
+
     function _execute(
         uint256 proposalId,
         address[] memory targets,
@@ -47,7 +47,7 @@ contract GovernorTimelockControlMock is
         return super.quorum(blockNumber);
     }
 
-    function cancel(
+    function forceCancel(
         address[] memory targets,
         uint256[] memory values,
         bytes[] memory calldatas,
@@ -73,6 +73,15 @@ contract GovernorTimelockControlMock is
         return super.proposalThreshold();
     }
 
+    function _queue(
+        address[] memory targets,
+        uint256[] memory values,
+        bytes[] memory calldatas,
+        bytes32 descriptionHash
+    ) internal virtual override(Governor, GovernorTimelockControl) returns (uint256) {
+        return super._queue(targets, values, calldatas, descriptionHash);
+    }
+
     function _execute(
         uint256 proposalId,
         address[] memory targets,
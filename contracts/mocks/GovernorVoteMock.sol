@@ -19,13 +19,4 @@ contract GovernorVoteMocks is GovernorVotes, GovernorCountingSimple {
     function votingPeriod() public pure override returns (uint256) {
         return 16;
     }
-
-    function cancel(
-        address[] memory targets,
-        uint256[] memory values,
-        bytes[] memory calldatas,
-        bytes32 salt
-    ) public returns (uint256 proposalId) {
-        return _cancel(targets, values, calldatas, salt);
-    }
 }
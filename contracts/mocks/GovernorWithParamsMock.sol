@@ -49,13 +49,4 @@ contract GovernorWithParamsMock is GovernorVotes, GovernorCountingSimple {
         }
         return super._countVote(proposalId, account, support, weight, params);
     }
-
-    function cancel(
-        address[] memory targets,
-        uint256[] memory values,
-        bytes[] memory calldatas,
-        bytes32 salt
-    ) public returns (uint256 proposalId) {
-        return _cancel(targets, values, calldatas, salt);
-    }
 }
@@ -1,4 +1,5 @@
 // SPDX-License-Identifier: MIT
+// This file was procedurally generated from scripts/generate/templates/SafeCastMock.js.
 
 pragma solidity ^0.8.0;
 
@@ -28,6 +29,10 @@ contract SafeCastMock {
         return a.toUint64();
     }
 
+    function toUint48(uint256 a) public pure returns (uint48) {
+        return a.toUint48();
+    }
+
     function toUint32(uint256 a) public pure returns (uint32) {
         return a.toUint32();
     }
@@ -38,3 +38,16 @@ contract VotesMock is Votes {
         return block.chainid;
     }
 }
+
+contract VotesTimestampMock is VotesMock {
+    constructor(string memory name) VotesMock(name) {}
+
+    function clock() public view virtual override returns (uint48) {
+        return SafeCast.toUint48(block.timestamp);
+    }
+
+    // solhint-disable-next-line func-name-mixedcase
+    function CLOCK_MODE() public view virtual override returns (string memory) {
+        return "mode=timestamp";
+    }
+}
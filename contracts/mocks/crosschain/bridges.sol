@@ -10,6 +10,9 @@ abstract contract BaseRelayMock {
     error NotCrossChainCall();
     error InvalidCrossChainSender(address sender, address expected);
 
+    // emitted by the sending side of all bridges
+    event MessageSent(address indexed sender, address indexed target, bytes data, uint256 gasLimit);
+
     address internal _currentSender;
 
     function relayAs(
@@ -32,9 +35,20 @@ abstract contract BaseRelayMock {
  * AMB
  */
 contract BridgeAMBMock is BaseRelayMock {
+    uint256 private _nonce;
+
     function messageSender() public view returns (address) {
         return _currentSender;
     }
+
+    function requireToPassMessage(
+        address target,
+        bytes calldata data,
+        uint256 gasLimit
+    ) public returns (bytes32) {
+        emit MessageSent(msg.sender, target, data, gasLimit);
+        return bytes32(_nonce++);
+    }
 }
 
 /**
@@ -56,8 +70,27 @@ contract BridgeArbitrumL1Mock is BaseRelayMock {
 }
 
 contract BridgeArbitrumL1Inbox {
+    event MessageSent(address indexed sender, address indexed target, bytes data, uint256 gasLimit);
+
     /// @custom:oz-upgrades-unsafe-allow state-variable-immutable state-variable-assignment
     address public immutable bridge = msg.sender;
+
+    uint256 private _nonce;
+
+    function createRetryableTicket(
+        address destAddr,
+        uint256 arbTxCallValue,
+        uint256 maxSubmissionCost,
+        address,
+        address,
+        uint256 maxGas,
+        uint256 gasPriceBid,
+        bytes calldata data
+    ) public payable returns (uint256) {
+        require(msg.value == arbTxCallValue + maxSubmissionCost + maxGas * gasPriceBid, "invalid ticket payment");
+        emit MessageSent(msg.sender, destAddr, data, maxGas);
+        return _nonce++;
+    }
 }
 
 contract BridgeArbitrumL1Outbox {
@@ -81,6 +114,11 @@ contract BridgeArbitrumL2Mock is BaseRelayMock {
     function myCallersAddressWithoutAliasing() public view returns (address) {
         return _currentSender;
     }
+
+    function sendTxToL1(address destination, bytes calldata calldataForL1) public payable returns (uint256) {
+        emit MessageSent(msg.sender, destination, calldataForL1, 0);
+        return 0;
+    }
 }
 
 /**
@@ -90,6 +128,14 @@ contract BridgeOptimismMock is BaseRelayMock {
     function xDomainMessageSender() public view returns (address) {
         return _currentSender;
     }
+
+    function sendMessage(
+        address target,
+        bytes calldata message,
+        uint32 gasLimit
+    ) public {
+        emit MessageSent(msg.sender, target, message, gasLimit);
+    }
 }
 
 /**
@@ -104,3 +150,9 @@ contract BridgePolygonChildMock is BaseRelayMock {
         IFxMessageProcessor(target).processMessageFromRoot(0, sender, data);
     }
 }
+
+contract BridgePolygonRootMock is BaseRelayMock {
+    function sendMessageToChild(address receiver, bytes calldata data) public {
+        emit MessageSent(msg.sender, receiver, data, 0);
+    }
+}
@@ -14,9 +14,16 @@ abstract contract Receiver is CrossChainEnabled {
     /// @custom:oz-upgrades-unsafe-allow state-variable-immutable state-variable-assignment
     address public immutable owner = msg.sender;
 
-    function crossChainRestricted() external onlyCrossChain {}
+    // reports the sender observed on the receiving side, see `CrossChainSimulator` in the test helpers
+    event CrossChainSenderObserved(address sender);
 
-    function crossChainOwnerRestricted() external onlyCrossChainSender(owner) {}
+    function crossChainRestricted() external onlyCrossChain {
+        emit CrossChainSenderObserved(_crossChainSender());
+    }
+
+    function crossChainOwnerRestricted() external onlyCrossChainSender(owner) {
+        emit CrossChainSenderObserved(_crossChainSender());
+    }
 }
 
 /**
@@ -0,0 +1,106 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.8.4;
+
+import "../../crosschain/amb/LibAMB.sol";
+import "../../crosschain/arbitrum/LibArbitrumL1.sol";
+import "../../crosschain/arbitrum/LibArbitrumL2.sol";
+import "../../crosschain/optimism/LibOptimism.sol";
+import "../../crosschain/polygon/LibPolygonRoot.sol";
+
+/**
+ * AMB
+ */
+contract SenderAMBMock {
+    /// @custom:oz-upgrades-unsafe-allow state-variable-immutable
+    address private immutable _bridge;
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor(address bridge) {
+        _bridge = bridge;
+    }
+
+    function send(
+        address target,
+        bytes calldata data,
+        uint256 gasLimit
+    ) external returns (bytes32) {
+        return LibAMB.sendCrossChainMessage(_bridge, target, data, gasLimit);
+    }
+}
+
+/**
+ * Arbitrum
+ */
+contract SenderArbitrumL1Mock {
+    /// @custom:oz-upgrades-unsafe-allow state-variable-immutable
+    address private immutable _inbox;
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor(address inbox) {
+        _inbox = inbox;
+    }
+
+    function send(
+        address target,
+        bytes calldata data,
+        uint256 maxSubmissionCost,
+        uint256 maxGas,
+        uint256 gasPriceBid
+    ) external payable returns (uint256) {
+        return
+            LibArbitrumL1.sendCrossChainMessage(
+                _inbox,
+                target,
+                data,
+                maxSubmissionCost,
+                maxGas,
+                gasPriceBid,
+                msg.sender
+            );
+    }
+}
+
+contract SenderArbitrumL2Mock {
+    function send(address target, bytes calldata data) external returns (uint256) {
+        return LibArbitrumL2.sendCrossChainMessage(LibArbitrumL2.ARBSYS, target, data);
+    }
+}
+
+/**
+ * Optimism
+ */
+contract SenderOptimismMock {
+    /// @custom:oz-upgrades-unsafe-allow state-variable-immutable
+    address private immutable _messenger;
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor(address messenger) {
+        _messenger = messenger;
+    }
+
+    function send(
+        address target,
+        bytes calldata data,
+        uint32 gasLimit
+    ) external {
+        LibOptimism.sendCrossChainMessage(_messenger, target, data, gasLimit);
+    }
+}
+
+/**
+ * Polygon
+ */
+contract SenderPolygonRootMock {
+    /// @custom:oz-upgrades-unsafe-allow state-variable-immutable
+    address private immutable _fxRoot;
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor(address fxRoot) {
+        _fxRoot = fxRoot;
+    }
+
+    function send(address target, bytes calldata data) external {
+        LibPolygonRoot.sendCrossChainMessage(_fxRoot, target, data);
+    }
+}
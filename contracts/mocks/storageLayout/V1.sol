@@ -0,0 +1,158 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.8.0;
+
+// Storage layouts of a first version of the contracts, compared with their next version in V2.sol. The contracts of
+// both files have distinct names, suffixed with their version, so that they can be compiled together.
+
+contract StorageLayoutPackingV1 {
+    enum Status {
+        A,
+        B
+    }
+
+    struct Data {
+        uint128 a;
+        uint128 b;
+        address c;
+    }
+
+    uint8 public constant CONSTANT = 1;
+    address public immutable immutableAddress = address(0);
+
+    uint8 public a;
+    address public b;
+    uint256 public c;
+    bool public d;
+    Status public e;
+    Data public f;
+    uint16[20] public g;
+    mapping(address => uint256) public h;
+    string public i;
+    uint256[] public j;
+    bytes4 public k;
+}
+
+contract StorageLayoutUnchangedV1 {
+    uint256 public a;
+    uint256 public b;
+}
+
+contract StorageLayoutAppendedV1 {
+    uint256 public a;
+}
+
+contract StorageLayoutInsertedV1 {
+    uint256 public a;
+    uint256 public c;
+}
+
+contract StorageLayoutRemovedV1 {
+    uint256 public a;
+    uint256 public b;
+}
+
+contract StorageLayoutReorderedV1 {
+    uint256 public a;
+    uint256 public b;
+}
+
+contract StorageLayoutRetypedV1 {
+    uint128 public a;
+    uint128 public b;
+}
+
+contract StorageLayoutGapUsedV1 {
+    uint256 public a;
+    uint256[49] private __gap;
+}
+
+contract StorageLayoutGapMisusedV1 {
+    uint256 public a;
+    uint256[49] private __gap;
+}
+
+contract StorageLayoutBaseV1 {
+    uint256 public a;
+}
+
+contract StorageLayoutChildV1 is StorageLayoutBaseV1 {
+    uint256 public b;
+}
+
+contract StorageLayoutStructAppendedV1 {
+    struct Data {
+        uint256 a;
+    }
+
+    mapping(uint256 => Data) public byId;
+    Data[] public list;
+}
+
+contract StorageLayoutStructPackedV1 {
+    struct Data {
+        uint256 a;
+        bool b;
+    }
+
+    mapping(uint256 => Data) public items;
+}
+
+contract StorageLayoutStructInsertedV1 {
+    struct Data {
+        uint256 a;
+        uint256 c;
+    }
+
+    mapping(uint256 => Data) public items;
+}
+
+contract StorageLayoutStructRemovedV1 {
+    struct Data {
+        uint256 a;
+        uint256 b;
+    }
+
+    mapping(uint256 => Data) public items;
+}
+
+contract StorageLayoutStructReorderedV1 {
+    struct Data {
+        uint256 a;
+        uint256 b;
+    }
+
+    mapping(uint256 => Data) public items;
+}
+
+contract StorageLayoutStructRetypedV1 {
+    struct Data {
+        uint128 a;
+        uint128 b;
+    }
+
+    Data public data;
+    uint256 public c;
+}
+
+contract StorageLayoutStructRenamedV1 {
+    struct Data {
+        uint32 a;
+        uint224 b;
+    }
+
+    mapping(uint256 => Data) public items;
+}
+
+contract StorageLayoutStructNestedV1 {
+    struct Inner {
+        uint256 a;
+    }
+
+    struct Outer {
+        Inner inner;
+        uint256 b;
+    }
+
+    mapping(uint256 => Outer) public items;
+}
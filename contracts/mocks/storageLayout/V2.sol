@@ -0,0 +1,138 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.8.0;
+
+// Storage layouts of the next version of the contracts in V1.sol, suffixed with V2 instead of V1.
+
+contract StorageLayoutUnchangedV2 {
+    uint256 public a;
+    uint256 public b;
+}
+
+contract StorageLayoutAppendedV2 {
+    uint256 public a;
+    uint256 public b;
+}
+
+contract StorageLayoutInsertedV2 {
+    uint256 public a;
+    uint256 public b;
+    uint256 public c;
+}
+
+contract StorageLayoutRemovedV2 {
+    uint256 public b;
+}
+
+contract StorageLayoutReorderedV2 {
+    uint256 public b;
+    uint256 public a;
+}
+
+contract StorageLayoutRetypedV2 {
+    uint256 public a;
+    uint128 public b;
+}
+
+contract StorageLayoutGapUsedV2 {
+    uint256 public a;
+    uint128 public b;
+    uint128 public c;
+    uint256[48] private __gap;
+}
+
+contract StorageLayoutGapMisusedV2 {
+    uint256 public a;
+    uint256 public b;
+    uint256[49] private __gap;
+    uint256 public c;
+}
+
+contract StorageLayoutBaseV2 {
+    uint256 public a;
+    uint256 public c;
+}
+
+contract StorageLayoutChildV2 is StorageLayoutBaseV2 {
+    uint256 public b;
+}
+
+contract StorageLayoutStructAppendedV2 {
+    struct Data {
+        uint256 a;
+        uint256 b;
+    }
+
+    mapping(uint256 => Data) public byId;
+    Data[] public list;
+}
+
+contract StorageLayoutStructPackedV2 {
+    struct Data {
+        uint256 a;
+        bool b;
+        address c;
+    }
+
+    mapping(uint256 => Data) public items;
+}
+
+contract StorageLayoutStructInsertedV2 {
+    struct Data {
+        uint256 a;
+        uint256 b;
+        uint256 c;
+    }
+
+    mapping(uint256 => Data) public items;
+}
+
+contract StorageLayoutStructRemovedV2 {
+    struct Data {
+        uint256 b;
+    }
+
+    mapping(uint256 => Data) public items;
+}
+
+contract StorageLayoutStructReorderedV2 {
+    struct Data {
+        uint256 b;
+        uint256 a;
+    }
+
+    mapping(uint256 => Data) public items;
+}
+
+contract StorageLayoutStructRetypedV2 {
+    struct Data {
+        uint256 a;
+        uint128 b;
+    }
+
+    Data public data;
+    uint256 public c;
+}
+
+contract StorageLayoutStructRenamedV2 {
+    struct Entry {
+        uint32 key;
+        uint224 value;
+    }
+
+    mapping(uint256 => Entry) public items;
+}
+
+contract StorageLayoutStructNestedV2 {
+    struct Inner {
+        uint256 a;
+        uint256 b;
+    }
+
+    struct Outer {
+        Inner inner;
+        uint256 b;
+    }
+
+    mapping(uint256 => Outer) public items;
+}
@@ -1,5 +1,6 @@
 // SPDX-License-Identifier: MIT
 // OpenZeppelin Contracts v4.4.1 (utils/math/SafeCast.sol)
+// This file was procedurally generated from scripts/generate/templates/SafeCast.js.
 
 pragma solidity ^0.8.0;
 
@@ -79,6 +80,21 @@ library SafeCast {
         return uint64(value);
     }
 
+    /**
+     * @dev Returns the downcasted uint48 from uint256, reverting on
+     * overflow (when the input is greater than largest uint48).
+     *
+     * Counterpart to Solidity's `uint48` operator.
+     *
+     * Requirements:
+     *
+     * - input must fit into 48 bits
+     */
+    function toUint48(uint256 value) internal pure returns (uint48) {
+        require(value <= type(uint48).max, "SafeCast: value doesn't fit in 48 bits");
+        return uint48(value);
+    }
+
     /**
      * @dev Returns the downcasted uint32 from uint256, reverting on
      * overflow (when the input is greater than largest uint32).
@@ -117,7 +133,7 @@ library SafeCast {
      *
      * Requirements:
      *
-     * - input must fit into 8 bits.
+     * - input must fit into 8 bits
      */
     function toUint8(uint256 value) internal pure returns (uint8) {
         require(value <= type(uint8).max, "SafeCast: value doesn't fit in 8 bits");
@@ -217,7 +233,7 @@ library SafeCast {
      *
      * Requirements:
      *
-     * - input must fit into 8 bits.
+     * - input must fit into 8 bits
      *
      * _Available since v3.1._
      */
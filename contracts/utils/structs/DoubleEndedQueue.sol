@@ -1,5 +1,7 @@
 // SPDX-License-Identifier: MIT
 // OpenZeppelin Contracts (last updated v4.6.0) (utils/structs/DoubleEndedQueue.sol)
+// This file was procedurally generated from scripts/generate/templates/DoubleEndedQueue.js.
+
 pragma solidity ^0.8.4;
 
 import "../math/SafeCast.sol";
@@ -7,11 +9,13 @@ import "../math/SafeCast.sol";
 /**
  * @dev A sequence of items with the ability to efficiently push and pop items (i.e. insert and remove) on both ends of
  * the sequence (called front and back). Among other access patterns, it can be used to implement efficient LIFO and
- * FIFO queues. Storage use is optimized, and all operations are O(1) constant time. This includes {clear}, given that
- * the existing queue contents are left in storage.
+ * FIFO queues. Storage use is optimized, and all single item operations are O(1) constant time. This includes {clear},
+ * given that the existing queue contents are left in storage. Bulk operations ({pushBackMany}, {popFrontMany} and
+ * {slice}) are linear in the number of items they process.
  *
- * The struct is called `Bytes32Deque`. Other types can be cast to and from `bytes32`. This data structure can only be
- * used in storage, and not in memory.
+ * The struct is called `Bytes32Deque`. Queues of `address` (`AddressDeque`) and `uint256` (`Uint256Deque`) are
+ * also supported, and other types can be cast to and from `bytes32`. This data structure can only be used in storage,
+ * and not in memory.
  * ```
  * DoubleEndedQueue.Bytes32Deque queue;
  * ```
@@ -101,6 +105,38 @@ library DoubleEndedQueue {
         }
     }
 
+    /**
+     * @dev Inserts several items at the end of the queue, in order, so that the last item of `values` becomes the last
+     * item of the queue.
+     */
+    function pushBackMany(Bytes32Deque storage deque, bytes32[] memory values) internal {
+        int128 backIndex = deque._end;
+        unchecked {
+            for (uint256 i = 0; i < values.length; ++i) {
+                deque._data[backIndex++] = values[i];
+            }
+        }
+        deque._end = backIndex;
+    }
+
+    /**
+     * @dev Removes `count` items from the beginning of the queue and returns them, in order.
+     *
+     * Reverts with `OutOfBounds` if the queue contains less than `count` items.
+     */
+    function popFrontMany(Bytes32Deque storage deque, uint256 count) internal returns (bytes32[] memory values) {
+        if (count > length(deque)) revert OutOfBounds();
+        values = new bytes32[](count);
+        int128 frontIndex = deque._begin;
+        unchecked {
+            for (uint256 i = 0; i < count; ++i) {
+                values[i] = deque._data[frontIndex];
+                delete deque._data[frontIndex++];
+            }
+        }
+        deque._begin = frontIndex;
+    }
+
     /**
      * @dev Returns the item at the beginning of the queue.
      *
@@ -139,6 +175,28 @@ library DoubleEndedQueue {
         return deque._data[idx];
     }
 
+    /**
+     * @dev Return the items at positions `start` (inclusive) to `end` (exclusive) in the queue, with the first item at
+     * 0 and last item at `length(deque) - 1`.
+     *
+     * Reverts with `OutOfBounds` if `start` is greater than `end` or if `end` is greater than the length of the queue.
+     */
+    function slice(
+        Bytes32Deque storage deque,
+        uint256 start,
+        uint256 end
+    ) internal view returns (bytes32[] memory values) {
+        if (start > end || end > length(deque)) revert OutOfBounds();
+        values = new bytes32[](end - start);
+        // start is at most the length of the queue, so the index of the first item is within [begin, end]
+        unchecked {
+            int128 index = deque._begin + int128(int256(start));
+            for (uint256 i = 0; i < values.length; ++i) {
+                values[i] = deque._data[index++];
+            }
+        }
+    }
+
     /**
      * @dev Resets the queue back to being empty.
      *
@@ -167,4 +225,286 @@ library DoubleEndedQueue {
     function empty(Bytes32Deque storage deque) internal view returns (bool) {
         return deque._end <= deque._begin;
     }
+
+    // AddressDeque
+
+    struct AddressDeque {
+        Bytes32Deque _inner;
+    }
+
+    /**
+     * @dev Inserts an item at the end of the queue.
+     */
+    function pushBack(AddressDeque storage deque, address value) internal {
+        pushBack(deque._inner, bytes32(uint256(uint160(value))));
+    }
+
+    /**
+     * @dev Inserts several items at the end of the queue, in order, so that the last item of `values` becomes the last
+     * item of the queue.
+     */
+    function pushBackMany(AddressDeque storage deque, address[] memory values) internal {
+        bytes32[] memory store;
+
+        assembly {
+            store := values
+        }
+
+        pushBackMany(deque._inner, store);
+    }
+
+    /**
+     * @dev Removes the item at the end of the queue and returns it.
+     *
+     * Reverts with `Empty` if the queue is empty.
+     */
+    function popBack(AddressDeque storage deque) internal returns (address) {
+        return address(uint160(uint256(popBack(deque._inner))));
+    }
+
+    /**
+     * @dev Inserts an item at the beginning of the queue.
+     */
+    function pushFront(AddressDeque storage deque, address value) internal {
+        pushFront(deque._inner, bytes32(uint256(uint160(value))));
+    }
+
+    /**
+     * @dev Removes the item at the beginning of the queue and returns it.
+     *
+     * Reverts with `Empty` if the queue is empty.
+     */
+    function popFront(AddressDeque storage deque) internal returns (address) {
+        return address(uint160(uint256(popFront(deque._inner))));
+    }
+
+    /**
+     * @dev Removes `count` items from the beginning of the queue and returns them, in order.
+     *
+     * Reverts with `OutOfBounds` if the queue contains less than `count` items.
+     */
+    function popFrontMany(AddressDeque storage deque, uint256 count) internal returns (address[] memory) {
+        bytes32[] memory store = popFrontMany(deque._inner, count);
+        address[] memory result;
+
+        assembly {
+            result := store
+        }
+
+        return result;
+    }
+
+    /**
+     * @dev Returns the item at the beginning of the queue.
+     *
+     * Reverts with `Empty` if the queue is empty.
+     */
+    function front(AddressDeque storage deque) internal view returns (address) {
+        return address(uint160(uint256(front(deque._inner))));
+    }
+
+    /**
+     * @dev Returns the item at the end of the queue.
+     *
+     * Reverts with `Empty` if the queue is empty.
+     */
+    function back(AddressDeque storage deque) internal view returns (address) {
+        return address(uint160(uint256(back(deque._inner))));
+    }
+
+    /**
+     * @dev Return the item at a position in the queue given by `index`, with the first item at 0 and last item at
+     * `length(deque) - 1`.
+     *
+     * Reverts with `OutOfBounds` if the index is out of bounds.
+     */
+    function at(AddressDeque storage deque, uint256 index) internal view returns (address) {
+        return address(uint160(uint256(at(deque._inner, index))));
+    }
+
+    /**
+     * @dev Return the items at positions `start` (inclusive) to `end` (exclusive) in the queue, with the first item at
+     * 0 and last item at `length(deque) - 1`.
+     *
+     * Reverts with `OutOfBounds` if `start` is greater than `end` or if `end` is greater than the length of the queue.
+     */
+    function slice(
+        AddressDeque storage deque,
+        uint256 start,
+        uint256 end
+    ) internal view returns (address[] memory) {
+        bytes32[] memory store = slice(deque._inner, start, end);
+        address[] memory result;
+
+        assembly {
+            result := store
+        }
+
+        return result;
+    }
+
+    /**
+     * @dev Resets the queue back to being empty.
+     *
+     * NOTE: The current items are left behind in storage. This does not affect the functioning of the queue, but misses
+     * out on potential gas refunds.
+     */
+    function clear(AddressDeque storage deque) internal {
+        clear(deque._inner);
+    }
+
+    /**
+     * @dev Returns the number of items in the queue.
+     */
+    function length(AddressDeque storage deque) internal view returns (uint256) {
+        return length(deque._inner);
+    }
+
+    /**
+     * @dev Returns true if the queue is empty.
+     */
+    function empty(AddressDeque storage deque) internal view returns (bool) {
+        return empty(deque._inner);
+    }
+
+    // Uint256Deque
+
+    struct Uint256Deque {
+        Bytes32Deque _inner;
+    }
+
+    /**
+     * @dev Inserts an item at the end of the queue.
+     */
+    function pushBack(Uint256Deque storage deque, uint256 value) internal {
+        pushBack(deque._inner, bytes32(value));
+    }
+
+    /**
+     * @dev Inserts several items at the end of the queue, in order, so that the last item of `values` becomes the last
+     * item of the queue.
+     */
+    function pushBackMany(Uint256Deque storage deque, uint256[] memory values) internal {
+        bytes32[] memory store;
+
+        assembly {
+            store := values
+        }
+
+        pushBackMany(deque._inner, store);
+    }
+
+    /**
+     * @dev Removes the item at the end of the queue and returns it.
+     *
+     * Reverts with `Empty` if the queue is empty.
+     */
+    function popBack(Uint256Deque storage deque) internal returns (uint256) {
+        return uint256(popBack(deque._inner));
+    }
+
+    /**
+     * @dev Inserts an item at the beginning of the queue.
+     */
+    function pushFront(Uint256Deque storage deque, uint256 value) internal {
+        pushFront(deque._inner, bytes32(value));
+    }
+
+    /**
+     * @dev Removes the item at the beginning of the queue and returns it.
+     *
+     * Reverts with `Empty` if the queue is empty.
+     */
+    function popFront(Uint256Deque storage deque) internal returns (uint256) {
+        return uint256(popFront(deque._inner));
+    }
+
+    /**
+     * @dev Removes `count` items from the beginning of the queue and returns them, in order.
+     *
+     * Reverts with `OutOfBounds` if the queue contains less than `count` items.
+     */
+    function popFrontMany(Uint256Deque storage deque, uint256 count) internal returns (uint256[] memory) {
+        bytes32[] memory store = popFrontMany(deque._inner, count);
+        uint256[] memory result;
+
+        assembly {
+            result := store
+        }
+
+        return result;
+    }
+
+    /**
+     * @dev Returns the item at the beginning of the queue.
+     *
+     * Reverts with `Empty` if the queue is empty.
+     */
+    function front(Uint256Deque storage deque) internal view returns (uint256) {
+        return uint256(front(deque._inner));
+    }
+
+    /**
+     * @dev Returns the item at the end of the queue.
+     *
+     * Reverts with `Empty` if the queue is empty.
+     */
+    function back(Uint256Deque storage deque) internal view returns (uint256) {
+        return uint256(back(deque._inner));
+    }
+
+    /**
+     * @dev Return the item at a position in the queue given by `index`, with the first item at 0 and last item at
+     * `length(deque) - 1`.
+     *
+     * Reverts with `OutOfBounds` if the index is out of bounds.
+     */
+    function at(Uint256Deque storage deque, uint256 index) internal view returns (uint256) {
+        return uint256(at(deque._inner, index));
+    }
+
+    /**
+     * @dev Return the items at positions `start` (inclusive) to `end` (exclusive) in the queue, with the first item at
+     * 0 and last item at `length(deque) - 1`.
+     *
+     * Reverts with `OutOfBounds` if `start` is greater than `end` or if `end` is greater than the length of the queue.
+     */
+    function slice(
+        Uint256Deque storage deque,
+        uint256 start,
+        uint256 end
+    ) internal view returns (uint256[] memory) {
+        bytes32[] memory store = slice(deque._inner, start, end);
+        uint256[] memory result;
+
+        assembly {
+            result := store
+        }
+
+        return result;
+    }
+
+    /**
+     * @dev Resets the queue back to being empty.
+     *
+     * NOTE: The current items are left behind in storage. This does not affect the functioning of the queue, but misses
+     * out on potential gas refunds.
+     */
+    function clear(Uint256Deque storage deque) internal {
+        clear(deque._inner);
+    }
+
+    /**
+     * @dev Returns the number of items in the queue.
+     */
+    function length(Uint256Deque storage deque) internal view returns (uint256) {
+        return length(deque._inner);
+    }
+
+    /**
+     * @dev Returns true if the queue is empty.
+     */
+    function empty(Uint256Deque storage deque) internal view returns (bool) {
+        return empty(deque._inner);
+    }
 }
@@ -1,5 +1,6 @@
 // SPDX-License-Identifier: MIT
 // OpenZeppelin Contracts (last updated v4.6.0) (utils/structs/EnumerableMap.sol)
+// This file was procedurally generated from scripts/generate/templates/EnumerableMap.js.
 
 pragma solidity ^0.8.0;
 
@@ -15,6 +16,8 @@ import "./EnumerableSet.sol";
  * - Entries are added, removed, and checked for existence in constant time
  * (O(1)).
  * - Entries are enumerated in O(n). No guarantees are made on the ordering.
+ * - Entries can be read in pages of bounded size, using `entries` and the
+ * `offset` and `limit` variant of `keys`.
  *
  * ```
  * contract Example {
@@ -28,10 +31,15 @@ import "./EnumerableSet.sol";
  *
  * The following map types are supported:
  *
+ * - `bytes32 -> bytes32` (`Bytes32ToBytes32Map`) since v4.6.0
+ * - `uint256 -> uint256` (`UintToUintMap`) since v4.7.0
  * - `uint256 -> address` (`UintToAddressMap`) since v3.0.0
+ * - `uint256 -> bytes32` (`UintToBytes32Map`) since v4.7.0
  * - `address -> uint256` (`AddressToUintMap`) since v4.6.0
- * - `bytes32 -> bytes32` (`Bytes32ToBytes32`) since v4.6.0
- * - `uint256 -> uint256` (`UintToUintMap`) since v4.7.0
+ * - `address -> address` (`AddressToAddressMap`) since v4.7.0
+ * - `address -> bytes32` (`AddressToBytes32Map`) since v4.7.0
+ * - `bytes32 -> uint256` (`Bytes32ToUintMap`) since v4.7.0
+ * - `bytes32 -> address` (`Bytes32ToAddressMap`) since v4.7.0
  *
  * [WARNING]
  * ====
@@ -156,6 +164,51 @@ library EnumerableMap {
         return value;
     }
 
+    /**
+     * @dev Return an array containing all the keys
+     *
+     * WARNING: This operation will copy the entire storage to memory, which can be quite expensive. This is designed
+     * to mostly be used by view accessors that are queried without any gas fees. Developers should keep in mind that
+     * this function has an unbounded cost, and using it as part of a state-changing function may render the function
+     * uncallable if the map grows to a point where copying to memory consumes too much gas to fit in a block.
+     */
+    function keys(Bytes32ToBytes32Map storage map) internal view returns (bytes32[] memory) {
+        return map._keys.values();
+    }
+
+    /**
+     * @dev Return a page of the keys in an array, with at most `limit` keys starting at position `offset`. O(limit).
+     *
+     * The returned array is shorter than `limit` (possibly empty) when the end of the map is reached. As with {at},
+     * there are no guarantees on the ordering of keys, and it may change when entries are added or removed.
+     */
+    function keys(
+        Bytes32ToBytes32Map storage map,
+        uint256 offset,
+        uint256 limit
+    ) internal view returns (bytes32[] memory) {
+        return map._keys.values(offset, limit);
+    }
+
+    /**
+     * @dev Return a page of the entries, with at most `limit` entries starting at position `offset`, as two arrays of
+     * the same length where `values[i]` is the value associated with `keys[i]`. O(limit).
+     *
+     * The returned arrays are shorter than `limit` (possibly empty) when the end of the map is reached. As with {at},
+     * there are no guarantees on the ordering of entries, and it may change when entries are added or removed.
+     */
+    function entries(
+        Bytes32ToBytes32Map storage map,
+        uint256 offset,
+        uint256 limit
+    ) internal view returns (bytes32[] memory keys_, bytes32[] memory values_) {
+        keys_ = map._keys.values(offset, limit);
+        values_ = new bytes32[](keys_.length);
+        for (uint256 i = 0; i < keys_.length; ++i) {
+            values_[i] = map._values[keys_[i]];
+        }
+    }
+
     // UintToUintMap
 
     struct UintToUintMap {
@@ -178,7 +231,7 @@ library EnumerableMap {
     }
 
     /**
-     * @dev Removes a value from a set. O(1).
+     * @dev Removes a key-value pair from a map. O(1).
      *
      * Returns true if the key was removed from the map, that is if it was present.
      */
@@ -201,7 +254,7 @@ library EnumerableMap {
     }
 
     /**
-     * @dev Returns the element stored at position `index` in the set. O(1).
+     * @dev Returns the element stored at position `index` in the map. O(1).
      * Note that there are no guarantees on the ordering of values inside the
      * array, and it may change when more values are added or removed.
      *
@@ -248,6 +301,66 @@ library EnumerableMap {
         return uint256(get(map._inner, bytes32(key), errorMessage));
     }
 
+    /**
+     * @dev Return an array containing all the keys
+     *
+     * WARNING: This operation will copy the entire storage to memory, which can be quite expensive. This is designed
+     * to mostly be used by view accessors that are queried without any gas fees. Developers should keep in mind that
+     * this function has an unbounded cost, and using it as part of a state-changing function may render the function
+     * uncallable if the map grows to a point where copying to memory consumes too much gas to fit in a block.
+     */
+    function keys(UintToUintMap storage map) internal view returns (uint256[] memory) {
+        bytes32[] memory store = keys(map._inner);
+        uint256[] memory result;
+
+        assembly {
+            result := store
+        }
+
+        return result;
+    }
+
+    /**
+     * @dev Return a page of the keys in an array, with at most `limit` keys starting at position `offset`. O(limit).
+     *
+     * The returned array is shorter than `limit` (possibly empty) when the end of the map is reached. As with {at},
+     * there are no guarantees on the ordering of keys, and it may change when entries are added or removed.
+     */
+    function keys(
+        UintToUintMap storage map,
+        uint256 offset,
+        uint256 limit
+    ) internal view returns (uint256[] memory) {
+        bytes32[] memory store = keys(map._inner, offset, limit);
+        uint256[] memory result;
+
+        assembly {
+            result := store
+        }
+
+        return result;
+    }
+
+    /**
+     * @dev Return a page of the entries, with at most `limit` entries starting at position `offset`, as two arrays of
+     * the same length where `values[i]` is the value associated with `keys[i]`. O(limit).
+     *
+     * The returned arrays are shorter than `limit` (possibly empty) when the end of the map is reached. As with {at},
+     * there are no guarantees on the ordering of entries, and it may change when entries are added or removed.
+     */
+    function entries(
+        UintToUintMap storage map,
+        uint256 offset,
+        uint256 limit
+    ) internal view returns (uint256[] memory keys_, uint256[] memory values_) {
+        (bytes32[] memory keysStore, bytes32[] memory valuesStore) = entries(map._inner, offset, limit);
+
+        assembly {
+            keys_ := keysStore
+            values_ := valuesStore
+        }
+    }
+
     // UintToAddressMap
 
     struct UintToAddressMap {
@@ -270,7 +383,7 @@ library EnumerableMap {
     }
 
     /**
-     * @dev Removes a value from a set. O(1).
+     * @dev Removes a key-value pair from a map. O(1).
      *
      * Returns true if the key was removed from the map, that is if it was present.
      */
@@ -293,7 +406,7 @@ library EnumerableMap {
     }
 
     /**
-     * @dev Returns the element stored at position `index` in the set. O(1).
+     * @dev Returns the element stored at position `index` in the map. O(1).
      * Note that there are no guarantees on the ordering of values inside the
      * array, and it may change when more values are added or removed.
      *
@@ -309,8 +422,6 @@ library EnumerableMap {
     /**
      * @dev Tries to returns the value associated with `key`.  O(1).
      * Does not revert if `key` is not in the map.
-     *
-     * _Available since v3.4._
      */
     function tryGet(UintToAddressMap storage map, uint256 key) internal view returns (bool, address) {
         (bool success, bytes32 value) = tryGet(map._inner, bytes32(key));
@@ -342,6 +453,218 @@ library EnumerableMap {
         return address(uint160(uint256(get(map._inner, bytes32(key), errorMessage))));
     }
 
+    /**
+     * @dev Return an array containing all the keys
+     *
+     * WARNING: This operation will copy the entire storage to memory, which can be quite expensive. This is designed
+     * to mostly be used by view accessors that are queried without any gas fees. Developers should keep in mind that
+     * this function has an unbounded cost, and using it as part of a state-changing function may render the function
+     * uncallable if the map grows to a point where copying to memory consumes too much gas to fit in a block.
+     */
+    function keys(UintToAddressMap storage map) internal view returns (uint256[] memory) {
+        bytes32[] memory store = keys(map._inner);
+        uint256[] memory result;
+
+        assembly {
+            result := store
+        }
+
+        return result;
+    }
+
+    /**
+     * @dev Return a page of the keys in an array, with at most `limit` keys starting at position `offset`. O(limit).
+     *
+     * The returned array is shorter than `limit` (possibly empty) when the end of the map is reached. As with {at},
+     * there are no guarantees on the ordering of keys, and it may change when entries are added or removed.
+     */
+    function keys(
+        UintToAddressMap storage map,
+        uint256 offset,
+        uint256 limit
+    ) internal view returns (uint256[] memory) {
+        bytes32[] memory store = keys(map._inner, offset, limit);
+        uint256[] memory result;
+
+        assembly {
+            result := store
+        }
+
+        return result;
+    }
+
+    /**
+     * @dev Return a page of the entries, with at most `limit` entries starting at position `offset`, as two arrays of
+     * the same length where `values[i]` is the value associated with `keys[i]`. O(limit).
+     *
+     * The returned arrays are shorter than `limit` (possibly empty) when the end of the map is reached. As with {at},
+     * there are no guarantees on the ordering of entries, and it may change when entries are added or removed.
+     */
+    function entries(
+        UintToAddressMap storage map,
+        uint256 offset,
+        uint256 limit
+    ) internal view returns (uint256[] memory keys_, address[] memory values_) {
+        (bytes32[] memory keysStore, bytes32[] memory valuesStore) = entries(map._inner, offset, limit);
+
+        assembly {
+            keys_ := keysStore
+            values_ := valuesStore
+        }
+    }
+
+    // UintToBytes32Map
+
+    struct UintToBytes32Map {
+        Bytes32ToBytes32Map _inner;
+    }
+
+    /**
+     * @dev Adds a key-value pair to a map, or updates the value for an existing
+     * key. O(1).
+     *
+     * Returns true if the key was added to the map, that is if it was not
+     * already present.
+     */
+    function set(
+        UintToBytes32Map storage map,
+        uint256 key,
+        bytes32 value
+    ) internal returns (bool) {
+        return set(map._inner, bytes32(key), value);
+    }
+
+    /**
+     * @dev Removes a key-value pair from a map. O(1).
+     *
+     * Returns true if the key was removed from the map, that is if it was present.
+     */
+    function remove(UintToBytes32Map storage map, uint256 key) internal returns (bool) {
+        return remove(map._inner, bytes32(key));
+    }
+
+    /**
+     * @dev Returns true if the key is in the map. O(1).
+     */
+    function contains(UintToBytes32Map storage map, uint256 key) internal view returns (bool) {
+        return contains(map._inner, bytes32(key));
+    }
+
+    /**
+     * @dev Returns the number of elements in the map. O(1).
+     */
+    function length(UintToBytes32Map storage map) internal view returns (uint256) {
+        return length(map._inner);
+    }
+
+    /**
+     * @dev Returns the element stored at position `index` in the map. O(1).
+     * Note that there are no guarantees on the ordering of values inside the
+     * array, and it may change when more values are added or removed.
+     *
+     * Requirements:
+     *
+     * - `index` must be strictly less than {length}.
+     */
+    function at(UintToBytes32Map storage map, uint256 index) internal view returns (uint256, bytes32) {
+        (bytes32 key, bytes32 value) = at(map._inner, index);
+        return (uint256(key), value);
+    }
+
+    /**
+     * @dev Tries to returns the value associated with `key`.  O(1).
+     * Does not revert if `key` is not in the map.
+     */
+    function tryGet(UintToBytes32Map storage map, uint256 key) internal view returns (bool, bytes32) {
+        (bool success, bytes32 value) = tryGet(map._inner, bytes32(key));
+        return (success, value);
+    }
+
+    /**
+     * @dev Returns the value associated with `key`.  O(1).
+     *
+     * Requirements:
+     *
+     * - `key` must be in the map.
+     */
+    function get(UintToBytes32Map storage map, uint256 key) internal view returns (bytes32) {
+        return get(map._inner, bytes32(key));
+    }
+
+    /**
+     * @dev Same as {get}, with a custom error message when `key` is not in the map.
+     *
+     * CAUTION: This function is deprecated because it requires allocating memory for the error
+     * message unnecessarily. For custom revert reasons use {tryGet}.
+     */
+    function get(
+        UintToBytes32Map storage map,
+        uint256 key,
+        string memory errorMessage
+    ) internal view returns (bytes32) {
+        return get(map._inner, bytes32(key), errorMessage);
+    }
+
+    /**
+     * @dev Return an array containing all the keys
+     *
+     * WARNING: This operation will copy the entire storage to memory, which can be quite expensive. This is designed
+     * to mostly be used by view accessors that are queried without any gas fees. Developers should keep in mind that
+     * this function has an unbounded cost, and using it as part of a state-changing function may render the function
+     * uncallable if the map grows to a point where copying to memory consumes too much gas to fit in a block.
+     */
+    function keys(UintToBytes32Map storage map) internal view returns (uint256[] memory) {
+        bytes32[] memory store = keys(map._inner);
+        uint256[] memory result;
+
+        assembly {
+            result := store
+        }
+
+        return result;
+    }
+
+    /**
+     * @dev Return a page of the keys in an array, with at most `limit` keys starting at position `offset`. O(limit).
+     *
+     * The returned array is shorter than `limit` (possibly empty) when the end of the map is reached. As with {at},
+     * there are no guarantees on the ordering of keys, and it may change when entries are added or removed.
+     */
+    function keys(
+        UintToBytes32Map storage map,
+        uint256 offset,
+        uint256 limit
+    ) internal view returns (uint256[] memory) {
+        bytes32[] memory store = keys(map._inner, offset, limit);
+        uint256[] memory result;
+
+        assembly {
+            result := store
+        }
+
+        return result;
+    }
+
+    /**
+     * @dev Return a page of the entries, with at most `limit` entries starting at position `offset`, as two arrays of
+     * the same length where `values[i]` is the value associated with `keys[i]`. O(limit).
+     *
+     * The returned arrays are shorter than `limit` (possibly empty) when the end of the map is reached. As with {at},
+     * there are no guarantees on the ordering of entries, and it may change when entries are added or removed.
+     */
+    function entries(
+        UintToBytes32Map storage map,
+        uint256 offset,
+        uint256 limit
+    ) internal view returns (uint256[] memory keys_, bytes32[] memory values_) {
+        (bytes32[] memory keysStore, bytes32[] memory valuesStore) = entries(map._inner, offset, limit);
+
+        assembly {
+            keys_ := keysStore
+            values_ := valuesStore
+        }
+    }
+
     // AddressToUintMap
 
     struct AddressToUintMap {
@@ -364,7 +687,7 @@ library EnumerableMap {
     }
 
     /**
-     * @dev Removes a value from a set. O(1).
+     * @dev Removes a key-value pair from a map. O(1).
      *
      * Returns true if the key was removed from the map, that is if it was present.
      */
@@ -387,7 +710,7 @@ library EnumerableMap {
     }
 
     /**
-     * @dev Returns the element stored at position `index` in the set. O(1).
+     * @dev Returns the element stored at position `index` in the map. O(1).
      * Note that there are no guarantees on the ordering of values inside the
      * array, and it may change when more values are added or removed.
      *
@@ -433,4 +756,644 @@ library EnumerableMap {
     ) internal view returns (uint256) {
         return uint256(get(map._inner, bytes32(uint256(uint160(key))), errorMessage));
     }
+
+    /**
+     * @dev Return an array containing all the keys
+     *
+     * WARNING: This operation will copy the entire storage to memory, which can be quite expensive. This is designed
+     * to mostly be used by view accessors that are queried without any gas fees. Developers should keep in mind that
+     * this function has an unbounded cost, and using it as part of a state-changing function may render the function
+     * uncallable if the map grows to a point where copying to memory consumes too much gas to fit in a block.
+     */
+    function keys(AddressToUintMap storage map) internal view returns (address[] memory) {
+        bytes32[] memory store = keys(map._inner);
+        address[] memory result;
+
+        assembly {
+            result := store
+        }
+
+        return result;
+    }
+
+    /**
+     * @dev Return a page of the keys in an array, with at most `limit` keys starting at position `offset`. O(limit).
+     *
+     * The returned array is shorter than `limit` (possibly empty) when the end of the map is reached. As with {at},
+     * there are no guarantees on the ordering of keys, and it may change when entries are added or removed.
+     */
+    function keys(
+        AddressToUintMap storage map,
+        uint256 offset,
+        uint256 limit
+    ) internal view returns (address[] memory) {
+        bytes32[] memory store = keys(map._inner, offset, limit);
+        address[] memory result;
+
+        assembly {
+            result := store
+        }
+
+        return result;
+    }
+
+    /**
+     * @dev Return a page of the entries, with at most `limit` entries starting at position `offset`, as two arrays of
+     * the same length where `values[i]` is the value associated with `keys[i]`. O(limit).
+     *
+     * The returned arrays are shorter than `limit` (possibly empty) when the end of the map is reached. As with {at},
+     * there are no guarantees on the ordering of entries, and it may change when entries are added or removed.
+     */
+    function entries(
+        AddressToUintMap storage map,
+        uint256 offset,
+        uint256 limit
+    ) internal view returns (address[] memory keys_, uint256[] memory values_) {
+        (bytes32[] memory keysStore, bytes32[] memory valuesStore) = entries(map._inner, offset, limit);
+
+        assembly {
+            keys_ := keysStore
+            values_ := valuesStore
+        }
+    }
+
+    // AddressToAddressMap
+
+    struct AddressToAddressMap {
+        Bytes32ToBytes32Map _inner;
+    }
+
+    /**
+     * @dev Adds a key-value pair to a map, or updates the value for an existing
+     * key. O(1).
+     *
+     * Returns true if the key was added to the map, that is if it was not
+     * already present.
+     */
+    function set(
+        AddressToAddressMap storage map,
+        address key,
+        address value
+    ) internal returns (bool) {
+        return set(map._inner, bytes32(uint256(uint160(key))), bytes32(uint256(uint160(value))));
+    }
+
+    /**
+     * @dev Removes a key-value pair from a map. O(1).
+     *
+     * Returns true if the key was removed from the map, that is if it was present.
+     */
+    function remove(AddressToAddressMap storage map, address key) internal returns (bool) {
+        return remove(map._inner, bytes32(uint256(uint160(key))));
+    }
+
+    /**
+     * @dev Returns true if the key is in the map. O(1).
+     */
+    function contains(AddressToAddressMap storage map, address key) internal view returns (bool) {
+        return contains(map._inner, bytes32(uint256(uint160(key))));
+    }
+
+    /**
+     * @dev Returns the number of elements in the map. O(1).
+     */
+    function length(AddressToAddressMap storage map) internal view returns (uint256) {
+        return length(map._inner);
+    }
+
+    /**
+     * @dev Returns the element stored at position `index` in the map. O(1).
+     * Note that there are no guarantees on the ordering of values inside the
+     * array, and it may change when more values are added or removed.
+     *
+     * Requirements:
+     *
+     * - `index` must be strictly less than {length}.
+     */
+    function at(AddressToAddressMap storage map, uint256 index) internal view returns (address, address) {
+        (bytes32 key, bytes32 value) = at(map._inner, index);
+        return (address(uint160(uint256(key))), address(uint160(uint256(value))));
+    }
+
+    /**
+     * @dev Tries to returns the value associated with `key`.  O(1).
+     * Does not revert if `key` is not in the map.
+     */
+    function tryGet(AddressToAddressMap storage map, address key) internal view returns (bool, address) {
+        (bool success, bytes32 value) = tryGet(map._inner, bytes32(uint256(uint160(key))));
+        return (success, address(uint160(uint256(value))));
+    }
+
+    /**
+     * @dev Returns the value associated with `key`.  O(1).
+     *
+     * Requirements:
+     *
+     * - `key` must be in the map.
+     */
+    function get(AddressToAddressMap storage map, address key) internal view returns (address) {
+        return address(uint160(uint256(get(map._inner, bytes32(uint256(uint160(key)))))));
+    }
+
+    /**
+     * @dev Same as {get}, with a custom error message when `key` is not in the map.
+     *
+     * CAUTION: This function is deprecated because it requires allocating memory for the error
+     * message unnecessarily. For custom revert reasons use {tryGet}.
+     */
+    function get(
+        AddressToAddressMap storage map,
+        address key,
+        string memory errorMessage
+    ) internal view returns (address) {
+        return address(uint160(uint256(get(map._inner, bytes32(uint256(uint160(key))), errorMessage))));
+    }
+
+    /**
+     * @dev Return an array containing all the keys
+     *
+     * WARNING: This operation will copy the entire storage to memory, which can be quite expensive. This is designed
+     * to mostly be used by view accessors that are queried without any gas fees. Developers should keep in mind that
+     * this function has an unbounded cost, and using it as part of a state-changing function may render the function
+     * uncallable if the map grows to a point where copying to memory consumes too much gas to fit in a block.
+     */
+    function keys(AddressToAddressMap storage map) internal view returns (address[] memory) {
+        bytes32[] memory store = keys(map._inner);
+        address[] memory result;
+
+        assembly {
+            result := store
+        }
+
+        return result;
+    }
+
+    /**
+     * @dev Return a page of the keys in an array, with at most `limit` keys starting at position `offset`. O(limit).
+     *
+     * The returned array is shorter than `limit` (possibly empty) when the end of the map is reached. As with {at},
+     * there are no guarantees on the ordering of keys, and it may change when entries are added or removed.
+     */
+    function keys(
+        AddressToAddressMap storage map,
+        uint256 offset,
+        uint256 limit
+    ) internal view returns (address[] memory) {
+        bytes32[] memory store = keys(map._inner, offset, limit);
+        address[] memory result;
+
+        assembly {
+            result := store
+        }
+
+        return result;
+    }
+
+    /**
+     * @dev Return a page of the entries, with at most `limit` entries starting at position `offset`, as two arrays of
+     * the same length where `values[i]` is the value associated with `keys[i]`. O(limit).
+     *
+     * The returned arrays are shorter than `limit` (possibly empty) when the end of the map is reached. As with {at},
+     * there are no guarantees on the ordering of entries, and it may change when entries are added or removed.
+     */
+    function entries(
+        AddressToAddressMap storage map,
+        uint256 offset,
+        uint256 limit
+    ) internal view returns (address[] memory keys_, address[] memory values_) {
+        (bytes32[] memory keysStore, bytes32[] memory valuesStore) = entries(map._inner, offset, limit);
+
+        assembly {
+            keys_ := keysStore
+            values_ := valuesStore
+        }
+    }
+
+    // AddressToBytes32Map
+
+    struct AddressToBytes32Map {
+        Bytes32ToBytes32Map _inner;
+    }
+
+    /**
+     * @dev Adds a key-value pair to a map, or updates the value for an existing
+     * key. O(1).
+     *
+     * Returns true if the key was added to the map, that is if it was not
+     * already present.
+     */
+    function set(
+        AddressToBytes32Map storage map,
+        address key,
+        bytes32 value
+    ) internal returns (bool) {
+        return set(map._inner, bytes32(uint256(uint160(key))), value);
+    }
+
+    /**
+     * @dev Removes a key-value pair from a map. O(1).
+     *
+     * Returns true if the key was removed from the map, that is if it was present.
+     */
+    function remove(AddressToBytes32Map storage map, address key) internal returns (bool) {
+        return remove(map._inner, bytes32(uint256(uint160(key))));
+    }
+
+    /**
+     * @dev Returns true if the key is in the map. O(1).
+     */
+    function contains(AddressToBytes32Map storage map, address key) internal view returns (bool) {
+        return contains(map._inner, bytes32(uint256(uint160(key))));
+    }
+
+    /**
+     * @dev Returns the number of elements in the map. O(1).
+     */
+    function length(AddressToBytes32Map storage map) internal view returns (uint256) {
+        return length(map._inner);
+    }
+
+    /**
+     * @dev Returns the element stored at position `index` in the map. O(1).
+     * Note that there are no guarantees on the ordering of values inside the
+     * array, and it may change when more values are added or removed.
+     *
+     * Requirements:
+     *
+     * - `index` must be strictly less than {length}.
+     */
+    function at(AddressToBytes32Map storage map, uint256 index) internal view returns (address, bytes32) {
+        (bytes32 key, bytes32 value) = at(map._inner, index);
+        return (address(uint160(uint256(key))), value);
+    }
+
+    /**
+     * @dev Tries to returns the value associated with `key`.  O(1).
+     * Does not revert if `key` is not in the map.
+     */
+    function tryGet(AddressToBytes32Map storage map, address key) internal view returns (bool, bytes32) {
+        (bool success, bytes32 value) = tryGet(map._inner, bytes32(uint256(uint160(key))));
+        return (success, value);
+    }
+
+    /**
+     * @dev Returns the value associated with `key`.  O(1).
+     *
+     * Requirements:
+     *
+     * - `key` must be in the map.
+     */
+    function get(AddressToBytes32Map storage map, address key) internal view returns (bytes32) {
+        return get(map._inner, bytes32(uint256(uint160(key))));
+    }
+
+    /**
+     * @dev Same as {get}, with a custom error message when `key` is not in the map.
+     *
+     * CAUTION: This function is deprecated because it requires allocating memory for the error
+     * message unnecessarily. For custom revert reasons use {tryGet}.
+     */
+    function get(
+        AddressToBytes32Map storage map,
+        address key,
+        string memory errorMessage
+    ) internal view returns (bytes32) {
+        return get(map._inner, bytes32(uint256(uint160(key))), errorMessage);
+    }
+
+    /**
+     * @dev Return an array containing all the keys
+     *
+     * WARNING: This operation will copy the entire storage to memory, which can be quite expensive. This is designed
+     * to mostly be used by view accessors that are queried without any gas fees. Developers should keep in mind that
+     * this function has an unbounded cost, and using it as part of a state-changing function may render the function
+     * uncallable if the map grows to a point where copying to memory consumes too much gas to fit in a block.
+     */
+    function keys(AddressToBytes32Map storage map) internal view returns (address[] memory) {
+        bytes32[] memory store = keys(map._inner);
+        address[] memory result;
+
+        assembly {
+            result := store
+        }
+
+        return result;
+    }
+
+    /**
+     * @dev Return a page of the keys in an array, with at most `limit` keys starting at position `offset`. O(limit).
+     *
+     * The returned array is shorter than `limit` (possibly empty) when the end of the map is reached. As with {at},
+     * there are no guarantees on the ordering of keys, and it may change when entries are added or removed.
+     */
+    function keys(
+        AddressToBytes32Map storage map,
+        uint256 offset,
+        uint256 limit
+    ) internal view returns (address[] memory) {
+        bytes32[] memory store = keys(map._inner, offset, limit);
+        address[] memory result;
+
+        assembly {
+            result := store
+        }
+
+        return result;
+    }
+
+    /**
+     * @dev Return a page of the entries, with at most `limit` entries starting at position `offset`, as two arrays of
+     * the same length where `values[i]` is the value associated with `keys[i]`. O(limit).
+     *
+     * The returned arrays are shorter than `limit` (possibly empty) when the end of the map is reached. As with {at},
+     * there are no guarantees on the ordering of entries, and it may change when entries are added or removed.
+     */
+    function entries(
+        AddressToBytes32Map storage map,
+        uint256 offset,
+        uint256 limit
+    ) internal view returns (address[] memory keys_, bytes32[] memory values_) {
+        (bytes32[] memory keysStore, bytes32[] memory valuesStore) = entries(map._inner, offset, limit);
+
+        assembly {
+            keys_ := keysStore
+            values_ := valuesStore
+        }
+    }
+
+    // Bytes32ToUintMap
+
+    struct Bytes32ToUintMap {
+        Bytes32ToBytes32Map _inner;
+    }
+
+    /**
+     * @dev Adds a key-value pair to a map, or updates the value for an existing
+     * key. O(1).
+     *
+     * Returns true if the key was added to the map, that is if it was not
+     * already present.
+     */
+    function set(
+        Bytes32ToUintMap storage map,
+        bytes32 key,
+        uint256 value
+    ) internal returns (bool) {
+        return set(map._inner, key, bytes32(value));
+    }
+
+    /**
+     * @dev Removes a key-value pair from a map. O(1).
+     *
+     * Returns true if the key was removed from the map, that is if it was present.
+     */
+    function remove(Bytes32ToUintMap storage map, bytes32 key) internal returns (bool) {
+        return remove(map._inner, key);
+    }
+
+    /**
+     * @dev Returns true if the key is in the map. O(1).
+     */
+    function contains(Bytes32ToUintMap storage map, bytes32 key) internal view returns (bool) {
+        return contains(map._inner, key);
+    }
+
+    /**
+     * @dev Returns the number of elements in the map. O(1).
+     */
+    function length(Bytes32ToUintMap storage map) internal view returns (uint256) {
+        return length(map._inner);
+    }
+
+    /**
+     * @dev Returns the element stored at position `index` in the map. O(1).
+     * Note that there are no guarantees on the ordering of values inside the
+     * array, and it may change when more values are added or removed.
+     *
+     * Requirements:
+     *
+     * - `index` must be strictly less than {length}.
+     */
+    function at(Bytes32ToUintMap storage map, uint256 index) internal view returns (bytes32, uint256) {
+        (bytes32 key, bytes32 value) = at(map._inner, index);
+        return (key, uint256(value));
+    }
+
+    /**
+     * @dev Tries to returns the value associated with `key`.  O(1).
+     * Does not revert if `key` is not in the map.
+     */
+    function tryGet(Bytes32ToUintMap storage map, bytes32 key) internal view returns (bool, uint256) {
+        (bool success, bytes32 value) = tryGet(map._inner, key);
+        return (success, uint256(value));
+    }
+
+    /**
+     * @dev Returns the value associated with `key`.  O(1).
+     *
+     * Requirements:
+     *
+     * - `key` must be in the map.
+     */
+    function get(Bytes32ToUintMap storage map, bytes32 key) internal view returns (uint256) {
+        return uint256(get(map._inner, key));
+    }
+
+    /**
+     * @dev Same as {get}, with a custom error message when `key` is not in the map.
+     *
+     * CAUTION: This function is deprecated because it requires allocating memory for the error
+     * message unnecessarily. For custom revert reasons use {tryGet}.
+     */
+    function get(
+        Bytes32ToUintMap storage map,
+        bytes32 key,
+        string memory errorMessage
+    ) internal view returns (uint256) {
+        return uint256(get(map._inner, key, errorMessage));
+    }
+
+    /**
+     * @dev Return an array containing all the keys
+     *
+     * WARNING: This operation will copy the entire storage to memory, which can be quite expensive. This is designed
+     * to mostly be used by view accessors that are queried without any gas fees. Developers should keep in mind that
+     * this function has an unbounded cost, and using it as part of a state-changing function may render the function
+     * uncallable if the map grows to a point where copying to memory consumes too much gas to fit in a block.
+     */
+    function keys(Bytes32ToUintMap storage map) internal view returns (bytes32[] memory) {
+        return keys(map._inner);
+    }
+
+    /**
+     * @dev Return a page of the keys in an array, with at most `limit` keys starting at position `offset`. O(limit).
+     *
+     * The returned array is shorter than `limit` (possibly empty) when the end of the map is reached. As with {at},
+     * there are no guarantees on the ordering of keys, and it may change when entries are added or removed.
+     */
+    function keys(
+        Bytes32ToUintMap storage map,
+        uint256 offset,
+        uint256 limit
+    ) internal view returns (bytes32[] memory) {
+        return keys(map._inner, offset, limit);
+    }
+
+    /**
+     * @dev Return a page of the entries, with at most `limit` entries starting at position `offset`, as two arrays of
+     * the same length where `values[i]` is the value associated with `keys[i]`. O(limit).
+     *
+     * The returned arrays are shorter than `limit` (possibly empty) when the end of the map is reached. As with {at},
+     * there are no guarantees on the ordering of entries, and it may change when entries are added or removed.
+     */
+    function entries(
+        Bytes32ToUintMap storage map,
+        uint256 offset,
+        uint256 limit
+    ) internal view returns (bytes32[] memory keys_, uint256[] memory values_) {
+        (bytes32[] memory keysStore, bytes32[] memory valuesStore) = entries(map._inner, offset, limit);
+
+        assembly {
+            keys_ := keysStore
+            values_ := valuesStore
+        }
+    }
+
+    // Bytes32ToAddressMap
+
+    struct Bytes32ToAddressMap {
+        Bytes32ToBytes32Map _inner;
+    }
+
+    /**
+     * @dev Adds a key-value pair to a map, or updates the value for an existing
+     * key. O(1).
+     *
+     * Returns true if the key was added to the map, that is if it was not
+     * already present.
+     */
+    function set(
+        Bytes32ToAddressMap storage map,
+        bytes32 key,
+        address value
+    ) internal returns (bool) {
+        return set(map._inner, key, bytes32(uint256(uint160(value))));
+    }
+
+    /**
+     * @dev Removes a key-value pair from a map. O(1).
+     *
+     * Returns true if the key was removed from the map, that is if it was present.
+     */
+    function remove(Bytes32ToAddressMap storage map, bytes32 key) internal returns (bool) {
+        return remove(map._inner, key);
+    }
+
+    /**
+     * @dev Returns true if the key is in the map. O(1).
+     */
+    function contains(Bytes32ToAddressMap storage map, bytes32 key) internal view returns (bool) {
+        return contains(map._inner, key);
+    }
+
+    /**
+     * @dev Returns the number of elements in the map. O(1).
+     */
+    function length(Bytes32ToAddressMap storage map) internal view returns (uint256) {
+        return length(map._inner);
+    }
+
+    /**
+     * @dev Returns the element stored at position `index` in the map. O(1).
+     * Note that there are no guarantees on the ordering of values inside the
+     * array, and it may change when more values are added or removed.
+     *
+     * Requirements:
+     *
+     * - `index` must be strictly less than {length}.
+     */
+    function at(Bytes32ToAddressMap storage map, uint256 index) internal view returns (bytes32, address) {
+        (bytes32 key, bytes32 value) = at(map._inner, index);
+        return (key, address(uint160(uint256(value))));
+    }
+
+    /**
+     * @dev Tries to returns the value associated with `key`.  O(1).
+     * Does not revert if `key` is not in the map.
+     */
+    function tryGet(Bytes32ToAddressMap storage map, bytes32 key) internal view returns (bool, address) {
+        (bool success, bytes32 value) = tryGet(map._inner, key);
+        return (success, address(uint160(uint256(value))));
+    }
+
+    /**
+     * @dev Returns the value associated with `key`.  O(1).
+     *
+     * Requirements:
+     *
+     * - `key` must be in the map.
+     */
+    function get(Bytes32ToAddressMap storage map, bytes32 key) internal view returns (address) {
+        return address(uint160(uint256(get(map._inner, key))));
+    }
+
+    /**
+     * @dev Same as {get}, with a custom error message when `key` is not in the map.
+     *
+     * CAUTION: This function is deprecated because it requires allocating memory for the error
+     * message unnecessarily. For custom revert reasons use {tryGet}.
+     */
+    function get(
+        Bytes32ToAddressMap storage map,
+        bytes32 key,
+        string memory errorMessage
+    ) internal view returns (address) {
+        return address(uint160(uint256(get(map._inner, key, errorMessage))));
+    }
+
+    /**
+     * @dev Return an array containing all the keys
+     *
+     * WARNING: This operation will copy the entire storage to memory, which can be quite expensive. This is designed
+     * to mostly be used by view accessors that are queried without any gas fees. Developers should keep in mind that
+     * this function has an unbounded cost, and using it as part of a state-changing function may render the function
+     * uncallable if the map grows to a point where copying to memory consumes too much gas to fit in a block.
+     */
+    function keys(Bytes32ToAddressMap storage map) internal view returns (bytes32[] memory) {
+        return keys(map._inner);
+    }
+
+    /**
+     * @dev Return a page of the keys in an array, with at most `limit` keys starting at position `offset`. O(limit).
+     *
+     * The returned array is shorter than `limit` (possibly empty) when the end of the map is reached. As with {at},
+     * there are no guarantees on the ordering of keys, and it may change when entries are added or removed.
+     */
+    function keys(
+        Bytes32ToAddressMap storage map,
+        uint256 offset,
+        uint256 limit
+    ) internal view returns (bytes32[] memory) {
+        return keys(map._inner, offset, limit);
+    }
+
+    /**
+     * @dev Return a page of the entries, with at most `limit` entries starting at position `offset`, as two arrays of
+     * the same length where `values[i]` is the value associated with `keys[i]`. O(limit).
+     *
+     * The returned arrays are shorter than `limit` (possibly empty) when the end of the map is reached. As with {at},
+     * there are no guarantees on the ordering of entries, and it may change when entries are added or removed.
+     */
+    function entries(
+        Bytes32ToAddressMap storage map,
+        uint256 offset,
+        uint256 limit
+    ) internal view returns (bytes32[] memory keys_, address[] memory values_) {
+        (bytes32[] memory keysStore, bytes32[] memory valuesStore) = entries(map._inner, offset, limit);
+
+        assembly {
+            keys_ := keysStore
+            values_ := valuesStore
+        }
+    }
 }
@@ -1,8 +1,11 @@
 // SPDX-License-Identifier: MIT
 // OpenZeppelin Contracts (last updated v4.6.0) (utils/structs/EnumerableSet.sol)
+// This file was procedurally generated from scripts/generate/templates/EnumerableSet.js.
 
 pragma solidity ^0.8.0;
 
+import "../math/Math.sol";
+
 /**
  * @dev Library for managing
  * https://en.wikipedia.org/wiki/Set_(abstract_data_type)[sets] of primitive
@@ -13,6 +16,8 @@ pragma solidity ^0.8.0;
  * - Elements are added, removed, and checked for existence in constant time
  * (O(1)).
  * - Elements are enumerated in O(n). No guarantees are made on the ordering.
+ * - Elements can be read in pages of bounded size, using the `offset` and
+ * `limit` variants of `values`.
  *
  * ```
  * contract Example {
@@ -151,6 +156,28 @@ library EnumerableSet {
         return set._values;
     }
 
+    /**
+     * @dev Return a page of the set in an array, with at most `limit` values starting at position `offset`. O(limit).
+     *
+     * The returned array is shorter than `limit` (possibly empty) when the end of the set is reached. As with {_at},
+     * there are no guarantees on the ordering of values, and it may change when values are added or removed, so that
+     * paginating through a set that is modified in between calls can skip or repeat values.
+     */
+    function _values(
+        Set storage set,
+        uint256 offset,
+        uint256 limit
+    ) private view returns (bytes32[] memory) {
+        uint256 len = set._values.length;
+        uint256 count = offset < len ? Math.min(limit, len - offset) : 0;
+
+        bytes32[] memory result = new bytes32[](count);
+        for (uint256 i = 0; i < count; ++i) {
+            result[i] = set._values[offset + i];
+        }
+        return result;
+    }
+
     // Bytes32Set
 
     struct Bytes32Set {
@@ -217,6 +244,21 @@ library EnumerableSet {
         return _values(set._inner);
     }
 
+    /**
+     * @dev Return a page of the set in an array, with at most `limit` values starting at position `offset`. O(limit).
+     *
+     * The returned array is shorter than `limit` (possibly empty) when the end of the set is reached. As with {at},
+     * there are no guarantees on the ordering of values, and it may change when values are added or removed, so that
+     * paginating through a set that is modified in between calls can skip or repeat values.
+     */
+    function values(
+        Bytes32Set storage set,
+        uint256 offset,
+        uint256 limit
+    ) internal view returns (bytes32[] memory) {
+        return _values(set._inner, offset, limit);
+    }
+
     // AddressSet
 
     struct AddressSet {
@@ -290,6 +332,28 @@ library EnumerableSet {
         return result;
     }
 
+    /**
+     * @dev Return a page of the set in an array, with at most `limit` values starting at position `offset`. O(limit).
+     *
+     * The returned array is shorter than `limit` (possibly empty) when the end of the set is reached. As with {at},
+     * there are no guarantees on the ordering of values, and it may change when values are added or removed, so that
+     * paginating through a set that is modified in between calls can skip or repeat values.
+     */
+    function values(
+        AddressSet storage set,
+        uint256 offset,
+        uint256 limit
+    ) internal view returns (address[] memory) {
+        bytes32[] memory store = _values(set._inner, offset, limit);
+        address[] memory result;
+
+        assembly {
+            result := store
+        }
+
+        return result;
+    }
+
     // UintSet
 
     struct UintSet {
@@ -324,7 +388,7 @@ library EnumerableSet {
     }
 
     /**
-     * @dev Returns the number of values on the set. O(1).
+     * @dev Returns the number of values in the set. O(1).
      */
     function length(UintSet storage set) internal view returns (uint256) {
         return _length(set._inner);
@@ -362,4 +426,26 @@ library EnumerableSet {
 
         return result;
     }
+
+    /**
+     * @dev Return a page of the set in an array, with at most `limit` values starting at position `offset`. O(limit).
+     *
+     * The returned array is shorter than `limit` (possibly empty) when the end of the set is reached. As with {at},
+     * there are no guarantees on the ordering of values, and it may change when values are added or removed, so that
+     * paginating through a set that is modified in between calls can skip or repeat values.
+     */
+    function values(
+        UintSet storage set,
+        uint256 offset,
+        uint256 limit
+    ) internal view returns (uint256[] memory) {
+        bytes32[] memory store = _values(set._inner, offset, limit);
+        uint256[] memory result;
+
+        assembly {
+            result := store
+        }
+
+        return result;
+    }
 }
@@ -0,0 +1,33 @@
+/// Solidity expressions converting `value` of the given type to and from `bytes32`, the type in which enumerable
+/// structures store their values.
+const toBytes32 = (type, value) => ({
+  bytes32: value,
+  uint256: `bytes32(${value})`,
+  address: `bytes32(uint256(uint160(${value})))`,
+})[type];
+
+const fromBytes32 = (type, value) => ({
+  bytes32: value,
+  uint256: `uint256(${value})`,
+  address: `address(uint160(uint256(${value})))`,
+})[type];
+
+/// Statements returning `value`, a `bytes32[] memory` expression, as an array of the given type. Arrays of types
+/// that fit in a word share their memory layout with `bytes32[]`, so the conversion doesn't copy the array.
+const returnArray = (type, value) => type === 'bytes32'
+  ? `return ${value};`
+  : `\
+bytes32[] memory store = ${value};
+${type}[] memory result;
+
+assembly {
+    result := store
+}
+
+return result;`;
+
+module.exports = {
+  toBytes32,
+  fromBytes32,
+  returnArray,
+};
@@ -0,0 +1,18 @@
+/// Join lines of source code, where nested arrays of lines are indented one level deeper than their parent. Empty
+/// lines are never indented.
+function formatLines (...lines) {
+  return [...indentEach(0, lines)].join('\n') + '\n';
+}
+
+function *indentEach (indent, lines) {
+  for (const line of lines) {
+    if (Array.isArray(line)) {
+      yield * indentEach(indent + 1, line);
+    } else {
+      const padding = '    '.repeat(indent);
+      yield * line.split('\n').map(subline => subline === '' ? '' : padding + subline);
+    }
+  }
+}
+
+module.exports = formatLines;
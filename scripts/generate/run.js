@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const prettier = require('prettier');
+const format = require('./format-lines');
+
+const root = path.resolve(__dirname, '../..');
+
+// Generated files, relative to `contracts/`, and the templates they are generated from.
+const files = {
+  'utils/math/SafeCast.sol': './templates/SafeCast.js',
+  'utils/structs/EnumerableSet.sol': './templates/EnumerableSet.js',
+  'utils/structs/EnumerableMap.sol': './templates/EnumerableMap.js',
+  'utils/Checkpoints.sol': './templates/Checkpoints.js',
+  'utils/structs/DoubleEndedQueue.sol': './templates/DoubleEndedQueue.js',
+  'mocks/SafeCastMock.sol': './templates/SafeCastMock.js',
+  'mocks/EnumerableSetMock.sol': './templates/EnumerableSetMock.js',
+  'mocks/EnumerableMapMock.sol': './templates/EnumerableMapMock.js',
+  'mocks/CheckpointsImpl.sol': './templates/CheckpointsImpl.js',
+  'mocks/DoubleEndedQueueMock.sol': './templates/DoubleEndedQueueMock.js',
+};
+
+/// The version in the header is maintained by the release scripts, so it is preserved from the current file.
+function getVersion (source) {
+  const match = source.match(/\/\/ OpenZeppelin Contracts (\(last updated v[^)]+\)|v\S+)/);
+  return match ? match[0] : null;
+}
+
+function read (output) {
+  return fs.existsSync(output) ? fs.readFileSync(output, 'utf8') : '';
+}
+
+function generate (file, template, current) {
+  const output = path.join(root, 'contracts', file);
+  const version = getVersion(current);
+  const source = format(
+    '// SPDX-License-Identifier: MIT',
+    ...(version ? [ `${version} (${file})` ] : []),
+    `// This file was procedurally generated from ${path.join('scripts/generate', template)}.`,
+    '',
+    require(template),
+  );
+  return prettier.format(source, { ...prettier.resolveConfig.sync(output), filepath: output });
+}
+
+function main ({ check }) {
+  for (const [ file, template ] of Object.entries(files)) {
+    const output = path.join(root, 'contracts', file);
+    const current = read(output);
+    const generated = generate(file, template, current);
+
+    if (!check) {
+      fs.writeFileSync(output, generated);
+    } else if (generated !== current) {
+      console.error(`contracts/${file} does not match ${path.join('scripts/generate', template)}`);
+      process.exitCode = 1;
+    }
+  }
+
+  if (check && process.exitCode) {
+    console.error('Generated files are out of date, run `npm run generate` and commit the changes.');
+  }
+}
+
+main(require('yargs').boolean('check').argv);
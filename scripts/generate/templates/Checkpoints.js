@@ -0,0 +1,360 @@
+const format = require('../format-lines');
+const { OPTS } = require('./Checkpoints.opts');
+
+/* eslint-disable max-len */
+const header = `\
+pragma solidity ^0.8.0;
+
+import "./math/Math.sol";
+import "./math/SafeCast.sol";
+
+/**
+ * @dev This library defines the \`History\` struct, for checkpointing values as they change at different points in
+ * time, and later looking up past values by block number.
+ *
+ * To create a history of checkpoints define a variable type \`Checkpoints.History\` in your contract, and store a new
+ * checkpoint for the current transaction block using the {push} function.
+ *
+ * The \`Trace\` structs serve the same purpose, but the key of each checkpoint is provided by the caller instead of
+ * being the current block number. This makes it possible to track values against a timestamp, or any other monotonic
+ * clock. See {Votes} as an example. The following structs are supported:
+ *
+${OPTS.map(opts => ` * - \`${opts.historyTypeName}\`: \`${opts.valueTypeName}\` values under \`${opts.keyTypeName}\` keys`).join('\n')}
+ *
+ * _Available since v4.5._
+ */
+`;
+
+const legacyOperations = () => `\
+struct Checkpoint {
+    uint32 _blockNumber;
+    uint224 _value;
+}
+
+struct History {
+    Checkpoint[] _checkpoints;
+}
+
+/**
+ * @dev Returns the value in the latest checkpoint, or zero if there are no checkpoints.
+ */
+function latest(History storage self) internal view returns (uint256) {
+    uint256 pos = self._checkpoints.length;
+    return pos == 0 ? 0 : self._checkpoints[pos - 1]._value;
+}
+
+/**
+ * @dev Returns whether there is a checkpoint in the structure (i.e. it is not empty), and if so the block number
+ * and value in the most recent checkpoint.
+ */
+function latestCheckpoint(History storage self)
+    internal
+    view
+    returns (
+        bool exists,
+        uint32 _blockNumber,
+        uint224 _value
+    )
+{
+    uint256 pos = self._checkpoints.length;
+    if (pos == 0) {
+        return (false, 0, 0);
+    } else {
+        Checkpoint storage ckpt = self._checkpoints[pos - 1];
+        return (true, ckpt._blockNumber, ckpt._value);
+    }
+}
+
+/**
+ * @dev Returns the number of checkpoints.
+ */
+function length(History storage self) internal view returns (uint256) {
+    return self._checkpoints.length;
+}
+
+/**
+ * @dev Returns the value at a given block number. If a checkpoint is not available at that block, the closest one
+ * before it is returned, or zero otherwise. Because the number returned corresponds to that at the end of the
+ * block, the requested block number must be in the past, excluding the current block.
+ */
+function getAtBlock(History storage self, uint256 blockNumber) internal view returns (uint256) {
+    require(blockNumber < block.number, "Checkpoints: block not yet mined");
+
+    uint256 len = self._checkpoints.length;
+    uint256 pos = _upperBinaryLookup(self._checkpoints, blockNumber, 0, len);
+    return pos == 0 ? 0 : self._checkpoints[pos - 1]._value;
+}
+
+/**
+ * @dev Returns the value at a given block number. If a checkpoint is not available at that block, the closest one
+ * before it is returned, or zero otherwise. Similar to {getAtBlock}, but optimized for the case when the searched
+ * checkpoint is probably "recent", defined as being among the last sqrt(N) checkpoints where N is the number of
+ * checkpoints.
+ */
+function getAtProbablyRecentBlock(History storage self, uint256 blockNumber) internal view returns (uint256) {
+    require(blockNumber < block.number, "Checkpoints: block not yet mined");
+
+    uint256 len = self._checkpoints.length;
+
+    uint256 low = 0;
+    uint256 high = len;
+
+    if (len > 5) {
+        uint256 mid = len - Math.sqrt(len);
+        if (blockNumber < self._checkpoints[mid]._blockNumber) {
+            high = mid;
+        } else {
+            low = mid + 1;
+        }
+    }
+
+    uint256 pos = _upperBinaryLookup(self._checkpoints, blockNumber, low, high);
+    return pos == 0 ? 0 : self._checkpoints[pos - 1]._value;
+}
+
+/**
+ * @dev Pushes a value onto a History so that it is stored as the checkpoint for the current block.
+ *
+ * Returns previous value and new value.
+ */
+function push(History storage self, uint256 value) internal returns (uint256, uint256) {
+    uint256 pos = self._checkpoints.length;
+    uint256 old = latest(self);
+    if (pos > 0 && self._checkpoints[pos - 1]._blockNumber == block.number) {
+        self._checkpoints[pos - 1]._value = SafeCast.toUint224(value);
+    } else {
+        self._checkpoints.push(
+            Checkpoint({_blockNumber: SafeCast.toUint32(block.number), _value: SafeCast.toUint224(value)})
+        );
+    }
+    return (old, value);
+}
+
+/**
+ * @dev Pushes a value onto a History, by updating the latest value using binary operation \`op\`. The new value will
+ * be set to \`op(latest, delta)\`.
+ *
+ * Returns previous value and new value.
+ */
+function push(
+    History storage self,
+    function(uint256, uint256) view returns (uint256) op,
+    uint256 delta
+) internal returns (uint256, uint256) {
+    return push(self, op(latest(self), delta));
+}
+
+/**
+ * @dev Return the index of the oldest checkpoint whose block number is greater than the search block number, or
+ * \`high\` if there is none. \`low\` and \`high\` define a section where to do the search, with inclusive \`low\` and
+ * exclusive \`high\`.
+ */
+function _upperBinaryLookup(
+    Checkpoint[] storage self,
+    uint256 blockNumber,
+    uint256 low,
+    uint256 high
+) private view returns (uint256) {
+    while (low < high) {
+        uint256 mid = Math.average(low, high);
+        if (self[mid]._blockNumber > blockNumber) {
+            high = mid;
+        } else {
+            low = mid + 1;
+        }
+    }
+    return high;
+}
+`;
+
+const types = opts => `\
+struct ${opts.checkpointTypeName} {
+    ${opts.keyTypeName} _key;
+    ${opts.valueTypeName} _value;
+}
+
+struct ${opts.historyTypeName} {
+    ${opts.checkpointTypeName}[] _checkpoints;
+}
+
+/**
+ * @dev Pushes a (\`key\`, \`value\`) pair into a ${opts.historyTypeName} so that it is stored as the checkpoint.
+ *
+ * Returns previous value and new value.
+ *
+ * Requirements:
+ *
+ * - \`key\` must be greater than or equal to the key of the latest checkpoint.
+ */
+function push(
+    ${opts.historyTypeName} storage self,
+    ${opts.keyTypeName} key,
+    ${opts.valueTypeName} value
+) internal returns (${opts.valueTypeName}, ${opts.valueTypeName}) {
+    return _insert(self._checkpoints, key, value);
+}
+
+/**
+ * @dev Returns the value in the oldest checkpoint with key greater or equal than the search key, or zero if there
+ * is none.
+ */
+function lowerLookup(${opts.historyTypeName} storage self, ${opts.keyTypeName} key) internal view returns (${opts.valueTypeName}) {
+    uint256 len = self._checkpoints.length;
+    uint256 pos = _lowerBinaryLookup(self._checkpoints, key, 0, len);
+    return pos == len ? 0 : self._checkpoints[pos]._value;
+}
+
+/**
+ * @dev Returns the value in the last (most recent) checkpoint with key lower or equal than the search key, or zero
+ * if there is none.
+ */
+function upperLookup(${opts.historyTypeName} storage self, ${opts.keyTypeName} key) internal view returns (${opts.valueTypeName}) {
+    uint256 pos = _upperBinaryLookup(self._checkpoints, key, 0, self._checkpoints.length);
+    return pos == 0 ? 0 : self._checkpoints[pos - 1]._value;
+}
+
+/**
+ * @dev Returns the value in the last (most recent) checkpoint with key lower or equal than the search key, or zero
+ * if there is none. Similar to {upperLookup}, but optimized for the case when the searched checkpoint is probably
+ * "recent", defined as being among the last sqrt(N) checkpoints where N is the number of checkpoints.
+ */
+function upperLookupRecent(${opts.historyTypeName} storage self, ${opts.keyTypeName} key) internal view returns (${opts.valueTypeName}) {
+    uint256 len = self._checkpoints.length;
+
+    uint256 low = 0;
+    uint256 high = len;
+
+    if (len > 5) {
+        uint256 mid = len - Math.sqrt(len);
+        if (key < self._checkpoints[mid]._key) {
+            high = mid;
+        } else {
+            low = mid + 1;
+        }
+    }
+
+    uint256 pos = _upperBinaryLookup(self._checkpoints, key, low, high);
+    return pos == 0 ? 0 : self._checkpoints[pos - 1]._value;
+}
+
+/**
+ * @dev Returns the value in the most recent checkpoint, or zero if there are no checkpoints.
+ */
+function latest(${opts.historyTypeName} storage self) internal view returns (${opts.valueTypeName}) {
+    uint256 pos = self._checkpoints.length;
+    return pos == 0 ? 0 : self._checkpoints[pos - 1]._value;
+}
+
+/**
+ * @dev Returns whether there is a checkpoint in the structure (i.e. it is not empty), and if so the key and value
+ * in the most recent checkpoint.
+ */
+function latestCheckpoint(${opts.historyTypeName} storage self)
+    internal
+    view
+    returns (
+        bool exists,
+        ${opts.keyTypeName} _key,
+        ${opts.valueTypeName} _value
+    )
+{
+    uint256 pos = self._checkpoints.length;
+    if (pos == 0) {
+        return (false, 0, 0);
+    } else {
+        ${opts.checkpointTypeName} storage ckpt = self._checkpoints[pos - 1];
+        return (true, ckpt._key, ckpt._value);
+    }
+}
+
+/**
+ * @dev Returns the number of checkpoints.
+ */
+function length(${opts.historyTypeName} storage self) internal view returns (uint256) {
+    return self._checkpoints.length;
+}
+
+/**
+ * @dev Pushes a (\`key\`, \`value\`) pair into an ordered list of checkpoints, either by inserting a new checkpoint,
+ * or by updating the last one.
+ */
+function _insert(
+    ${opts.checkpointTypeName}[] storage self,
+    ${opts.keyTypeName} key,
+    ${opts.valueTypeName} value
+) private returns (${opts.valueTypeName}, ${opts.valueTypeName}) {
+    uint256 pos = self.length;
+
+    if (pos > 0) {
+        ${opts.checkpointTypeName} storage last = self[pos - 1];
+        ${opts.valueTypeName} old = last._value;
+
+        require(last._key <= key, "Checkpoints: invalid key");
+
+        if (last._key == key) {
+            last._value = value;
+        } else {
+            self.push(${opts.checkpointTypeName}({_key: key, _value: value}));
+        }
+        return (old, value);
+    } else {
+        self.push(${opts.checkpointTypeName}({_key: key, _value: value}));
+        return (0, value);
+    }
+}
+
+/**
+ * @dev Return the index of the oldest checkpoint whose key is greater than the search key, or \`high\` if there is
+ * none. \`low\` and \`high\` define a section where to do the search, with inclusive \`low\` and exclusive \`high\`.
+ */
+function _upperBinaryLookup(
+    ${opts.checkpointTypeName}[] storage self,
+    ${opts.keyTypeName} key,
+    uint256 low,
+    uint256 high
+) private view returns (uint256) {
+    while (low < high) {
+        uint256 mid = Math.average(low, high);
+        if (self[mid]._key > key) {
+            high = mid;
+        } else {
+            low = mid + 1;
+        }
+    }
+    return high;
+}
+
+/**
+ * @dev Return the index of the oldest checkpoint whose key is greater or equal than the search key, or \`high\` if
+ * there is none. \`low\` and \`high\` define a section where to do the search, with inclusive \`low\` and exclusive
+ * \`high\`.
+ */
+function _lowerBinaryLookup(
+    ${opts.checkpointTypeName}[] storage self,
+    ${opts.keyTypeName} key,
+    uint256 low,
+    uint256 high
+) private view returns (uint256) {
+    while (low < high) {
+        uint256 mid = Math.average(low, high);
+        if (self[mid]._key < key) {
+            low = mid + 1;
+        } else {
+            high = mid;
+        }
+    }
+    return high;
+}
+`;
+/* eslint-enable max-len */
+
+// GENERATE
+module.exports = format(
+  header.trimEnd(),
+  'library Checkpoints {',
+  [
+    legacyOperations(),
+    OPTS.map(types).join('\n').trimEnd(),
+  ],
+  '}',
+);
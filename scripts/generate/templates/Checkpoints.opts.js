@@ -0,0 +1,18 @@
+// Checkpoint structures whose keys are provided by the caller. The key and value of a checkpoint are packed in a
+// single storage slot, so their lengths must add up to at most 256 bits.
+const LENGTHS = [
+  { key: 32, value: 224 },
+  { key: 96, value: 160 },
+];
+
+const OPTS = LENGTHS.map(({ key, value }) => ({
+  valueLength: value,
+  historyTypeName: `Trace${value}`,
+  checkpointTypeName: `Checkpoint${value}`,
+  keyTypeName: `uint${key}`,
+  valueTypeName: `uint${value}`,
+}));
+
+module.exports = {
+  OPTS,
+};
@@ -0,0 +1,100 @@
+const format = require('../format-lines');
+const { OPTS } = require('./Checkpoints.opts');
+
+const header = `\
+pragma solidity ^0.8.0;
+
+import "../utils/Checkpoints.sol";
+`;
+
+const legacy = () => `\
+contract CheckpointsImpl {
+    using Checkpoints for Checkpoints.History;
+
+    Checkpoints.History private _totalCheckpoints;
+
+    function latest() public view returns (uint256) {
+        return _totalCheckpoints.latest();
+    }
+
+    function latestCheckpoint()
+        public
+        view
+        returns (
+            bool,
+            uint32,
+            uint224
+        )
+    {
+        return _totalCheckpoints.latestCheckpoint();
+    }
+
+    function length() public view returns (uint256) {
+        return _totalCheckpoints.length();
+    }
+
+    function getAtBlock(uint256 blockNumber) public view returns (uint256) {
+        return _totalCheckpoints.getAtBlock(blockNumber);
+    }
+
+    function getAtProbablyRecentBlock(uint256 blockNumber) public view returns (uint256) {
+        return _totalCheckpoints.getAtProbablyRecentBlock(blockNumber);
+    }
+
+    function push(uint256 value) public returns (uint256, uint256) {
+        return _totalCheckpoints.push(value);
+    }
+}
+`;
+
+/* eslint-disable max-len */
+const checkpointsImpl = opts => `\
+contract Checkpoints${opts.valueLength}Impl {
+    using Checkpoints for Checkpoints.${opts.historyTypeName};
+
+    Checkpoints.${opts.historyTypeName} private _trace;
+
+    function latest() public view returns (${opts.valueTypeName}) {
+        return _trace.latest();
+    }
+
+    function latestCheckpoint()
+        public
+        view
+        returns (
+            bool,
+            ${opts.keyTypeName},
+            ${opts.valueTypeName}
+        )
+    {
+        return _trace.latestCheckpoint();
+    }
+
+    function length() public view returns (uint256) {
+        return _trace.length();
+    }
+
+    function push(${opts.keyTypeName} key, ${opts.valueTypeName} value) public returns (${opts.valueTypeName}, ${opts.valueTypeName}) {
+        return _trace.push(key, value);
+    }
+
+    function lowerLookup(${opts.keyTypeName} key) public view returns (${opts.valueTypeName}) {
+        return _trace.lowerLookup(key);
+    }
+
+    function upperLookup(${opts.keyTypeName} key) public view returns (${opts.valueTypeName}) {
+        return _trace.upperLookup(key);
+    }
+
+    function upperLookupRecent(${opts.keyTypeName} key) public view returns (${opts.valueTypeName}) {
+        return _trace.upperLookupRecent(key);
+    }
+}
+`;
+/* eslint-enable max-len */
+
+// GENERATE
+module.exports = format(
+  header,
+  [ legacy(), ...OPTS.map(checkpointsImpl) ].join('\n').trimEnd(),
+);
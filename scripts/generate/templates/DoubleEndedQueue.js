@@ -0,0 +1,373 @@
+const format = require('../format-lines');
+const { toBytes32, fromBytes32, returnArray } = require('../conversion');
+const { TYPES } = require('./DoubleEndedQueue.opts');
+
+/* eslint-disable max-len */
+const header = `\
+pragma solidity ^0.8.4;
+
+import "../math/SafeCast.sol";
+
+/**
+ * @dev A sequence of items with the ability to efficiently push and pop items (i.e. insert and remove) on both ends of
+ * the sequence (called front and back). Among other access patterns, it can be used to implement efficient LIFO and
+ * FIFO queues. Storage use is optimized, and all single item operations are O(1) constant time. This includes {clear},
+ * given that the existing queue contents are left in storage. Bulk operations ({pushBackMany}, {popFrontMany} and
+ * {slice}) are linear in the number of items they process.
+ *
+ * The struct is called \`Bytes32Deque\`. Queues of \`address\` (\`AddressDeque\`) and \`uint256\` (\`Uint256Deque\`) are
+ * also supported, and other types can be cast to and from \`bytes32\`. This data structure can only be used in storage,
+ * and not in memory.
+ * \`\`\`
+ * DoubleEndedQueue.Bytes32Deque queue;
+ * \`\`\`
+ *
+ * _Available since v4.6._
+ */
+`;
+
+const defaultDeque = () => `\
+/**
+ * @dev An operation (e.g. {front}) couldn't be completed due to the queue being empty.
+ */
+error Empty();
+
+/**
+ * @dev An operation (e.g. {at}) couldn't be completed due to an index being out of bounds.
+ */
+error OutOfBounds();
+
+/**
+ * @dev Indices are signed integers because the queue can grow in any direction. They are 128 bits so begin and end
+ * are packed in a single storage slot for efficient access. Since the items are added one at a time we can safely
+ * assume that these 128-bit indices will not overflow, and use unchecked arithmetic.
+ *
+ * Struct members have an underscore prefix indicating that they are "private" and should not be read or written to
+ * directly. Use the functions provided below instead. Modifying the struct manually may violate assumptions and
+ * lead to unexpected behavior.
+ *
+ * Indices are in the range [begin, end) which means the first item is at data[begin] and the last item is at
+ * data[end - 1].
+ */
+struct Bytes32Deque {
+    int128 _begin;
+    int128 _end;
+    mapping(int128 => bytes32) _data;
+}
+
+/**
+ * @dev Inserts an item at the end of the queue.
+ */
+function pushBack(Bytes32Deque storage deque, bytes32 value) internal {
+    int128 backIndex = deque._end;
+    deque._data[backIndex] = value;
+    unchecked {
+        deque._end = backIndex + 1;
+    }
+}
+
+/**
+ * @dev Removes the item at the end of the queue and returns it.
+ *
+ * Reverts with \`Empty\` if the queue is empty.
+ */
+function popBack(Bytes32Deque storage deque) internal returns (bytes32 value) {
+    if (empty(deque)) revert Empty();
+    int128 backIndex;
+    unchecked {
+        backIndex = deque._end - 1;
+    }
+    value = deque._data[backIndex];
+    delete deque._data[backIndex];
+    deque._end = backIndex;
+}
+
+/**
+ * @dev Inserts an item at the beginning of the queue.
+ */
+function pushFront(Bytes32Deque storage deque, bytes32 value) internal {
+    int128 frontIndex;
+    unchecked {
+        frontIndex = deque._begin - 1;
+    }
+    deque._data[frontIndex] = value;
+    deque._begin = frontIndex;
+}
+
+/**
+ * @dev Removes the item at the beginning of the queue and returns it.
+ *
+ * Reverts with \`Empty\` if the queue is empty.
+ */
+function popFront(Bytes32Deque storage deque) internal returns (bytes32 value) {
+    if (empty(deque)) revert Empty();
+    int128 frontIndex = deque._begin;
+    value = deque._data[frontIndex];
+    delete deque._data[frontIndex];
+    unchecked {
+        deque._begin = frontIndex + 1;
+    }
+}
+
+/**
+ * @dev Inserts several items at the end of the queue, in order, so that the last item of \`values\` becomes the last
+ * item of the queue.
+ */
+function pushBackMany(Bytes32Deque storage deque, bytes32[] memory values) internal {
+    int128 backIndex = deque._end;
+    unchecked {
+        for (uint256 i = 0; i < values.length; ++i) {
+            deque._data[backIndex++] = values[i];
+        }
+    }
+    deque._end = backIndex;
+}
+
+/**
+ * @dev Removes \`count\` items from the beginning of the queue and returns them, in order.
+ *
+ * Reverts with \`OutOfBounds\` if the queue contains less than \`count\` items.
+ */
+function popFrontMany(Bytes32Deque storage deque, uint256 count) internal returns (bytes32[] memory values) {
+    if (count > length(deque)) revert OutOfBounds();
+    values = new bytes32[](count);
+    int128 frontIndex = deque._begin;
+    unchecked {
+        for (uint256 i = 0; i < count; ++i) {
+            values[i] = deque._data[frontIndex];
+            delete deque._data[frontIndex++];
+        }
+    }
+    deque._begin = frontIndex;
+}
+
+/**
+ * @dev Returns the item at the beginning of the queue.
+ *
+ * Reverts with \`Empty\` if the queue is empty.
+ */
+function front(Bytes32Deque storage deque) internal view returns (bytes32 value) {
+    if (empty(deque)) revert Empty();
+    int128 frontIndex = deque._begin;
+    return deque._data[frontIndex];
+}
+
+/**
+ * @dev Returns the item at the end of the queue.
+ *
+ * Reverts with \`Empty\` if the queue is empty.
+ */
+function back(Bytes32Deque storage deque) internal view returns (bytes32 value) {
+    if (empty(deque)) revert Empty();
+    int128 backIndex;
+    unchecked {
+        backIndex = deque._end - 1;
+    }
+    return deque._data[backIndex];
+}
+
+/**
+ * @dev Return the item at a position in the queue given by \`index\`, with the first item at 0 and last item at
+ * \`length(deque) - 1\`.
+ *
+ * Reverts with \`OutOfBounds\` if the index is out of bounds.
+ */
+function at(Bytes32Deque storage deque, uint256 index) internal view returns (bytes32 value) {
+    // int256(deque._begin) is a safe upcast
+    int128 idx = SafeCast.toInt128(int256(deque._begin) + SafeCast.toInt256(index));
+    if (idx >= deque._end) revert OutOfBounds();
+    return deque._data[idx];
+}
+
+/**
+ * @dev Return the items at positions \`start\` (inclusive) to \`end\` (exclusive) in the queue, with the first item at
+ * 0 and last item at \`length(deque) - 1\`.
+ *
+ * Reverts with \`OutOfBounds\` if \`start\` is greater than \`end\` or if \`end\` is greater than the length of the queue.
+ */
+function slice(
+    Bytes32Deque storage deque,
+    uint256 start,
+    uint256 end
+) internal view returns (bytes32[] memory values) {
+    if (start > end || end > length(deque)) revert OutOfBounds();
+    values = new bytes32[](end - start);
+    // start is at most the length of the queue, so the index of the first item is within [begin, end]
+    unchecked {
+        int128 index = deque._begin + int128(int256(start));
+        for (uint256 i = 0; i < values.length; ++i) {
+            values[i] = deque._data[index++];
+        }
+    }
+}
+
+/**
+ * @dev Resets the queue back to being empty.
+ *
+ * NOTE: The current items are left behind in storage. This does not affect the functioning of the queue, but misses
+ * out on potential gas refunds.
+ */
+function clear(Bytes32Deque storage deque) internal {
+    deque._begin = 0;
+    deque._end = 0;
+}
+
+/**
+ * @dev Returns the number of items in the queue.
+ */
+function length(Bytes32Deque storage deque) internal view returns (uint256) {
+    // The interface preserves the invariant that begin <= end so we assume this will not overflow.
+    // We also assume there are at most int256.max items in the queue.
+    unchecked {
+        return uint256(int256(deque._end) - int256(deque._begin));
+    }
+}
+
+/**
+ * @dev Returns true if the queue is empty.
+ */
+function empty(Bytes32Deque storage deque) internal view returns (bool) {
+    return deque._end <= deque._begin;
+}
+`;
+
+const customDeque = ({ name, type }) => `\
+// ${name}
+
+struct ${name} {
+    Bytes32Deque _inner;
+}
+
+/**
+ * @dev Inserts an item at the end of the queue.
+ */
+function pushBack(${name} storage deque, ${type} value) internal {
+    pushBack(deque._inner, ${toBytes32(type, 'value')});
+}
+
+/**
+ * @dev Inserts several items at the end of the queue, in order, so that the last item of \`values\` becomes the last
+ * item of the queue.
+ */
+function pushBackMany(${name} storage deque, ${type}[] memory values) internal {
+    bytes32[] memory store;
+
+    assembly {
+        store := values
+    }
+
+    pushBackMany(deque._inner, store);
+}
+
+/**
+ * @dev Removes the item at the end of the queue and returns it.
+ *
+ * Reverts with \`Empty\` if the queue is empty.
+ */
+function popBack(${name} storage deque) internal returns (${type}) {
+    return ${fromBytes32(type, 'popBack(deque._inner)')};
+}
+
+/**
+ * @dev Inserts an item at the beginning of the queue.
+ */
+function pushFront(${name} storage deque, ${type} value) internal {
+    pushFront(deque._inner, ${toBytes32(type, 'value')});
+}
+
+/**
+ * @dev Removes the item at the beginning of the queue and returns it.
+ *
+ * Reverts with \`Empty\` if the queue is empty.
+ */
+function popFront(${name} storage deque) internal returns (${type}) {
+    return ${fromBytes32(type, 'popFront(deque._inner)')};
+}
+
+/**
+ * @dev Removes \`count\` items from the beginning of the queue and returns them, in order.
+ *
+ * Reverts with \`OutOfBounds\` if the queue contains less than \`count\` items.
+ */
+function popFrontMany(${name} storage deque, uint256 count) internal returns (${type}[] memory) {
+    ${returnArray(type, 'popFrontMany(deque._inner, count)')}
+}
+
+/**
+ * @dev Returns the item at the beginning of the queue.
+ *
+ * Reverts with \`Empty\` if the queue is empty.
+ */
+function front(${name} storage deque) internal view returns (${type}) {
+    return ${fromBytes32(type, 'front(deque._inner)')};
+}
+
+/**
+ * @dev Returns the item at the end of the queue.
+ *
+ * Reverts with \`Empty\` if the queue is empty.
+ */
+function back(${name} storage deque) internal view returns (${type}) {
+    return ${fromBytes32(type, 'back(deque._inner)')};
+}
+
+/**
+ * @dev Return the item at a position in the queue given by \`index\`, with the first item at 0 and last item at
+ * \`length(deque) - 1\`.
+ *
+ * Reverts with \`OutOfBounds\` if the index is out of bounds.
+ */
+function at(${name} storage deque, uint256 index) internal view returns (${type}) {
+    return ${fromBytes32(type, 'at(deque._inner, index)')};
+}
+
+/**
+ * @dev Return the items at positions \`start\` (inclusive) to \`end\` (exclusive) in the queue, with the first item at
+ * 0 and last item at \`length(deque) - 1\`.
+ *
+ * Reverts with \`OutOfBounds\` if \`start\` is greater than \`end\` or if \`end\` is greater than the length of the queue.
+ */
+function slice(
+    ${name} storage deque,
+    uint256 start,
+    uint256 end
+) internal view returns (${type}[] memory) {
+    ${returnArray(type, 'slice(deque._inner, start, end)')}
+}
+
+/**
+ * @dev Resets the queue back to being empty.
+ *
+ * NOTE: The current items are left behind in storage. This does not affect the functioning of the queue, but misses
+ * out on potential gas refunds.
+ */
+function clear(${name} storage deque) internal {
+    clear(deque._inner);
+}
+
+/**
+ * @dev Returns the number of items in the queue.
+ */
+function length(${name} storage deque) internal view returns (uint256) {
+    return length(deque._inner);
+}
+
+/**
+ * @dev Returns true if the queue is empty.
+ */
+function empty(${name} storage deque) internal view returns (bool) {
+    return empty(deque._inner);
+}
+`;
+
+// GENERATE
+module.exports = format(
+  header.trimEnd(),
+  'library DoubleEndedQueue {',
+  [
+    defaultDeque().trimEnd(),
+    '',
+    TYPES.map(customDeque).join('\n').trimEnd(),
+  ],
+  '}',
+);
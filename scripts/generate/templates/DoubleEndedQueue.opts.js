@@ -0,0 +1,9 @@
+// Typed wrappers around `Bytes32Deque`, which is the queue every other type is stored in.
+const TYPES = [
+  { name: 'AddressDeque', type: 'address' },
+  { name: 'Uint256Deque', type: 'uint256' },
+];
+
+module.exports = {
+  TYPES,
+};
@@ -0,0 +1,84 @@
+const format = require('../format-lines');
+const { TYPES } = require('./DoubleEndedQueue.opts');
+
+const header = `\
+pragma solidity ^0.8.0;
+
+import "../utils/structs/DoubleEndedQueue.sol";
+`;
+
+const customDequeMock = ({ name, type }) => `\
+// ${name}
+contract ${name}Mock {
+    using DoubleEndedQueue for DoubleEndedQueue.${name};
+
+    event OperationResult(${type} value);
+    event OperationResults(${type}[] values);
+
+    DoubleEndedQueue.${name} private _vector;
+
+    function pushBack(${type} value) public {
+        _vector.pushBack(value);
+    }
+
+    function pushBackMany(${type}[] memory values) public {
+        _vector.pushBackMany(values);
+    }
+
+    function pushFront(${type} value) public {
+        _vector.pushFront(value);
+    }
+
+    function popFront() public returns (${type}) {
+        ${type} value = _vector.popFront();
+        emit OperationResult(value);
+        return value;
+    }
+
+    function popFrontMany(uint256 count) public returns (${type}[] memory) {
+        ${type}[] memory values = _vector.popFrontMany(count);
+        emit OperationResults(values);
+        return values;
+    }
+
+    function popBack() public returns (${type}) {
+        ${type} value = _vector.popBack();
+        emit OperationResult(value);
+        return value;
+    }
+
+    function front() public view returns (${type}) {
+        return _vector.front();
+    }
+
+    function back() public view returns (${type}) {
+        return _vector.back();
+    }
+
+    function at(uint256 i) public view returns (${type}) {
+        return _vector.at(i);
+    }
+
+    function slice(uint256 start, uint256 end) public view returns (${type}[] memory) {
+        return _vector.slice(start, end);
+    }
+
+    function clear() public {
+        _vector.clear();
+    }
+
+    function length() public view returns (uint256) {
+        return _vector.length();
+    }
+
+    function empty() public view returns (bool) {
+        return _vector.empty();
+    }
+}
+`;
+
+// GENERATE
+module.exports = format(
+  header,
+  [ { name: 'Bytes32Deque', type: 'bytes32' }, ...TYPES ].map(customDequeMock).join('\n').trimEnd(),
+);
@@ -0,0 +1,361 @@
+const format = require('../format-lines');
+const { toBytes32, fromBytes32, returnArray } = require('../conversion');
+const { MAPS, DEFAULT_MAP } = require('./EnumerableMap.opts');
+
+/* eslint-disable max-len */
+const header = `\
+pragma solidity ^0.8.0;
+
+import "./EnumerableSet.sol";
+
+/**
+ * @dev Library for managing an enumerable variant of Solidity's
+ * https://solidity.readthedocs.io/en/latest/types.html#mapping-types[\`mapping\`]
+ * type.
+ *
+ * Maps have the following properties:
+ *
+ * - Entries are added, removed, and checked for existence in constant time
+ * (O(1)).
+ * - Entries are enumerated in O(n). No guarantees are made on the ordering.
+ * - Entries can be read in pages of bounded size, using \`entries\` and the
+ * \`offset\` and \`limit\` variant of \`keys\`.
+ *
+ * \`\`\`
+ * contract Example {
+ *     // Add the library methods
+ *     using EnumerableMap for EnumerableMap.UintToAddressMap;
+ *
+ *     // Declare a set state variable
+ *     EnumerableMap.UintToAddressMap private myMap;
+ * }
+ * \`\`\`
+ *
+ * The following map types are supported:
+ *
+${[ DEFAULT_MAP, ...MAPS ]
+    .map(({ key, value, name, since }) => ` * - \`${key} -> ${value}\` (\`${name}\`) since v${since}`)
+    .join('\n')}
+ *
+ * [WARNING]
+ * ====
+ *  Trying to delete such a structure from storage will likely result in data corruption, rendering the structure unusable.
+ *  See https://github.com/ethereum/solidity/pull/11843[ethereum/solidity#11843] for more info.
+ *
+ *  In order to clean an EnumerableMap, you can either remove all elements one by one or create a fresh instance using an array of EnumerableMap.
+ * ====
+ */
+`;
+
+const defaultMap = () => `\
+// To implement this library for multiple types with as little code
+// repetition as possible, we write it in terms of a generic Map type with
+// bytes32 keys and values.
+// The Map implementation uses private functions, and user-facing
+// implementations (such as Uint256ToAddressMap) are just wrappers around
+// the underlying Map.
+// This means that we can only create new EnumerableMaps for types that fit
+// in bytes32.
+
+struct Bytes32ToBytes32Map {
+    // Storage of keys
+    EnumerableSet.Bytes32Set _keys;
+    mapping(bytes32 => bytes32) _values;
+}
+
+/**
+ * @dev Adds a key-value pair to a map, or updates the value for an existing
+ * key. O(1).
+ *
+ * Returns true if the key was added to the map, that is if it was not
+ * already present.
+ */
+function set(
+    Bytes32ToBytes32Map storage map,
+    bytes32 key,
+    bytes32 value
+) internal returns (bool) {
+    map._values[key] = value;
+    return map._keys.add(key);
+}
+
+/**
+ * @dev Removes a key-value pair from a map. O(1).
+ *
+ * Returns true if the key was removed from the map, that is if it was present.
+ */
+function remove(Bytes32ToBytes32Map storage map, bytes32 key) internal returns (bool) {
+    delete map._values[key];
+    return map._keys.remove(key);
+}
+
+/**
+ * @dev Returns true if the key is in the map. O(1).
+ */
+function contains(Bytes32ToBytes32Map storage map, bytes32 key) internal view returns (bool) {
+    return map._keys.contains(key);
+}
+
+/**
+ * @dev Returns the number of key-value pairs in the map. O(1).
+ */
+function length(Bytes32ToBytes32Map storage map) internal view returns (uint256) {
+    return map._keys.length();
+}
+
+/**
+ * @dev Returns the key-value pair stored at position \`index\` in the map. O(1).
+ *
+ * Note that there are no guarantees on the ordering of entries inside the
+ * array, and it may change when more entries are added or removed.
+ *
+ * Requirements:
+ *
+ * - \`index\` must be strictly less than {length}.
+ */
+function at(Bytes32ToBytes32Map storage map, uint256 index) internal view returns (bytes32, bytes32) {
+    bytes32 key = map._keys.at(index);
+    return (key, map._values[key]);
+}
+
+/**
+ * @dev Tries to returns the value associated with \`key\`.  O(1).
+ * Does not revert if \`key\` is not in the map.
+ */
+function tryGet(Bytes32ToBytes32Map storage map, bytes32 key) internal view returns (bool, bytes32) {
+    bytes32 value = map._values[key];
+    if (value == bytes32(0)) {
+        return (contains(map, key), bytes32(0));
+    } else {
+        return (true, value);
+    }
+}
+
+/**
+ * @dev Returns the value associated with \`key\`.  O(1).
+ *
+ * Requirements:
+ *
+ * - \`key\` must be in the map.
+ */
+function get(Bytes32ToBytes32Map storage map, bytes32 key) internal view returns (bytes32) {
+    bytes32 value = map._values[key];
+    require(value != 0 || contains(map, key), "EnumerableMap: nonexistent key");
+    return value;
+}
+
+/**
+ * @dev Same as {_get}, with a custom error message when \`key\` is not in the map.
+ *
+ * CAUTION: This function is deprecated because it requires allocating memory for the error
+ * message unnecessarily. For custom revert reasons use {_tryGet}.
+ */
+function get(
+    Bytes32ToBytes32Map storage map,
+    bytes32 key,
+    string memory errorMessage
+) internal view returns (bytes32) {
+    bytes32 value = map._values[key];
+    require(value != 0 || contains(map, key), errorMessage);
+    return value;
+}
+
+/**
+ * @dev Return an array containing all the keys
+ *
+ * WARNING: This operation will copy the entire storage to memory, which can be quite expensive. This is designed
+ * to mostly be used by view accessors that are queried without any gas fees. Developers should keep in mind that
+ * this function has an unbounded cost, and using it as part of a state-changing function may render the function
+ * uncallable if the map grows to a point where copying to memory consumes too much gas to fit in a block.
+ */
+function keys(Bytes32ToBytes32Map storage map) internal view returns (bytes32[] memory) {
+    return map._keys.values();
+}
+
+/**
+ * @dev Return a page of the keys in an array, with at most \`limit\` keys starting at position \`offset\`. O(limit).
+ *
+ * The returned array is shorter than \`limit\` (possibly empty) when the end of the map is reached. As with {at},
+ * there are no guarantees on the ordering of keys, and it may change when entries are added or removed.
+ */
+function keys(
+    Bytes32ToBytes32Map storage map,
+    uint256 offset,
+    uint256 limit
+) internal view returns (bytes32[] memory) {
+    return map._keys.values(offset, limit);
+}
+
+/**
+ * @dev Return a page of the entries, with at most \`limit\` entries starting at position \`offset\`, as two arrays of
+ * the same length where \`values[i]\` is the value associated with \`keys[i]\`. O(limit).
+ *
+ * The returned arrays are shorter than \`limit\` (possibly empty) when the end of the map is reached. As with {at},
+ * there are no guarantees on the ordering of entries, and it may change when entries are added or removed.
+ */
+function entries(
+    Bytes32ToBytes32Map storage map,
+    uint256 offset,
+    uint256 limit
+) internal view returns (bytes32[] memory keys_, bytes32[] memory values_) {
+    keys_ = map._keys.values(offset, limit);
+    values_ = new bytes32[](keys_.length);
+    for (uint256 i = 0; i < keys_.length; ++i) {
+        values_[i] = map._values[keys_[i]];
+    }
+}
+`;
+
+const customMap = ({ name, key, value }) => `\
+// ${name}
+
+struct ${name} {
+    Bytes32ToBytes32Map _inner;
+}
+
+/**
+ * @dev Adds a key-value pair to a map, or updates the value for an existing
+ * key. O(1).
+ *
+ * Returns true if the key was added to the map, that is if it was not
+ * already present.
+ */
+function set(
+    ${name} storage map,
+    ${key} key,
+    ${value} value
+) internal returns (bool) {
+    return set(map._inner, ${toBytes32(key, 'key')}, ${toBytes32(value, 'value')});
+}
+
+/**
+ * @dev Removes a key-value pair from a map. O(1).
+ *
+ * Returns true if the key was removed from the map, that is if it was present.
+ */
+function remove(${name} storage map, ${key} key) internal returns (bool) {
+    return remove(map._inner, ${toBytes32(key, 'key')});
+}
+
+/**
+ * @dev Returns true if the key is in the map. O(1).
+ */
+function contains(${name} storage map, ${key} key) internal view returns (bool) {
+    return contains(map._inner, ${toBytes32(key, 'key')});
+}
+
+/**
+ * @dev Returns the number of elements in the map. O(1).
+ */
+function length(${name} storage map) internal view returns (uint256) {
+    return length(map._inner);
+}
+
+/**
+ * @dev Returns the element stored at position \`index\` in the map. O(1).
+ * Note that there are no guarantees on the ordering of values inside the
+ * array, and it may change when more values are added or removed.
+ *
+ * Requirements:
+ *
+ * - \`index\` must be strictly less than {length}.
+ */
+function at(${name} storage map, uint256 index) internal view returns (${key}, ${value}) {
+    (bytes32 key, bytes32 value) = at(map._inner, index);
+    return (${fromBytes32(key, 'key')}, ${fromBytes32(value, 'value')});
+}
+
+/**
+ * @dev Tries to returns the value associated with \`key\`.  O(1).
+ * Does not revert if \`key\` is not in the map.
+ */
+function tryGet(${name} storage map, ${key} key) internal view returns (bool, ${value}) {
+    (bool success, bytes32 value) = tryGet(map._inner, ${toBytes32(key, 'key')});
+    return (success, ${fromBytes32(value, 'value')});
+}
+
+/**
+ * @dev Returns the value associated with \`key\`.  O(1).
+ *
+ * Requirements:
+ *
+ * - \`key\` must be in the map.
+ */
+function get(${name} storage map, ${key} key) internal view returns (${value}) {
+    return ${fromBytes32(value, `get(map._inner, ${toBytes32(key, 'key')})`)};
+}
+
+/**
+ * @dev Same as {get}, with a custom error message when \`key\` is not in the map.
+ *
+ * CAUTION: This function is deprecated because it requires allocating memory for the error
+ * message unnecessarily. For custom revert reasons use {tryGet}.
+ */
+function get(
+    ${name} storage map,
+    ${key} key,
+    string memory errorMessage
+) internal view returns (${value}) {
+    return ${fromBytes32(value, `get(map._inner, ${toBytes32(key, 'key')}, errorMessage)`)};
+}
+
+/**
+ * @dev Return an array containing all the keys
+ *
+ * WARNING: This operation will copy the entire storage to memory, which can be quite expensive. This is designed
+ * to mostly be used by view accessors that are queried without any gas fees. Developers should keep in mind that
+ * this function has an unbounded cost, and using it as part of a state-changing function may render the function
+ * uncallable if the map grows to a point where copying to memory consumes too much gas to fit in a block.
+ */
+function keys(${name} storage map) internal view returns (${key}[] memory) {
+${format([ returnArray(key, 'keys(map._inner)') ]).trimEnd()}
+}
+
+/**
+ * @dev Return a page of the keys in an array, with at most \`limit\` keys starting at position \`offset\`. O(limit).
+ *
+ * The returned array is shorter than \`limit\` (possibly empty) when the end of the map is reached. As with {at},
+ * there are no guarantees on the ordering of keys, and it may change when entries are added or removed.
+ */
+function keys(
+    ${name} storage map,
+    uint256 offset,
+    uint256 limit
+) internal view returns (${key}[] memory) {
+${format([ returnArray(key, 'keys(map._inner, offset, limit)') ]).trimEnd()}
+}
+
+/**
+ * @dev Return a page of the entries, with at most \`limit\` entries starting at position \`offset\`, as two arrays of
+ * the same length where \`values[i]\` is the value associated with \`keys[i]\`. O(limit).
+ *
+ * The returned arrays are shorter than \`limit\` (possibly empty) when the end of the map is reached. As with {at},
+ * there are no guarantees on the ordering of entries, and it may change when entries are added or removed.
+ */
+function entries(
+    ${name} storage map,
+    uint256 offset,
+    uint256 limit
+) internal view returns (${key}[] memory keys_, ${value}[] memory values_) {
+    (bytes32[] memory keysStore, bytes32[] memory valuesStore) = entries(map._inner, offset, limit);
+
+    assembly {
+        keys_ := keysStore
+        values_ := valuesStore
+    }
+}
+`;
+/* eslint-enable max-len */
+
+// GENERATE
+module.exports = format(
+  header.trimEnd(),
+  'library EnumerableMap {',
+  [
+    'using EnumerableSet for EnumerableSet.Bytes32Set;',
+    '',
+    defaultMap(),
+    MAPS.map(map => customMap(map)).join('\n'),
+  ],
+  '}',
+);
@@ -0,0 +1,26 @@
+const TYPES = {
+  bytes32: 'Bytes32',
+  uint256: 'Uint',
+  address: 'Address',
+};
+
+// Every pairing of the types above, except `bytes32 -> bytes32` which is the underlying map. The version is the one
+// in which the map type was introduced.
+const MAPS = [
+  { key: 'uint256', value: 'uint256', since: '4.7.0' },
+  { key: 'uint256', value: 'address', since: '3.0.0' },
+  { key: 'uint256', value: 'bytes32', since: '4.7.0' },
+  { key: 'address', value: 'uint256', since: '4.6.0' },
+  { key: 'address', value: 'address', since: '4.7.0' },
+  { key: 'address', value: 'bytes32', since: '4.7.0' },
+  { key: 'bytes32', value: 'uint256', since: '4.7.0' },
+  { key: 'bytes32', value: 'address', since: '4.7.0' },
+].map(map => ({ ...map, name: `${TYPES[map.key]}To${TYPES[map.value]}Map` }));
+
+const DEFAULT_MAP = { key: 'bytes32', value: 'bytes32', since: '4.6.0', name: 'Bytes32ToBytes32Map' };
+
+module.exports = {
+  TYPES,
+  MAPS,
+  DEFAULT_MAP,
+};
@@ -0,0 +1,71 @@
+const format = require('../format-lines');
+const { MAPS, DEFAULT_MAP } = require('./EnumerableMap.opts');
+
+const header = `\
+pragma solidity ^0.8.0;
+
+import "../utils/structs/EnumerableMap.sol";
+`;
+
+const mock = ({ name, key, value }) => `\
+// ${name}
+contract ${name}Mock {
+    using EnumerableMap for EnumerableMap.${name};
+
+    event OperationResult(bool result);
+
+    EnumerableMap.${name} private _map;
+
+    function contains(${key} key) public view returns (bool) {
+        return _map.contains(key);
+    }
+
+    function set(${key} key, ${value} value) public {
+        bool result = _map.set(key, value);
+        emit OperationResult(result);
+    }
+
+    function remove(${key} key) public {
+        bool result = _map.remove(key);
+        emit OperationResult(result);
+    }
+
+    function length() public view returns (uint256) {
+        return _map.length();
+    }
+
+    function at(uint256 index) public view returns (${key} key, ${value} value) {
+        return _map.at(index);
+    }
+
+    function tryGet(${key} key) public view returns (bool, ${value}) {
+        return _map.tryGet(key);
+    }
+
+    function get(${key} key) public view returns (${value}) {
+        return _map.get(key);
+    }
+
+    function getWithMessage(${key} key, string calldata errorMessage) public view returns (${value}) {
+        return _map.get(key, errorMessage);
+    }
+
+    function keys() public view returns (${key}[] memory) {
+        return _map.keys();
+    }
+
+    function keysRange(uint256 offset, uint256 limit) public view returns (${key}[] memory) {
+        return _map.keys(offset, limit);
+    }
+
+    function entries(uint256 offset, uint256 limit) public view returns (${key}[] memory, ${value}[] memory) {
+        return _map.entries(offset, limit);
+    }
+}
+`;
+
+// GENERATE
+module.exports = format(
+  header,
+  [ DEFAULT_MAP, ...MAPS ].map(map => mock(map)).join('\n').trimEnd(),
+);
@@ -0,0 +1,9 @@
+const TYPES = [
+  { name: 'Bytes32Set', type: 'bytes32' },
+  { name: 'AddressSet', type: 'address' },
+  { name: 'UintSet', type: 'uint256' },
+];
+
+module.exports = {
+  TYPES,
+};
@@ -0,0 +1,9 @@
+// Lengths, in bits, of the types that `SafeCast` can downcast to. Adding a length here adds the corresponding
+// function to the library, its mock and its tests.
+const UINT_LENGTHS = [ 224, 128, 96, 64, 48, 32, 16, 8 ];
+const INT_LENGTHS = [ 128, 64, 32, 16, 8 ];
+
+module.exports = {
+  UINT_LENGTHS,
+  INT_LENGTHS,
+};
@@ -0,0 +1,45 @@
+const format = require('../format-lines');
+const { UINT_LENGTHS, INT_LENGTHS } = require('./SafeCast.opts');
+
+const header = `\
+pragma solidity ^0.8.0;
+
+import "../utils/math/SafeCast.sol";
+`;
+
+const toUintDownCast = length => `\
+function toUint${length}(uint256 a) public pure returns (uint${length}) {
+    return a.toUint${length}();
+}
+`;
+
+const toIntDownCast = length => `\
+function toInt${length}(int256 a) public pure returns (int${length}) {
+    return a.toInt${length}();
+}
+`;
+
+const toUint = `\
+function toUint256(int256 a) public pure returns (uint256) {
+    return a.toUint256();
+}
+`;
+
+const toInt = `\
+function toInt256(uint256 a) public pure returns (int256) {
+    return a.toInt256();
+}
+`;
+
+// GENERATE
+module.exports = format(
+  header,
+  'contract SafeCastMock {',
+  [
+    'using SafeCast for uint256;',
+    'using SafeCast for int256;',
+    '',
+    [ toUint, ...UINT_LENGTHS.map(toUintDownCast), toInt, ...INT_LENGTHS.map(toIntDownCast) ].join('\n').trimEnd(),
+  ],
+  '}',
+);
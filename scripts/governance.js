@@ -0,0 +1,600 @@
+const utils = require('web3-utils');
+const abi = require('web3-eth-abi');
+
+function zip (...args) {
+  return Array(Math.max(...args.map(array => array.length)))
+    .fill()
+    .map((_, i) => args.map(array => array[i]));
+}
+
+function concatHex (...args) {
+  return utils.bytesToHex([].concat(...args.map(h => utils.hexToBytes(h || '0x'))));
+}
+
+function concatOpts (args, opts = null) {
+  return opts ? args.concat(opts) : args;
+}
+
+function toBN (value) {
+  return utils.toBN(value.toString());
+}
+
+/**
+ * The helper accepts contract instances from truffle, web3 and ethers. Transactions return whatever the library
+ * returns (a truffle receipt, a web3 receipt or an ethers transaction), and `opts` are passed to it as is (transaction
+ * options for truffle and web3, overrides for ethers). Numbers read from the governor are returned as `BN`.
+ */
+function contractKind (contract) {
+  if (contract.interface && contract.functions) return 'ethers';
+  if (contract.contract && contract.methods) return 'truffle';
+  if (contract.options && contract.methods) return 'web3';
+  throw new Error('Unsupported contract instance, expected a truffle, web3 or ethers contract');
+}
+
+// ethers doesn't accept `BN` arguments, which are converted to decimal strings
+function toEthersArg (arg) {
+  return Array.isArray(arg) ? arg.map(toEthersArg) : utils.isBN(arg) ? arg.toString() : arg;
+}
+
+function send (contract, method, args, opts = null) {
+  switch (contractKind(contract)) {
+  case 'ethers':
+    return contract[method](...concatOpts(args.map(toEthersArg), opts));
+  case 'truffle':
+    return (method.includes('(') ? contract.methods[method] : contract[method])(...concatOpts(args, opts));
+  case 'web3':
+    return contract.methods[method](...args).send(opts || {});
+  }
+}
+
+/**
+ * Sends a transaction from `account`, which must be an unlocked account of the node. Ethers contracts are connected to
+ * the signer of `account` on their provider, since ethers doesn't take the sender from the overrides.
+ */
+function sendFrom (contract, account, method, args) {
+  if (contractKind(contract) !== 'ethers') {
+    return send(contract, method, args, { from: account });
+  }
+  const provider = contract.provider || contract.signer.provider;
+  return send(contract.connect(provider.getSigner(account)), method, args);
+}
+
+function call (contract, method, args = []) {
+  switch (contractKind(contract)) {
+  case 'ethers':
+    return contract[method](...args.map(toEthersArg));
+  case 'truffle':
+    return contract[method](...args);
+  case 'web3':
+    return contract.methods[method](...args).call();
+  }
+}
+
+function getPastEvents (contract, name, fromBlock) {
+  return contractKind(contract) === 'ethers'
+    ? contract.queryFilter(contract.filters[name](), fromBlock)
+    : contract.getPastEvents(name, { fromBlock });
+}
+
+/**
+ * Returns the provider of a contract instance, used when no provider is given to the helper.
+ */
+function providerOf (contract) {
+  switch (contractKind(contract)) {
+  case 'ethers':
+    return contract.provider || (contract.signer && contract.signer.provider);
+  case 'truffle':
+    return contract.contract.currentProvider;
+  case 'web3':
+    return contract.currentProvider;
+  }
+}
+
+/**
+ * Sends a JSON-RPC request through an EIP-1193 provider (such as Hardhat's `network.provider`), an ethers provider or
+ * a legacy web3 provider.
+ */
+function request (provider, method, params = []) {
+  if (typeof provider.request === 'function') {
+    return provider.request({ method, params });
+  }
+  if (provider._isProvider) {
+    return provider.send(method, params);
+  }
+  return new Promise((resolve, reject) =>
+    (provider.sendAsync || provider.send).call(
+      provider,
+      { jsonrpc: '2.0', method, params, id: Date.now() },
+      (error, response) => error || response.error ? reject(error || response.error) : resolve(response.result),
+    ),
+  );
+}
+
+function latestBlock (provider) {
+  return request(provider, 'eth_getBlockByNumber', [ 'latest', false ])
+    .then(block => ({ number: toBN(block.number), timestamp: toBN(block.timestamp) }));
+}
+
+// Moves the clock of the chain forward, indexed by clock mode, as reported by `CLOCK_MODE()` (see EIP-6372). These
+// rely on the `evm_mine` and `evm_setNextBlockTimestamp` methods of development networks.
+const forward = {
+  // mine blocks until the target block number is reached
+  blocknumber: async (provider, timepoint) => {
+    for (let { number } = await latestBlock(provider); number.lt(toBN(timepoint)); number = number.addn(1)) {
+      await request(provider, 'evm_mine');
+    }
+  },
+  // mine a block with the exact target timestamp, unless it is already reached
+  timestamp: async (provider, timepoint) => {
+    const { timestamp } = await latestBlock(provider);
+    if (toBN(timepoint).gt(timestamp)) {
+      await request(provider, 'evm_setNextBlockTimestamp', [ toBN(timepoint).toNumber() ]);
+      await request(provider, 'evm_mine');
+    }
+  },
+};
+
+/**
+ * @typedef {Object} Proposal
+ * @property {BN} id - proposal id, as computed by `Governor.hashProposal`
+ * @property {string[]} targets
+ * @property {string[]} values
+ * @property {string[]} signatures - Bravo style function signatures (empty strings if not used)
+ * @property {string[]} data - calldata, without the selector if a signature is provided
+ * @property {string[]} fulldata - calldata, including the selector derived from the signature
+ * @property {string} description
+ * @property {string} descriptionHash
+ * @property {Array} shortProposal - arguments of `queue`, `execute` and `cancel`
+ * @property {Array} fullProposal - arguments of `propose`
+ * @property {boolean} useCompatibilityInterface - whether to use the `GovernorCompatibilityBravo` interface
+ */
+
+/**
+ * Returns the keccak256 hash of a proposal description, as used by the `Governor` to compute proposal ids.
+ */
+function hashDescription (description) {
+  return utils.keccak256(description);
+}
+
+/**
+ * Returns the proposal id, as computed by `Governor.hashProposal`.
+ */
+function hashProposal (targets, values, calldatas, descriptionHash) {
+  return utils.toBN(utils.keccak256(abi.encodeParameters(
+    [ 'address[]', 'uint256[]', 'bytes[]', 'bytes32' ],
+    [ targets, values, calldatas, descriptionHash ],
+  )));
+}
+
+/**
+ * Build a proposal object from a description and a list of actions, specified either as
+ * 1) an array of objects [{ target, value, data, signature? }]
+ * 2) an object of arrays { targets: [], values: [], data: [], signatures?: [] }
+ *
+ * If any action has a signature, the proposal will use the `GovernorCompatibilityBravo` interface.
+ *
+ * @returns {Proposal}
+ */
+function buildProposal (actions, description) {
+  let targets, values, signatures, data, useCompatibilityInterface;
+
+  if (Array.isArray(actions)) {
+    useCompatibilityInterface = actions.some(a => 'signature' in a);
+    targets = actions.map(a => a.target);
+    values = actions.map(a => a.value || '0');
+    signatures = actions.map(a => a.signature || '');
+    data = actions.map(a => a.data || '0x');
+  } else {
+    useCompatibilityInterface = Array.isArray(actions.signatures);
+    ({ targets, values, signatures = [], data } = actions);
+  }
+
+  const fulldata = zip(signatures.map(s => s && abi.encodeFunctionSignature(s)), data)
+    .map(hexs => concatHex(...hexs));
+
+  const descriptionHash = hashDescription(description);
+
+  // condensed version for queueing end executing
+  const shortProposal = [
+    targets,
+    values,
+    fulldata,
+    descriptionHash,
+  ];
+
+  // full version for proposing
+  const fullProposal = [
+    targets,
+    values,
+    ...(useCompatibilityInterface ? [ signatures ] : []),
+    data,
+    description,
+  ];
+
+  // proposal id
+  const id = hashProposal(...shortProposal);
+
+  return {
+    id,
+    targets,
+    values,
+    signatures,
+    data,
+    fulldata,
+    description,
+    descriptionHash,
+    shortProposal,
+    fullProposal,
+    useCompatibilityInterface,
+  };
+}
+
+/**
+ * @typedef {Object} DecodedAction
+ * @property {string} target
+ * @property {string} value
+ * @property {string} data - full calldata, including the selector
+ * @property {string} selector
+ * @property {string|null} signature - canonical function signature, or null if the call could not be decoded
+ * @property {string|null} name - function name, or null if the call could not be decoded
+ * @property {Array<{ name: string, type: string, value: * }>} args
+ * @property {string} description - human-readable version of the call
+ */
+
+/**
+ * Split the parameter list of a function signature (e.g. `f(uint256,(address,bytes)[])`) into its top level types.
+ */
+function splitSignatureTypes (signature) {
+  const params = signature.slice(signature.indexOf('(') + 1, signature.lastIndexOf(')'));
+  const types = [];
+  let depth = 0;
+  let current = '';
+  for (const c of params) {
+    if (c === ',' && depth === 0) {
+      types.push(current);
+      current = '';
+      continue;
+    }
+    depth += c === '(' ? 1 : c === ')' ? -1 : 0;
+    current += c;
+  }
+  return current ? types.concat(current) : types;
+}
+
+/**
+ * Returns the ABI fragments of `abis` that may be used to decode a call to `target`. `abis` is either an array of ABIs
+ * that are all searched, or an object mapping (case-insensitive) target addresses to their ABI.
+ */
+function candidateFragments (target, abis) {
+  const entries = Array.isArray(abis)
+    ? abis
+    : Object.entries(abis)
+      .filter(([ address ]) => address.toLowerCase() === target.toLowerCase())
+      .map(([ , abi ]) => abi);
+
+  return [].concat(...entries.map(abi => abi.abi || abi)).filter(({ type }) => type === 'function');
+}
+
+/**
+ * Returns the canonical type of an ABI input, as used in function signatures, expanding tuples into their components.
+ */
+function canonicalType ({ type, components }) {
+  return type.startsWith('tuple')
+    ? `(${components.map(canonicalType).join(',')})${type.slice('tuple'.length)}`
+    : type;
+}
+
+function formatValue (value) {
+  return Array.isArray(value)
+    ? `[${value.map(formatValue).join(', ')}]`
+    : value.toString();
+}
+
+/**
+ * Decode a single action of a proposal. The action can use a Bravo style `signature`, in which case `data` only holds
+ * the encoded arguments. Otherwise the function is looked up in `abis` using the selector at the start of `data`.
+ * Calls that cannot be matched to a function are returned with a null `signature` and empty `args`.
+ *
+ * @returns {DecodedAction}
+ */
+function decodeAction ({ target, value = '0', signature = '', data = '0x' }, abis = []) {
+  const fulldata = signature ? concatHex(abi.encodeFunctionSignature(signature), data) : data;
+  const selector = fulldata.slice(0, 10);
+
+  const fragment = candidateFragments(target, abis).find(f => abi.encodeFunctionSignature(f) === selector);
+  const inputs = fragment
+    ? fragment.inputs
+    : signature
+      ? splitSignatureTypes(signature).map((type, i) => ({ name: `arg${i}`, type }))
+      : null;
+
+  const decoded = {
+    target,
+    value: value.toString(),
+    data: fulldata,
+    selector,
+    signature: null,
+    name: null,
+    args: [],
+  };
+
+  if (inputs) {
+    try {
+      const values = abi.decodeParameters(inputs, '0x' + fulldata.slice(10));
+      decoded.name = fragment ? fragment.name : signature.slice(0, signature.indexOf('('));
+      decoded.signature = `${decoded.name}(${inputs.map(canonicalType).join(',')})`;
+      decoded.args = inputs.map(({ name, type }, i) => ({ name, type, value: values[i] }));
+    } catch (err) {
+      // malformed calldata, the call is reported as unknown
+    }
+  }
+
+  decoded.description = [
+    target,
+    decoded.signature
+      ? `.${decoded.name}(${decoded.args.map(({ value }) => formatValue(value)).join(', ')})`
+      : fulldata.length > 2 ? ` (unknown call ${selector})` : '',
+    decoded.value === '0' ? '' : ` {value: ${decoded.value}}`,
+  ].join('');
+
+  return decoded;
+}
+
+/**
+ * Decode a proposal from a `ProposalCreated` event, as found in a truffle receipt (`args`) or as returned by web3
+ * (`returnValues`). See {decodeAction} for the format of `abis`.
+ *
+ * @returns {{ id: BN, proposer: string, description: string, descriptionHash: string, actions: DecodedAction[] }}
+ */
+function decodeProposalCreated (event, abis = []) {
+  const { proposalId, proposer, targets, values, signatures, calldatas, description } =
+    event.args || event.returnValues || event;
+
+  return {
+    id: utils.toBN(proposalId.toString()),
+    proposer,
+    description,
+    descriptionHash: hashDescription(description),
+    actions: zip(targets, values, signatures, calldatas).map(([ target, value, signature, data ]) =>
+      decodeAction({ target, value, signature, data }, abis),
+    ),
+  };
+}
+
+/**
+ * Handle on a single proposal of a `Governor` instance. Each handle carries the proposal details (see {Proposal}) and
+ * drives the lifecycle of that proposal independently of any other, so several proposals can be interleaved.
+ */
+class GovernorProposal {
+  constructor (governor, proposal, provider = providerOf(governor)) {
+    this.governor = governor;
+    this.provider = provider;
+    Object.assign(this, proposal);
+  }
+
+  propose (opts = null) {
+    return this.useCompatibilityInterface
+      ? send(this.governor, 'propose(address[],uint256[],string[],bytes[],string)', this.fullProposal, opts)
+      : send(this.governor, 'propose(address[],uint256[],bytes[],string)', this.fullProposal, opts);
+  }
+
+  queue (opts = null) {
+    return this.useCompatibilityInterface
+      ? send(this.governor, 'queue(uint256)', [ this.id.toString() ], opts)
+      : send(this.governor, 'queue(address[],uint256[],bytes[],bytes32)', this.shortProposal, opts);
+  }
+
+  execute (opts = null) {
+    return this.useCompatibilityInterface
+      ? send(this.governor, 'execute(uint256)', [ this.id.toString() ], opts)
+      : send(this.governor, 'execute(address[],uint256[],bytes[],bytes32)', this.shortProposal, opts);
+  }
+
+  cancel (opts = null) {
+    return this.useCompatibilityInterface
+      ? send(this.governor, 'cancel(uint256)', [ this.id.toString() ], opts)
+      : send(this.governor, 'cancel(address[],uint256[],bytes[],bytes32)', this.shortProposal, opts);
+  }
+
+  vote (vote = {}, opts = null) {
+    return vote.signature
+      // if signature, and either params or reason →
+      ? vote.params || vote.reason
+        ? vote.signature({
+          proposalId: this.id,
+          support: vote.support,
+          reason: vote.reason || '',
+          params: vote.params || '',
+        }).then(({ v, r, s }) => send(
+          this.governor,
+          'castVoteWithReasonAndParamsBySig',
+          [ this.id.toString(), vote.support, vote.reason || '', vote.params || '', v, r, s ],
+          opts,
+        ))
+        : vote.signature({
+          proposalId: this.id,
+          support: vote.support,
+        }).then(({ v, r, s }) => send(
+          this.governor,
+          'castVoteBySig',
+          [ this.id.toString(), vote.support, v, r, s ],
+          opts,
+        ))
+      : vote.params
+        // otherwise if params
+        ? send(
+          this.governor,
+          'castVoteWithReasonAndParams',
+          [ this.id.toString(), vote.support, vote.reason || '', vote.params ],
+          opts,
+        )
+        : vote.reason
+          // otherwise if reason
+          ? send(this.governor, 'castVoteWithReason', [ this.id.toString(), vote.support, vote.reason ], opts)
+          : send(this.governor, 'castVote', [ this.id.toString(), vote.support ], opts);
+  }
+
+  waitForSnapshot (offset = 0) {
+    return Promise.all([ this.snapshot(), this.clockMode() ])
+      .then(([ timepoint, mode ]) => forward[mode](this.provider, timepoint.addn(offset)));
+  }
+
+  waitForDeadline (offset = 0) {
+    return Promise.all([ this.deadline(), this.clockMode() ])
+      .then(([ timepoint, mode ]) => forward[mode](this.provider, timepoint.addn(offset)));
+  }
+
+  waitForEta (offset = 0) {
+    return this.eta()
+      .then(timestamp => forward.timestamp(this.provider, timestamp.addn(offset)));
+  }
+
+  state () {
+    return call(this.governor, 'state', [ this.id.toString() ]).then(toBN);
+  }
+
+  /**
+   * Returns the clock mode of the governor (`blocknumber` or `timestamp`), as described by its `CLOCK_MODE()`.
+   */
+  clockMode () {
+    return call(this.governor, 'CLOCK_MODE')
+      .then(mode => new URLSearchParams(mode).get('mode'));
+  }
+
+  snapshot () {
+    return call(this.governor, 'proposalSnapshot', [ this.id.toString() ]).then(toBN);
+  }
+
+  deadline () {
+    return call(this.governor, 'proposalDeadline', [ this.id.toString() ]).then(toBN);
+  }
+
+  eta () {
+    return call(this.governor, 'proposalEta', [ this.id.toString() ]).then(toBN);
+  }
+
+  hasVoted (account) {
+    return call(this.governor, 'hasVoted', [ this.id.toString(), account ]);
+  }
+}
+
+/**
+ * Drives the lifecycle of proposals on a `Governor` instance. Works with the core `Governor` interface, with the
+ * `GovernorCompatibilityBravo` interface and with timelocked governors (`GovernorTimelockControl` and
+ * `GovernorTimelockCompound`).
+ *
+ * Proposals are created with {buildProposal}, and each of them can be driven through its own handle. For tests that
+ * only deal with one proposal at a time, {setProposal} selects a current proposal that the shortcut methods of the
+ * helper (`propose`, `vote`, `waitForDeadline`, ...) operate on.
+ *
+ * The governor can be a truffle, web3 or ethers contract instance. Waiting functions move the clock of the chain
+ * forward through `provider`, which can be an EIP-1193 provider (such as Hardhat's `network.provider`), an ethers
+ * provider or a web3 provider, and defaults to the provider of the governor instance. They follow the clock of the
+ * governor, which can be block numbers or timestamps (see `CLOCK_MODE()`), and require a development network that
+ * supports `evm_mine` and `evm_setNextBlockTimestamp`.
+ *
+ * Example:
+ *
+ *   const { GovernorHelper } = require('../scripts/governance');
+ *   const helper = new GovernorHelper(governor, { provider: network.provider });
+ *   const proposal = helper.buildProposal([{ target, data }], '<description>');
+ *   await proposal.propose({ from: proposer });
+ */
+class GovernorHelper {
+  constructor (governor, { provider = providerOf(governor) } = {}) {
+    this.governor = governor;
+    this.provider = provider;
+  }
+
+  /**
+   * Delegates the votes of `delegation.to` to itself, and funds it with `delegation.value` tokens or with the NFT
+   * `delegation.tokenId`. The delegation is sent from `delegation.to`, which must be an unlocked account of the node,
+   * while the funding is sent with `opts` (from the connected signer for ethers).
+   */
+  delegate (delegation = {}, opts = null) {
+    // The funding is sent once the delegation is mined, so that its gas is not estimated against a stale state.
+    return sendFrom(delegation.token, delegation.to, 'delegate', [ delegation.to ]).then(tx => Promise.all([
+      tx,
+      delegation.value &&
+        send(delegation.token, 'transfer', [ delegation.to, delegation.value ], opts),
+      delegation.tokenId &&
+        call(delegation.token, 'ownerOf', [ delegation.tokenId ]).then(owner =>
+          send(delegation.token, 'transferFrom', [ owner, delegation.to, delegation.tokenId ], opts),
+        ),
+    ]));
+  }
+
+  propose (opts = null) {
+    return this.currentProposal.propose(opts);
+  }
+
+  queue (opts = null) {
+    return this.currentProposal.queue(opts);
+  }
+
+  execute (opts = null) {
+    return this.currentProposal.execute(opts);
+  }
+
+  cancel (opts = null) {
+    return this.currentProposal.cancel(opts);
+  }
+
+  vote (vote = {}, opts = null) {
+    return this.currentProposal.vote(vote, opts);
+  }
+
+  waitForSnapshot (offset = 0) {
+    return this.currentProposal.waitForSnapshot(offset);
+  }
+
+  waitForDeadline (offset = 0) {
+    return this.currentProposal.waitForDeadline(offset);
+  }
+
+  waitForEta (offset = 0) {
+    return this.currentProposal.waitForEta(offset);
+  }
+
+  /**
+   * Build a handle on a proposal, without changing the current proposal. See {buildProposal} for the format of
+   * `actions`.
+   *
+   * @returns {GovernorProposal}
+   */
+  buildProposal (actions, description) {
+    return new GovernorProposal(this.governor, buildProposal(actions, description), this.provider);
+  }
+
+  /**
+   * Set the proposal that the shortcut methods operate on. See {buildProposal} for the format of `actions`.
+   *
+   * @returns {GovernorProposal}
+   */
+  setProposal (actions, description) {
+    this.currentProposal = this.buildProposal(actions, description);
+    return this.currentProposal;
+  }
+
+  /**
+   * Decode a proposal of the governor from its `ProposalCreated` event. See {decodeAction} for the format of `abis`.
+   */
+  decodeProposal (proposalId, abis = [], fromBlock = 0) {
+    return getPastEvents(this.governor, 'ProposalCreated', fromBlock)
+      .then(events => events.find(event => toBN((event.args || event.returnValues).proposalId).eq(toBN(proposalId))))
+      .then(event => {
+        if (!event) throw new Error(`ProposalCreated event not found for proposal ${proposalId}`);
+        return decodeProposalCreated(event, abis);
+      });
+  }
+}
+
+module.exports = {
+  GovernorHelper,
+  GovernorProposal,
+  buildProposal,
+  hashProposal,
+  hashDescription,
+  decodeAction,
+  decodeProposalCreated,
+};
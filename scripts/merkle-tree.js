@@ -0,0 +1,297 @@
+const { keccak256, bufferToHex, toBuffer } = require('ethereumjs-util');
+const abi = require('web3-eth-abi');
+
+const FORMAT = 'standard-v1';
+
+/**
+ * Merkle tree whose leaves are ABI encoded values, compatible with `MerkleProof`.
+ *
+ * Leaves are double hashed, i.e. `keccak256(bytes.concat(keccak256(abi.encode(...value))))`, so that a leaf can never
+ * be reinterpreted as the concatenation of two internal nodes. Pairs of nodes are sorted before being hashed, as
+ * expected by `MerkleProof.processProof`.
+ *
+ * Example:
+ *
+ *   const tree = StandardMerkleTree.of([[ '0x1111...', '5000' ], [ '0x2222...', '2500' ]], [ 'address', 'uint256' ]);
+ *   fs.writeFileSync('tree.json', JSON.stringify(tree.dump()));
+ *   const proof = StandardMerkleTree.load(JSON.parse(fs.readFileSync('tree.json'))).getProof([ '0x1111...', '5000' ]);
+ *
+ * Values are stored as provided in the dump, so large numbers should be given as strings.
+ */
+class StandardMerkleTree {
+  static of (values, leafEncoding) {
+    if (values.length === 0) {
+      throw new Error('Expected non-zero number of leaves');
+    }
+
+    const hashedValues = values
+      .map((value, valueIndex) => ({ valueIndex, hash: toBuffer(standardLeafHash(value, leafEncoding)) }))
+      .sort((a, b) => Buffer.compare(a.hash, b.hash));
+
+    const tree = makeTree(hashedValues.map(({ hash }) => hash));
+
+    const indexedValues = values.map(value => ({ value, treeIndex: 0 }));
+    for (const [ leafIndex, { valueIndex } ] of hashedValues.entries()) {
+      indexedValues[valueIndex].treeIndex = tree.length - leafIndex - 1;
+    }
+
+    return new StandardMerkleTree(tree, indexedValues, leafEncoding);
+  }
+
+  static load (data) {
+    if (data.format !== FORMAT) {
+      throw new Error(`Unknown format '${data.format}'`);
+    }
+    return new StandardMerkleTree(data.tree.map(node => toBuffer(node)), data.values, data.leafEncoding);
+  }
+
+  static verify (root, leafEncoding, value, proof) {
+    const leaf = toBuffer(standardLeafHash(value, leafEncoding));
+    return bufferToHex(processProof(leaf, proof.map(node => toBuffer(node)))) === root;
+  }
+
+  static verifyMultiProof (root, leafEncoding, multiproof) {
+    const leaves = multiproof.leaves.map(value => toBuffer(standardLeafHash(value, leafEncoding)));
+    const proof = multiproof.proof.map(node => toBuffer(node));
+    return bufferToHex(processMultiProof({ leaves, proof, proofFlags: multiproof.proofFlags })) === root;
+  }
+
+  constructor (tree, values, leafEncoding) {
+    this.tree = tree;
+    this.values = values;
+    this.leafEncoding = leafEncoding;
+    this.hashLookup = Object.fromEntries(
+      values.map(({ value }, valueIndex) => [ standardLeafHash(value, leafEncoding), valueIndex ]),
+    );
+  }
+
+  get root () {
+    return bufferToHex(this.tree[0]);
+  }
+
+  dump () {
+    return {
+      format: FORMAT,
+      tree: this.tree.map(node => bufferToHex(node)),
+      values: this.values,
+      leafEncoding: this.leafEncoding,
+    };
+  }
+
+  *entries () {
+    for (const [ valueIndex, { value } ] of this.values.entries()) {
+      yield [ valueIndex, value ];
+    }
+  }
+
+  leafHash (value) {
+    return standardLeafHash(value, this.leafEncoding);
+  }
+
+  leafLookup (value) {
+    const valueIndex = this.hashLookup[this.leafHash(value)];
+    if (valueIndex === undefined) {
+      throw new Error('Leaf is not in tree');
+    }
+    return valueIndex;
+  }
+
+  /**
+   * Returns the proof for a value, given either as the value itself or as its index in the values of the tree.
+   */
+  getProof (leaf) {
+    const valueIndex = typeof leaf === 'number' ? leaf : this.leafLookup(leaf);
+    this._validateValue(valueIndex);
+
+    const proof = getProof(this.tree, this.values[valueIndex].treeIndex).map(node => bufferToHex(node));
+
+    // sanity check, a proof for a value of the tree should always be valid
+    if (!StandardMerkleTree.verify(this.root, this.leafEncoding, this.values[valueIndex].value, proof)) {
+      throw new Error('Unable to prove value');
+    }
+
+    return proof;
+  }
+
+  /**
+   * Returns a multiproof for several values, given either as the values themselves or as their indices in the values
+   * of the tree. The values are returned in `leaves`, in the order expected by `MerkleProof.multiProofVerify`, which is
+   * not necessarily the order in which they were given.
+   */
+  getMultiProof (leaves) {
+    const valueIndices = leaves.map(leaf => typeof leaf === 'number' ? leaf : this.leafLookup(leaf));
+    for (const valueIndex of valueIndices) {
+      this._validateValue(valueIndex);
+    }
+
+    const { leaves: leafIndices, proof, proofFlags } = getMultiProof(
+      this.tree,
+      valueIndices.map(valueIndex => this.values[valueIndex].treeIndex),
+    );
+    const valueByTreeIndex = Object.fromEntries(this.values.map(({ value, treeIndex }) => [ treeIndex, value ]));
+
+    const multiproof = {
+      leaves: leafIndices.map(treeIndex => valueByTreeIndex[treeIndex]),
+      proof: proof.map(node => bufferToHex(node)),
+      proofFlags,
+    };
+
+    // sanity check, a multiproof for values of the tree should always be valid
+    if (!StandardMerkleTree.verifyMultiProof(this.root, this.leafEncoding, multiproof)) {
+      throw new Error('Unable to prove values');
+    }
+
+    return multiproof;
+  }
+
+  /**
+   * Checks that the tree is consistent with its values, which is useful when it was loaded from an untrusted source.
+   */
+  validate () {
+    for (const valueIndex of this.values.keys()) {
+      this._validateValue(valueIndex);
+    }
+    if (!isValidTree(this.tree)) {
+      throw new Error('Merkle tree is invalid');
+    }
+  }
+
+  _validateValue (valueIndex) {
+    if (!(valueIndex in this.values)) {
+      throw new Error('Index out of bounds');
+    }
+    const { value, treeIndex } = this.values[valueIndex];
+    checkLeafNode(this.tree, treeIndex);
+    if (bufferToHex(this.tree[treeIndex]) !== this.leafHash(value)) {
+      throw new Error('Merkle tree does not contain the expected value');
+    }
+  }
+}
+
+function standardLeafHash (value, leafEncoding) {
+  return bufferToHex(keccak256(keccak256(toBuffer(abi.encodeParameters(leafEncoding, value)))));
+}
+
+function hashPair (a, b) {
+  return keccak256(Buffer.concat([ a, b ].sort(Buffer.compare)));
+}
+
+// The tree is stored in an array, where the children of node `i` are nodes `2i + 1` and `2i + 2`. The leaves occupy
+// the end of the array, in reverse order.
+function makeTree (leaves) {
+  const tree = new Array(2 * leaves.length - 1);
+  for (const [ i, leaf ] of leaves.entries()) {
+    tree[tree.length - 1 - i] = leaf;
+  }
+  for (let i = tree.length - 1 - leaves.length; i >= 0; --i) {
+    tree[i] = hashPair(tree[leftChildIndex(i)], tree[rightChildIndex(i)]);
+  }
+  return tree;
+}
+
+function getProof (tree, index) {
+  checkLeafNode(tree, index);
+
+  const proof = [];
+  while (index > 0) {
+    proof.push(tree[siblingIndex(index)]);
+    index = parentIndex(index);
+  }
+  return proof;
+}
+
+function processProof (leaf, proof) {
+  return proof.reduce(hashPair, leaf);
+}
+
+// Returns the tree indices of the leaves, sorted in the order expected by `MerkleProof.processMultiProof`, together
+// with the proof and the flags.
+function getMultiProof (tree, indices) {
+  for (const index of indices) {
+    checkLeafNode(tree, index);
+  }
+
+  indices = [ ...indices ].sort((a, b) => b - a);
+  if (indices.slice(1).some((index, i) => index === indices[i])) {
+    throw new Error('Cannot prove duplicated index');
+  }
+
+  const stack = [ ...indices ];
+  const proof = [];
+  const proofFlags = [];
+
+  while (stack.length > 0 && stack[0] > 0) {
+    const index = stack.shift();
+    const sibling = siblingIndex(index);
+
+    if (sibling === stack[0]) {
+      proofFlags.push(true);
+      stack.shift();
+    } else {
+      proofFlags.push(false);
+      proof.push(tree[sibling]);
+    }
+    stack.push(parentIndex(index));
+  }
+
+  if (indices.length === 0) {
+    proof.push(tree[0]);
+  }
+
+  return { leaves: indices, proof, proofFlags };
+}
+
+function processMultiProof ({ leaves, proof, proofFlags }) {
+  if (proof.length < proofFlags.filter(flag => !flag).length) {
+    throw new Error('Invalid multiproof format');
+  }
+  if (leaves.length + proof.length !== proofFlags.length + 1) {
+    throw new Error('Provided leaves and multiproof are not compatible');
+  }
+
+  const stack = [ ...leaves ];
+  const remaining = [ ...proof ];
+
+  for (const flag of proofFlags) {
+    const a = stack.shift();
+    const b = flag ? stack.shift() : remaining.shift();
+    stack.push(hashPair(a, b));
+  }
+
+  return stack.pop() || remaining.shift();
+}
+
+function isValidTree (tree) {
+  for (const [ i, node ] of tree.entries()) {
+    if (!Buffer.isBuffer(node) || node.length !== 32) {
+      return false;
+    }
+
+    const l = leftChildIndex(i);
+    const r = rightChildIndex(i);
+    if (r >= tree.length) {
+      if (l < tree.length) {
+        return false;
+      }
+    } else if (!node.equals(hashPair(tree[l], tree[r]))) {
+      return false;
+    }
+  }
+  return tree.length > 0;
+}
+
+function checkLeafNode (tree, index) {
+  if (!(index >= 0 && index < tree.length && leftChildIndex(index) >= tree.length)) {
+    throw new Error('Index is not a leaf');
+  }
+}
+
+const leftChildIndex = i => 2 * i + 1;
+const rightChildIndex = i => 2 * i + 2;
+const parentIndex = i => Math.floor((i - 1) / 2);
+const siblingIndex = i => i % 2 === 0 ? i - 1 : i + 1;
+
+module.exports = {
+  StandardMerkleTree,
+  standardLeafHash,
+};
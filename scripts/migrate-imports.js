@@ -3,110 +3,71 @@
 const { promises: fs } = require('fs');
 const path = require('path');
 
-const pathUpdates = {
-  // 'access/AccessControl.sol': undefined,
-  // 'access/Ownable.sol': undefined,
-  'access/TimelockController.sol': 'governance/TimelockController.sol',
-  'cryptography/ECDSA.sol': 'utils/cryptography/ECDSA.sol',
-  'cryptography/MerkleProof.sol': 'utils/cryptography/MerkleProof.sol',
-  'drafts/EIP712.sol': 'utils/cryptography/draft-EIP712.sol',
-  'drafts/ERC20Permit.sol': 'token/ERC20/extensions/draft-ERC20Permit.sol',
-  'drafts/IERC20Permit.sol': 'token/ERC20/extensions/draft-IERC20Permit.sol',
-  'GSN/Context.sol': 'utils/Context.sol',
-  // 'GSN/GSNRecipientERC20Fee.sol': undefined,
-  // 'GSN/GSNRecipientSignature.sol': undefined,
-  // 'GSN/GSNRecipient.sol': undefined,
-  // 'GSN/IRelayHub.sol': undefined,
-  // 'GSN/IRelayRecipient.sol': undefined,
-  'introspection/ERC165Checker.sol': 'utils/introspection/ERC165Checker.sol',
-  'introspection/ERC165.sol': 'utils/introspection/ERC165.sol',
-  'introspection/ERC1820Implementer.sol': 'utils/introspection/ERC1820Implementer.sol',
-  'introspection/IERC165.sol': 'utils/introspection/IERC165.sol',
-  'introspection/IERC1820Implementer.sol': 'utils/introspection/IERC1820Implementer.sol',
-  'introspection/IERC1820Registry.sol': 'utils/introspection/IERC1820Registry.sol',
-  'math/Math.sol': 'utils/math/Math.sol',
-  'math/SafeMath.sol': 'utils/math/SafeMath.sol',
-  'math/SignedSafeMath.sol': 'utils/math/SignedSafeMath.sol',
-  'payment/escrow/ConditionalEscrow.sol': 'utils/escrow/ConditionalEscrow.sol',
-  'payment/escrow/Escrow.sol': 'utils/escrow/Escrow.sol',
-  'payment/escrow/RefundEscrow.sol': 'utils/escrow/RefundEscrow.sol',
-  'payment/PaymentSplitter.sol': 'finance/PaymentSplitter.sol',
-  'utils/PaymentSplitter.sol': 'finance/PaymentSplitter.sol',
-  'payment/PullPayment.sol': 'security/PullPayment.sol',
-  'presets/ERC1155PresetMinterPauser.sol': 'token/ERC1155/presets/ERC1155PresetMinterPauser.sol',
-  'presets/ERC20PresetFixedSupply.sol': 'token/ERC20/presets/ERC20PresetFixedSupply.sol',
-  'presets/ERC20PresetMinterPauser.sol': 'token/ERC20/presets/ERC20PresetMinterPauser.sol',
-  'presets/ERC721PresetMinterPauserAutoId.sol': 'token/ERC721/presets/ERC721PresetMinterPauserAutoId.sol',
-  'presets/ERC777PresetFixedSupply.sol': 'token/ERC777/presets/ERC777PresetFixedSupply.sol',
-  'proxy/BeaconProxy.sol': 'proxy/beacon/BeaconProxy.sol',
-  // 'proxy/Clones.sol': undefined,
-  'proxy/IBeacon.sol': 'proxy/beacon/IBeacon.sol',
-  'proxy/Initializable.sol': 'proxy/utils/Initializable.sol',
-  'utils/Initializable.sol': 'proxy/utils/Initializable.sol',
-  'proxy/ProxyAdmin.sol': 'proxy/transparent/ProxyAdmin.sol',
-  // 'proxy/Proxy.sol': undefined,
-  'proxy/TransparentUpgradeableProxy.sol': 'proxy/transparent/TransparentUpgradeableProxy.sol',
-  'proxy/UpgradeableBeacon.sol': 'proxy/beacon/UpgradeableBeacon.sol',
-  'proxy/UpgradeableProxy.sol': 'proxy/ERC1967/ERC1967Proxy.sol',
-  'token/ERC1155/ERC1155Burnable.sol': 'token/ERC1155/extensions/ERC1155Burnable.sol',
-  'token/ERC1155/ERC1155Holder.sol': 'token/ERC1155/utils/ERC1155Holder.sol',
-  'token/ERC1155/ERC1155Pausable.sol': 'token/ERC1155/extensions/ERC1155Pausable.sol',
-  'token/ERC1155/ERC1155Receiver.sol': 'token/ERC1155/utils/ERC1155Receiver.sol',
-  // 'token/ERC1155/ERC1155.sol': undefined,
-  'token/ERC1155/IERC1155MetadataURI.sol': 'token/ERC1155/extensions/IERC1155MetadataURI.sol',
-  // 'token/ERC1155/IERC1155Receiver.sol': undefined,
-  // 'token/ERC1155/IERC1155.sol': undefined,
-  'token/ERC20/ERC20Burnable.sol': 'token/ERC20/extensions/ERC20Burnable.sol',
-  'token/ERC20/ERC20Capped.sol': 'token/ERC20/extensions/ERC20Capped.sol',
-  'token/ERC20/ERC20Pausable.sol': 'token/ERC20/extensions/ERC20Pausable.sol',
-  'token/ERC20/ERC20Snapshot.sol': 'token/ERC20/extensions/ERC20Snapshot.sol',
-  // 'token/ERC20/ERC20.sol': undefined,
-  // 'token/ERC20/IERC20.sol': undefined,
-  'token/ERC20/SafeERC20.sol': 'token/ERC20/utils/SafeERC20.sol',
-  'token/ERC20/TokenTimelock.sol': 'token/ERC20/utils/TokenTimelock.sol',
-  'token/ERC721/ERC721Burnable.sol': 'token/ERC721/extensions/ERC721Burnable.sol',
-  'token/ERC721/ERC721Holder.sol': 'token/ERC721/utils/ERC721Holder.sol',
-  'token/ERC721/ERC721Pausable.sol': 'token/ERC721/extensions/ERC721Pausable.sol',
-  // 'token/ERC721/ERC721.sol': undefined,
-  'token/ERC721/IERC721Enumerable.sol': 'token/ERC721/extensions/IERC721Enumerable.sol',
-  'token/ERC721/IERC721Metadata.sol': 'token/ERC721/extensions/IERC721Metadata.sol',
-  // 'token/ERC721/IERC721Receiver.sol': undefined,
-  // 'token/ERC721/IERC721.sol': undefined,
-  // 'token/ERC777/ERC777.sol': undefined,
-  // 'token/ERC777/IERC777Recipient.sol': undefined,
-  // 'token/ERC777/IERC777Sender.sol': undefined,
-  // 'token/ERC777/IERC777.sol': undefined,
-  // 'utils/Address.sol': undefined,
-  // 'utils/Arrays.sol': undefined,
-  // 'utils/Context.sol': undefined,
-  // 'utils/Counters.sol': undefined,
-  // 'utils/Create2.sol': undefined,
-  'utils/EnumerableMap.sol': 'utils/structs/EnumerableMap.sol',
-  'utils/EnumerableSet.sol': 'utils/structs/EnumerableSet.sol',
-  'utils/Pausable.sol': 'security/Pausable.sol',
-  'utils/ReentrancyGuard.sol': 'security/ReentrancyGuard.sol',
-  'utils/SafeCast.sol': 'utils/math/SafeCast.sol',
-  // 'utils/Strings.sol': undefined,
-};
+const { migrations } = require('./migrate-imports.json');
+
+const IMPORT_PATH = /@openzeppelin\/(contracts|contracts-upgradeable)\/([\w/.-]+\.sol)/g;
+
+// comments and string literals, in which contract names are not renamed
+const COMMENT_OR_STRING = /\/\/[^\n]*|\/\*[\s\S]*?\*\/|"(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*'/g;
+
+// path updates of the last major version change, for reference
+const pathUpdates = Object.fromEntries(
+  Object.entries(migrations[migrations.length - 1].paths).filter(([ , newPath ]) => newPath !== null),
+);
 
-async function main (paths = [ 'contracts' ]) {
+async function main (paths = [ 'contracts' ], { from, dryRun = false } = {}) {
   const files = await listFilesRecursively(paths, /\.sol$/);
 
   const updatedFiles = [];
+  const renamedFiles = [];
+  const incompleteFiles = [];
   for (const file of files) {
-    if (await updateFile(file, updateImportPaths)) {
+    const content = await fs.readFile(file, 'utf8');
+    const { source, issues, renamed } = migrate(content, { from });
+
+    if (source !== content) {
       updatedFiles.push(file);
+      if (dryRun) {
+        console.log(diff(file, content, source));
+      } else {
+        await fs.writeFile(file, source);
+      }
+    }
+    if (renamed.length > 0) {
+      renamedFiles.push({ file, renamed });
+    }
+    if (issues.length > 0) {
+      incompleteFiles.push({ file, issues });
     }
   }
 
   if (updatedFiles.length > 0) {
-    console.log(`${updatedFiles.length} file(s) were updated`);
+    console.log(`${updatedFiles.length} file(s) ${dryRun ? 'would be' : 'were'} updated`);
     for (const c of updatedFiles) {
       console.log('-', c);
     }
   } else {
     console.log('No files were updated');
   }
+
+  if (renamedFiles.length > 0) {
+    console.log(`Contracts ${dryRun ? 'would be' : 'were'} renamed in ${renamedFiles.length} file(s)`);
+    for (const { file, renamed } of renamedFiles) {
+      for (const { line, from, to } of renamed) {
+        console.log(`- ${file}:${line}: ${from} -> ${to}`);
+      }
+    }
+  }
+
+  if (incompleteFiles.length > 0) {
+    console.log(`${incompleteFiles.length} file(s) could not be fully migrated`);
+    for (const { file, issues } of incompleteFiles) {
+      for (const { line, message } of issues) {
+        console.log(`- ${file}:${line}: ${message}`);
+      }
+    }
+    process.exitCode = 1;
+  }
 }
 
 async function listFilesRecursively (paths, filter) {
@@ -130,30 +91,123 @@ async function listFilesRecursively (paths, filter) {
   return files;
 }
 
-async function updateFile (file, update) {
-  const content = await fs.readFile(file, 'utf8');
-  const updatedContent = update(content);
-  if (updatedContent !== content) {
-    await fs.writeFile(file, updatedContent);
-    return true;
-  } else {
-    return false;
+/**
+ * Apply the migrations, starting from version `from` (by default, only the migration to the latest major version), to
+ * the import paths and to the names of renamed contracts in a source file. Contract names are only renamed outside of
+ * comments and string literals. Returns the updated source, the renamed contract names with their line, and the issues
+ * that require a manual migration, such as imports of files that were removed.
+ */
+function migrate (source, { from } = {}) {
+  const issues = [];
+  const renamed = [];
+
+  for (const migration of selectMigrations(from)) {
+    const renames = {};
+
+    source = source.replace(IMPORT_PATH, (match, pkg, importPath, offset) => {
+      const upgradeable = pkg === 'contracts-upgradeable';
+      const oldPath = upgradeable ? getNonUpgradeablePath(importPath) : importPath;
+      const newPath = lookup(migration.paths, oldPath);
+
+      if (newPath === undefined) {
+        return match;
+      }
+
+      if (newPath === null) {
+        issues.push({
+          line: lineOf(source, offset),
+          message: `${match} was removed in ${migration.to}`,
+        });
+        return match;
+      }
+
+      for (const [ oldName, newName ] of Object.entries(migration.symbols[oldPath] || {})) {
+        renames[upgradeable ? oldName + 'Upgradeable' : oldName] = upgradeable ? newName + 'Upgradeable' : newName;
+      }
+
+      return `@openzeppelin/${pkg}/${upgradeable ? getUpgradeablePath(newPath) : newPath}`;
+    });
+
+    if (Object.keys(renames).length > 0) {
+      source = renameContracts(source, renames, renamed);
+    }
   }
+
+  return { source, issues, renamed };
+}
+
+/**
+ * Rename the identifiers of `source` that are keys of `renames`, skipping comments and string literals, and record each
+ * rename in `renamed`.
+ */
+function renameContracts (source, renames, renamed) {
+  const identifier = new RegExp(`(?<![\\w$])(?:${Object.keys(renames).join('|')})(?![\\w$])`, 'g');
+  const renameCode = (start, end) => source.slice(start, end).replace(identifier, (name, offset) => {
+    renamed.push({ line: lineOf(source, start + offset), from: name, to: renames[name] });
+    return renames[name];
+  });
+
+  let result = '';
+  let last = 0;
+  for (const match of source.matchAll(COMMENT_OR_STRING)) {
+    result += renameCode(last, match.index) + match[0];
+    last = match.index + match[0].length;
+  }
+  return result + renameCode(last, source.length);
 }
 
 function updateImportPaths (source) {
-  for (const [ oldPath, newPath ] of Object.entries(pathUpdates)) {
-    source = source.replace(
-      path.join('@openzeppelin/contracts', oldPath),
-      path.join('@openzeppelin/contracts', newPath),
-    );
-    source = source.replace(
-      path.join('@openzeppelin/contracts-upgradeable', getUpgradeablePath(oldPath)),
-      path.join('@openzeppelin/contracts-upgradeable', getUpgradeablePath(newPath)),
-    );
+  return migrate(source).source;
+}
+
+function selectMigrations (from) {
+  if (from === undefined) {
+    return migrations.slice(-1);
+  }
+
+  const index = migrations.findIndex(migration => majorVersion(migration.from) === majorVersion(from));
+  if (index === -1) {
+    throw new Error(`No migration from version ${from}`);
+  }
+  return migrations.slice(index);
+}
+
+// Exact paths take precedence over directories, which are listed with a trailing slash.
+function lookup (paths, importPath) {
+  if (importPath in paths) {
+    return paths[importPath];
+  }
+
+  const dir = Object.keys(paths)
+    .filter(p => p.endsWith('/') && importPath.startsWith(p))
+    .sort((a, b) => b.length - a.length)
+    .find(Boolean);
+
+  return dir === undefined ? undefined : paths[dir];
+}
+
+function majorVersion (version) {
+  return parseInt(version.replace(/^v/, ''));
+}
+
+function lineOf (source, offset) {
+  return source.slice(0, offset).split('\n').length;
+}
+
+function diff (file, before, after) {
+  const oldLines = before.split('\n');
+  const newLines = after.split('\n');
+  const output = [ `--- ${file}`, `+++ ${file}` ];
+
+  for (let i = 0; i < Math.max(oldLines.length, newLines.length); ++i) {
+    if (oldLines[i] !== newLines[i]) {
+      output.push(`@@ -${i + 1} +${i + 1} @@`);
+      if (oldLines[i] !== undefined) output.push(`-${oldLines[i]}`);
+      if (newLines[i] !== undefined) output.push(`+${newLines[i]}`);
+    }
   }
 
-  return source;
+  return output.join('\n');
 }
 
 function getUpgradeablePath (file) {
@@ -162,15 +216,38 @@ function getUpgradeablePath (file) {
   return path.format({ dir, ext, name: upgradeableName });
 }
 
+function getNonUpgradeablePath (file) {
+  const { dir, name, ext } = path.parse(file);
+  return path.format({ dir, ext, name: name.replace(/Upgradeable$/, '') });
+}
+
+function parseArgs (args) {
+  const paths = [];
+  const options = {};
+
+  for (let i = 0; i < args.length; ++i) {
+    if (args[i] === '--dry-run') {
+      options.dryRun = true;
+    } else if (args[i] === '--from') {
+      options.from = args[++i];
+    } else {
+      paths.push(args[i]);
+    }
+  }
+
+  return [ paths.length > 0 ? paths : undefined, options ];
+}
+
 module.exports = {
+  migrations,
   pathUpdates,
+  migrate,
   updateImportPaths,
   getUpgradeablePath,
 };
 
 if (require.main === module) {
-  const args = process.argv.length > 2 ? process.argv.slice(2) : undefined;
-  main(args).catch(e => {
+  main(...parseArgs(process.argv.slice(2))).catch(e => {
     console.error(e);
     process.exit(1);
   });
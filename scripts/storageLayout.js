@@ -0,0 +1,430 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const { findAll } = require('solidity-ast/utils');
+
+const GAP = '__gap';
+
+/// Storage layout of every contract in a solc output, computed from the AST so that it also works with build info
+/// produced without the `storageLayout` output selection (e.g. the build info of a previous release).
+function extractLayouts (solcOutput) {
+  const definitions = {};
+  for (const source in solcOutput.sources) {
+    for (const node of findAll(
+      [ 'ContractDefinition', 'StructDefinition', 'EnumDefinition', 'UserDefinedValueTypeDefinition' ],
+      solcOutput.sources[source].ast,
+    )) {
+      definitions[node.id] = { ...node, source };
+    }
+  }
+
+  const layouts = {};
+  for (const contractDef of Object.values(definitions)) {
+    if (contractDef.nodeType !== 'ContractDefinition' || contractDef.contractKind !== 'contract') continue;
+
+    const allocator = new Allocator();
+    const storage = [];
+    for (const baseId of [ ...contractDef.linearizedBaseContracts ].reverse()) {
+      const base = definitions[baseId];
+      for (const varDecl of base.nodes.filter(isStorageVariable)) {
+        const { size, packed } = typeSize(varDecl.typeName, definitions);
+        storage.push({
+          contract: base.name,
+          label: varDecl.name,
+          type: typeString(varDecl),
+          ...allocator.allocate(size, packed),
+          size,
+          ...typeLayout(varDecl.typeName, definitions),
+        });
+      }
+    }
+
+    const { name, source } = contractDef;
+    layouts[`${source}:${name}`] = { name, source, storage };
+  }
+  return layouts;
+}
+
+/// Compare the storage layout of a contract with the layout of a previous version of the same contract. Returns a list
+/// of `{ kind, severity, contract, label, message }`, where `severity` is `error` if the update corrupts storage.
+function compareLayouts (original, updated) {
+  return compareItems(original, updated, 'which is only safe if no contract inherits from it');
+}
+
+/// Compares two lists of storage items, either the variables of a contract or the members of a struct. `appendedNote`
+/// explains when appending items at the end of the list is safe.
+function compareItems (original, updated, appendedNote) {
+  const key = ({ contract, label }) => `${contract}.${label}`;
+  const originalByKey = new Map(original.map((item, index) => [ key(item), { ...item, index } ]));
+  const updatedKeys = new Set(updated.map(key));
+  // in bytes, as new items can be packed in the last slot of the original items
+  const originalEnd = Math.max(0, ...original.map(endByte));
+  const report = [];
+
+  const error = (kind, item, message) => report.push({ kind, severity: 'error', ...pick(item), message });
+  const warning = (kind, item, message) => report.push({ kind, severity: 'warning', ...pick(item), message });
+
+  for (const item of original.filter(item => !updatedKeys.has(key(item)))) {
+    if (item.label === GAP) {
+      error('gap', item, `${describe(item)} was removed`);
+    } else {
+      error('removed', item, `${describe(item)} was removed`);
+    }
+  }
+
+  let lastIndex = -1;
+  for (const item of updated) {
+    const previous = originalByKey.get(key(item));
+
+    if (previous === undefined) {
+      const gap = original.find(other =>
+        other.label === GAP &&
+        other.contract === item.contract &&
+        item.slot >= other.slot &&
+        endSlot(item) <= endSlot(other),
+      );
+      if (gap !== undefined) {
+        // checked when processing the gap itself
+      } else if (item.slot * 32 + item.offset >= originalEnd) {
+        warning('appended', item, `${describe(item)} was appended, ${appendedNote}`);
+      } else {
+        error('inserted', item, `${describe(item)} was inserted at slot ${item.slot}`);
+      }
+      continue;
+    }
+
+    if (previous.index < lastIndex) {
+      error('reordered', item, `${describe(item)} was moved before variables that used to precede it`);
+    }
+    lastIndex = Math.max(lastIndex, previous.index);
+
+    if (item.label === GAP) {
+      if (endSlot(item) !== endSlot(previous)) {
+        error('gap', item, `${describe(item)} ends at slot ${endSlot(item)} instead of ${endSlot(previous)}`);
+      }
+    } else if (
+      (item.type !== previous.type && !sameShape(previous, item)) ||
+      (item.size !== previous.size && !item.members && !item.base)
+    ) {
+      error('retyped', item, `${describe(item)} changed type from ${previous.type} to ${item.type}`);
+    } else {
+      if (item.slot !== previous.slot || item.offset !== previous.offset) {
+        error('moved', item, `${describe(item)} moved from slot ${previous.slot} to slot ${item.slot}`);
+      }
+      // a renamed type with the same shape is stored in the same way, even if the names of its members changed
+      if (item.type === previous.type) {
+        report.push(...compareTypes(previous, item));
+      }
+    }
+  }
+
+  return report.concat(checkGaps(updated));
+}
+
+/// Compares the content of two values of the same type: the members of structs, including structs stored in mappings
+/// and arrays. Members are reported with a label that is the path to them, such as `balances[].amount`.
+function compareTypes (original, updated) {
+  if (original.members && updated.members) {
+    const members = ({ contract, label, members }) => members.map(member => ({
+      ...member,
+      contract,
+      label: `${label}.${member.label}`,
+    }));
+    return compareItems(
+      members(original),
+      members(updated),
+      `which is only safe if ${updated.label} is not followed by other variables`,
+    );
+  }
+
+  const element = ({ contract, label }, value) => ({ ...value, contract, label: `${label}[]` });
+
+  if (original.value && updated.value) {
+    // each value of a mapping has its own storage, which can grow without overlapping other values
+    return compareTypes(element(original, original.value), element(updated, updated.value))
+      .filter(({ kind, severity }) => kind !== 'appended' || severity !== 'warning');
+  }
+
+  if (original.base && updated.base) {
+    // elements of an array are stored next to each other, so their size cannot change
+    return compareTypes(element(original, original.base), element(updated, updated.base))
+      .map(entry => entry.kind === 'appended'
+        ? { ...entry, severity: 'error', message: `${entry.label} was appended to the elements of ${updated.label}` }
+        : entry,
+      );
+  }
+
+  return [];
+}
+
+/// Whether values of both types are stored in the same way, ignoring the names of structs and of their members.
+function sameShape (original, updated) {
+  return JSON.stringify(shape(original)) === JSON.stringify(shape(updated));
+}
+
+function shape ({ type, size, members, value, base }) {
+  if (members) {
+    return { size, members: members.map(member => ({ slot: member.slot, offset: member.offset, ...shape(member) })) };
+  }
+  if (value) {
+    return { key: type.match(/^mapping\((.+?) =>/)[1], value: shape(value) };
+  }
+  if (base) {
+    return { size, length: type.match(/\[(\d*)\]$/)[1], base: shape(base) };
+  }
+  return { type, size };
+}
+
+/// Gaps must be fixed size `uint256` arrays, declared after all the other variables of their contract.
+function checkGaps (layout) {
+  const report = [];
+  const error = (item, message) => report.push({ kind: 'gap', severity: 'error', ...pick(item), message });
+
+  for (const [ index, item ] of layout.entries()) {
+    if (item.label !== GAP) continue;
+
+    if (!/^uint256\[\d+\]$/.test(item.type)) {
+      error(item, `${describe(item)} is not a fixed size uint256 array`);
+    }
+    if (layout.slice(index + 1).some(other => other.contract === item.contract)) {
+      error(item, `${describe(item)} is not the last variable of ${item.contract}`);
+    }
+  }
+  return report;
+}
+
+class Allocator {
+  constructor () {
+    this.slot = 0;
+    this.offset = 0;
+  }
+
+  /// Reproduces the packing rules of solc: items that fit in the remainder of a slot share it, while structs and arrays
+  /// (which are not `packed`) always start a new slot and are followed by a new slot.
+  allocate (size, packed = true) {
+    if (this.offset > 0 && (!packed || this.offset + size > 32)) {
+      this.slot += 1;
+      this.offset = 0;
+    }
+
+    const position = { slot: this.slot, offset: this.offset };
+
+    if (packed) {
+      this.offset += size;
+    } else {
+      this.slot += Math.ceil(size / 32);
+    }
+    return position;
+  }
+
+  get size () {
+    return (this.slot + (this.offset > 0 ? 1 : 0)) * 32;
+  }
+}
+
+/// Size in bytes of a storage value of the given type, and whether it can be packed with its neighbours.
+function typeSize (typeName, definitions) {
+  switch (typeName.nodeType) {
+  case 'ElementaryTypeName':
+    return { size: elementarySize(typeName.name), packed: true };
+
+  case 'FunctionTypeName':
+    return { size: typeName.visibility === 'external' ? 24 : 8, packed: true };
+
+  case 'Mapping':
+    return { size: 32, packed: false };
+
+  case 'ArrayTypeName': {
+    if (typeName.length === null || typeName.length === undefined) {
+      return { size: 32, packed: false };
+    }
+    const length = arrayLength(typeName.length);
+    const { size, packed } = typeSize(typeName.baseType, definitions);
+    const slots = packed
+      ? Math.ceil(length / Math.floor(32 / size))
+      : length * Math.ceil(size / 32);
+    return { size: slots * 32, packed: false };
+  }
+
+  case 'UserDefinedTypeName': {
+    const definition = definitions[typeName.referencedDeclaration];
+    switch (definition.nodeType) {
+    case 'ContractDefinition':
+      return { size: 20, packed: true };
+
+    case 'EnumDefinition':
+      return { size: Math.ceil(Math.log2(Math.max(definition.members.length, 2)) / 8), packed: true };
+
+    case 'UserDefinedValueTypeDefinition':
+      return typeSize(definition.underlyingType, definitions);
+
+    case 'StructDefinition': {
+      const allocator = new Allocator();
+      for (const member of definition.members) {
+        const { size, packed } = typeSize(member.typeName, definitions);
+        allocator.allocate(size, packed);
+      }
+      return { size: allocator.size, packed: false };
+    }
+    }
+  }
+  }
+
+  throw new Error(`Unsupported storage type ${typeName.typeDescriptions.typeString}`);
+}
+
+/// Describes the content of values of the given type that can change between versions of a contract while keeping the
+/// same type name: the `members` of structs, the `value` of mappings and the `base` elements of arrays. Recursive
+/// structs are only described once.
+function typeLayout (typeName, definitions, visited = new Set()) {
+  const describeType = typeName => ({
+    type: typeString(typeName),
+    ...typeLayout(typeName, definitions, visited),
+  });
+
+  switch (typeName.nodeType) {
+  case 'Mapping':
+    return { value: describeType(typeName.valueType) };
+
+  case 'ArrayTypeName':
+    return { base: describeType(typeName.baseType) };
+
+  case 'UserDefinedTypeName': {
+    const definition = definitions[typeName.referencedDeclaration];
+    if (definition.nodeType !== 'StructDefinition' || visited.has(definition.id)) {
+      return {};
+    }
+
+    visited = new Set(visited).add(definition.id);
+    const allocator = new Allocator();
+    return {
+      members: definition.members.map(member => {
+        const { size, packed } = typeSize(member.typeName, definitions);
+        return {
+          label: member.name,
+          ...describeType(member.typeName),
+          ...allocator.allocate(size, packed),
+          size,
+        };
+      }),
+    };
+  }
+  }
+
+  return {};
+}
+
+function elementarySize (name) {
+  if (name.startsWith('address')) return 20;
+  if (name === 'bool' || name === 'byte') return 1;
+  if (name === 'string' || name === 'bytes') return 32;
+
+  const bits = name.match(/^u?int(\d*)$/);
+  if (bits) return bits[1] ? parseInt(bits[1]) / 8 : 32;
+
+  const bytes = name.match(/^bytes(\d+)$/);
+  if (bytes) return parseInt(bytes[1]);
+
+  throw new Error(`Unsupported elementary type ${name}`);
+}
+
+function arrayLength (expression) {
+  if (expression.nodeType === 'Literal') {
+    return parseInt(expression.value);
+  }
+  // constant expressions, such as `uint256[MAX - 1]`, are resolved by the compiler
+  const match = expression.typeDescriptions.typeString.match(/^int_const (\d+)$/);
+  if (match) {
+    return parseInt(match[1]);
+  }
+  throw new Error(`Unsupported array length ${expression.typeDescriptions.typeString}`);
+}
+
+function isStorageVariable (node) {
+  return node.nodeType === 'VariableDeclaration' &&
+    node.stateVariable &&
+    !node.constant &&
+    node.mutability !== 'immutable';
+}
+
+function typeString (node) {
+  return node.typeDescriptions.typeString.replace(/ storage (ref|pointer)$/, '');
+}
+
+function endSlot ({ slot, offset, size }) {
+  return slot + Math.ceil((offset + size) / 32);
+}
+
+function endByte ({ slot, offset, size }) {
+  return slot * 32 + offset + size;
+}
+
+function describe ({ contract, label, type }) {
+  return `${contract}.${label} (${type})`;
+}
+
+function pick ({ contract, label }) {
+  return { contract, label };
+}
+
+/// Loads the layouts of build info files, or of files holding layouts previously printed by this script.
+function loadLayouts (files) {
+  const layouts = {};
+  for (const file of files) {
+    // parsed rather than required, so that build info files are not kept in the module cache
+    const content = JSON.parse(fs.readFileSync(file, 'utf8'));
+    Object.assign(layouts, 'output' in content ? extractLayouts(content.output) : content);
+  }
+  return layouts;
+}
+
+/// Usage: `node scripts/storageLayout --reference <reference> <build info>...` compares the layout of the contracts in
+/// the build info with the reference, which is either the build info of the previous version or the layouts printed
+/// for it, and exits with a non-zero code if they are incompatible. Without a reference, the layouts are printed.
+///
+/// `npm run test:storage-layout` uses the layouts of the latest release, in `scripts/storageLayout.reference.json`.
+/// After a release, regenerate them by running `node scripts/storageLayout artifacts/build-info/*` on its build.
+function main ({ reference, _: files }) {
+  const layouts = loadLayouts(files);
+
+  if (reference === undefined) {
+    console.log(JSON.stringify(layouts, null, 2));
+    return;
+  }
+
+  const originals = loadLayouts([].concat(reference));
+
+  for (const [ name, original ] of Object.entries(originals)) {
+    if (name.includes('/mocks/')) continue;
+
+    const updated = layouts[name];
+    if (updated === undefined) {
+      continue;
+    }
+
+    const report = compareLayouts(original.storage, updated.storage);
+    if (report.length > 0) {
+      console.log(`${name}:`);
+      for (const { severity, kind, message } of report) {
+        console.log(`- ${severity} (${kind}): ${message}`);
+        if (severity === 'error') {
+          process.exitCode = 1;
+        }
+      }
+    }
+  }
+
+  if (!process.exitCode) {
+    console.log('Storage layout is compatible.');
+  }
+}
+
+module.exports = {
+  extractLayouts,
+  compareLayouts,
+  checkGaps,
+};
+
+if (require.main === module) {
+  main(require('yargs').string('reference').argv);
+}
@@ -1,5 +1,5 @@
-const { expectRevert } = require('@openzeppelin/test-helpers');
-const { BridgeHelper } = require('../helpers/crosschain');
+const { expectRevert, time } = require('@openzeppelin/test-helpers');
+const { BridgeHelper, CrossChainSimulator } = require('../helpers/crosschain');
 
 const {
   shouldBehaveLikeAccessControl,
@@ -12,6 +12,7 @@ const crossChainRoleAlias = (role) => web3.utils.leftPad(
 
 const AccessControlCrossChainMock = artifacts.require('AccessControlCrossChainMock');
 
+const DEFAULT_ADMIN_ROLE = '0x0000000000000000000000000000000000000000000000000000000000000000';
 const ROLE = web3.utils.soliditySha3('ROLE');
 
 contract('AccessControl', function (accounts) {
@@ -56,4 +57,60 @@ contract('AccessControl', function (accounts) {
       );
     });
   });
+
+  describe('CrossChain administration', function () {
+    const [ admin, crossChainAdmin, grantee, other ] = accounts;
+
+    beforeEach(async function () {
+      this.simulator = await CrossChainSimulator.deploy({ L1: 'Arbitrum-L1', L2: 'Arbitrum-L2' });
+      await this.accessControl.grantRole(crossChainRoleAlias(DEFAULT_ADMIN_ROLE), crossChainAdmin, { from: admin });
+    });
+
+    it('grants roles once the message is delivered', async function () {
+      const message = await this.simulator.send(
+        'L2', crossChainAdmin, this.accessControl, 'grantRole', [ ROLE, grantee ], { delay: 600 },
+      );
+      expect(await this.accessControl.hasRole(ROLE, grantee)).to.be.equal(false);
+
+      await time.increase(600);
+      await this.simulator.deliver(message);
+
+      expect(await this.accessControl.hasRole(ROLE, grantee)).to.be.equal(true);
+      expect(this.simulator.lastSender('L2')).to.be.equal(crossChainAdmin);
+    });
+
+    it('dropped messages have no effect', async function () {
+      await this.accessControl.grantRole(ROLE, grantee, { from: admin });
+
+      const message = await this.simulator.send(
+        'L2', crossChainAdmin, this.accessControl, 'revokeRole', [ ROLE, grantee ],
+      );
+      this.simulator.drop(message);
+      await this.simulator.deliverAll();
+
+      expect(await this.accessControl.hasRole(ROLE, grantee)).to.be.equal(true);
+    });
+
+    it('replayed messages are executed again', async function () {
+      const message = await this.simulator.send(
+        'L2', crossChainAdmin, this.accessControl, 'grantRole', [ ROLE, grantee ],
+      );
+      await this.simulator.deliver(message);
+      await this.accessControl.revokeRole(ROLE, grantee, { from: admin });
+
+      await this.simulator.replay(message);
+
+      expect(await this.accessControl.hasRole(ROLE, grantee)).to.be.equal(true);
+    });
+
+    it('messages from unauthorized senders are not delivered', async function () {
+      const message = await this.simulator.send('L2', other, this.accessControl, 'grantRole', [ ROLE, grantee ]);
+
+      await expectRevert(
+        this.simulator.deliver(message),
+        `AccessControl: account ${other.toLowerCase()} is missing role ${crossChainRoleAlias(DEFAULT_ADMIN_ROLE)}`,
+      );
+      expect(this.simulator.pending('L2')).to.be.deep.equal([ message ]);
+    });
+  });
 });
@@ -1,10 +1,21 @@
-const { BridgeHelper } = require('../helpers/crosschain');
+const { time } = require('@openzeppelin/test-helpers');
+const { BridgeHelper, CrossChainSimulator } = require('../helpers/crosschain');
 const { expectRevertCustomError } = require('../helpers/customError');
 
 function randomAddress () {
   return web3.utils.toChecksumAddress(web3.utils.randomHex(20));
 }
 
+async function expectError (promise, reason) {
+  try {
+    await promise;
+  } catch (error) {
+    expect(error.message).to.include(reason);
+    return;
+  }
+  expect.fail('Expected promise to throw but it didn\'t');
+}
+
 const CrossChainEnabledAMBMock = artifacts.require('CrossChainEnabledAMBMock');
 const CrossChainEnabledArbitrumL1Mock = artifacts.require('CrossChainEnabledArbitrumL1Mock');
 const CrossChainEnabledArbitrumL2Mock = artifacts.require('CrossChainEnabledArbitrumL2Mock');
@@ -80,4 +91,95 @@ contract('CrossChainEnabled', function () {
 
     shouldBehaveLikeReceiver();
   });
+
+  describe('simulator', function () {
+    beforeEach(async function () {
+      this.simulator = await CrossChainSimulator.deploy({ home: 'AMB', foreign: 'Optimism' });
+      this.homeReceiver = await CrossChainEnabledAMBMock.new(this.simulator.bridges.home.address);
+      this.foreignReceiver = await CrossChainEnabledOptimismMock.new(this.simulator.bridges.foreign.address);
+      this.owner = await this.homeReceiver.owner();
+    });
+
+    it('queues messages in both directions until delivered', async function () {
+      const toForeign = await this.simulator.send(
+        'foreign', this.owner, this.foreignReceiver, 'crossChainOwnerRestricted()',
+      );
+      const toHome = await this.simulator.send(
+        'home', this.owner, this.homeReceiver, 'crossChainOwnerRestricted()',
+      );
+      expect(this.simulator.pending()).to.be.deep.equal([ toForeign, toHome ]);
+
+      // out of order delivery
+      await this.simulator.deliver(toHome);
+      expect(this.simulator.pending()).to.be.deep.equal([ toForeign ]);
+      expect(this.simulator.lastSender('home')).to.be.equal(this.owner);
+      expect(this.simulator.lastSender('foreign')).to.be.equal(undefined);
+
+      await this.simulator.deliverAll('foreign');
+      expect(this.simulator.pending()).to.be.deep.equal([]);
+      expect(this.simulator.senders).to.be.deep.equal({ home: [ this.owner ], foreign: [ this.owner ] });
+    });
+
+    it('records the sender observed by the receiving contract', async function () {
+      const sender = randomAddress();
+      await this.simulator.send('home', sender, this.homeReceiver, 'crossChainRestricted()');
+      // `owner()` doesn't report the sender it observes
+      await this.simulator.send('foreign', sender, this.foreignReceiver, 'owner()');
+      await this.simulator.deliverAll();
+
+      expect(this.simulator.lastSender('home')).to.be.equal(sender);
+      expect(this.simulator.lastSender('foreign')).to.be.equal(undefined);
+      expect(this.simulator.senders.foreign).to.be.deep.equal([ undefined ]);
+    });
+
+    it('failed deliveries stay queued', async function () {
+      const sender = randomAddress();
+      const message = await this.simulator.send('home', sender, this.homeReceiver, 'crossChainOwnerRestricted()');
+
+      await expectRevertCustomError(
+        this.simulator.deliver(message),
+        `InvalidCrossChainSender("${sender}", "${this.owner}")`,
+      );
+      expect(message.status).to.be.equal('queued');
+      expect(this.simulator.senders.home).to.be.deep.equal([]);
+    });
+
+    it('delayed messages', async function () {
+      const message = await this.simulator.send(
+        'home', this.owner, this.homeReceiver, 'crossChainOwnerRestricted()', [], { delay: 3600 },
+      );
+      expect(await this.simulator.ready()).to.be.deep.equal([]);
+      await expectError(this.simulator.deliver(message), 'is delayed until');
+
+      await time.increase(3600);
+      expect(await this.simulator.ready()).to.be.deep.equal([ message ]);
+
+      await this.simulator.delay(message, 60);
+      await expectError(this.simulator.deliver(message), 'is delayed until');
+
+      await time.increase(60);
+      await this.simulator.deliver(message);
+      expect(message.status).to.be.equal('delivered');
+    });
+
+    it('dropped messages', async function () {
+      const message = await this.simulator.send('home', this.owner, this.homeReceiver, 'crossChainOwnerRestricted()');
+      this.simulator.drop(message);
+
+      expect(this.simulator.pending()).to.be.deep.equal([]);
+      await expectError(this.simulator.deliver(message), 'is dropped');
+    });
+
+    it('replayed messages', async function () {
+      const message = await this.simulator.send('home', this.owner, this.homeReceiver, 'crossChainOwnerRestricted()');
+      await expectError(this.simulator.replay(message), 'was not delivered');
+
+      await this.simulator.deliver(message);
+      await expectError(this.simulator.deliver(message), 'is delivered');
+      await this.simulator.replay(message);
+
+      expect(message.deliveries).to.be.equal(2);
+      expect(this.simulator.senders.home).to.be.deep.equal([ this.owner, this.owner ]);
+    });
+  });
 });
@@ -0,0 +1,131 @@
+const { expectRevert } = require('@openzeppelin/test-helpers');
+const { CrossChainSimulator, sentMessages } = require('../helpers/crosschain');
+const { expectRevertCustomError } = require('../helpers/customError');
+
+const SenderAMBMock = artifacts.require('SenderAMBMock');
+const SenderArbitrumL1Mock = artifacts.require('SenderArbitrumL1Mock');
+const SenderArbitrumL2Mock = artifacts.require('SenderArbitrumL2Mock');
+const SenderOptimismMock = artifacts.require('SenderOptimismMock');
+const SenderPolygonRootMock = artifacts.require('SenderPolygonRootMock');
+const CrossChainEnabledAMBMock = artifacts.require('CrossChainEnabledAMBMock');
+const CrossChainEnabledArbitrumL1Mock = artifacts.require('CrossChainEnabledArbitrumL1Mock');
+const CrossChainEnabledArbitrumL2Mock = artifacts.require('CrossChainEnabledArbitrumL2Mock');
+const CrossChainEnabledOptimismMock = artifacts.require('CrossChainEnabledOptimismMock');
+const CrossChainEnabledPolygonChildMock = artifacts.require('CrossChainEnabledPolygonChildMock');
+
+function shouldBehaveLikeSender () {
+  it('emits the message on the sending side', async function () {
+    const data = this.receiver.contract.methods.crossChainRestricted().encodeABI();
+    const tx = await this.send(data);
+
+    const [ message, ...rest ] = sentMessages(tx);
+    expect(rest).to.have.lengthOf(0);
+    expect(message.bridge).to.be.equal(this.outbound);
+    expect(message.sender).to.be.equal(this.sender.address);
+    expect(message.target).to.be.equal(this.receiver.address);
+    expect(message.data).to.be.equal(data);
+    expect(message.gasLimit).to.be.equal(this.gasLimit);
+  });
+
+  it('delivers the message as coming from the sender', async function () {
+    const tx = await this.send(this.receiver.contract.methods.crossChainRestricted().encodeABI());
+    const [ message ] = await this.simulator.capture('receiving', tx);
+
+    await this.simulator.deliver(message);
+    expect(this.simulator.lastSender('receiving')).to.be.equal(this.sender.address);
+  });
+
+  it('is authenticated by the receiving side', async function () {
+    const tx = await this.send(this.receiver.contract.methods.crossChainOwnerRestricted().encodeABI());
+    const [ message ] = await this.simulator.capture('receiving', tx);
+
+    await expectRevertCustomError(
+      this.simulator.deliver(message),
+      `InvalidCrossChainSender("${this.sender.address}", "${await this.receiver.owner()}")`,
+    );
+  });
+}
+
+contract('CrossChainSender', function () {
+  describe('AMB', function () {
+    beforeEach(async function () {
+      this.simulator = await CrossChainSimulator.deploy({ sending: 'AMB', receiving: 'AMB' });
+      this.outbound = this.simulator.bridges.sending.address;
+      this.sender = await SenderAMBMock.new(this.outbound);
+      this.receiver = await CrossChainEnabledAMBMock.new(this.simulator.bridges.receiving.address);
+      this.gasLimit = '100000';
+      this.send = data => this.sender.send(this.receiver.address, data, this.gasLimit);
+    });
+
+    shouldBehaveLikeSender();
+  });
+
+  describe('Arbitrum L1 to L2', function () {
+    beforeEach(async function () {
+      this.simulator = await CrossChainSimulator.deploy({ sending: 'Arbitrum-L1', receiving: 'Arbitrum-L2' });
+      this.outbound = await this.simulator.bridges.sending.bridge.inbox();
+      this.sender = await SenderArbitrumL1Mock.new(this.outbound);
+      this.receiver = await CrossChainEnabledArbitrumL2Mock.new();
+      this.gasLimit = '100000';
+      this.send = data => this.sender.send(this.receiver.address, data, 1000, this.gasLimit, 10, {
+        value: 1000 + this.gasLimit * 10,
+      });
+    });
+
+    shouldBehaveLikeSender();
+
+    it('pays for the retryable ticket', async function () {
+      const data = this.receiver.contract.methods.crossChainRestricted().encodeABI();
+      const value = 1000 + this.gasLimit * 10;
+
+      await this.sender.send(this.receiver.address, data, 1000, this.gasLimit, 10, { value });
+      expect(await web3.eth.getBalance(this.outbound)).to.be.bignumber.equal(value.toString());
+    });
+  });
+
+  describe('Arbitrum L2 to L1', function () {
+    beforeEach(async function () {
+      this.simulator = await CrossChainSimulator.deploy({ sending: 'Arbitrum-L2', receiving: 'Arbitrum-L1' });
+      this.outbound = this.simulator.bridges.sending.address;
+      this.sender = await SenderArbitrumL2Mock.new();
+      this.receiver = await CrossChainEnabledArbitrumL1Mock.new(this.simulator.bridges.receiving.address);
+      this.gasLimit = '0';
+      this.send = data => this.sender.send(this.receiver.address, data);
+    });
+
+    shouldBehaveLikeSender();
+  });
+
+  describe('Optimism', function () {
+    beforeEach(async function () {
+      this.simulator = await CrossChainSimulator.deploy({ sending: 'Optimism', receiving: 'Optimism' });
+      this.outbound = this.simulator.bridges.sending.address;
+      this.sender = await SenderOptimismMock.new(this.outbound);
+      this.receiver = await CrossChainEnabledOptimismMock.new(this.simulator.bridges.receiving.address);
+      this.gasLimit = '100000';
+      this.send = data => this.sender.send(this.receiver.address, data, this.gasLimit);
+    });
+
+    shouldBehaveLikeSender();
+  });
+
+  describe('Polygon root to child', function () {
+    beforeEach(async function () {
+      this.simulator = await CrossChainSimulator.deploy({ sending: 'Polygon-Root', receiving: 'Polygon-Child' });
+      this.outbound = this.simulator.bridges.sending.address;
+      this.sender = await SenderPolygonRootMock.new(this.outbound);
+      this.receiver = await CrossChainEnabledPolygonChildMock.new(this.simulator.bridges.receiving.address);
+      this.gasLimit = '0';
+      this.send = data => this.sender.send(this.receiver.address, data);
+    });
+
+    shouldBehaveLikeSender();
+  });
+
+  it('requires the sender to fund the ticket', async function () {
+    const simulator = await CrossChainSimulator.deploy({ sending: 'Arbitrum-L1' });
+    const sender = await SenderArbitrumL1Mock.new(await simulator.bridges.sending.bridge.inbox());
+
+    await expectRevert.unspecified(sender.send(sender.address, '0x', 1000, 100000, 10));
+  });
+});
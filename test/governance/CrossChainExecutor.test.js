@@ -0,0 +1,137 @@
+const { constants, expectEvent, expectRevert } = require('@openzeppelin/test-helpers');
+const { expect } = require('chai');
+const { BridgeHelper } = require('../helpers/crosschain');
+const { expectRevertCustomError } = require('../helpers/customError');
+const { shouldSupportInterfaces } = require('../utils/introspection/SupportsInterface.behavior');
+
+const Executor = artifacts.require('CrossChainExecutorAMBMock');
+const CallReceiver = artifacts.require('CallReceiverMock');
+
+contract('CrossChainExecutor', function (accounts) {
+  const [ homeGovernor, newHomeGovernor, other ] = accounts;
+
+  const salt = web3.utils.keccak256('<salt>');
+
+  beforeEach(async function () {
+    this.bridge = await BridgeHelper.deploy('AMB');
+    this.executor = await Executor.new(this.bridge.address, homeGovernor);
+    this.receiver = await CallReceiver.new();
+
+    this.batch = [
+      [ this.receiver.address, this.receiver.address ],
+      [ 0, 0 ],
+      [
+        this.receiver.contract.methods.mockFunction().encodeABI(),
+        this.receiver.contract.methods.mockFunctionWithArgs(17, 42).encodeABI(),
+      ],
+      salt,
+    ];
+    this.id = await this.executor.hashOperationBatch(...this.batch);
+  });
+
+  it('deployment check', async function () {
+    expect(await this.executor.homeGovernor()).to.be.equal(homeGovernor);
+    await expectEvent.inConstruction(this.executor, 'HomeGovernorChanged', {
+      oldHomeGovernor: constants.ZERO_ADDRESS,
+      newHomeGovernor: homeGovernor,
+    });
+  });
+
+  describe('interfaces', function () {
+    beforeEach(function () {
+      this.mock = this.executor;
+    });
+
+    shouldSupportInterfaces([
+      'ERC165',
+      'ERC1155Receiver',
+    ]);
+  });
+
+  describe('executeBatch', function () {
+    it('executes batches sent by the home governor', async function () {
+      const receipt = await this.bridge.call(homeGovernor, this.executor, 'executeBatch', this.batch);
+
+      await expectEvent.inTransaction(receipt.tx, this.executor, 'CallExecuted', { id: this.id, index: '0' });
+      await expectEvent.inTransaction(receipt.tx, this.executor, 'CallExecuted', { id: this.id, index: '1' });
+      await expectEvent.inTransaction(receipt.tx, this.receiver, 'MockFunctionCalled');
+      await expectEvent.inTransaction(receipt.tx, this.receiver, 'MockFunctionCalledWithArgs', { a: '17', b: '42' });
+      expect(await this.executor.isExecuted(this.id)).to.be.equal(true);
+    });
+
+    it('rejects calls that are not cross-chain', async function () {
+      await expectRevertCustomError(
+        this.executor.executeBatch(...this.batch, { from: homeGovernor }),
+        'NotCrossChainCall()',
+      );
+    });
+
+    it('rejects messages from other senders', async function () {
+      await expectRevertCustomError(
+        this.bridge.call(other, this.executor, 'executeBatch', this.batch),
+        `InvalidCrossChainSender("${other}", "${homeGovernor}")`,
+      );
+    });
+
+    it('rejects replayed messages', async function () {
+      await this.bridge.call(homeGovernor, this.executor, 'executeBatch', this.batch);
+      await expectRevert(
+        this.bridge.call(homeGovernor, this.executor, 'executeBatch', this.batch),
+        'CrossChainExecutor: operation already executed',
+      );
+    });
+
+    it('rejects batches with mismatching lengths', async function () {
+      await expectRevert(
+        this.bridge.call(homeGovernor, this.executor, 'executeBatch', [
+          [ this.receiver.address ],
+          [],
+          [ '0x' ],
+          salt,
+        ]),
+        'CrossChainExecutor: length mismatch',
+      );
+    });
+
+    it('bubbles up revert reasons', async function () {
+      await expectRevert(
+        this.bridge.call(homeGovernor, this.executor, 'executeBatch', [
+          [ this.receiver.address ],
+          [ 0 ],
+          [ this.receiver.contract.methods.mockFunctionRevertsReason().encodeABI() ],
+          salt,
+        ]),
+        'CallReceiverMock: reverting',
+      );
+    });
+  });
+
+  describe('updateHomeGovernor', function () {
+    it('can be updated by the home governor', async function () {
+      const receipt = await this.bridge.call(homeGovernor, this.executor, 'executeBatch', [
+        [ this.executor.address ],
+        [ 0 ],
+        [ this.executor.contract.methods.updateHomeGovernor(newHomeGovernor).encodeABI() ],
+        salt,
+      ]);
+      await expectEvent.inTransaction(receipt.tx, this.executor, 'HomeGovernorChanged', {
+        oldHomeGovernor: homeGovernor,
+        newHomeGovernor,
+      });
+      expect(await this.executor.homeGovernor()).to.be.equal(newHomeGovernor);
+
+      await expectRevertCustomError(
+        this.bridge.call(homeGovernor, this.executor, 'executeBatch', this.batch),
+        `InvalidCrossChainSender("${homeGovernor}", "${newHomeGovernor}")`,
+      );
+      await this.bridge.call(newHomeGovernor, this.executor, 'executeBatch', this.batch);
+    });
+
+    it('cannot be updated directly', async function () {
+      await expectRevert(
+        this.executor.updateHomeGovernor(newHomeGovernor, { from: homeGovernor }),
+        'CrossChainExecutor: caller must be executor',
+      );
+    });
+  });
+});
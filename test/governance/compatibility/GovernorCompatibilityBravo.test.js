@@ -2,7 +2,7 @@ const { BN, expectEvent, expectRevert } = require('@openzeppelin/test-helpers');
 const { expect } = require('chai');
 const RLP = require('rlp');
 const Enums = require('../../helpers/enums');
-const { GovernorHelper } = require('../../helpers/governance');
+const { GovernorHelper, decodeAction } = require('../../helpers/governance');
 
 const Token = artifacts.require('ERC20VotesCompMock');
 const Timelock = artifacts.require('CompTimelock');
@@ -213,6 +213,54 @@ contract('GovernorCompatibilityBravo', function (accounts) {
     );
   });
 
+  it('decode proposal actions', async function () {
+    const target = this.receiver.address;
+    const proposal = this.helper.setProposal([
+      { target, data: this.receiver.contract.methods.mockFunctionWithArgs(17, 42).encodeABI() },
+      {
+        target,
+        signature: 'mockFunctionWithArgs(uint256,uint256)',
+        data: web3.eth.abi.encodeParameters(['uint256', 'uint256'], [18, 43]),
+      },
+    ], '<proposal description>');
+
+    // Bravo style actions can be decoded from their signature alone
+    const action = decodeAction({ target, signature: proposal.signatures[1], data: proposal.data[1] });
+    expect(action.signature).to.be.equal('mockFunctionWithArgs(uint256,uint256)');
+    expect(action.args.map(({ type, value }) => [ type, value ])).to.be.deep.equal([
+      [ 'uint256', '18' ],
+      [ 'uint256', '43' ],
+    ]);
+
+    // malformed calldata is reported as an unknown call instead of throwing
+    const malformed = decodeAction({ target, signature: proposal.signatures[1], data: proposal.data[1].slice(0, 34) });
+    expect(malformed.signature).to.be.equal(null);
+    expect(malformed.args).to.be.deep.equal([]);
+    expect(malformed.description).to.be.equal(`${target} (unknown call ${malformed.selector})`);
+
+    // tuples are expanded in the signature
+    const fragment = {
+      type: 'function',
+      name: 'mockTuple',
+      inputs: [ { name: 'p', type: 'tuple[]', components: [ { name: 'a', type: 'uint256' } ] } ],
+    };
+    const tupleData = web3.eth.abi.encodeFunctionCall(fragment, [ [ [ 1 ] ] ]);
+    const tuple = decodeAction({ target, data: tupleData }, [ [ fragment ] ]);
+    expect(tuple.signature).to.be.equal('mockTuple((uint256)[])');
+
+    // the ProposalCreated event holds the full calldata, which is decoded using the ABI of the target
+    await this.helper.propose({ from: proposer });
+    const decoded = await this.helper.decodeProposal(proposal.id, [ CallReceiver.abi ]);
+
+    expect(decoded.id).to.be.bignumber.equal(proposal.id);
+    expect(decoded.proposer).to.be.equal(proposer);
+    expect(decoded.descriptionHash).to.be.equal(proposal.descriptionHash);
+    expect(decoded.actions.map(({ description }) => description)).to.be.deep.equal([
+      `${target}.mockFunctionWithArgs(17, 42)`,
+      `${target}.mockFunctionWithArgs(18, 43)`,
+    ]);
+  });
+
   describe('should revert', function () {
     describe('on propose', function () {
       it('if proposal does not meet proposalThreshold', async function () {
@@ -251,5 +299,24 @@ contract('GovernorCompatibilityBravo', function (accounts) {
       await this.helper.propose({ from: proposer });
       await expectRevert(this.helper.cancel(), 'GovernorBravo: proposer above threshold');
     });
+
+    it('proposer can cancel after the vote started', async function () {
+      await this.helper.propose({ from: proposer });
+      await this.helper.waitForSnapshot(1);
+      await this.helper.cancel({ from: proposer });
+      expect(await this.helper.currentProposal.state()).to.be.bignumber.equal(Enums.ProposalState.Canceled);
+    });
+
+    it('same rules apply when cancelling with the proposal details', async function () {
+      await this.helper.propose({ from: proposer });
+      const { shortProposal } = this.helper.currentProposal;
+
+      await expectRevert(
+        this.mock.methods['cancel(address[],uint256[],bytes[],bytes32)'](...shortProposal),
+        'GovernorBravo: proposer above threshold',
+      );
+      await this.mock.methods['cancel(address[],uint256[],bytes[],bytes32)'](...shortProposal, { from: proposer });
+      expect(await this.helper.currentProposal.state()).to.be.bignumber.equal(Enums.ProposalState.Canceled);
+    });
   });
 });
@@ -0,0 +1,299 @@
+const { BN, expectEvent, expectRevert } = require('@openzeppelin/test-helpers');
+const { expect } = require('chai');
+const Wallet = require('ethereumjs-wallet').default;
+const Enums = require('../../helpers/enums');
+const { signExtendedBallot } = require('../../helpers/eip712');
+const { GovernorHelper } = require('../../helpers/governance');
+
+const Token = artifacts.require('ERC20VotesMock');
+const Governor = artifacts.require('GovernorFractionalMock');
+const CallReceiver = artifacts.require('CallReceiverMock');
+
+const VOTE_TYPE_FRACTIONAL = 255;
+
+function encodeFractionalVote (againstVotes, forVotes, abstainVotes, ...nonce) {
+  return web3.eth.abi.encodeParameters(
+    [ 'uint256', 'uint256', 'uint256', ...nonce.map(() => 'uint256') ],
+    [ ...[ againstVotes, forVotes, abstainVotes ].map(votes => web3.utils.toWei(votes)), ...nonce ],
+  );
+}
+
+/** Vote that splits `againstVotes`, `forVotes` and `abstainVotes` (in tokens) between the options. */
+function fractionalVote (againstVotes, forVotes, abstainVotes) {
+  return { support: VOTE_TYPE_FRACTIONAL, params: encodeFractionalVote(againstVotes, forVotes, abstainVotes) };
+}
+
+contract('GovernorCountingFractional', function (accounts) {
+  const [ owner, proposer, voter1, voter2, voter3, voter4 ] = accounts;
+
+  const name = 'OZ-Governor';
+  const version = '1';
+  const tokenName = 'MockToken';
+  const tokenSymbol = 'MTKN';
+  const tokenSupply = web3.utils.toWei('100');
+  const quorumNumerator = new BN(10);
+  const value = web3.utils.toWei('1');
+
+  beforeEach(async function () {
+    this.token = await Token.new(tokenName, tokenSymbol);
+    this.mock = await Governor.new(name, this.token.address, quorumNumerator);
+    this.receiver = await CallReceiver.new();
+
+    this.helper = new GovernorHelper(this.mock);
+
+    await web3.eth.sendTransaction({ from: owner, to: this.mock.address, value });
+
+    await this.token.mint(owner, tokenSupply);
+    await this.helper.delegate({ token: this.token, to: voter1, value: web3.utils.toWei('10') }, { from: owner });
+    await this.helper.delegate({ token: this.token, to: voter2, value: web3.utils.toWei('7') }, { from: owner });
+    await this.helper.delegate({ token: this.token, to: voter3, value: web3.utils.toWei('5') }, { from: owner });
+    await this.helper.delegate({ token: this.token, to: voter4, value: web3.utils.toWei('2') }, { from: owner });
+
+    this.proposal = this.helper.setProposal([
+      {
+        target: this.receiver.address,
+        value,
+        data: this.receiver.contract.methods.mockFunction().encodeABI(),
+      },
+    ], '<proposal description>');
+  });
+
+  it('deployment check', async function () {
+    expect(await this.mock.name()).to.be.equal(name);
+    expect(await this.mock.token()).to.be.equal(this.token.address);
+    expect(await this.mock.VOTE_TYPE_FRACTIONAL()).to.be.bignumber.equal(new BN(VOTE_TYPE_FRACTIONAL));
+    expect(await this.mock.COUNTING_MODE())
+      .to.be.equal('support=bravo,fractional&quorum=for,abstain&params=fractional');
+  });
+
+  it('nominal is unaffected', async function () {
+    await this.helper.propose({ from: proposer });
+    await this.helper.waitForSnapshot();
+    await this.helper.vote({ support: Enums.VoteType.For, reason: 'This is nice' }, { from: voter1 });
+    await this.helper.vote({ support: Enums.VoteType.For }, { from: voter2 });
+    await this.helper.vote({ support: Enums.VoteType.Against }, { from: voter3 });
+    await this.helper.vote({ support: Enums.VoteType.Abstain }, { from: voter4 });
+    await this.helper.waitForDeadline();
+    await this.helper.execute();
+
+    expect(await this.mock.hasVoted(this.proposal.id, owner)).to.be.equal(false);
+    expect(await this.mock.hasVoted(this.proposal.id, voter1)).to.be.equal(true);
+    expect(await this.mock.usedVotes(this.proposal.id, voter1)).to.be.bignumber.equal(web3.utils.toWei('10'));
+
+    const votes = await this.mock.proposalVotes(this.proposal.id);
+    expect(votes.againstVotes).to.be.bignumber.equal(web3.utils.toWei('5'));
+    expect(votes.forVotes).to.be.bignumber.equal(web3.utils.toWei('17'));
+    expect(votes.abstainVotes).to.be.bignumber.equal(web3.utils.toWei('2'));
+    expect(await web3.eth.getBalance(this.receiver.address)).to.be.bignumber.equal(value);
+  });
+
+  describe('fractional votes', function () {
+    beforeEach(async function () {
+      await this.helper.propose({ from: proposer });
+      await this.helper.waitForSnapshot();
+    });
+
+    it('splits the weight between the options', async function () {
+      const params = encodeFractionalVote('3', '5', '2');
+      const tx = await this.helper.vote({ support: VOTE_TYPE_FRACTIONAL, params }, { from: voter1 });
+
+      expectEvent(tx, 'VoteCastWithParams', {
+        voter: voter1,
+        proposalId: this.proposal.id,
+        support: new BN(VOTE_TYPE_FRACTIONAL),
+        weight: web3.utils.toWei('10'),
+        reason: '',
+        params,
+      });
+
+      expect(await this.mock.hasVoted(this.proposal.id, voter1)).to.be.equal(true);
+      expect(await this.mock.usedVotes(this.proposal.id, voter1)).to.be.bignumber.equal(web3.utils.toWei('10'));
+
+      const votes = await this.mock.proposalVotes(this.proposal.id);
+      expect(votes.againstVotes).to.be.bignumber.equal(web3.utils.toWei('3'));
+      expect(votes.forVotes).to.be.bignumber.equal(web3.utils.toWei('5'));
+      expect(votes.abstainVotes).to.be.bignumber.equal(web3.utils.toWei('2'));
+    });
+
+    it('can be cast over several votes', async function () {
+      await this.helper.vote(fractionalVote('2', '3', '0'), { from: voter1 });
+      expect(await this.mock.hasVoted(this.proposal.id, voter1)).to.be.equal(true);
+      expect(await this.mock.usedVotes(this.proposal.id, voter1)).to.be.bignumber.equal(web3.utils.toWei('5'));
+
+      await this.helper.vote(fractionalVote('1', '1', '1'), { from: voter1 });
+      expect(await this.mock.usedVotes(this.proposal.id, voter1)).to.be.bignumber.equal(web3.utils.toWei('8'));
+
+      // a nominal vote casts the remaining weight
+      await this.helper.vote({ support: Enums.VoteType.For }, { from: voter1 });
+      expect(await this.mock.usedVotes(this.proposal.id, voter1)).to.be.bignumber.equal(web3.utils.toWei('10'));
+
+      const votes = await this.mock.proposalVotes(this.proposal.id);
+      expect(votes.againstVotes).to.be.bignumber.equal(web3.utils.toWei('3'));
+      expect(votes.forVotes).to.be.bignumber.equal(web3.utils.toWei('6'));
+      expect(votes.abstainVotes).to.be.bignumber.equal(web3.utils.toWei('1'));
+    });
+
+    it('only counts for and abstain votes towards quorum', async function () {
+      await this.helper.vote(fractionalVote('4', '5', '1'), { from: voter1 });
+      await this.helper.vote(fractionalVote('1', '3', '0'), { from: voter2 });
+      await this.helper.waitForDeadline(1);
+
+      // 9 for and abstain votes, quorum is 10
+      expect(await this.proposal.state()).to.be.bignumber.equal(Enums.ProposalState.Defeated);
+    });
+
+    it('succeeds with a majority of for votes', async function () {
+      await this.helper.vote(fractionalVote('4', '5', '1'), { from: voter1 });
+      await this.helper.vote(fractionalVote('2', '3', '1'), { from: voter2 });
+      await this.helper.waitForDeadline(1);
+
+      expect(await this.proposal.state()).to.be.bignumber.equal(Enums.ProposalState.Succeeded);
+      await this.helper.execute();
+    });
+
+    describe('by signature', function () {
+      beforeEach(async function () {
+        this.voterBySig = Wallet.generate();
+        this.voterBySigAddress = web3.utils.toChecksumAddress(this.voterBySig.getAddressString());
+
+        const domain = { name, version, chainId: await web3.eth.getChainId(), verifyingContract: this.mock.address };
+        this.signature = async message => signExtendedBallot(this.voterBySig.getPrivateKey(), domain, message);
+
+        // voting power is taken at the snapshot of a new proposal
+        await this.token.delegate(this.voterBySigAddress, { from: voter1 });
+        const [ targets, values, data ] = this.proposal.shortProposal;
+        this.proposal = this.helper.setProposal({ targets, values, data }, '<other description>');
+        await this.helper.propose({ from: proposer });
+        await this.helper.waitForSnapshot();
+      });
+
+      it('fractional votes include the nonce of the voter', async function () {
+        expect(await this.mock.fractionalVoteNonces(this.voterBySigAddress)).to.be.bignumber.equal('0');
+
+        const tx = await this.helper.vote({
+          support: VOTE_TYPE_FRACTIONAL,
+          params: encodeFractionalVote('1', '2', '0', 0),
+          signature: this.signature,
+        });
+
+        // the nonce is not part of the counted params
+        expectEvent(tx, 'VoteCastWithParams', {
+          voter: this.voterBySigAddress,
+          proposalId: this.proposal.id,
+          weight: web3.utils.toWei('10'),
+          params: encodeFractionalVote('1', '2', '0'),
+        });
+        expect(await this.mock.fractionalVoteNonces(this.voterBySigAddress)).to.be.bignumber.equal('1');
+        expect(await this.mock.usedVotes(this.proposal.id, this.voterBySigAddress))
+          .to.be.bignumber.equal(web3.utils.toWei('3'));
+
+        await this.helper.vote({
+          support: VOTE_TYPE_FRACTIONAL,
+          params: encodeFractionalVote('0', '1', '0', 1),
+          signature: this.signature,
+        });
+        expect(await this.mock.usedVotes(this.proposal.id, this.voterBySigAddress))
+          .to.be.bignumber.equal(web3.utils.toWei('4'));
+      });
+
+      it('fractional votes cannot be replayed', async function () {
+        const vote = {
+          support: VOTE_TYPE_FRACTIONAL,
+          params: encodeFractionalVote('1', '0', '0', 0),
+          signature: this.signature,
+        };
+        await this.helper.vote(vote);
+
+        // sign once, submit twice
+        const { v, r, s } = await this.signature({ proposalId: this.proposal.id, ...vote, reason: '' });
+        await expectRevert(
+          this.mock.castVoteWithReasonAndParamsBySig(this.proposal.id, vote.support, '', vote.params, v, r, s),
+          'GovernorCountingFractional: invalid nonce',
+        );
+        expect(await this.mock.usedVotes(this.proposal.id, this.voterBySigAddress))
+          .to.be.bignumber.equal(web3.utils.toWei('1'));
+      });
+
+      it('fractional votes without a nonce are rejected', async function () {
+        await expectRevert(
+          this.helper.vote({
+            support: VOTE_TYPE_FRACTIONAL,
+            params: encodeFractionalVote('1', '0', '0'),
+            signature: this.signature,
+          }),
+          'GovernorCountingFractional: invalid params',
+        );
+      });
+
+      it('nominal votes cast the remaining weight once', async function () {
+        const vote = { support: Enums.VoteType.For, params: '0x', signature: this.signature };
+        await this.helper.vote(vote);
+        expect(await this.mock.usedVotes(this.proposal.id, this.voterBySigAddress))
+          .to.be.bignumber.equal(web3.utils.toWei('10'));
+
+        await expectRevert(this.helper.vote(vote), 'GovernorCountingFractional: all weight cast');
+      });
+    });
+
+    describe('reverts', function () {
+      it('if the vote exceeds the weight', async function () {
+        await expectRevert(
+          this.helper.vote(fractionalVote('4', '5', '2'), { from: voter1 }),
+          'GovernorCountingFractional: vote exceeds remaining weight',
+        );
+      });
+
+      it('if the vote exceeds the remaining weight', async function () {
+        await this.helper.vote(fractionalVote('0', '6', '0'), { from: voter1 });
+        await expectRevert(
+          this.helper.vote(fractionalVote('0', '0', '5'), { from: voter1 }),
+          'GovernorCountingFractional: vote exceeds remaining weight',
+        );
+      });
+
+      it('if all the weight was cast', async function () {
+        await this.helper.vote({ support: Enums.VoteType.Against }, { from: voter1 });
+        await expectRevert(
+          this.helper.vote(fractionalVote('0', '1', '0'), { from: voter1 }),
+          'GovernorCountingFractional: all weight cast',
+        );
+        await expectRevert(
+          this.helper.vote({ support: Enums.VoteType.For }, { from: voter1 }),
+          'GovernorCountingFractional: all weight cast',
+        );
+      });
+
+      it('if the account has no weight', async function () {
+        await expectRevert(
+          this.helper.vote({ support: Enums.VoteType.For }, { from: owner }),
+          'GovernorCountingFractional: no weight',
+        );
+        await expectRevert(
+          this.helper.vote(fractionalVote('0', '0', '0'), { from: owner }),
+          'GovernorCountingFractional: no weight',
+        );
+      });
+
+      it('if the params of a fractional vote are invalid', async function () {
+        await expectRevert(
+          this.helper.vote({ support: VOTE_TYPE_FRACTIONAL, params: '0x1234' }, { from: voter1 }),
+          'GovernorCountingFractional: invalid params',
+        );
+      });
+
+      it('if a nominal vote has params', async function () {
+        await expectRevert(
+          this.helper.vote({ ...fractionalVote('0', '1', '0'), support: Enums.VoteType.For }, { from: voter1 }),
+          'GovernorCountingFractional: invalid params',
+        );
+      });
+
+      it('if the vote type is invalid', async function () {
+        await expectRevert(
+          this.helper.vote({ support: new BN(3) }, { from: voter1 }),
+          'GovernorCountingFractional: invalid value for enum VoteType',
+        );
+      });
+    });
+  });
+});
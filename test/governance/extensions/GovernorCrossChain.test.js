@@ -0,0 +1,97 @@
+const { BN, expectEvent, expectRevert } = require('@openzeppelin/test-helpers');
+const { expect } = require('chai');
+const Enums = require('../../helpers/enums');
+const { GovernorHelper } = require('../../helpers/governance');
+const { BridgeHelper } = require('../../helpers/crosschain');
+
+const Token = artifacts.require('ERC20VotesMock');
+const Governor = artifacts.require('GovernorCrossChainMock');
+const Executor = artifacts.require('CrossChainExecutorAMBMock');
+const CallReceiver = artifacts.require('CallReceiverMock');
+
+contract('GovernorCrossChain', function (accounts) {
+  const [ owner, voter1, other ] = accounts;
+
+  const name = 'OZ-Governor';
+  const tokenName = 'MockToken';
+  const tokenSymbol = 'MTKN';
+  const tokenSupply = web3.utils.toWei('100');
+  const gasLimit = new BN(1000000);
+  const value = web3.utils.toWei('1');
+
+  beforeEach(async function () {
+    this.bridge = await BridgeHelper.deploy('AMB');
+    this.token = await Token.new(tokenName, tokenSymbol);
+    this.mock = await Governor.new(name, this.token.address, this.bridge.address);
+    this.executor = await Executor.new(this.bridge.address, this.mock.address);
+    this.receiver = await CallReceiver.new();
+
+    this.helper = new GovernorHelper(this.mock);
+
+    await web3.eth.sendTransaction({ from: owner, to: this.executor.address, value });
+
+    await this.token.mint(owner, tokenSupply);
+    await this.helper.delegate({ token: this.token, to: voter1, value: web3.utils.toWei('10') }, { from: owner });
+
+    // remote batch, executed by the executor
+    this.batch = [
+      [ this.receiver.address ],
+      [ value ],
+      [ this.receiver.contract.methods.mockFunctionWithArgs(17, 42).encodeABI() ],
+      web3.utils.keccak256('<remote batch>'),
+    ];
+    this.batchId = await this.executor.hashOperationBatch(...this.batch);
+
+    this.proposal = this.helper.setProposal([
+      {
+        target: this.mock.address,
+        data: this.mock.contract.methods.relayCrossChain(
+          this.executor.address,
+          this.executor.contract.methods.executeBatch(...this.batch).encodeABI(),
+          gasLimit,
+        ).encodeABI(),
+      },
+    ], '<proposal description>');
+  });
+
+  it('deployment check', async function () {
+    expect(await this.executor.homeGovernor()).to.be.equal(this.mock.address);
+    expect(await this.executor.isExecuted(this.batchId)).to.be.equal(false);
+  });
+
+  it('executes remote batch through a proposal', async function () {
+    await this.helper.propose();
+    await this.helper.waitForSnapshot();
+    await this.helper.vote({ support: Enums.VoteType.For }, { from: voter1 });
+    await this.helper.waitForDeadline();
+    const txExecute = await this.helper.execute();
+
+    expectEvent(txExecute, 'CrossChainMessageSent', {
+      target: this.executor.address,
+      gasLimit,
+    });
+    await expectEvent.inTransaction(txExecute.tx, this.executor, 'CallExecuted', {
+      id: this.batchId,
+      index: '0',
+      target: this.receiver.address,
+      value,
+    });
+    await expectEvent.inTransaction(txExecute.tx, this.receiver, 'MockFunctionCalledWithArgs', { a: '17', b: '42' });
+
+    expect(await this.executor.isExecuted(this.batchId)).to.be.equal(true);
+    expect(await web3.eth.getBalance(this.executor.address)).to.be.bignumber.equal('0');
+    expect(await web3.eth.getBalance(this.receiver.address)).to.be.bignumber.equal(value);
+  });
+
+  it('relayCrossChain is restricted to governance', async function () {
+    await expectRevert(
+      this.mock.relayCrossChain(
+        this.executor.address,
+        this.executor.contract.methods.executeBatch(...this.batch).encodeABI(),
+        gasLimit,
+        { from: other },
+      ),
+      'Governor: onlyGovernance',
+    );
+  });
+});
@@ -0,0 +1,331 @@
+const { BN, constants, expectEvent, expectRevert } = require('@openzeppelin/test-helpers');
+const { expect } = require('chai');
+const RLP = require('rlp');
+const Enums = require('../../helpers/enums');
+const { GovernorHelper } = require('../../helpers/governance');
+
+const Token = artifacts.require('ERC20VotesMock');
+const TimelockController = artifacts.require('TimelockController');
+const CompTimelock = artifacts.require('CompTimelock');
+const Governor = artifacts.require('GovernorGuardianMock');
+const GovernorControl = artifacts.require('GovernorGuardianTimelockControlMock');
+const GovernorCompound = artifacts.require('GovernorGuardianTimelockCompoundMock');
+const CallReceiver = artifacts.require('CallReceiverMock');
+
+function makeContractAddress (creator, nonce) {
+  return web3.utils.toChecksumAddress(web3.utils.sha3(RLP.encode([creator, nonce])).slice(12).substring(14));
+}
+
+contract('GovernorGuardian', function (accounts) {
+  const [ owner, guardian, voter1, other ] = accounts;
+
+  const name = 'OZ-Governor';
+  const tokenName = 'MockToken';
+  const tokenSymbol = 'MTKN';
+  const tokenSupply = web3.utils.toWei('100');
+  const votingDelay = new BN(4);
+  const votingPeriod = new BN(16);
+  const vetoPeriod = new BN(10);
+  const value = web3.utils.toWei('1');
+
+  const TIMELOCKS = {
+    GovernorTimelockControl: {
+      cancelEvent: 'Cancelled',
+      setup: async function () {
+        const [ deployer ] = await web3.eth.getAccounts();
+
+        this.timelock = await TimelockController.new(3600, [], []);
+        this.mock = await GovernorControl.new(
+          name,
+          this.token.address,
+          votingDelay,
+          votingPeriod,
+          this.timelock.address,
+          guardian,
+          vetoPeriod,
+        );
+
+        // the governor cancels the timelock operations of vetoed proposals, the guardian has no role on the timelock
+        await this.timelock.grantRole(await this.timelock.PROPOSER_ROLE(), this.mock.address);
+        await this.timelock.grantRole(await this.timelock.CANCELLER_ROLE(), this.mock.address);
+        await this.timelock.grantRole(await this.timelock.EXECUTOR_ROLE(), constants.ZERO_ADDRESS);
+        await this.timelock.revokeRole(await this.timelock.TIMELOCK_ADMIN_ROLE(), deployer);
+      },
+    },
+    GovernorTimelockCompound: {
+      cancelEvent: 'CancelTransaction',
+      setup: async function () {
+        const [ deployer ] = await web3.eth.getAccounts();
+
+        // Need to predict governance address to set it as timelock admin
+        const nonce = await web3.eth.getTransactionCount(deployer);
+        const predictGovernor = makeContractAddress(deployer, nonce + 1);
+
+        this.timelock = await CompTimelock.new(predictGovernor, 2 * 86400);
+        this.mock = await GovernorCompound.new(
+          name,
+          this.token.address,
+          votingDelay,
+          votingPeriod,
+          this.timelock.address,
+          guardian,
+          vetoPeriod,
+        );
+      },
+    },
+  };
+
+  for (const [ timelockName, { cancelEvent, setup } ] of Object.entries(TIMELOCKS)) {
+    describe(`with ${timelockName}`, function () {
+      beforeEach(async function () {
+        this.token = await Token.new(tokenName, tokenSymbol);
+        await setup.call(this);
+        this.receiver = await CallReceiver.new();
+
+        this.helper = new GovernorHelper(this.mock);
+
+        await web3.eth.sendTransaction({ from: owner, to: this.timelock.address, value });
+
+        await this.token.mint(owner, tokenSupply);
+        await this.helper.delegate({ token: this.token, to: voter1, value: web3.utils.toWei('10') }, { from: owner });
+
+        // default proposal
+        this.proposal = this.helper.setProposal([
+          {
+            target: this.receiver.address,
+            value,
+            data: this.receiver.contract.methods.mockFunction().encodeABI(),
+          },
+        ], '<proposal description>');
+      });
+
+      it('deployment check', async function () {
+        expect(await this.mock.guardian()).to.be.equal(guardian);
+        expect(await this.mock.vetoPeriod()).to.be.bignumber.equal(vetoPeriod);
+      });
+
+      describe('veto', function () {
+        beforeEach(async function () {
+          await this.helper.propose();
+          await this.helper.waitForSnapshot();
+          await this.helper.vote({ support: Enums.VoteType.For }, { from: voter1 });
+        });
+
+        it('guardian can veto a succeeded proposal', async function () {
+          await this.helper.waitForDeadline(1);
+          expect(await this.proposal.state()).to.be.bignumber.equal(Enums.ProposalState.Succeeded);
+
+          const receipt = await this.mock.veto(...this.proposal.shortProposal, { from: guardian });
+          expectEvent(receipt, 'ProposalVetoed', { proposalId: this.proposal.id });
+          expectEvent(receipt, 'ProposalCanceled', { proposalId: this.proposal.id });
+
+          expect(await this.proposal.state()).to.be.bignumber.equal(Enums.ProposalState.Canceled);
+          await expectRevert(this.helper.queue(), 'Governor: proposal not successful');
+        });
+
+        it('guardian can veto a queued proposal', async function () {
+          await this.helper.waitForDeadline();
+          await this.helper.queue();
+          expect(await this.proposal.state()).to.be.bignumber.equal(Enums.ProposalState.Queued);
+
+          const receipt = await this.mock.veto(...this.proposal.shortProposal, { from: guardian });
+          expectEvent(receipt, 'ProposalVetoed', { proposalId: this.proposal.id });
+          expectEvent(receipt, 'ProposalCanceled', { proposalId: this.proposal.id });
+          await expectEvent.inTransaction(receipt.tx, this.timelock, cancelEvent);
+
+          expect(await this.proposal.state()).to.be.bignumber.equal(Enums.ProposalState.Canceled);
+          await expectRevert(this.helper.execute(), 'Governor: proposal not successful');
+        });
+
+        it('guardian can veto a queued proposal after the veto period, until its eta', async function () {
+          await this.helper.waitForDeadline();
+          await this.helper.queue();
+          await this.helper.waitForDeadline(vetoPeriod.toNumber());
+          expect(await this.proposal.state()).to.be.bignumber.equal(Enums.ProposalState.Queued);
+
+          expectEvent(
+            await this.mock.veto(...this.proposal.shortProposal, { from: guardian }),
+            'ProposalVetoed',
+            { proposalId: this.proposal.id },
+          );
+        });
+
+        it('guardian cannot veto a queued proposal once its eta is reached', async function () {
+          await this.helper.waitForDeadline();
+          await this.helper.queue();
+          await this.helper.waitForEta();
+          expect(await this.proposal.state()).to.be.bignumber.equal(Enums.ProposalState.Queued);
+
+          await expectRevert(
+            this.mock.veto(...this.proposal.shortProposal, { from: guardian }),
+            'GovernorGuardian: veto period over',
+          );
+        });
+
+        it('guardian can veto until the end of the veto period', async function () {
+          await this.helper.waitForDeadline(vetoPeriod.toNumber() - 1);
+          expectEvent(
+            await this.mock.veto(...this.proposal.shortProposal, { from: guardian }),
+            'ProposalVetoed',
+            { proposalId: this.proposal.id },
+          );
+        });
+
+        it('guardian cannot veto after the veto period', async function () {
+          expect(await this.mock.proposalVetoDeadline(this.proposal.id))
+            .to.be.bignumber.equal((await this.mock.proposalDeadline(this.proposal.id)).add(vetoPeriod));
+
+          await this.helper.waitForDeadline(vetoPeriod.toNumber());
+          await expectRevert(
+            this.mock.veto(...this.proposal.shortProposal, { from: guardian }),
+            'GovernorGuardian: veto period over',
+          );
+        });
+
+        it('guardian cannot veto an active proposal', async function () {
+          expect(await this.proposal.state()).to.be.bignumber.equal(Enums.ProposalState.Active);
+          await expectRevert(
+            this.mock.veto(...this.proposal.shortProposal, { from: guardian }),
+            'GovernorGuardian: proposal not successful',
+          );
+        });
+
+        it('guardian cannot veto an executed proposal', async function () {
+          await this.helper.waitForDeadline();
+          await this.helper.queue();
+          await this.helper.waitForEta();
+          await this.helper.execute();
+          await expectRevert(
+            this.mock.veto(...this.proposal.shortProposal, { from: guardian }),
+            'GovernorGuardian: proposal not successful',
+          );
+        });
+
+        it('other cannot veto', async function () {
+          await this.helper.waitForDeadline(1);
+          await expectRevert(
+            this.mock.veto(...this.proposal.shortProposal, { from: other }),
+            'GovernorGuardian: caller is not the guardian',
+          );
+        });
+      });
+
+      describe('onlyGovernance updates', function () {
+        it('setGuardian is protected', async function () {
+          await expectRevert(this.mock.setGuardian(other, { from: guardian }), 'Governor: onlyGovernance');
+        });
+
+        it('setVetoPeriod is protected', async function () {
+          await expectRevert(this.mock.setVetoPeriod(0, { from: guardian }), 'Governor: onlyGovernance');
+        });
+
+        it('can replace the guardian through governance', async function () {
+          this.helper.setProposal([
+            {
+              target: this.mock.address,
+              data: this.mock.contract.methods.setGuardian(other).encodeABI(),
+            },
+            {
+              target: this.mock.address,
+              data: this.mock.contract.methods.setVetoPeriod(0).encodeABI(),
+            },
+          ], '<proposal description>');
+
+          await this.helper.propose();
+          await this.helper.waitForSnapshot();
+          await this.helper.vote({ support: Enums.VoteType.For }, { from: voter1 });
+          await this.helper.waitForDeadline();
+          await this.helper.queue();
+          await this.helper.waitForEta();
+          const receipt = await this.helper.execute();
+
+          expectEvent(receipt, 'GuardianSet', { oldGuardian: guardian, newGuardian: other });
+          expectEvent(receipt, 'VetoPeriodSet', { oldVetoPeriod: vetoPeriod, newVetoPeriod: '0' });
+
+          expect(await this.mock.guardian()).to.be.equal(other);
+          expect(await this.mock.vetoPeriod()).to.be.bignumber.equal('0');
+        });
+
+        it('updating the veto period does not affect existing proposals', async function () {
+          const proposal = this.helper.setProposal([
+            {
+              target: this.mock.address,
+              data: this.mock.contract.methods.setVetoPeriod(0).encodeABI(),
+            },
+          ], '<update description>');
+
+          await this.helper.propose();
+          await this.helper.waitForSnapshot();
+          await this.helper.vote({ support: Enums.VoteType.For }, { from: voter1 });
+          await this.helper.waitForDeadline();
+          await this.helper.queue();
+          await this.helper.waitForEta();
+          const receipt = await this.helper.execute();
+          const snapshot = await proposal.snapshot();
+
+          expect(await this.mock.vetoPeriod()).to.be.bignumber.equal('0');
+          expect(await this.mock.methods['vetoPeriod(uint256)'](snapshot)).to.be.bignumber.equal(vetoPeriod);
+          expect(await this.mock.methods['vetoPeriod(uint256)'](receipt.receipt.blockNumber))
+            .to.be.bignumber.equal('0');
+          expect(await this.mock.proposalVetoDeadline(proposal.id))
+            .to.be.bignumber.equal((await this.mock.proposalDeadline(proposal.id)).add(vetoPeriod));
+        });
+      });
+    });
+  }
+
+  describe('without timelock', function () {
+    beforeEach(async function () {
+      this.token = await Token.new(tokenName, tokenSymbol);
+      this.mock = await Governor.new(name, this.token.address, votingDelay, votingPeriod, guardian, vetoPeriod);
+      this.receiver = await CallReceiver.new();
+
+      this.helper = new GovernorHelper(this.mock);
+
+      await web3.eth.sendTransaction({ from: owner, to: this.mock.address, value });
+
+      await this.token.mint(owner, tokenSupply);
+      await this.helper.delegate({ token: this.token, to: voter1, value: web3.utils.toWei('10') }, { from: owner });
+
+      this.proposal = this.helper.setProposal([
+        {
+          target: this.receiver.address,
+          value,
+          data: this.receiver.contract.methods.mockFunction().encodeABI(),
+        },
+      ], '<proposal description>');
+
+      await this.helper.propose();
+      await this.helper.waitForSnapshot();
+      await this.helper.vote({ support: Enums.VoteType.For }, { from: voter1 });
+    });
+
+    it('cannot execute during the veto period', async function () {
+      await this.helper.waitForDeadline(1);
+      expect(await this.proposal.state()).to.be.bignumber.equal(Enums.ProposalState.Succeeded);
+      await expectRevert(this.helper.execute(), 'GovernorGuardian: veto period not over');
+
+      // the execution would be mined at the veto deadline, which is still part of the veto period
+      await this.helper.waitForDeadline(vetoPeriod.toNumber() - 1);
+      await expectRevert(this.helper.execute(), 'GovernorGuardian: veto period not over');
+    });
+
+    it('guardian can veto during the veto period', async function () {
+      await this.helper.waitForDeadline(1);
+      expectEvent(
+        await this.mock.veto(...this.proposal.shortProposal, { from: guardian }),
+        'ProposalVetoed',
+        { proposalId: this.proposal.id },
+      );
+      await this.helper.waitForDeadline(vetoPeriod.toNumber());
+      await expectRevert(this.helper.execute(), 'Governor: proposal not successful');
+    });
+
+    it('can execute after the veto period', async function () {
+      await this.helper.waitForDeadline(vetoPeriod.toNumber());
+      const receipt = await this.helper.execute();
+      expectEvent(receipt, 'ProposalExecuted', { proposalId: this.proposal.id });
+      await expectEvent.inTransaction(receipt.tx, this.receiver, 'MockFunctionCalled');
+    });
+  });
+});
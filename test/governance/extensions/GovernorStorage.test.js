@@ -0,0 +1,162 @@
+const { BN, constants, expectEvent, expectRevert } = require('@openzeppelin/test-helpers');
+const { expect } = require('chai');
+const Enums = require('../../helpers/enums');
+const { GovernorHelper } = require('../../helpers/governance');
+
+const Token = artifacts.require('ERC20VotesMock');
+const Timelock = artifacts.require('TimelockController');
+const Governor = artifacts.require('GovernorStorageMock');
+const TimelockGovernor = artifacts.require('GovernorTimelockStorageMock');
+const CallReceiver = artifacts.require('CallReceiverMock');
+
+function expectDetails (details, proposal) {
+  expect(details.targets).to.have.ordered.members(proposal.targets);
+  expect(details.values.map(String)).to.have.ordered.members(proposal.values.map(String));
+  expect(details.calldatas).to.have.ordered.members(proposal.fulldata);
+  expect(details.descriptionHash).to.be.equal(proposal.descriptionHash);
+}
+
+contract('GovernorStorage', function (accounts) {
+  const [ owner, proposer, voter1, voter2, voter3, voter4 ] = accounts;
+
+  const name = 'OZ-Governor';
+  const tokenName = 'MockToken';
+  const tokenSymbol = 'MTKN';
+  const tokenSupply = web3.utils.toWei('100');
+  const value = web3.utils.toWei('1');
+
+  beforeEach(async function () {
+    this.token = await Token.new(tokenName, tokenSymbol);
+    this.receiver = await CallReceiver.new();
+
+    await this.token.mint(owner, tokenSupply);
+  });
+
+  // Expects `this.mock` to be deployed, and `this.executor` to hold the funds of the governor
+  async function setup () {
+    this.helper = new GovernorHelper(this.mock);
+
+    await web3.eth.sendTransaction({ from: owner, to: this.executor, value });
+
+    await this.helper.delegate({ token: this.token, to: voter1, value: web3.utils.toWei('10') }, { from: owner });
+    await this.helper.delegate({ token: this.token, to: voter2, value: web3.utils.toWei('7') }, { from: owner });
+    await this.helper.delegate({ token: this.token, to: voter3, value: web3.utils.toWei('5') }, { from: owner });
+    await this.helper.delegate({ token: this.token, to: voter4, value: web3.utils.toWei('2') }, { from: owner });
+
+    this.proposal = this.helper.setProposal([
+      {
+        target: this.receiver.address,
+        value,
+        data: this.receiver.contract.methods.mockFunction().encodeABI(),
+      },
+    ], '<proposal description>');
+  }
+
+  async function runVote () {
+    await this.helper.propose({ from: proposer });
+    await this.helper.waitForSnapshot();
+    await this.helper.vote({ support: Enums.VoteType.For }, { from: voter1 });
+    await this.helper.vote({ support: Enums.VoteType.For }, { from: voter2 });
+    await this.helper.waitForDeadline();
+  }
+
+  describe('without timelock', function () {
+    beforeEach(async function () {
+      this.mock = await Governor.new(name, this.token.address, 10);
+      this.executor = this.mock.address;
+      await setup.call(this);
+    });
+
+    it('no proposal', async function () {
+      expect(await this.mock.proposalCount()).to.be.bignumber.equal('0');
+      await expectRevert.unspecified(this.mock.proposalDetailsAt(0));
+      await expectRevert(this.mock.proposalDetails(this.proposal.id), 'GovernorStorage: unknown proposal id');
+    });
+
+    it('enumerates proposals', async function () {
+      const other = this.helper.buildProposal([
+        { target: this.receiver.address, data: this.receiver.contract.methods.mockFunctionNonPayable().encodeABI() },
+        { target: constants.ZERO_ADDRESS, value: '17' },
+      ], '<other proposal description>');
+
+      await this.proposal.propose({ from: proposer });
+      await other.propose({ from: proposer });
+
+      expect(await this.mock.proposalCount()).to.be.bignumber.equal('2');
+
+      for (const [ index, proposal ] of [ this.proposal, other ].entries()) {
+        const details = await this.mock.proposalDetailsAt(index);
+        expect(details.proposalId).to.be.bignumber.equal(proposal.id);
+        expectDetails(details, proposal);
+        expectDetails(await this.mock.proposalDetails(proposal.id), proposal);
+      }
+
+      await expectRevert.unspecified(this.mock.proposalDetailsAt(2));
+    });
+
+    it('execute by id', async function () {
+      await runVote.call(this);
+
+      const receipt = await this.mock.methods['execute(uint256)'](this.proposal.id);
+      expectEvent(receipt, 'ProposalExecuted', { proposalId: this.proposal.id });
+      await expectEvent.inTransaction(receipt.tx, this.receiver, 'MockFunctionCalled');
+
+      expect(await this.helper.currentProposal.state()).to.be.bignumber.equal(Enums.ProposalState.Executed);
+      expect(await web3.eth.getBalance(this.receiver.address)).to.be.bignumber.equal(value);
+    });
+
+    it('cannot execute an unknown proposal by id', async function () {
+      await expectRevert(
+        this.mock.methods['execute(uint256)'](this.proposal.id),
+        'GovernorStorage: unknown proposal id',
+      );
+    });
+
+    it('cannot queue without a timelock', async function () {
+      await runVote.call(this);
+
+      await expectRevert(
+        this.mock.methods['queue(uint256)'](this.proposal.id),
+        'Governor: queue not supported',
+      );
+    });
+  });
+
+  describe('with timelock', function () {
+    beforeEach(async function () {
+      this.timelock = await Timelock.new(3600, [], [ constants.ZERO_ADDRESS ]);
+      this.mock = await TimelockGovernor.new(name, this.token.address, this.timelock.address, 10);
+      this.executor = this.timelock.address;
+
+      await this.timelock.grantRole(await this.timelock.PROPOSER_ROLE(), this.mock.address);
+      await setup.call(this);
+    });
+
+    it('queue and execute by id', async function () {
+      await runVote.call(this);
+
+      const queueReceipt = await this.mock.methods['queue(uint256)'](this.proposal.id);
+      expectEvent(queueReceipt, 'ProposalQueued', { proposalId: this.proposal.id });
+      expect(await this.helper.currentProposal.state()).to.be.bignumber.equal(Enums.ProposalState.Queued);
+
+      await this.helper.waitForEta();
+
+      const executeReceipt = await this.mock.methods['execute(uint256)'](this.proposal.id);
+      expectEvent(executeReceipt, 'ProposalExecuted', { proposalId: this.proposal.id });
+      await expectEvent.inTransaction(executeReceipt.tx, this.receiver, 'MockFunctionCalled');
+
+      expect(await web3.eth.getBalance(this.receiver.address)).to.be.bignumber.equal(value);
+    });
+
+    it('cannot queue a proposal that did not succeed', async function () {
+      await this.helper.propose({ from: proposer });
+
+      await expectRevert(
+        this.mock.methods['queue(uint256)'](this.proposal.id),
+        'Governor: proposal not successful',
+      );
+      expect(await this.helper.currentProposal.state()).to.be.bignumber.equal(Enums.ProposalState.Pending);
+      expect(await this.mock.proposalCount()).to.be.bignumber.equal(new BN(1));
+    });
+  });
+});
@@ -196,8 +196,11 @@ contract('GovernorTimelockControl', function (accounts) {
       await this.helper.vote({ support: Enums.VoteType.For }, { from: voter1 });
       await this.helper.waitForDeadline();
 
+      // the public cancel is only available to the proposer of a pending proposal
+      await expectRevert(this.helper.cancel(), 'Governor: too late to cancel');
+
       expectEvent(
-        await this.helper.cancel(),
+        await this.mock.forceCancel(...this.proposal.shortProposal),
         'ProposalCanceled',
         { proposalId: this.proposal.id },
       );
@@ -214,7 +217,7 @@ contract('GovernorTimelockControl', function (accounts) {
       await this.helper.queue();
 
       expectEvent(
-        await this.helper.cancel(),
+        await this.mock.forceCancel(...this.proposal.shortProposal),
         'ProposalCanceled',
         { proposalId: this.proposal.id },
       );
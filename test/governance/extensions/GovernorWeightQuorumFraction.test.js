@@ -1,5 +1,6 @@
 const { BN, expectEvent, expectRevert, time } = require('@openzeppelin/test-helpers');
 const { expect } = require('chai');
+const { network } = require('hardhat');
 const Enums = require('../../helpers/enums');
 const { GovernorHelper } = require('../../helpers/governance');
 
@@ -7,6 +8,30 @@ const Token = artifacts.require('ERC20VotesMock');
 const Governor = artifacts.require('GovernorMock');
 const CallReceiver = artifacts.require('CallReceiverMock');
 
+function toWord (value) {
+  return web3.utils.padLeft(web3.utils.toHex(value), 64);
+}
+
+// Locate the storage slot of `_quorumNumeratorHistory`, whose single checkpoint holds `numerator`, and clear it while
+// setting the deprecated `_quorumNumerator`, declared just before it, to emulate a governor upgraded from a version
+// without checkpoints.
+async function setLegacyQuorumNumerator (address, numerator, legacyNumerator) {
+  for (let slot = 0; slot < 32; ++slot) {
+    const length = await web3.eth.getStorageAt(address, slot);
+    if (!web3.utils.toBN(length).eqn(1)) continue;
+
+    // Checkpoint224 packs a uint32 key in the lowest bits and a uint224 value above it
+    const checkpoint = web3.utils.toBN(await web3.eth.getStorageAt(address, web3.utils.soliditySha3(toWord(slot))));
+    if (!checkpoint.shrn(32).eq(numerator)) continue;
+
+    const legacySlot = web3.utils.toHex(slot - 1);
+    await network.provider.send('hardhat_setStorageAt', [ address, web3.utils.toHex(slot), toWord(0) ]);
+    await network.provider.send('hardhat_setStorageAt', [ address, legacySlot, toWord(legacyNumerator) ]);
+    return;
+  }
+  throw new Error('quorum numerator history not found');
+}
+
 contract('GovernorVotesQuorumFraction', function (accounts) {
   const [ owner, voter1, voter2, voter3, voter4 ] = accounts;
 
@@ -57,6 +82,8 @@ contract('GovernorVotesQuorumFraction', function (accounts) {
     expect(await this.mock.quorumDenominator()).to.be.bignumber.equal('100');
     expect(await time.latestBlock().then(blockNumber => this.mock.quorum(blockNumber.subn(1))))
       .to.be.bignumber.equal(tokenSupply.mul(ratio).divn(100));
+    expect(await time.latestBlock().then(blockNumber => this.mock.methods['quorumNumerator(uint256)'](blockNumber)))
+      .to.be.bignumber.equal(ratio);
   });
 
   it('quroum reached', async function () {
@@ -104,8 +131,91 @@ contract('GovernorVotesQuorumFraction', function (accounts) {
 
       expect(await this.mock.quorumNumerator()).to.be.bignumber.equal(newRatio);
       expect(await this.mock.quorumDenominator()).to.be.bignumber.equal('100');
-      expect(await time.latestBlock().then(blockNumber => this.mock.quorum(blockNumber.subn(1))))
-        .to.be.bignumber.equal(tokenSupply.mul(newRatio).divn(100));
+
+      // the new numerator only applies from the block of the update
+      const updateBlock = await time.latestBlock();
+      expect(await this.mock.methods['quorumNumerator(uint256)'](updateBlock.subn(1))).to.be.bignumber.equal(ratio);
+      expect(await this.mock.methods['quorumNumerator(uint256)'](updateBlock)).to.be.bignumber.equal(newRatio);
+      expect(await this.mock.quorum(updateBlock.subn(1))).to.be.bignumber.equal(tokenSupply.mul(ratio).divn(100));
+
+      await time.advanceBlock();
+      expect(await this.mock.quorum(updateBlock)).to.be.bignumber.equal(tokenSupply.mul(newRatio).divn(100));
+    });
+
+    it('updateQuorumNumerator does not affect the quorum of existing proposals', async function () {
+      const higherRatio = new BN(20); // percents
+
+      const update = this.helper.buildProposal([
+        {
+          target: this.mock.address,
+          data: this.mock.contract.methods.updateQuorumNumerator(higherRatio).encodeABI(),
+        },
+      ], '<update description>');
+
+      // both proposals are created, and have their snapshot, before the update is executed
+      await update.propose();
+      await this.proposal.propose();
+      await this.proposal.waitForSnapshot();
+
+      await update.vote({ support: Enums.VoteType.For }, { from: voter1 });
+      await update.vote({ support: Enums.VoteType.For }, { from: voter2 });
+      await update.vote({ support: Enums.VoteType.For }, { from: voter3 });
+      await this.proposal.vote({ support: Enums.VoteType.For }, { from: voter1 });
+      await this.proposal.waitForDeadline(1);
+
+      await update.execute();
+      expect(await this.mock.quorumNumerator()).to.be.bignumber.equal(higherRatio);
+
+      // 10 votes out of 100 tokens: the quorum was reached with the numerator in force at the snapshot (8%), but it
+      // would not be with the new one (20%)
+      expect(await this.mock.quorum(await this.proposal.snapshot()))
+        .to.be.bignumber.equal(tokenSupply.mul(ratio).divn(100));
+      expect(await this.proposal.state()).to.be.bignumber.equal(Enums.ProposalState.Succeeded);
+      await this.proposal.execute();
+    });
+
+    describe('upgraded from storage without checkpoints', function () {
+      const legacyRatio = new BN(12); // percents
+
+      beforeEach(async function () {
+        await setLegacyQuorumNumerator(this.mock.address, ratio, legacyRatio);
+      });
+
+      it('falls back to the deprecated numerator', async function () {
+        const blockNumber = await time.latestBlock();
+        expect(await this.mock.quorumNumerator()).to.be.bignumber.equal(legacyRatio);
+        expect(await this.mock.methods['quorumNumerator(uint256)'](blockNumber)).to.be.bignumber.equal(legacyRatio);
+        expect(await this.mock.quorum(blockNumber.subn(1)))
+          .to.be.bignumber.equal(tokenSupply.mul(legacyRatio).divn(100));
+      });
+
+      it('keeps the deprecated numerator for past timepoints after an update', async function () {
+        this.helper.setProposal([
+          {
+            target: this.mock.address,
+            data: this.mock.contract.methods.updateQuorumNumerator(newRatio).encodeABI(),
+          },
+        ], '<proposal description>');
+
+        // the deprecated numerator (12%) applies to this proposal, voter1 alone (10 votes) would not reach it
+        await this.helper.propose();
+        await this.helper.waitForSnapshot();
+        await this.helper.vote({ support: Enums.VoteType.For }, { from: voter1 });
+        await this.helper.vote({ support: Enums.VoteType.For }, { from: voter2 });
+        await this.helper.waitForDeadline();
+
+        expectEvent(
+          await this.helper.execute(),
+          'QuorumNumeratorUpdated',
+          { oldQuorumNumerator: legacyRatio, newQuorumNumerator: newRatio },
+        );
+
+        const updateBlock = await time.latestBlock();
+        expect(await this.mock.quorumNumerator()).to.be.bignumber.equal(newRatio);
+        expect(await this.mock.methods['quorumNumerator(uint256)'](updateBlock.subn(1)))
+          .to.be.bignumber.equal(legacyRatio);
+        expect(await this.mock.methods['quorumNumerator(uint256)'](updateBlock)).to.be.bignumber.equal(newRatio);
+      });
     });
 
     it('cannot updateQuorumNumerator over the maximum', async function () {
@@ -2,21 +2,14 @@ const { constants, expectEvent, expectRevert, time } = require('@openzeppelin/te
 
 const { MAX_UINT256, ZERO_ADDRESS } = constants;
 
-const { fromRpcSig } = require('ethereumjs-util');
-const ethSigUtil = require('eth-sig-util');
 const Wallet = require('ethereumjs-wallet').default;
 
-const { EIP712Domain, domainSeparator } = require('../../helpers/eip712');
-
-const Delegation = [
-  { name: 'delegatee', type: 'address' },
-  { name: 'nonce', type: 'uint256' },
-  { name: 'expiry', type: 'uint256' },
-];
+const { domainSeparator, signDelegation } = require('../../helpers/eip712');
+const { clockFromReceipt } = require('../../helpers/time');
 
 const version = '1';
 
-function shouldBehaveLikeVotes () {
+function shouldBehaveLikeVotes (mode = 'blocknumber') {
   describe('run votes workflow', function () {
     it('initial nonce is 0', async function () {
       expect(await this.votes.nonces(this.account1)).to.be.bignumber.equal('0');
@@ -35,32 +28,22 @@ function shouldBehaveLikeVotes () {
       const delegatorAddress = web3.utils.toChecksumAddress(delegator.getAddressString());
       const nonce = 0;
 
-      const buildData = (chainId, verifyingContract, name, message) => ({
-        data: {
-          primaryType: 'Delegation',
-          types: { EIP712Domain, Delegation },
-          domain: { name, version, chainId, verifyingContract },
-          message,
-        },
-      });
-
       beforeEach(async function () {
+        this.domain = { name: this.name, version, chainId: this.chainId, verifyingContract: this.votes.address };
         await this.votes.mint(delegatorAddress, this.NFT0);
       });
 
       it('accept signed delegation', async function () {
-        const { v, r, s } = fromRpcSig(ethSigUtil.signTypedMessage(
-          delegator.getPrivateKey(),
-          buildData(this.chainId, this.votes.address, this.name, {
-            delegatee: delegatorAddress,
-            nonce,
-            expiry: MAX_UINT256,
-          }),
-        ));
+        const { v, r, s } = signDelegation(delegator.getPrivateKey(), this.domain, {
+          delegatee: delegatorAddress,
+          nonce,
+          expiry: MAX_UINT256,
+        });
 
         expect(await this.votes.delegates(delegatorAddress)).to.be.equal(ZERO_ADDRESS);
 
         const { receipt } = await this.votes.delegateBySig(delegatorAddress, nonce, MAX_UINT256, v, r, s);
+        const timepoint = await clockFromReceipt[mode](receipt);
         expectEvent(receipt, 'DelegateChanged', {
           delegator: delegatorAddress,
           fromDelegate: ZERO_ADDRESS,
@@ -75,20 +58,17 @@ function shouldBehaveLikeVotes () {
         expect(await this.votes.delegates(delegatorAddress)).to.be.equal(delegatorAddress);
 
         expect(await this.votes.getVotes(delegatorAddress)).to.be.bignumber.equal('1');
-        expect(await this.votes.getPastVotes(delegatorAddress, receipt.blockNumber - 1)).to.be.bignumber.equal('0');
+        expect(await this.votes.getPastVotes(delegatorAddress, timepoint - 1)).to.be.bignumber.equal('0');
         await time.advanceBlock();
-        expect(await this.votes.getPastVotes(delegatorAddress, receipt.blockNumber)).to.be.bignumber.equal('1');
+        expect(await this.votes.getPastVotes(delegatorAddress, timepoint)).to.be.bignumber.equal('1');
       });
 
       it('rejects reused signature', async function () {
-        const { v, r, s } = fromRpcSig(ethSigUtil.signTypedMessage(
-          delegator.getPrivateKey(),
-          buildData(this.chainId, this.votes.address, this.name, {
-            delegatee: delegatorAddress,
-            nonce,
-            expiry: MAX_UINT256,
-          }),
-        ));
+        const { v, r, s } = signDelegation(delegator.getPrivateKey(), this.domain, {
+          delegatee: delegatorAddress,
+          nonce,
+          expiry: MAX_UINT256,
+        });
 
         await this.votes.delegateBySig(delegatorAddress, nonce, MAX_UINT256, v, r, s);
 
@@ -99,14 +79,11 @@ function shouldBehaveLikeVotes () {
       });
 
       it('rejects bad delegatee', async function () {
-        const { v, r, s } = fromRpcSig(ethSigUtil.signTypedMessage(
-          delegator.getPrivateKey(),
-          buildData(this.chainId, this.votes.address, this.name, {
-            delegatee: delegatorAddress,
-            nonce,
-            expiry: MAX_UINT256,
-          }),
-        ));
+        const { v, r, s } = signDelegation(delegator.getPrivateKey(), this.domain, {
+          delegatee: delegatorAddress,
+          nonce,
+          expiry: MAX_UINT256,
+        });
 
         const receipt = await this.votes.delegateBySig(this.account1Delegatee, nonce, MAX_UINT256, v, r, s);
         const { args } = receipt.logs.find(({ event }) => event === 'DelegateChanged');
@@ -116,14 +93,11 @@ function shouldBehaveLikeVotes () {
       });
 
       it('rejects bad nonce', async function () {
-        const { v, r, s } = fromRpcSig(ethSigUtil.signTypedMessage(
-          delegator.getPrivateKey(),
-          buildData(this.chainId, this.votes.address, this.name, {
-            delegatee: delegatorAddress,
-            nonce,
-            expiry: MAX_UINT256,
-          }),
-        ));
+        const { v, r, s } = signDelegation(delegator.getPrivateKey(), this.domain, {
+          delegatee: delegatorAddress,
+          nonce,
+          expiry: MAX_UINT256,
+        });
         await expectRevert(
           this.votes.delegateBySig(delegatorAddress, nonce + 1, MAX_UINT256, v, r, s),
           'Votes: invalid nonce',
@@ -132,14 +106,11 @@ function shouldBehaveLikeVotes () {
 
       it('rejects expired permit', async function () {
         const expiry = (await time.latest()) - time.duration.weeks(1);
-        const { v, r, s } = fromRpcSig(ethSigUtil.signTypedMessage(
-          delegator.getPrivateKey(),
-          buildData(this.chainId, this.votes.address, this.name, {
-            delegatee: delegatorAddress,
-            nonce,
-            expiry,
-          }),
-        ));
+        const { v, r, s } = signDelegation(delegator.getPrivateKey(), this.domain, {
+          delegatee: delegatorAddress,
+          nonce,
+          expiry,
+        });
 
         await expectRevert(
           this.votes.delegateBySig(delegatorAddress, nonce, expiry, v, r, s),
@@ -155,6 +126,7 @@ function shouldBehaveLikeVotes () {
           expect(await this.votes.delegates(this.account1)).to.be.equal(ZERO_ADDRESS);
 
           const { receipt } = await this.votes.delegate(this.account1, { from: this.account1 });
+          const timepoint = await clockFromReceipt[mode](receipt);
           expectEvent(receipt, 'DelegateChanged', {
             delegator: this.account1,
             fromDelegate: ZERO_ADDRESS,
@@ -169,9 +141,9 @@ function shouldBehaveLikeVotes () {
           expect(await this.votes.delegates(this.account1)).to.be.equal(this.account1);
 
           expect(await this.votes.getVotes(this.account1)).to.be.bignumber.equal('1');
-          expect(await this.votes.getPastVotes(this.account1, receipt.blockNumber - 1)).to.be.bignumber.equal('0');
+          expect(await this.votes.getPastVotes(this.account1, timepoint - 1)).to.be.bignumber.equal('0');
           await time.advanceBlock();
-          expect(await this.votes.getPastVotes(this.account1, receipt.blockNumber)).to.be.bignumber.equal('1');
+          expect(await this.votes.getPastVotes(this.account1, timepoint)).to.be.bignumber.equal('1');
         });
 
         it('delegation without tokens', async function () {
@@ -200,6 +172,7 @@ function shouldBehaveLikeVotes () {
         expect(await this.votes.delegates(this.account1)).to.be.equal(this.account1);
 
         const { receipt } = await this.votes.delegate(this.account1Delegatee, { from: this.account1 });
+        const timepoint = await clockFromReceipt[mode](receipt);
         expectEvent(receipt, 'DelegateChanged', {
           delegator: this.account1,
           fromDelegate: this.account1,
@@ -215,16 +188,16 @@ function shouldBehaveLikeVotes () {
           previousBalance: '0',
           newBalance: '1',
         });
-        const prevBlock = receipt.blockNumber - 1;
+        const prevTimepoint = timepoint - 1;
         expect(await this.votes.delegates(this.account1)).to.be.equal(this.account1Delegatee);
 
         expect(await this.votes.getVotes(this.account1)).to.be.bignumber.equal('0');
         expect(await this.votes.getVotes(this.account1Delegatee)).to.be.bignumber.equal('1');
-        expect(await this.votes.getPastVotes(this.account1, receipt.blockNumber - 1)).to.be.bignumber.equal('1');
-        expect(await this.votes.getPastVotes(this.account1Delegatee, prevBlock)).to.be.bignumber.equal('0');
+        expect(await this.votes.getPastVotes(this.account1, timepoint - 1)).to.be.bignumber.equal('1');
+        expect(await this.votes.getPastVotes(this.account1Delegatee, prevTimepoint)).to.be.bignumber.equal('0');
         await time.advanceBlock();
-        expect(await this.votes.getPastVotes(this.account1, receipt.blockNumber)).to.be.bignumber.equal('0');
-        expect(await this.votes.getPastVotes(this.account1Delegatee, receipt.blockNumber)).to.be.bignumber.equal('1');
+        expect(await this.votes.getPastVotes(this.account1, timepoint)).to.be.bignumber.equal('0');
+        expect(await this.votes.getPastVotes(this.account1Delegatee, timepoint)).to.be.bignumber.equal('1');
       });
     });
 
@@ -233,10 +206,10 @@ function shouldBehaveLikeVotes () {
         await this.votes.delegate(this.account1, { from: this.account1 });
       });
 
-      it('reverts if block number >= current block', async function () {
+      it('reverts if timepoint >= current timepoint', async function () {
         await expectRevert(
           this.votes.getPastTotalSupply(5e10),
-          'block not yet mined',
+          'Votes: future lookup',
         );
       });
 
@@ -246,51 +219,58 @@ function shouldBehaveLikeVotes () {
 
       it('returns the latest block if >= last checkpoint block', async function () {
         const t1 = await this.votes.mint(this.account1, this.NFT0);
+        const t1Timepoint = await clockFromReceipt[mode](t1.receipt);
         await time.advanceBlock();
         await time.advanceBlock();
 
-        expect(await this.votes.getPastTotalSupply(t1.receipt.blockNumber - 1)).to.be.bignumber.equal('0');
-        expect(await this.votes.getPastTotalSupply(t1.receipt.blockNumber + 1)).to.be.bignumber.equal('1');
+        expect(await this.votes.getPastTotalSupply(t1Timepoint - 1)).to.be.bignumber.equal('0');
+        expect(await this.votes.getPastTotalSupply(t1Timepoint + 1)).to.be.bignumber.equal('1');
       });
 
       it('returns zero if < first checkpoint block', async function () {
         await time.advanceBlock();
         const t2 = await this.votes.mint(this.account1, this.NFT1);
+        const t2Timepoint = await clockFromReceipt[mode](t2.receipt);
         await time.advanceBlock();
         await time.advanceBlock();
 
-        expect(await this.votes.getPastTotalSupply(t2.receipt.blockNumber - 1)).to.be.bignumber.equal('0');
-        expect(await this.votes.getPastTotalSupply(t2.receipt.blockNumber + 1)).to.be.bignumber.equal('1');
+        expect(await this.votes.getPastTotalSupply(t2Timepoint - 1)).to.be.bignumber.equal('0');
+        expect(await this.votes.getPastTotalSupply(t2Timepoint + 1)).to.be.bignumber.equal('1');
       });
 
       it('generally returns the voting balance at the appropriate checkpoint', async function () {
         const t1 = await this.votes.mint(this.account1, this.NFT1);
+        const t1Timepoint = await clockFromReceipt[mode](t1.receipt);
         await time.advanceBlock();
         await time.advanceBlock();
         const t2 = await this.votes.burn(this.NFT1);
+        const t2Timepoint = await clockFromReceipt[mode](t2.receipt);
         await time.advanceBlock();
         await time.advanceBlock();
         const t3 = await this.votes.mint(this.account1, this.NFT2);
+        const t3Timepoint = await clockFromReceipt[mode](t3.receipt);
         await time.advanceBlock();
         await time.advanceBlock();
         const t4 = await this.votes.burn(this.NFT2);
+        const t4Timepoint = await clockFromReceipt[mode](t4.receipt);
         await time.advanceBlock();
         await time.advanceBlock();
         const t5 = await this.votes.mint(this.account1, this.NFT3);
+        const t5Timepoint = await clockFromReceipt[mode](t5.receipt);
         await time.advanceBlock();
         await time.advanceBlock();
 
-        expect(await this.votes.getPastTotalSupply(t1.receipt.blockNumber - 1)).to.be.bignumber.equal('0');
-        expect(await this.votes.getPastTotalSupply(t1.receipt.blockNumber)).to.be.bignumber.equal('1');
-        expect(await this.votes.getPastTotalSupply(t1.receipt.blockNumber + 1)).to.be.bignumber.equal('1');
-        expect(await this.votes.getPastTotalSupply(t2.receipt.blockNumber)).to.be.bignumber.equal('0');
-        expect(await this.votes.getPastTotalSupply(t2.receipt.blockNumber + 1)).to.be.bignumber.equal('0');
-        expect(await this.votes.getPastTotalSupply(t3.receipt.blockNumber)).to.be.bignumber.equal('1');
-        expect(await this.votes.getPastTotalSupply(t3.receipt.blockNumber + 1)).to.be.bignumber.equal('1');
-        expect(await this.votes.getPastTotalSupply(t4.receipt.blockNumber)).to.be.bignumber.equal('0');
-        expect(await this.votes.getPastTotalSupply(t4.receipt.blockNumber + 1)).to.be.bignumber.equal('0');
-        expect(await this.votes.getPastTotalSupply(t5.receipt.blockNumber)).to.be.bignumber.equal('1');
-        expect(await this.votes.getPastTotalSupply(t5.receipt.blockNumber + 1)).to.be.bignumber.equal('1');
+        expect(await this.votes.getPastTotalSupply(t1Timepoint - 1)).to.be.bignumber.equal('0');
+        expect(await this.votes.getPastTotalSupply(t1Timepoint)).to.be.bignumber.equal('1');
+        expect(await this.votes.getPastTotalSupply(t1Timepoint + 1)).to.be.bignumber.equal('1');
+        expect(await this.votes.getPastTotalSupply(t2Timepoint)).to.be.bignumber.equal('0');
+        expect(await this.votes.getPastTotalSupply(t2Timepoint + 1)).to.be.bignumber.equal('0');
+        expect(await this.votes.getPastTotalSupply(t3Timepoint)).to.be.bignumber.equal('1');
+        expect(await this.votes.getPastTotalSupply(t3Timepoint + 1)).to.be.bignumber.equal('1');
+        expect(await this.votes.getPastTotalSupply(t4Timepoint)).to.be.bignumber.equal('0');
+        expect(await this.votes.getPastTotalSupply(t4Timepoint + 1)).to.be.bignumber.equal('0');
+        expect(await this.votes.getPastTotalSupply(t5Timepoint)).to.be.bignumber.equal('1');
+        expect(await this.votes.getPastTotalSupply(t5Timepoint + 1)).to.be.bignumber.equal('1');
       });
     });
 
@@ -305,10 +285,10 @@ function shouldBehaveLikeVotes () {
       });
 
       describe('getPastVotes', function () {
-        it('reverts if block number >= current block', async function () {
+        it('reverts if timepoint >= current timepoint', async function () {
           await expectRevert(
             this.votes.getPastVotes(this.account2, 5e10),
-            'block not yet mined',
+            'Votes: future lookup',
           );
         });
 
@@ -318,21 +298,23 @@ function shouldBehaveLikeVotes () {
 
         it('returns the latest block if >= last checkpoint block', async function () {
           const t1 = await this.votes.delegate(this.account2, { from: this.account1 });
+          const t1Timepoint = await clockFromReceipt[mode](t1.receipt);
           await time.advanceBlock();
           await time.advanceBlock();
           const latest = await this.votes.getVotes(this.account2);
-          const nextBlock = t1.receipt.blockNumber + 1;
-          expect(await this.votes.getPastVotes(this.account2, t1.receipt.blockNumber)).to.be.bignumber.equal(latest);
-          expect(await this.votes.getPastVotes(this.account2, nextBlock)).to.be.bignumber.equal(latest);
+          const nextTimepoint = t1Timepoint + 1;
+          expect(await this.votes.getPastVotes(this.account2, t1Timepoint)).to.be.bignumber.equal(latest);
+          expect(await this.votes.getPastVotes(this.account2, nextTimepoint)).to.be.bignumber.equal(latest);
         });
 
         it('returns zero if < first checkpoint block', async function () {
           await time.advanceBlock();
           const t1 = await this.votes.delegate(this.account2, { from: this.account1 });
+          const t1Timepoint = await clockFromReceipt[mode](t1.receipt);
           await time.advanceBlock();
           await time.advanceBlock();
 
-          expect(await this.votes.getPastVotes(this.account2, t1.receipt.blockNumber - 1)).to.be.bignumber.equal('0');
+          expect(await this.votes.getPastVotes(this.account2, t1Timepoint - 1)).to.be.bignumber.equal('0');
         });
       });
     });
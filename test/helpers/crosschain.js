@@ -5,6 +5,10 @@ const BridgeArbitrumL1Mock = artifacts.require('BridgeArbitrumL1Mock');
 const BridgeArbitrumL2Mock = artifacts.require('BridgeArbitrumL2Mock');
 const BridgeOptimismMock = artifacts.require('BridgeOptimismMock');
 const BridgePolygonChildMock = artifacts.require('BridgePolygonChildMock');
+const BridgePolygonRootMock = artifacts.require('BridgePolygonRootMock');
+
+const MESSAGE_SENT = 'MessageSent(address,address,bytes,uint256)';
+const SENDER_OBSERVED = 'CrossChainSenderObserved(address)';
 
 class BridgeHelper {
   static async deploy (type) {
@@ -19,14 +23,206 @@ class BridgeHelper {
   call (from, target, selector = undefined, args = []) {
     return this.bridge.relayAs(
       target.address || target,
-      selector
-        ? target.contract.methods[selector](...args).encodeABI()
-        : '0x',
+      encodeCall(target, selector, args),
       from,
     );
   }
 }
 
+/**
+ * Local simulation of a bridge between several chains (sides), each of them reached through one of the bridge mocks
+ * supported by {BridgeHelper}. Messages are queued when sent, and are only relayed when the test decides to. This makes
+ * it possible to deliver messages out of order, to delay them, to drop them or to replay them.
+ *
+ * Every delivery records the `_crossChainSender()` that the receiving contract observed, as reported by the last
+ * `CrossChainSenderObserved(address)` event it emitted during the delivery (undefined if it emitted none).
+ */
+class CrossChainSimulator {
+  static async deploy (sides = { L1: 'Arbitrum-L1', L2: 'Arbitrum-L2' }) {
+    const bridges = {};
+    for (const [ side, type ] of Object.entries(sides)) {
+      bridges[side] = await BridgeHelper.deploy(type);
+    }
+    return new CrossChainSimulator(bridges);
+  }
+
+  constructor (bridges) {
+    this.bridges = bridges;
+    this.messages = [];
+    this.senders = Object.fromEntries(Object.keys(bridges).map(side => [ side, [] ]));
+  }
+
+  /**
+   * Queue a message to the `to` side, as if `from` had sent it on another side. The message can only be delivered once
+   * `delay` seconds have passed.
+   */
+  send (to, from, target, selector = undefined, args = [], { delay = 0 } = {}) {
+    return this._queue(to, from, target.address || target, encodeCall(target, selector, args), delay);
+  }
+
+  /**
+   * Queue to the `to` side all the messages that were sent through the bridge mocks during transaction `tx`, in the
+   * order they were emitted. Returns the queued messages.
+   */
+  async capture (to, tx, { delay = 0 } = {}) {
+    const messages = [];
+    for (const { sender, target, data } of sentMessages(tx)) {
+      messages.push(await this._queue(to, sender, target, data, delay));
+    }
+    return messages;
+  }
+
+  /**
+   * Relay a queued message. Delivery fails if the message was dropped, was already delivered, or is still delayed.
+   * If the relayed call reverts, the message remains queued and can be delivered again later.
+   */
+  async deliver (message) {
+    message = this._get(message);
+    if (message.status !== 'queued') {
+      throw new Error(`CrossChain: message ${message.id} is ${message.status}`);
+    }
+    if (message.readyAt > await latestTimestamp()) {
+      throw new Error(`CrossChain: message ${message.id} is delayed until ${message.readyAt}`);
+    }
+
+    const tx = await this._relay(message);
+    message.status = 'delivered';
+    return tx;
+  }
+
+  /**
+   * Deliver all queued messages that are ready, optionally restricted to one side, in the order they were sent.
+   */
+  async deliverAll (to = undefined) {
+    const txs = [];
+    for (const message of await this.ready(to)) {
+      txs.push(await this.deliver(message));
+    }
+    return txs;
+  }
+
+  /**
+   * Relay a message that was already delivered once more.
+   */
+  async replay (message) {
+    message = this._get(message);
+    if (message.status !== 'delivered') {
+      throw new Error(`CrossChain: message ${message.id} was not delivered`);
+    }
+    return this._relay(message);
+  }
+
+  /**
+   * Postpone the delivery of a queued message by `delay` seconds, from now.
+   */
+  async delay (message, delay) {
+    message = this._get(message);
+    message.readyAt = await latestTimestamp() + delay;
+    return message;
+  }
+
+  /**
+   * Drop a queued message, that will never be delivered.
+   */
+  drop (message) {
+    message = this._get(message);
+    if (message.status !== 'queued') {
+      throw new Error(`CrossChain: message ${message.id} is ${message.status}`);
+    }
+    message.status = 'dropped';
+    return message;
+  }
+
+  pending (to = undefined) {
+    return this.messages.filter(message => message.status === 'queued' && (to === undefined || message.to === to));
+  }
+
+  async ready (to = undefined) {
+    const now = await latestTimestamp();
+    return this.pending(to).filter(message => message.readyAt <= now);
+  }
+
+  /**
+   * Returns the last `_crossChainSender()` observed on a side, or undefined if no message was delivered there.
+   */
+  lastSender (side) {
+    return this.senders[side][this.senders[side].length - 1];
+  }
+
+  async _queue (to, from, target, data, delay) {
+    if (!(to in this.bridges)) {
+      throw new Error(`CrossChain: unknown side ${to}`);
+    }
+
+    const message = {
+      id: this.messages.length,
+      to,
+      from,
+      target,
+      data,
+      readyAt: await latestTimestamp() + delay,
+      status: 'queued',
+      deliveries: 0,
+    };
+    this.messages.push(message);
+    return message;
+  }
+
+  async _relay (message) {
+    const tx = await this.bridges[message.to].bridge.relayAs(message.target, message.data, message.from);
+    message.deliveries += 1;
+    this.senders[message.to].push(observedSenders(tx, message.target).pop());
+    return tx;
+  }
+
+  _get (message) {
+    const id = typeof message === 'object' ? message.id : message;
+    if (!(id in this.messages)) {
+      throw new Error(`CrossChain: unknown message ${id}`);
+    }
+    return this.messages[id];
+  }
+}
+
+function encodeCall (target, selector = undefined, args = []) {
+  return selector
+    ? target.contract.methods[selector](...args).encodeABI()
+    : '0x';
+}
+
+/**
+ * Returns the messages sent through the bridge mocks during transaction `tx`, as `{ bridge, sender, target, data,
+ * gasLimit }` objects.
+ */
+function sentMessages (tx) {
+  const topic = web3.utils.keccak256(MESSAGE_SENT);
+  return (tx.receipt || tx).rawLogs
+    .filter(({ topics }) => topics[0] === topic)
+    .map(({ address, topics, data }) => {
+      const { sender, target, data: message, gasLimit } = web3.eth.abi.decodeLog([
+        { type: 'address', name: 'sender', indexed: true },
+        { type: 'address', name: 'target', indexed: true },
+        { type: 'bytes', name: 'data' },
+        { type: 'uint256', name: 'gasLimit' },
+      ], data, topics.slice(1));
+      return { bridge: address, sender, target, data: message, gasLimit };
+    });
+}
+
+/**
+ * Returns the senders that `target` reported through `CrossChainSenderObserved` events during transaction `tx`.
+ */
+function observedSenders (tx, target) {
+  const topic = web3.utils.keccak256(SENDER_OBSERVED);
+  return (tx.receipt || tx).rawLogs
+    .filter(({ address, topics }) => topics[0] === topic && address.toLowerCase() === target.toLowerCase())
+    .map(({ data }) => web3.eth.abi.decodeParameter('address', data));
+}
+
+function latestTimestamp () {
+  return web3.eth.getBlock('latest').then(block => Number(block.timestamp));
+}
+
 async function deployBridge (type = 'Arbitrum-L2') {
   switch (type) {
   case 'AMB':
@@ -53,6 +249,9 @@ async function deployBridge (type = 'Arbitrum-L2') {
   case 'Polygon-Child':
     return BridgePolygonChildMock.new();
 
+  case 'Polygon-Root':
+    return BridgePolygonRootMock.new();
+
   default:
     throw new Error(`CrossChain: ${type} is not supported`);
   }
@@ -60,4 +259,6 @@ async function deployBridge (type = 'Arbitrum-L2') {
 
 module.exports = {
   BridgeHelper,
+  CrossChainSimulator,
+  sentMessages,
 };
@@ -1,4 +1,5 @@
 const ethSigUtil = require('eth-sig-util');
+const { fromRpcSig } = require('ethereumjs-util');
 
 const EIP712Domain = [
   { name: 'name', type: 'string' },
@@ -7,6 +8,54 @@ const EIP712Domain = [
   { name: 'verifyingContract', type: 'address' },
 ];
 
+// ERC20Permit.permit
+const Permit = [
+  { name: 'owner', type: 'address' },
+  { name: 'spender', type: 'address' },
+  { name: 'value', type: 'uint256' },
+  { name: 'nonce', type: 'uint256' },
+  { name: 'deadline', type: 'uint256' },
+];
+
+// Votes.delegateBySig, ERC20Votes.delegateBySig
+const Delegation = [
+  { name: 'delegatee', type: 'address' },
+  { name: 'nonce', type: 'uint256' },
+  { name: 'expiry', type: 'uint256' },
+];
+
+// Governor.castVoteBySig
+const Ballot = [
+  { name: 'proposalId', type: 'uint256' },
+  { name: 'support', type: 'uint8' },
+];
+
+// Governor.castVoteWithReasonAndParamsBySig
+const ExtendedBallot = [
+  { name: 'proposalId', type: 'uint256' },
+  { name: 'support', type: 'uint8' },
+  { name: 'reason', type: 'string' },
+  { name: 'params', type: 'bytes' },
+];
+
+// MinimalForwarder.execute
+const ForwardRequest = [
+  { name: 'from', type: 'address' },
+  { name: 'to', type: 'address' },
+  { name: 'value', type: 'uint256' },
+  { name: 'gas', type: 'uint256' },
+  { name: 'nonce', type: 'uint256' },
+  { name: 'data', type: 'bytes' },
+];
+
+const types = {
+  Permit,
+  Delegation,
+  Ballot,
+  ExtendedBallot,
+  ForwardRequest,
+};
+
 async function domainSeparator (name, version, chainId, verifyingContract) {
   return '0x' + ethSigUtil.TypedDataUtils.hashStruct(
     'EIP712Domain',
@@ -15,7 +64,59 @@ async function domainSeparator (name, version, chainId, verifyingContract) {
   ).toString('hex');
 }
 
+/**
+ * Build the typed data of one of the structures above, ready to be passed to `eth_signTypedData` or to
+ * {signTypedData}. The message must provide every field of the structure.
+ */
+function buildData (primaryType, domain, message) {
+  if (!(primaryType in types)) {
+    throw new Error(`Unknown EIP712 type ${primaryType}`);
+  }
+
+  const missing = types[primaryType].filter(({ name }) => !(name in message)).map(({ name }) => name);
+  if (missing.length > 0) {
+    throw new Error(`Missing ${primaryType} field(s): ${missing.join(', ')}`);
+  }
+
+  return {
+    primaryType,
+    types: { EIP712Domain, [primaryType]: types[primaryType] },
+    domain: {
+      name: domain.name,
+      version: domain.version,
+      chainId: domain.chainId,
+      verifyingContract: domain.verifyingContract,
+    },
+    message,
+  };
+}
+
+/**
+ * Sign typed data with a private key. Returns the packed signature, as expected by `ECDSA.recover` and
+ * `MinimalForwarder`, as well as its `v`, `r` and `s` components.
+ */
+function signTypedData (privateKey, data) {
+  const signature = ethSigUtil.signTypedMessage(privateKey, { data });
+  return { signature, ...fromRpcSig(signature) };
+}
+
+function signer (primaryType) {
+  return (privateKey, domain, message) => signTypedData(privateKey, buildData(primaryType, domain, message));
+}
+
 module.exports = {
   EIP712Domain,
+  Permit,
+  Delegation,
+  Ballot,
+  ExtendedBallot,
+  ForwardRequest,
   domainSeparator,
+  buildData,
+  signTypedData,
+  signPermit: signer('Permit'),
+  signDelegation: signer('Delegation'),
+  signBallot: signer('Ballot'),
+  signExtendedBallot: signer('ExtendedBallot'),
+  signForwardRequest: signer('ForwardRequest'),
 };
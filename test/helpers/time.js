@@ -0,0 +1,11 @@
+// Helpers indexed by clock mode, as reported by `CLOCK_MODE()` (see EIP-6372).
+module.exports = {
+  clock: {
+    blocknumber: () => web3.eth.getBlock('latest').then(block => block.number),
+    timestamp: () => web3.eth.getBlock('latest').then(block => block.timestamp),
+  },
+  clockFromReceipt: {
+    blocknumber: receipt => Promise.resolve(receipt.blockNumber),
+    timestamp: receipt => web3.eth.getBlock(receipt.blockNumber).then(block => block.timestamp),
+  },
+};
@@ -0,0 +1,93 @@
+const { expect } = require('chai');
+
+const { StandardMerkleTree } = require('../scripts/merkle-tree.js');
+
+const leafEncoding = [ 'address', 'uint256' ];
+const values = [
+  [ '0x1111111111111111111111111111111111111111', '5000000000000000000' ],
+  [ '0x2222222222222222222222222222222222222222', '2500000000000000000' ],
+  [ '0x3333333333333333333333333333333333333333', '1' ],
+  [ '0x4444444444444444444444444444444444444444', '0' ],
+  [ '0x5555555555555555555555555555555555555555', '42' ],
+];
+
+describe('merkle-tree.js', function () {
+  beforeEach(function () {
+    this.tree = StandardMerkleTree.of(values, leafEncoding);
+  });
+
+  it('generates valid proofs for all values', function () {
+    for (const [ index, value ] of this.tree.entries()) {
+      const proof = this.tree.getProof(value);
+      expect(proof).to.deep.equal(this.tree.getProof(index));
+      expect(StandardMerkleTree.verify(this.tree.root, leafEncoding, value, proof)).to.equal(true);
+    }
+  });
+
+  it('does not depend on the order of the values', function () {
+    expect(StandardMerkleTree.of([ ...values ].reverse(), leafEncoding).root).to.equal(this.tree.root);
+  });
+
+  it('rejects proofs for other values', function () {
+    const proof = this.tree.getProof(values[0]);
+    expect(StandardMerkleTree.verify(this.tree.root, leafEncoding, values[1], proof)).to.equal(false);
+    expect(() => this.tree.getProof([ values[0][0], '1' ])).to.throw('Leaf is not in tree');
+    expect(() => this.tree.getProof(values.length)).to.throw('Index out of bounds');
+  });
+
+  it('dumps and loads', function () {
+    const dump = JSON.parse(JSON.stringify(this.tree.dump()));
+    const loaded = StandardMerkleTree.load(dump);
+
+    loaded.validate();
+    expect(loaded.root).to.equal(this.tree.root);
+    expect(loaded.dump()).to.deep.equal(dump);
+    expect(loaded.getProof(values[2])).to.deep.equal(this.tree.getProof(values[2]));
+  });
+
+  it('rejects unknown formats', function () {
+    expect(() => StandardMerkleTree.load({ ...this.tree.dump(), format: 'nonstandard' }))
+      .to.throw('Unknown format \'nonstandard\'');
+  });
+
+  it('detects tampered trees', function () {
+    const dump = this.tree.dump();
+
+    const badValue = { ...dump, values: [ ...dump.values ] };
+    badValue.values[0] = { ...badValue.values[0], value: [ values[0][0], '1' ] };
+    expect(() => StandardMerkleTree.load(badValue).validate())
+      .to.throw('Merkle tree does not contain the expected value');
+
+    const badNode = { ...dump, tree: [ ...dump.tree ] };
+    badNode.tree[0] = '0x' + '00'.repeat(32);
+    expect(() => StandardMerkleTree.load(badNode).validate()).to.throw('Merkle tree is invalid');
+  });
+
+  it('rejects empty trees', function () {
+    expect(() => StandardMerkleTree.of([], leafEncoding)).to.throw('Expected non-zero number of leaves');
+  });
+
+  it('generates valid multiproofs', function () {
+    const multiproof = this.tree.getMultiProof([ values[3], 0, values[4] ]);
+    expect(multiproof.leaves).to.have.deep.members([ values[0], values[3], values[4] ]);
+    expect(StandardMerkleTree.verifyMultiProof(this.tree.root, leafEncoding, multiproof)).to.equal(true);
+
+    const empty = this.tree.getMultiProof([]);
+    expect(empty).to.deep.equal({ leaves: [], proof: [ this.tree.root ], proofFlags: [] });
+    expect(StandardMerkleTree.verifyMultiProof(this.tree.root, leafEncoding, empty)).to.equal(true);
+  });
+
+  it('rejects invalid multiproofs', function () {
+    expect(() => this.tree.getMultiProof([ 1, values[1] ])).to.throw('Cannot prove duplicated index');
+
+    const multiproof = this.tree.getMultiProof([ 1, 2 ]);
+    expect(StandardMerkleTree.verifyMultiProof(this.tree.root, leafEncoding, {
+      ...multiproof,
+      leaves: [ values[0], ...multiproof.leaves.slice(1) ],
+    })).to.equal(false);
+    expect(() => StandardMerkleTree.verifyMultiProof(this.tree.root, leafEncoding, {
+      ...multiproof,
+      proof: multiproof.proof.slice(1),
+    })).to.throw();
+  });
+});
@@ -1,6 +1,5 @@
-const ethSigUtil = require('eth-sig-util');
 const Wallet = require('ethereumjs-wallet').default;
-const { EIP712Domain } = require('../helpers/eip712');
+const { signForwardRequest } = require('../helpers/eip712');
 
 const { expectEvent } = require('@openzeppelin/test-helpers');
 const { expect } = require('chai');
@@ -25,17 +24,6 @@ contract('ERC2771Context', function (accounts) {
       chainId: await web3.eth.getChainId(),
       verifyingContract: this.forwarder.address,
     };
-    this.types = {
-      EIP712Domain,
-      ForwardRequest: [
-        { name: 'from', type: 'address' },
-        { name: 'to', type: 'address' },
-        { name: 'value', type: 'uint256' },
-        { name: 'gas', type: 'uint256' },
-        { name: 'nonce', type: 'uint256' },
-        { name: 'data', type: 'bytes' },
-      ],
-    };
   });
 
   it('recognize trusted forwarder', async function () {
@@ -55,11 +43,6 @@ contract('ERC2771Context', function (accounts) {
     beforeEach(async function () {
       this.wallet = Wallet.generate();
       this.sender = web3.utils.toChecksumAddress(this.wallet.getAddressString());
-      this.data = {
-        types: this.types,
-        domain: this.domain,
-        primaryType: 'ForwardRequest',
-      };
     });
 
     describe('msgSender', function () {
@@ -75,7 +58,7 @@ contract('ERC2771Context', function (accounts) {
           data,
         };
 
-        const sign = ethSigUtil.signTypedMessage(this.wallet.getPrivateKey(), { data: { ...this.data, message: req } });
+        const { signature: sign } = signForwardRequest(this.wallet.getPrivateKey(), this.domain, req);
         expect(await this.forwarder.verify(req, sign)).to.equal(true);
 
         const { tx } = await this.forwarder.execute(req, sign);
@@ -98,7 +81,7 @@ contract('ERC2771Context', function (accounts) {
           data,
         };
 
-        const sign = ethSigUtil.signTypedMessage(this.wallet.getPrivateKey(), { data: { ...this.data, message: req } });
+        const { signature: sign } = signForwardRequest(this.wallet.getPrivateKey(), this.domain, req);
         expect(await this.forwarder.verify(req, sign)).to.equal(true);
 
         const { tx } = await this.forwarder.execute(req, sign);
@@ -1,6 +1,5 @@
-const ethSigUtil = require('eth-sig-util');
 const Wallet = require('ethereumjs-wallet').default;
-const { EIP712Domain } = require('../helpers/eip712');
+const { signForwardRequest } = require('../helpers/eip712');
 
 const { expectRevert, constants } = require('@openzeppelin/test-helpers');
 const { expect } = require('chai');
@@ -20,17 +19,6 @@ contract('MinimalForwarder', function (accounts) {
       chainId: await web3.eth.getChainId(),
       verifyingContract: this.forwarder.address,
     };
-    this.types = {
-      EIP712Domain,
-      ForwardRequest: [
-        { name: 'from', type: 'address' },
-        { name: 'to', type: 'address' },
-        { name: 'value', type: 'uint256' },
-        { name: 'gas', type: 'uint256' },
-        { name: 'nonce', type: 'uint256' },
-        { name: 'data', type: 'bytes' },
-      ],
-    };
   });
 
   context('with message', function () {
@@ -45,17 +33,7 @@ contract('MinimalForwarder', function (accounts) {
         nonce: Number(await this.forwarder.getNonce(this.sender)),
         data: '0x',
       };
-      this.sign = () => ethSigUtil.signTypedMessage(
-        this.wallet.getPrivateKey(),
-        {
-          data: {
-            types: this.types,
-            domain: this.domain,
-            primaryType: 'ForwardRequest',
-            message: this.req,
-          },
-        },
-      );
+      this.sign = () => signForwardRequest(this.wallet.getPrivateKey(), this.domain, this.req).signature;
     });
 
     context('verify', function () {
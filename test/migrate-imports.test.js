@@ -2,7 +2,7 @@ const path = require('path');
 const { promises: fs, constants: { F_OK } } = require('fs');
 const { expect } = require('chai');
 
-const { pathUpdates, updateImportPaths, getUpgradeablePath } = require('../scripts/migrate-imports.js');
+const { pathUpdates, migrate, updateImportPaths, getUpgradeablePath } = require('../scripts/migrate-imports.js');
 
 describe('migrate-imports.js', function () {
   it('every new path exists', async function () {
@@ -26,4 +26,128 @@ import '@openzeppelin/contracts-upgradeable/utils/math/MathUpgradeable.sol';
     `;
     expect(updateImportPaths(source)).to.equal(expected);
   });
+
+  it('replaces every occurrence of a path', function () {
+    const source = `
+import '@openzeppelin/contracts/utils/SafeCast.sol';
+import { SafeCast } from '@openzeppelin/contracts/utils/SafeCast.sol';
+    `;
+    const expected = `
+import '@openzeppelin/contracts/utils/math/SafeCast.sol';
+import { SafeCast } from '@openzeppelin/contracts/utils/math/SafeCast.sol';
+    `;
+    expect(updateImportPaths(source)).to.equal(expected);
+  });
+
+  it('applies migrations across several major versions', function () {
+    const source = `
+import '@openzeppelin/contracts/lifecycle/Pausable.sol';
+import '@openzeppelin/contracts/drafts/Counters.sol';
+    `;
+    const expected = `
+import '@openzeppelin/contracts/security/Pausable.sol';
+import '@openzeppelin/contracts/utils/Counters.sol';
+    `;
+    expect(migrate(source, { from: '2.x' }).source).to.equal(expected);
+  });
+
+  it('only applies the migration to the latest major version by default', function () {
+    const source = `
+import '@openzeppelin/contracts/lifecycle/Pausable.sol';
+import '@openzeppelin/contracts/utils/Pausable.sol';
+    `;
+    const expected = `
+import '@openzeppelin/contracts/lifecycle/Pausable.sol';
+import '@openzeppelin/contracts/security/Pausable.sol';
+    `;
+    expect(updateImportPaths(source)).to.equal(expected);
+  });
+
+  it('starts from the given version', function () {
+    const source = `
+import '@openzeppelin/contracts/lifecycle/Pausable.sol';
+import '@openzeppelin/contracts/utils/Pausable.sol';
+    `;
+    const expected = `
+import '@openzeppelin/contracts/lifecycle/Pausable.sol';
+import '@openzeppelin/contracts/security/Pausable.sol';
+    `;
+    expect(migrate(source, { from: '3.x' }).source).to.equal(expected);
+    expect(() => migrate(source, { from: '1.x' })).to.throw('No migration from version 1.x');
+  });
+
+  it('renames contracts that were renamed', function () {
+    const source = `
+import '@openzeppelin/contracts/proxy/UpgradeableProxy.sol';
+
+contract MyProxy is UpgradeableProxy {
+  constructor(address logic) UpgradeableProxy(logic, '') {}
+}
+    `;
+    const expected = `
+import '@openzeppelin/contracts/proxy/ERC1967/ERC1967Proxy.sol';
+
+contract MyProxy is ERC1967Proxy {
+  constructor(address logic) ERC1967Proxy(logic, '') {}
+}
+    `;
+    expect(updateImportPaths(source)).to.equal(expected);
+  });
+
+  it('does not rename contracts in comments and strings', function () {
+    const source = `
+import '@openzeppelin/contracts/proxy/UpgradeableProxy.sol';
+
+// UpgradeableProxy was renamed
+contract MyProxy is UpgradeableProxy {
+  /* see UpgradeableProxy */
+  string public constant NAME = "UpgradeableProxy";
+  string public constant OTHER = 'my UpgradeableProxy';
+
+  constructor(address logic) UpgradeableProxy(logic, '') {}
+
+  function $UpgradeableProxy() public {}
+}
+    `;
+    const expected = `
+import '@openzeppelin/contracts/proxy/ERC1967/ERC1967Proxy.sol';
+
+// UpgradeableProxy was renamed
+contract MyProxy is ERC1967Proxy {
+  /* see UpgradeableProxy */
+  string public constant NAME = "UpgradeableProxy";
+  string public constant OTHER = 'my UpgradeableProxy';
+
+  constructor(address logic) ERC1967Proxy(logic, '') {}
+
+  function $UpgradeableProxy() public {}
+}
+    `;
+    const { source: updated, renamed } = migrate(source);
+    expect(updated).to.equal(expected);
+    expect(renamed).to.deep.equal([
+      { line: 5, from: 'UpgradeableProxy', to: 'ERC1967Proxy' },
+      { line: 10, from: 'UpgradeableProxy', to: 'ERC1967Proxy' },
+    ]);
+  });
+
+  it('reports files that were removed', function () {
+    const source = `
+import '@openzeppelin/contracts/GSN/Context.sol';
+import '@openzeppelin/contracts/GSN/GSNRecipient.sol';
+import '@openzeppelin/contracts-upgradeable/token/ERC20/ERC20DetailedUpgradeable.sol';
+    `;
+    const { source: updated, issues } = migrate(source, { from: '2.x' });
+    expect(updated).to.equal(source.replace('GSN/Context.sol', 'utils/Context.sol'));
+    expect(issues).to.deep.equal([
+      {
+        line: 4,
+        message: '@openzeppelin/contracts-upgradeable/token/ERC20/ERC20DetailedUpgradeable.sol was removed in 3.x',
+      },
+      {
+        line: 3,
+        message: '@openzeppelin/contracts/GSN/GSNRecipient.sol was removed in 4.x',
+      },
+    ]);
+  });
 });
@@ -0,0 +1,195 @@
+const fs = require('fs');
+const path = require('path');
+const { config, run } = require('hardhat');
+const {
+  TASK_COMPILE_SOLIDITY_GET_SOLC_BUILD,
+  TASK_COMPILE_SOLIDITY_RUN_SOLC,
+  TASK_COMPILE_SOLIDITY_RUN_SOLCJS,
+} = require('hardhat/builtin-tasks/task-names');
+const { expect } = require('chai');
+
+const { extractLayouts, compareLayouts } = require('../scripts/storageLayout.js');
+
+const V1 = 'contracts/mocks/storageLayout/V1.sol';
+const V2 = 'contracts/mocks/storageLayout/V2.sol';
+
+// The fixtures are compiled on their own, as the build info of the whole project is too large to be loaded here.
+async function compile (...sources) {
+  const input = {
+    language: 'Solidity',
+    sources: Object.fromEntries(sources.map(source => [
+      source,
+      { content: fs.readFileSync(path.join(config.paths.root, source), 'utf8') },
+    ])),
+    settings: { outputSelection: { '*': { '*': [ 'storageLayout' ], '': [ 'ast' ] } } },
+  };
+
+  const { compilerPath, isSolcJs } = await run(TASK_COMPILE_SOLIDITY_GET_SOLC_BUILD, {
+    quiet: true,
+    solcVersion: config.solidity.compilers[0].version,
+  });
+  const output = isSolcJs
+    ? await run(TASK_COMPILE_SOLIDITY_RUN_SOLCJS, { input, solcJsPath: compilerPath })
+    : await run(TASK_COMPILE_SOLIDITY_RUN_SOLC, { input, solcPath: compilerPath });
+
+  const errors = (output.errors || []).filter(({ severity }) => severity === 'error');
+  if (errors.length > 0) {
+    throw new Error(errors.map(({ formattedMessage }) => formattedMessage).join('\n'));
+  }
+  return output;
+}
+
+// Contracts of each version are suffixed with it, which is removed from contract and type names before comparing them.
+function unversioned (storage) {
+  return JSON.parse(JSON.stringify(storage).replace(/\b(StorageLayout\w+)V[12]\b/g, '$1'));
+}
+
+describe('storageLayout.js', function () {
+  let output;
+  let layouts;
+
+  before(async function () {
+    // getting the compiler verifies its checksum, which is slow on some machines
+    this.timeout(120000);
+    output = await compile(V1, V2);
+    layouts = extractLayouts(output);
+  });
+
+  function compare (name) {
+    return compareLayouts(
+      unversioned(layouts[`${V1}:${name}V1`].storage),
+      unversioned(layouts[`${V2}:${name}V2`].storage),
+    ).map(({ kind, severity, contract, label }) => ({ kind, severity, contract, label }));
+  }
+
+  it('packs variables like the compiler', function () {
+    // compared for every fixture, as the layout computed from the AST is used for build info without storage layouts
+    for (const { name, source, storage } of Object.values(layouts)) {
+      const expected = output.contracts[source][name].storageLayout.storage;
+      expect(storage.map(({ label, slot, offset }) => ({ label, slot, offset })), name).to.deep.equal(
+        expected.map(({ label, slot, offset }) => ({ label, slot: parseInt(slot), offset })),
+      );
+    }
+  });
+
+  it('includes inherited variables first', function () {
+    const layout = unversioned(layouts[`${V1}:StorageLayoutChildV1`].storage).map(({ contract, label, slot }) => ({
+      contract, label, slot,
+    }));
+    expect(layout).to.deep.equal([
+      { contract: 'StorageLayoutBase', label: 'a', slot: 0 },
+      { contract: 'StorageLayoutChild', label: 'b', slot: 1 },
+    ]);
+  });
+
+  it('unchanged', function () {
+    expect(compare('StorageLayoutUnchanged')).to.deep.equal([]);
+  });
+
+  it('appended', function () {
+    expect(compare('StorageLayoutAppended')).to.deep.equal([
+      { kind: 'appended', severity: 'warning', contract: 'StorageLayoutAppended', label: 'b' },
+    ]);
+  });
+
+  it('inserted', function () {
+    expect(compare('StorageLayoutInserted')).to.deep.equal([
+      { kind: 'inserted', severity: 'error', contract: 'StorageLayoutInserted', label: 'b' },
+      { kind: 'moved', severity: 'error', contract: 'StorageLayoutInserted', label: 'c' },
+    ]);
+  });
+
+  it('inserted in a parent contract', function () {
+    expect(compare('StorageLayoutChild')).to.deep.equal([
+      { kind: 'inserted', severity: 'error', contract: 'StorageLayoutBase', label: 'c' },
+      { kind: 'moved', severity: 'error', contract: 'StorageLayoutChild', label: 'b' },
+    ]);
+  });
+
+  it('removed', function () {
+    expect(compare('StorageLayoutRemoved')).to.deep.equal([
+      { kind: 'removed', severity: 'error', contract: 'StorageLayoutRemoved', label: 'a' },
+      { kind: 'moved', severity: 'error', contract: 'StorageLayoutRemoved', label: 'b' },
+    ]);
+  });
+
+  it('reordered', function () {
+    expect(compare('StorageLayoutReordered')).to.deep.equal([
+      { kind: 'moved', severity: 'error', contract: 'StorageLayoutReordered', label: 'b' },
+      { kind: 'reordered', severity: 'error', contract: 'StorageLayoutReordered', label: 'a' },
+      { kind: 'moved', severity: 'error', contract: 'StorageLayoutReordered', label: 'a' },
+    ]);
+  });
+
+  it('retyped', function () {
+    expect(compare('StorageLayoutRetyped')).to.deep.equal([
+      { kind: 'retyped', severity: 'error', contract: 'StorageLayoutRetyped', label: 'a' },
+      { kind: 'moved', severity: 'error', contract: 'StorageLayoutRetyped', label: 'b' },
+    ]);
+  });
+
+  it('variables inserted in a gap', function () {
+    expect(compare('StorageLayoutGapUsed')).to.deep.equal([]);
+  });
+
+  it('gap misuse', function () {
+    expect(compare('StorageLayoutGapMisused')).to.deep.equal([
+      { kind: 'gap', severity: 'error', contract: 'StorageLayoutGapMisused', label: '__gap' },
+      { kind: 'appended', severity: 'warning', contract: 'StorageLayoutGapMisused', label: 'c' },
+      { kind: 'gap', severity: 'error', contract: 'StorageLayoutGapMisused', label: '__gap' },
+    ]);
+  });
+
+  describe('struct members', function () {
+    it('appended', function () {
+      // each value of a mapping can grow, but the elements of an array cannot
+      expect(compare('StorageLayoutStructAppended')).to.deep.equal([
+        { kind: 'appended', severity: 'error', contract: 'StorageLayoutStructAppended', label: 'list[].b' },
+      ]);
+    });
+
+    it('packed in the last slot', function () {
+      expect(compare('StorageLayoutStructPacked')).to.deep.equal([]);
+    });
+
+    it('inserted', function () {
+      expect(compare('StorageLayoutStructInserted')).to.deep.equal([
+        { kind: 'inserted', severity: 'error', contract: 'StorageLayoutStructInserted', label: 'items[].b' },
+        { kind: 'moved', severity: 'error', contract: 'StorageLayoutStructInserted', label: 'items[].c' },
+      ]);
+    });
+
+    it('removed', function () {
+      expect(compare('StorageLayoutStructRemoved')).to.deep.equal([
+        { kind: 'removed', severity: 'error', contract: 'StorageLayoutStructRemoved', label: 'items[].a' },
+        { kind: 'moved', severity: 'error', contract: 'StorageLayoutStructRemoved', label: 'items[].b' },
+      ]);
+    });
+
+    it('reordered', function () {
+      expect(compare('StorageLayoutStructReordered')).to.deep.equal([
+        { kind: 'moved', severity: 'error', contract: 'StorageLayoutStructReordered', label: 'items[].b' },
+        { kind: 'reordered', severity: 'error', contract: 'StorageLayoutStructReordered', label: 'items[].a' },
+        { kind: 'moved', severity: 'error', contract: 'StorageLayoutStructReordered', label: 'items[].a' },
+      ]);
+    });
+
+    it('retyped', function () {
+      expect(compare('StorageLayoutStructRetyped')).to.deep.equal([
+        { kind: 'retyped', severity: 'error', contract: 'StorageLayoutStructRetyped', label: 'data.a' },
+        { kind: 'moved', severity: 'error', contract: 'StorageLayoutStructRetyped', label: 'data.b' },
+        { kind: 'moved', severity: 'error', contract: 'StorageLayoutStructRetyped', label: 'c' },
+      ]);
+    });
+
+    it('renamed with the same layout', function () {
+      expect(compare('StorageLayoutStructRenamed')).to.deep.equal([]);
+    });
+
+    it('nested structs', function () {
+      expect(compare('StorageLayoutStructNested')).to.deep.equal([
+        { kind: 'moved', severity: 'error', contract: 'StorageLayoutStructNested', label: 'items[].b' },
+      ]);
+    });
+  });
+});
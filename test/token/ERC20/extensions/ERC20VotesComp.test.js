@@ -4,8 +4,6 @@ const { BN, constants, expectEvent, expectRevert, time } = require('@openzeppeli
 const { expect } = require('chai');
 const { MAX_UINT256, ZERO_ADDRESS, ZERO_BYTES32 } = constants;
 
-const { fromRpcSig } = require('ethereumjs-util');
-const ethSigUtil = require('eth-sig-util');
 const Wallet = require('ethereumjs-wallet').default;
 
 const { promisify } = require('util');
@@ -13,13 +11,7 @@ const queue = promisify(setImmediate);
 
 const ERC20VotesCompMock = artifacts.require('ERC20VotesCompMock');
 
-const { EIP712Domain, domainSeparator } = require('../../../helpers/eip712');
-
-const Delegation = [
-  { name: 'delegatee', type: 'address' },
-  { name: 'nonce', type: 'uint256' },
-  { name: 'expiry', type: 'uint256' },
-];
+const { domainSeparator, signDelegation } = require('../../../helpers/eip712');
 
 async function countPendingTransactions() {
   return parseInt(
@@ -135,26 +127,17 @@ contract('ERC20VotesComp', function (accounts) {
       const delegatorAddress = web3.utils.toChecksumAddress(delegator.getAddressString());
       const nonce = 0;
 
-      const buildData = (chainId, verifyingContract, message) => ({ data: {
-        primaryType: 'Delegation',
-        types: { EIP712Domain, Delegation },
-        domain: { name, version, chainId, verifyingContract },
-        message,
-      }});
-
       beforeEach(async function () {
+        this.domain = { name, version, chainId: this.chainId, verifyingContract: this.token.address };
         await this.token.mint(delegatorAddress, supply);
       });
 
       it('accept signed delegation', async function () {
-        const { v, r, s } = fromRpcSig(ethSigUtil.signTypedMessage(
-          delegator.getPrivateKey(),
-          buildData(this.chainId, this.token.address, {
-            delegatee: delegatorAddress,
-            nonce,
-            expiry: MAX_UINT256,
-          }),
-        ));
+        const { v, r, s } = signDelegation(delegator.getPrivateKey(), this.domain, {
+          delegatee: delegatorAddress,
+          nonce,
+          expiry: MAX_UINT256,
+        });
 
         expect(await this.token.delegates(delegatorAddress)).to.be.equal(ZERO_ADDRESS);
 
@@ -179,14 +162,11 @@ contract('ERC20VotesComp', function (accounts) {
       });
 
       it('rejects reused signature', async function () {
-        const { v, r, s } = fromRpcSig(ethSigUtil.signTypedMessage(
-          delegator.getPrivateKey(),
-          buildData(this.chainId, this.token.address, {
-            delegatee: delegatorAddress,
-            nonce,
-            expiry: MAX_UINT256,
-          }),
-        ));
+        const { v, r, s } = signDelegation(delegator.getPrivateKey(), this.domain, {
+          delegatee: delegatorAddress,
+          nonce,
+          expiry: MAX_UINT256,
+        });
 
         await this.token.delegateBySig(delegatorAddress, nonce, MAX_UINT256, v, r, s);
 
@@ -197,14 +177,11 @@ contract('ERC20VotesComp', function (accounts) {
       });
 
       it('rejects bad delegatee', async function () {
-        const { v, r, s } = fromRpcSig(ethSigUtil.signTypedMessage(
-          delegator.getPrivateKey(),
-          buildData(this.chainId, this.token.address, {
-            delegatee: delegatorAddress,
-            nonce,
-            expiry: MAX_UINT256,
-          }),
-        ));
+        const { v, r, s } = signDelegation(delegator.getPrivateKey(), this.domain, {
+          delegatee: delegatorAddress,
+          nonce,
+          expiry: MAX_UINT256,
+        });
 
         const receipt = await this.token.delegateBySig(holderDelegatee, nonce, MAX_UINT256, v, r, s);
         const { args } = receipt.logs.find(({ event }) => event == 'DelegateChanged');
@@ -214,14 +191,11 @@ contract('ERC20VotesComp', function (accounts) {
       });
 
       it('rejects bad nonce', async function () {
-        const { v, r, s } = fromRpcSig(ethSigUtil.signTypedMessage(
-          delegator.getPrivateKey(),
-          buildData(this.chainId, this.token.address, {
-            delegatee: delegatorAddress,
-            nonce,
-            expiry: MAX_UINT256,
-          }),
-        ));
+        const { v, r, s } = signDelegation(delegator.getPrivateKey(), this.domain, {
+          delegatee: delegatorAddress,
+          nonce,
+          expiry: MAX_UINT256,
+        });
         await expectRevert(
           this.token.delegateBySig(delegatorAddress, nonce + 1, MAX_UINT256, v, r, s),
           'ERC20Votes: invalid nonce',
@@ -230,14 +204,11 @@ contract('ERC20VotesComp', function (accounts) {
 
       it('rejects expired permit', async function () {
         const expiry = (await time.latest()) - time.duration.weeks(1);
-        const { v, r, s } = fromRpcSig(ethSigUtil.signTypedMessage(
-          delegator.getPrivateKey(),
-          buildData(this.chainId, this.token.address, {
-            delegatee: delegatorAddress,
-            nonce,
-            expiry,
-          }),
-        ));
+        const { v, r, s } = signDelegation(delegator.getPrivateKey(), this.domain, {
+          delegatee: delegatorAddress,
+          nonce,
+          expiry,
+        });
 
         await expectRevert(
           this.token.delegateBySig(delegatorAddress, nonce, expiry, v, r, s),
@@ -411,7 +382,7 @@ contract('ERC20VotesComp', function (accounts) {
       it('reverts if block number >= current block', async function () {
         await expectRevert(
           this.token.getPriorVotes(other1, 5e10),
-          'ERC20Votes: block not yet mined',
+          'ERC20Votes: future lookup',
         );
       });
 
@@ -473,7 +444,7 @@ contract('ERC20VotesComp', function (accounts) {
     it('reverts if block number >= current block', async function () {
       await expectRevert(
         this.token.getPastTotalSupply(5e10),
-        'ERC20Votes: block not yet mined',
+        'ERC20Votes: future lookup',
       );
     });
 
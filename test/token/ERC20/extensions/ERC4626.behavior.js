@@ -0,0 +1,322 @@
+const { BN, constants, expectEvent, expectRevert } = require('@openzeppelin/test-helpers');
+const { expect } = require('chai');
+const { ZERO_ADDRESS, MAX_UINT256 } = constants;
+
+// Expects `this.token` to be a freshly deployed vault, and `this.asset` to be its underlying asset, with a public
+// `mint(address, uint256)` function used to fund the accounts and to simulate yield. The vault must expose a
+// `mockMint(address, uint256)` function that mints shares without any assets.
+function shouldBehaveLikeERC4626 (holder, receiver, other) {
+  const amount = new BN('1000000');
+
+  beforeEach(async function () {
+    await this.asset.mint(holder, amount.muln(10));
+    await this.asset.approve(this.token.address, MAX_UINT256, { from: holder });
+  });
+
+  it('asset', async function () {
+    expect(await this.token.asset()).to.be.equal(this.asset.address);
+  });
+
+  describe('empty vault', function () {
+    it('converts assets and shares 1:1', async function () {
+      expect(await this.token.totalAssets()).to.be.bignumber.equal('0');
+      expect(await this.token.convertToShares(amount)).to.be.bignumber.equal(amount);
+      expect(await this.token.convertToAssets(amount)).to.be.bignumber.equal(amount);
+      expect(await this.token.previewDeposit(amount)).to.be.bignumber.equal(amount);
+      expect(await this.token.previewMint(amount)).to.be.bignumber.equal(amount);
+      expect(await this.token.previewWithdraw(amount)).to.be.bignumber.equal(amount);
+      expect(await this.token.previewRedeem(amount)).to.be.bignumber.equal(amount);
+    });
+
+    it('limits', async function () {
+      expect(await this.token.maxDeposit(holder)).to.be.bignumber.equal(MAX_UINT256);
+      expect(await this.token.maxMint(holder)).to.be.bignumber.equal(MAX_UINT256);
+      expect(await this.token.maxWithdraw(holder)).to.be.bignumber.equal('0');
+      expect(await this.token.maxRedeem(holder)).to.be.bignumber.equal('0');
+    });
+
+    it('deposit', async function () {
+      const { tx } = await this.token.deposit(amount, receiver, { from: holder });
+
+      await expectEvent.inTransaction(tx, this.asset, 'Transfer', {
+        from: holder,
+        to: this.token.address,
+        value: amount,
+      });
+      await expectEvent.inTransaction(tx, this.token, 'Transfer', {
+        from: ZERO_ADDRESS,
+        to: receiver,
+        value: amount,
+      });
+      await expectEvent.inTransaction(tx, this.token, 'Deposit', {
+        sender: holder,
+        owner: receiver,
+        assets: amount,
+        shares: amount,
+      });
+
+      expect(await this.token.balanceOf(receiver)).to.be.bignumber.equal(amount);
+      expect(await this.token.totalAssets()).to.be.bignumber.equal(amount);
+    });
+
+    it('mint', async function () {
+      const { tx } = await this.token.mint(amount, receiver, { from: holder });
+
+      await expectEvent.inTransaction(tx, this.asset, 'Transfer', {
+        from: holder,
+        to: this.token.address,
+        value: amount,
+      });
+      await expectEvent.inTransaction(tx, this.token, 'Deposit', {
+        sender: holder,
+        owner: receiver,
+        assets: amount,
+        shares: amount,
+      });
+
+      expect(await this.token.balanceOf(receiver)).to.be.bignumber.equal(amount);
+    });
+
+    it('withdraw', async function () {
+      await expectRevert(
+        this.token.withdraw(amount, receiver, holder, { from: holder }),
+        'ERC4626: withdraw more than max',
+      );
+    });
+
+    it('redeem', async function () {
+      await expectRevert(
+        this.token.redeem(amount, receiver, holder, { from: holder }),
+        'ERC4626: redeem more than max',
+      );
+    });
+
+    it('zero amounts', async function () {
+      await this.token.deposit(0, receiver, { from: holder });
+      await this.token.mint(0, receiver, { from: holder });
+      await this.token.withdraw(0, receiver, holder, { from: holder });
+      await this.token.redeem(0, receiver, holder, { from: holder });
+
+      expect(await this.token.totalSupply()).to.be.bignumber.equal('0');
+    });
+  });
+
+  describe('with deposits', function () {
+    beforeEach(async function () {
+      await this.token.deposit(amount, holder, { from: holder });
+    });
+
+    it('limits', async function () {
+      expect(await this.token.maxWithdraw(holder)).to.be.bignumber.equal(amount);
+      expect(await this.token.maxRedeem(holder)).to.be.bignumber.equal(amount);
+    });
+
+    it('withdraw', async function () {
+      const assets = amount.divn(4);
+      const { tx } = await this.token.withdraw(assets, receiver, holder, { from: holder });
+
+      await expectEvent.inTransaction(tx, this.asset, 'Transfer', {
+        from: this.token.address,
+        to: receiver,
+        value: assets,
+      });
+      await expectEvent.inTransaction(tx, this.token, 'Transfer', {
+        from: holder,
+        to: ZERO_ADDRESS,
+        value: assets,
+      });
+      await expectEvent.inTransaction(tx, this.token, 'Withdraw', {
+        sender: holder,
+        receiver,
+        owner: holder,
+        assets,
+        shares: assets,
+      });
+
+      expect(await this.token.balanceOf(holder)).to.be.bignumber.equal(amount.sub(assets));
+      expect(await this.asset.balanceOf(receiver)).to.be.bignumber.equal(assets);
+    });
+
+    it('redeem', async function () {
+      const { tx } = await this.token.redeem(amount, receiver, holder, { from: holder });
+
+      await expectEvent.inTransaction(tx, this.token, 'Withdraw', {
+        sender: holder,
+        receiver,
+        owner: holder,
+        assets: amount,
+        shares: amount,
+      });
+
+      expect(await this.token.balanceOf(holder)).to.be.bignumber.equal('0');
+      expect(await this.token.totalAssets()).to.be.bignumber.equal('0');
+      expect(await this.asset.balanceOf(receiver)).to.be.bignumber.equal(amount);
+    });
+
+    it('withdraw more than max', async function () {
+      await expectRevert(
+        this.token.withdraw(amount.addn(1), receiver, holder, { from: holder }),
+        'ERC4626: withdraw more than max',
+      );
+    });
+
+    it('redeem more than max', async function () {
+      await expectRevert(
+        this.token.redeem(amount.addn(1), receiver, holder, { from: holder }),
+        'ERC4626: redeem more than max',
+      );
+    });
+
+    describe('on behalf of the owner', function () {
+      it('requires an allowance', async function () {
+        await expectRevert(
+          this.token.redeem(amount, receiver, holder, { from: other }),
+          'ERC20: insufficient allowance',
+        );
+        await expectRevert(
+          this.token.withdraw(amount, receiver, holder, { from: other }),
+          'ERC20: insufficient allowance',
+        );
+      });
+
+      it('spends the allowance', async function () {
+        await this.token.approve(other, amount, { from: holder });
+
+        const { tx } = await this.token.withdraw(amount.divn(2), receiver, holder, { from: other });
+        await expectEvent.inTransaction(tx, this.token, 'Withdraw', {
+          sender: other,
+          receiver,
+          owner: holder,
+          assets: amount.divn(2),
+          shares: amount.divn(2),
+        });
+        expect(await this.token.allowance(holder, other)).to.be.bignumber.equal(amount.divn(2));
+
+        await this.token.redeem(amount.divn(2), receiver, holder, { from: other });
+        expect(await this.token.allowance(holder, other)).to.be.bignumber.equal('0');
+        expect(await this.asset.balanceOf(receiver)).to.be.bignumber.equal(amount);
+      });
+
+      it('does not spend an infinite allowance', async function () {
+        await this.token.approve(other, MAX_UINT256, { from: holder });
+        await this.token.redeem(amount, receiver, holder, { from: other });
+        expect(await this.token.allowance(holder, other)).to.be.bignumber.equal(MAX_UINT256);
+      });
+    });
+  });
+
+  describe('with yield', function () {
+    // 3 assets for every 2 shares, so that conversions are not exact
+    const yieldAmount = amount.divn(2);
+
+    beforeEach(async function () {
+      await this.token.deposit(amount, holder, { from: holder });
+      await this.asset.mint(this.token.address, yieldAmount);
+    });
+
+    it('conversions round down', async function () {
+      expect(await this.token.totalAssets()).to.be.bignumber.equal(amount.add(yieldAmount));
+      expect(await this.token.convertToShares(new BN(4))).to.be.bignumber.equal('2');
+      expect(await this.token.convertToAssets(new BN(3))).to.be.bignumber.equal('4');
+      expect(await this.token.maxWithdraw(holder)).to.be.bignumber.equal(amount.add(yieldAmount));
+    });
+
+    it('previews round in favor of the vault', async function () {
+      expect(await this.token.previewDeposit(new BN(4))).to.be.bignumber.equal('2');
+      expect(await this.token.previewMint(new BN(3))).to.be.bignumber.equal('5');
+      expect(await this.token.previewWithdraw(new BN(4))).to.be.bignumber.equal('3');
+      expect(await this.token.previewRedeem(new BN(3))).to.be.bignumber.equal('4');
+    });
+
+    it('deposit matches preview', async function () {
+      const assets = new BN(4);
+      const shares = await this.token.previewDeposit(assets);
+      const { tx } = await this.token.deposit(assets, receiver, { from: holder });
+      await expectEvent.inTransaction(tx, this.token, 'Deposit', { sender: holder, owner: receiver, assets, shares });
+      expect(await this.token.balanceOf(receiver)).to.be.bignumber.equal(shares);
+    });
+
+    it('mint matches preview', async function () {
+      const shares = new BN(3);
+      const assets = await this.token.previewMint(shares);
+      const { tx } = await this.token.mint(shares, receiver, { from: holder });
+      await expectEvent.inTransaction(tx, this.asset, 'Transfer', {
+        from: holder,
+        to: this.token.address,
+        value: assets,
+      });
+      await expectEvent.inTransaction(tx, this.token, 'Deposit', { sender: holder, owner: receiver, assets, shares });
+    });
+
+    it('withdraw matches preview', async function () {
+      const assets = new BN(4);
+      const shares = await this.token.previewWithdraw(assets);
+      const { tx } = await this.token.withdraw(assets, receiver, holder, { from: holder });
+      await expectEvent.inTransaction(tx, this.token, 'Withdraw', {
+        sender: holder,
+        receiver,
+        owner: holder,
+        assets,
+        shares,
+      });
+      expect(await this.token.balanceOf(holder)).to.be.bignumber.equal(amount.sub(shares));
+    });
+
+    it('redeem matches preview', async function () {
+      const shares = new BN(3);
+      const assets = await this.token.previewRedeem(shares);
+      await this.token.redeem(shares, receiver, holder, { from: holder });
+      expect(await this.asset.balanceOf(receiver)).to.be.bignumber.equal(assets);
+    });
+
+    it('redeeming everything empties the vault', async function () {
+      await this.token.redeem(amount, receiver, holder, { from: holder });
+      expect(await this.asset.balanceOf(receiver)).to.be.bignumber.equal(amount.add(yieldAmount));
+      expect(await this.token.totalAssets()).to.be.bignumber.equal('0');
+      expect(await this.token.totalSupply()).to.be.bignumber.equal('0');
+    });
+  });
+
+  describe('with shares not backed by assets', function () {
+    beforeEach(async function () {
+      await this.token.mockMint(other, amount);
+    });
+
+    it('limits', async function () {
+      expect(await this.token.maxDeposit(holder)).to.be.bignumber.equal('0');
+      expect(await this.token.maxMint(holder)).to.be.bignumber.equal('0');
+      expect(await this.token.maxWithdraw(other)).to.be.bignumber.equal('0');
+      expect(await this.token.maxRedeem(other)).to.be.bignumber.equal(amount);
+    });
+
+    it('deposit', async function () {
+      await expectRevert(
+        this.token.deposit(amount, receiver, { from: holder }),
+        'ERC4626: deposit more than max',
+      );
+    });
+
+    it('mint', async function () {
+      await expectRevert(
+        this.token.mint(amount, receiver, { from: holder }),
+        'ERC4626: mint more than max',
+      );
+    });
+
+    it('redeem', async function () {
+      const { tx } = await this.token.redeem(amount, receiver, other, { from: other });
+      await expectEvent.inTransaction(tx, this.token, 'Withdraw', {
+        sender: other,
+        receiver,
+        owner: other,
+        assets: '0',
+        shares: amount,
+      });
+      expect(await this.token.totalSupply()).to.be.bignumber.equal('0');
+    });
+  });
+}
+
+module.exports = {
+  shouldBehaveLikeERC4626,
+};
@@ -0,0 +1,29 @@
+const { expect } = require('chai');
+
+const { shouldBehaveLikeERC4626 } = require('./ERC4626.behavior');
+
+const ERC20DecimalsMock = artifacts.require('ERC20DecimalsMock');
+const ERC4626Mock = artifacts.require('ERC4626Mock');
+
+contract('ERC4626', function (accounts) {
+  const [ holder, receiver, other ] = accounts;
+
+  const name = 'My Token';
+  const symbol = 'MTKN';
+
+  beforeEach(async function () {
+    this.asset = await ERC20DecimalsMock.new(name, symbol, 12);
+    this.token = await ERC4626Mock.new(this.asset.address, name + ' Vault', symbol + 'V');
+  });
+
+  it('inherits the decimals of the asset', async function () {
+    expect(await this.token.decimals()).to.be.bignumber.equal('12');
+  });
+
+  it('defaults to 18 decimals if the asset does not provide them', async function () {
+    const token = await ERC4626Mock.new(other, name + ' Vault', symbol + 'V');
+    expect(await token.decimals()).to.be.bignumber.equal('18');
+  });
+
+  shouldBehaveLikeERC4626(holder, receiver, other);
+});
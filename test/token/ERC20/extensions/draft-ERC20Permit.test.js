@@ -4,21 +4,11 @@ const { BN, constants, expectEvent, expectRevert, time } = require('@openzeppeli
 const { expect } = require('chai');
 const { MAX_UINT256, ZERO_ADDRESS, ZERO_BYTES32 } = constants;
 
-const { fromRpcSig } = require('ethereumjs-util');
-const ethSigUtil = require('eth-sig-util');
 const Wallet = require('ethereumjs-wallet').default;
 
 const ERC20PermitMock = artifacts.require('ERC20PermitMock');
 
-const { EIP712Domain, domainSeparator } = require('../../../helpers/eip712');
-
-const Permit = [
-  { name: 'owner', type: 'address' },
-  { name: 'spender', type: 'address' },
-  { name: 'value', type: 'uint256' },
-  { name: 'nonce', type: 'uint256' },
-  { name: 'deadline', type: 'uint256' },
-];
+const { domainSeparator, signPermit } = require('../../../helpers/eip712');
 
 contract('ERC20Permit', function (accounts) {
   const [ initialHolder, spender, recipient, other ] = accounts;
@@ -58,17 +48,14 @@ contract('ERC20Permit', function (accounts) {
     const nonce = 0;
     const maxDeadline = MAX_UINT256;
 
-    const buildData = (chainId, verifyingContract, deadline = maxDeadline) => ({
-      primaryType: 'Permit',
-      types: { EIP712Domain, Permit },
-      domain: { name, version, chainId, verifyingContract },
-      message: { owner, spender, value, nonce, deadline },
-    });
+    const sign = (privateKey, chainId, verifyingContract, deadline = maxDeadline) => signPermit(
+      privateKey,
+      { name, version, chainId, verifyingContract },
+      { owner, spender, value, nonce, deadline },
+    );
 
     it('accepts owner signature', async function () {
-      const data = buildData(this.chainId, this.token.address);
-      const signature = ethSigUtil.signTypedMessage(wallet.getPrivateKey(), { data });
-      const { v, r, s } = fromRpcSig(signature);
+      const { v, r, s } = sign(wallet.getPrivateKey(), this.chainId, this.token.address);
 
       const receipt = await this.token.permit(owner, spender, value, maxDeadline, v, r, s);
 
@@ -77,9 +64,7 @@ contract('ERC20Permit', function (accounts) {
     });
 
     it('rejects reused signature', async function () {
-      const data = buildData(this.chainId, this.token.address);
-      const signature = ethSigUtil.signTypedMessage(wallet.getPrivateKey(), { data });
-      const { v, r, s } = fromRpcSig(signature);
+      const { v, r, s } = sign(wallet.getPrivateKey(), this.chainId, this.token.address);
 
       await this.token.permit(owner, spender, value, maxDeadline, v, r, s);
 
@@ -91,9 +76,7 @@ contract('ERC20Permit', function (accounts) {
 
     it('rejects other signature', async function () {
       const otherWallet = Wallet.generate();
-      const data = buildData(this.chainId, this.token.address);
-      const signature = ethSigUtil.signTypedMessage(otherWallet.getPrivateKey(), { data });
-      const { v, r, s } = fromRpcSig(signature);
+      const { v, r, s } = sign(otherWallet.getPrivateKey(), this.chainId, this.token.address);
 
       await expectRevert(
         this.token.permit(owner, spender, value, maxDeadline, v, r, s),
@@ -104,9 +87,7 @@ contract('ERC20Permit', function (accounts) {
     it('rejects expired permit', async function () {
       const deadline = (await time.latest()) - time.duration.weeks(1);
 
-      const data = buildData(this.chainId, this.token.address, deadline);
-      const signature = ethSigUtil.signTypedMessage(wallet.getPrivateKey(), { data });
-      const { v, r, s } = fromRpcSig(signature);
+      const { v, r, s } = sign(wallet.getPrivateKey(), this.chainId, this.token.address, deadline);
 
       await expectRevert(
         this.token.permit(owner, spender, value, deadline, v, r, s),
@@ -4,56 +4,216 @@ const { expect } = require('chai');
 
 const CheckpointsImpl = artifacts.require('CheckpointsImpl');
 
+const first = (array) => array.length ? array[0] : undefined;
+const last = (array) => array.length ? array[array.length - 1] : undefined;
+
 contract('Checkpoints', function (accounts) {
-  beforeEach(async function () {
-    this.checkpoint = await CheckpointsImpl.new();
-  });
+  describe('History checkpoints', function () {
+    beforeEach(async function () {
+      this.checkpoint = await CheckpointsImpl.new();
+    });
+
+    describe('without checkpoints', function () {
+      it('returns zero as latest value', async function () {
+        expect(await this.checkpoint.latest()).to.be.bignumber.equal('0');
+
+        const ckpt = await this.checkpoint.latestCheckpoint();
+        expect(ckpt[0]).to.be.equal(false);
+        expect(ckpt[1]).to.be.bignumber.equal('0');
+        expect(ckpt[2]).to.be.bignumber.equal('0');
+        expect(await this.checkpoint.length()).to.be.bignumber.equal('0');
+      });
 
-  describe('without checkpoints', function () {
-    it('returns zero as latest value', async function () {
-      expect(await this.checkpoint.latest()).to.be.bignumber.equal('0');
+      it('returns zero as past value', async function () {
+        await time.advanceBlock();
+        expect(await this.checkpoint.getAtBlock(await web3.eth.getBlockNumber() - 1)).to.be.bignumber.equal('0');
+      });
     });
 
-    it('returns zero as past value', async function () {
-      await time.advanceBlock();
-      expect(await this.checkpoint.getAtBlock(await web3.eth.getBlockNumber() - 1)).to.be.bignumber.equal('0');
+    describe('with checkpoints', function () {
+      beforeEach('pushing checkpoints', async function () {
+        this.tx1 = await this.checkpoint.push(1);
+        this.tx2 = await this.checkpoint.push(2);
+        await time.advanceBlock();
+        this.tx3 = await this.checkpoint.push(3);
+        await time.advanceBlock();
+        await time.advanceBlock();
+      });
+
+      it('returns latest value', async function () {
+        expect(await this.checkpoint.latest()).to.be.bignumber.equal('3');
+
+        const ckpt = await this.checkpoint.latestCheckpoint();
+        expect(ckpt[0]).to.be.equal(true);
+        expect(ckpt[1]).to.be.bignumber.equal(web3.utils.toBN(this.tx3.receipt.blockNumber));
+        expect(ckpt[2]).to.be.bignumber.equal('3');
+      });
+
+      it('returns the number of checkpoints', async function () {
+        expect(await this.checkpoint.length()).to.be.bignumber.equal('3');
+      });
+
+      for (const fn of [ 'getAtBlock(uint256)', 'getAtProbablyRecentBlock(uint256)' ]) {
+        describe(`lookup: ${fn}`, function () {
+          it('returns past values', async function () {
+            expect(await this.checkpoint.methods[fn](this.tx1.receipt.blockNumber - 1)).to.be.bignumber.equal('0');
+            expect(await this.checkpoint.methods[fn](this.tx1.receipt.blockNumber)).to.be.bignumber.equal('1');
+            expect(await this.checkpoint.methods[fn](this.tx2.receipt.blockNumber)).to.be.bignumber.equal('2');
+            // Block with no new checkpoints
+            expect(await this.checkpoint.methods[fn](this.tx2.receipt.blockNumber + 1)).to.be.bignumber.equal('2');
+            expect(await this.checkpoint.methods[fn](this.tx3.receipt.blockNumber)).to.be.bignumber.equal('3');
+            expect(await this.checkpoint.methods[fn](this.tx3.receipt.blockNumber + 1)).to.be.bignumber.equal('3');
+          });
+
+          it('reverts if block number >= current block', async function () {
+            await expectRevert(
+              this.checkpoint.methods[fn](await web3.eth.getBlockNumber()),
+              'Checkpoints: block not yet mined',
+            );
+
+            await expectRevert(
+              this.checkpoint.methods[fn](await web3.eth.getBlockNumber() + 1),
+              'Checkpoints: block not yet mined',
+            );
+          });
+        });
+      }
+
+      it('with a long history', async function () {
+        const lengthBefore = await this.checkpoint.length();
+
+        // enough checkpoints for the optimistic lookup to check the recent ones first
+        for (let i = 0; i < 10; ++i) {
+          await this.checkpoint.push(10 + i);
+        }
+        const blockNumber = await web3.eth.getBlockNumber();
+        await time.advanceBlock();
+
+        expect(await this.checkpoint.length()).to.be.bignumber.equal(lengthBefore.addn(10));
+        for (let i = 0; i < 10; ++i) {
+          const block = blockNumber - 9 + i;
+          expect(await this.checkpoint.getAtBlock(block)).to.be.bignumber.equal(String(10 + i));
+          expect(await this.checkpoint.getAtProbablyRecentBlock(block)).to.be.bignumber.equal(String(10 + i));
+        }
+        expect(await this.checkpoint.getAtProbablyRecentBlock(this.tx1.receipt.blockNumber))
+          .to.be.bignumber.equal('1');
+      });
     });
   });
 
-  describe('with checkpoints', function () {
-    beforeEach('pushing checkpoints', async function () {
-      this.tx1 = await this.checkpoint.push(1);
-      this.tx2 = await this.checkpoint.push(2);
-      await time.advanceBlock();
-      this.tx3 = await this.checkpoint.push(3);
-      await time.advanceBlock();
-      await time.advanceBlock();
-    });
+  for (const length of [160, 224]) {
+    describe(`Trace${length}`, function () {
+      beforeEach(async function () {
+        this.contract = await artifacts.require(`Checkpoints${length}Impl`).new();
+      });
 
-    it('returns latest value', async function () {
-      expect(await this.checkpoint.latest()).to.be.bignumber.equal('3');
-    });
+      describe('without checkpoints', function () {
+        it('returns zero as latest value', async function () {
+          expect(await this.contract.latest()).to.be.bignumber.equal('0');
 
-    it('returns past values', async function () {
-      expect(await this.checkpoint.getAtBlock(this.tx1.receipt.blockNumber - 1)).to.be.bignumber.equal('0');
-      expect(await this.checkpoint.getAtBlock(this.tx1.receipt.blockNumber)).to.be.bignumber.equal('1');
-      expect(await this.checkpoint.getAtBlock(this.tx2.receipt.blockNumber)).to.be.bignumber.equal('2');
-      // Block with no new checkpoints
-      expect(await this.checkpoint.getAtBlock(this.tx2.receipt.blockNumber + 1)).to.be.bignumber.equal('2');
-      expect(await this.checkpoint.getAtBlock(this.tx3.receipt.blockNumber)).to.be.bignumber.equal('3');
-      expect(await this.checkpoint.getAtBlock(this.tx3.receipt.blockNumber + 1)).to.be.bignumber.equal('3');
-    });
+          const ckpt = await this.contract.latestCheckpoint();
+          expect(ckpt[0]).to.be.equal(false);
+          expect(ckpt[1]).to.be.bignumber.equal('0');
+          expect(ckpt[2]).to.be.bignumber.equal('0');
+        });
 
-    it('reverts if block number >= current block', async function () {
-      await expectRevert(
-        this.checkpoint.getAtBlock(await web3.eth.getBlockNumber()),
-        'Checkpoints: block not yet mined',
-      );
+        it('lookup returns 0', async function () {
+          expect(await this.contract.lowerLookup(0)).to.be.bignumber.equal('0');
+          expect(await this.contract.upperLookup(0)).to.be.bignumber.equal('0');
+        });
+      });
 
-      await expectRevert(
-        this.checkpoint.getAtBlock(await web3.eth.getBlockNumber() + 1),
-        'Checkpoints: block not yet mined',
-      );
+      describe('with checkpoints', function () {
+        beforeEach('pushing checkpoints', async function () {
+          this.checkpoints = [
+            { key: '2', value: '17' },
+            { key: '3', value: '42' },
+            { key: '5', value: '101' },
+            { key: '7', value: '23' },
+            { key: '11', value: '99' },
+            { key: '13', value: '31' },
+          ];
+          for (const { key, value } of this.checkpoints) {
+            await this.contract.push(key, value);
+          }
+        });
+
+        it('length', async function () {
+          expect(await this.contract.length())
+            .to.be.bignumber.equal(this.checkpoints.length.toString());
+        });
+
+        it('returns latest value', async function () {
+          expect(await this.contract.latest())
+            .to.be.bignumber.equal(last(this.checkpoints).value);
+
+          const ckpt = await this.contract.latestCheckpoint();
+          expect(ckpt[0]).to.be.equal(true);
+          expect(ckpt[1]).to.be.bignumber.equal(last(this.checkpoints).key);
+          expect(ckpt[2]).to.be.bignumber.equal(last(this.checkpoints).value);
+        });
+
+        it('cannot push values in the past', async function () {
+          await expectRevert(this.contract.push(last(this.checkpoints).key - 1, '0'), 'Checkpoints: invalid key');
+        });
+
+        it('can update last value', async function () {
+          const newValue = '42';
+
+          // check length before the update
+          expect(await this.contract.length()).to.be.bignumber.equal(this.checkpoints.length.toString());
+
+          // update last key
+          await this.contract.push(last(this.checkpoints).key, newValue);
+          expect(await this.contract.latest()).to.be.bignumber.equal(newValue);
+
+          // check that length did not change
+          expect(await this.contract.length()).to.be.bignumber.equal(this.checkpoints.length.toString());
+        });
+
+        it('lower lookup', async function () {
+          for (let i = 0; i < 15; ++i) {
+            const { value } = first(this.checkpoints.filter(x => i <= x.key)) || { value: '0' };
+
+            expect(await this.contract.lowerLookup(i)).to.be.bignumber.equal(value);
+          }
+        });
+
+        it('upper lookup', async function () {
+          for (let i = 0; i < 15; ++i) {
+            const { value } = last(this.checkpoints.filter(x => i >= x.key)) || { value: '0' };
+
+            expect(await this.contract.upperLookup(i)).to.be.bignumber.equal(value);
+            expect(await this.contract.upperLookupRecent(i)).to.be.bignumber.equal(value);
+          }
+        });
+      });
+
+      describe('with a long history', function () {
+        const count = 128;
+
+        beforeEach('pushing checkpoints', async function () {
+          for (let i = 1; i <= count; ++i) {
+            await this.contract.push(2 * i, i);
+          }
+        });
+
+        it('recent lookups match binary search', async function () {
+          const keys = [ 0, 1, 2, 3, count, 2 * count - 21, 2 * count - 20, 2 * count - 1, 2 * count, 3 * count ];
+          for (const key of keys) {
+            const value = await this.contract.upperLookup(key);
+            expect(await this.contract.upperLookupRecent(key)).to.be.bignumber.equal(value);
+          }
+        });
+
+        it('recent lookups are cheaper than binary search', async function () {
+          for (const key of [ 2 * count, 2 * count - 1, 2 * count - 10 ]) {
+            const gas = await this.contract.upperLookup.estimateGas(key);
+            const gasRecent = await this.contract.upperLookupRecent.estimateGas(key);
+            expect(gasRecent).to.be.lt(gas);
+          }
+        });
+      });
     });
-  });
+  }
 });
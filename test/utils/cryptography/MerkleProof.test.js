@@ -1,12 +1,22 @@
-require('@openzeppelin/test-helpers');
+const { expectRevert } = require('@openzeppelin/test-helpers');
 
 const { MerkleTree } = require('merkletreejs');
 const keccak256 = require('keccak256');
 
 const { expect } = require('chai');
 
+const { StandardMerkleTree } = require('../../../scripts/merkle-tree');
+
 const MerkleProofWrapper = artifacts.require('MerkleProofWrapper');
 
+// deterministic pseudo-random generator, so that failures can be reproduced
+function random (seed) {
+  return () => {
+    seed = (seed * 16807) % 2147483647;
+    return seed / 2147483647;
+  };
+}
+
 contract('MerkleProof', function (accounts) {
   beforeEach(async function () {
     this.merkleProof = await MerkleProofWrapper.new();
@@ -62,4 +72,99 @@ contract('MerkleProof', function (accounts) {
       expect(await this.merkleProof.verify(badProof, root, leaf)).to.equal(false);
     });
   });
+
+  describe('StandardMerkleTree', function () {
+    beforeEach(function () {
+      this.values = accounts.map((account, i) => [ account, (i * 1000).toString() ]);
+      this.tree = StandardMerkleTree.of(this.values, [ 'address', 'uint256' ]);
+    });
+
+    it('accepts proofs of the JS tree', async function () {
+      for (const value of this.values) {
+        const proof = this.tree.getProof(value);
+        expect(await this.merkleProof.verify(proof, this.tree.root, this.tree.leafHash(value))).to.equal(true);
+      }
+    });
+
+    it('uses double hashed leaves', async function () {
+      const singleHash = web3.utils.keccak256(web3.eth.abi.encodeParameters([ 'address', 'uint256' ], this.values[0]));
+      expect(this.tree.leafHash(this.values[0])).to.equal(web3.utils.keccak256(singleHash));
+
+      // the leaf hashed only once is not part of the tree
+      const proof = this.tree.getProof(this.values[0]);
+      expect(await this.merkleProof.verify(proof, this.tree.root, singleHash)).to.equal(false);
+    });
+  });
+
+  describe('verifyCalldata', function () {
+    it('agrees with verify', async function () {
+      const tree = StandardMerkleTree.of(accounts.map(account => [ account ]), [ 'address' ]);
+      const proof = tree.getProof([ accounts[3] ]);
+      const leaf = tree.leafHash([ accounts[3] ]);
+
+      expect(await this.merkleProof.verifyCalldata(proof, tree.root, leaf)).to.equal(true);
+      expect(await this.merkleProof.processProofCalldata(proof, leaf)).to.equal(tree.root);
+      expect(await this.merkleProof.verifyCalldata(proof.slice(1), tree.root, leaf)).to.equal(false);
+    });
+  });
+
+  describe('multiProofVerify', function () {
+    const rng = random(42);
+
+    for (let run = 0; run < 12; ++run) {
+      const size = 1 + Math.floor(rng() * 20);
+      const subset = [ ...Array(size).keys() ].filter(() => rng() < 0.5);
+
+      it(`proves ${subset.length} of ${size} leaves like single leaf proofs`, async function () {
+        const values = [ ...Array(size).keys() ].map(i => [ accounts[i % accounts.length], i.toString() ]);
+        const tree = StandardMerkleTree.of(values, [ 'address', 'uint256' ]);
+        const { leaves, proof, proofFlags } = tree.getMultiProof(subset);
+        const hashes = leaves.map(value => tree.leafHash(value));
+
+        expect(await this.merkleProof.multiProofVerify(proof, proofFlags, tree.root, hashes)).to.equal(true);
+        expect(await this.merkleProof.multiProofVerifyCalldata(proof, proofFlags, tree.root, hashes)).to.equal(true);
+
+        // every leaf of the multiproof rebuilds the same root through its single leaf proof
+        for (const value of leaves) {
+          expect(await this.merkleProof.processProof(tree.getProof(value), tree.leafHash(value))).to.equal(tree.root);
+        }
+
+        // a leaf that is not part of the multiproof does not verify
+        if (hashes.length > 0) {
+          const other = values.find(value => !leaves.includes(value)) || [ accounts[0], size.toString() ];
+          const tampered = [ tree.leafHash(other), ...hashes.slice(1) ];
+          expect(await this.merkleProof.multiProofVerify(proof, proofFlags, tree.root, tampered)).to.equal(false);
+        }
+      });
+    }
+
+    it('reverts for invalid multiproofs', async function () {
+      const values = accounts.map(account => [ account ]);
+      const tree = StandardMerkleTree.of(values, [ 'address' ]);
+      const { leaves, proof, proofFlags } = tree.getMultiProof([ 0, 1, 2 ]);
+      const hashes = leaves.map(value => tree.leafHash(value));
+
+      await expectRevert(
+        this.merkleProof.multiProofVerify([ ...proof, tree.root ], proofFlags, tree.root, hashes),
+        'MerkleProof: invalid multiproof',
+      );
+      await expectRevert(
+        this.merkleProof.multiProofVerifyCalldata(proof, [ ...proofFlags, true ], tree.root, hashes),
+        'MerkleProof: invalid multiproof',
+      );
+    });
+
+    it('reverts for an empty multiproof without leaves', async function () {
+      const tree = StandardMerkleTree.of(accounts.map(account => [ account ]), [ 'address' ]);
+
+      await expectRevert(
+        this.merkleProof.multiProofVerify([], [], tree.root, []),
+        'MerkleProof: invalid multiproof',
+      );
+      await expectRevert(
+        this.merkleProof.multiProofVerifyCalldata([], [], tree.root, []),
+        'MerkleProof: invalid multiproof',
+      );
+    });
+  });
 });
@@ -1,9 +1,67 @@
-const { BN, constants } = require('@openzeppelin/test-helpers');
+const { BN, constants, expectRevert } = require('@openzeppelin/test-helpers');
 const { expect } = require('chai');
 const { MAX_UINT256 } = constants;
 
 const MathMock = artifacts.require('MathMock');
 
+const ZERO = BigInt(0);
+const ONE = BigInt(1);
+const TWO = BigInt(2);
+
+const Rounding = {
+  Down: 0,
+  Up: 1,
+  Zero: 2,
+};
+
+// BigInt reference implementations
+const reference = {
+  mulDiv (a, b, denominator, rounding) {
+    const result = a * b / denominator;
+    return rounding === Rounding.Up && a * b % denominator > ZERO ? result + ONE : result;
+  },
+
+  sqrt (a, rounding) {
+    let result = a;
+    for (let next = (a + ONE) / TWO; next < result; next = (next + a / next) / TWO) {
+      result = next;
+    }
+    return rounding === Rounding.Up && result * result < a ? result + ONE : result;
+  },
+
+  log (base) {
+    return (a, rounding) => {
+      let result = ZERO;
+      for (let power = base; power <= a; power *= base) {
+        ++result;
+      }
+      return rounding === Rounding.Up && base ** result < a ? result + ONE : result;
+    };
+  },
+};
+reference.log2 = reference.log(TWO);
+reference.log10 = reference.log(BigInt(10));
+reference.log256 = reference.log(BigInt(256));
+
+// deterministic pseudo-random generator of integers of 0 to `bits` bits, so that failures can be reproduced
+function random (seed) {
+  return bits => {
+    let value = ZERO;
+    const length = Math.floor(next() * (bits + 1));
+    for (let i = 0; i < length; ++i) {
+      value = (value << ONE) | (next() < 0.5 ? ZERO : ONE);
+    }
+    return value;
+  };
+
+  function next () {
+    seed = (seed * 16807) % 2147483647;
+    return seed / 2147483647;
+  }
+}
+
+const MAX = TWO ** BigInt(256) - ONE;
+
 contract('Math', function (accounts) {
   const min = new BN('1234');
   const max = new BN('5678');
@@ -85,4 +143,97 @@ contract('Math', function (accounts) {
       expect(await this.math.ceilDiv(MAX_UINT256, b)).to.be.bignumber.equal(MAX_UINT256);
     });
   });
+
+  describe('mulDiv', function () {
+    it('divides correctly without phantom overflow', async function () {
+      const a = MAX_UINT256;
+      const b = MAX_UINT256.subn(1);
+      expect(await this.math.mulDiv(a, b, a, Rounding.Down)).to.be.bignumber.equal(b);
+      expect(await this.math.mulDiv(a, b, b, Rounding.Up)).to.be.bignumber.equal(a);
+      expect(await this.math.mulDiv(new BN('3'), new BN('5'), new BN('4'), Rounding.Down)).to.be.bignumber.equal('3');
+      expect(await this.math.mulDiv(new BN('3'), new BN('5'), new BN('4'), Rounding.Up)).to.be.bignumber.equal('4');
+      expect(await this.math.mulDiv(new BN('3'), new BN('5'), new BN('4'), Rounding.Zero)).to.be.bignumber.equal('3');
+    });
+
+    it('reverts on overflow', async function () {
+      await expectRevert(
+        this.math.mulDiv(MAX_UINT256, new BN('2'), new BN('1'), Rounding.Down),
+        'Math: mulDiv overflow',
+      );
+    });
+
+    it('reverts on division by zero', async function () {
+      await expectRevert.unspecified(this.math.mulDiv(new BN('1'), new BN('1'), new BN('0'), Rounding.Down));
+    });
+  });
+
+  describe('sqrt', function () {
+    it('rounds', async function () {
+      expect(await this.math.sqrt(new BN('0'), Rounding.Up)).to.be.bignumber.equal('0');
+      expect(await this.math.sqrt(new BN('16'), Rounding.Up)).to.be.bignumber.equal('4');
+      expect(await this.math.sqrt(new BN('17'), Rounding.Down)).to.be.bignumber.equal('4');
+      expect(await this.math.sqrt(new BN('17'), Rounding.Up)).to.be.bignumber.equal('5');
+      expect(await this.math.sqrt(MAX_UINT256, Rounding.Down)).to.be.bignumber.equal(new BN(1).shln(128).subn(1));
+      expect(await this.math.sqrt(MAX_UINT256, Rounding.Up)).to.be.bignumber.equal(new BN(1).shln(128));
+    });
+  });
+
+  describe('log', function () {
+    it('returns 0 for 0 and 1', async function () {
+      for (const fn of [ 'log2', 'log10', 'log256' ]) {
+        for (const rounding of Object.values(Rounding)) {
+          expect(await this.math[fn](new BN('0'), rounding)).to.be.bignumber.equal('0');
+          expect(await this.math[fn](new BN('1'), rounding)).to.be.bignumber.equal('0');
+        }
+      }
+    });
+
+    it('rounds around powers', async function () {
+      expect(await this.math.log2(new BN('1024'), Rounding.Up)).to.be.bignumber.equal('10');
+      expect(await this.math.log2(new BN('1025'), Rounding.Down)).to.be.bignumber.equal('10');
+      expect(await this.math.log2(new BN('1025'), Rounding.Up)).to.be.bignumber.equal('11');
+      expect(await this.math.log10(new BN('1000'), Rounding.Up)).to.be.bignumber.equal('3');
+      expect(await this.math.log10(new BN('999'), Rounding.Down)).to.be.bignumber.equal('2');
+      expect(await this.math.log10(new BN('1001'), Rounding.Up)).to.be.bignumber.equal('4');
+      expect(await this.math.log256(new BN('65536'), Rounding.Up)).to.be.bignumber.equal('2');
+      expect(await this.math.log256(new BN('65537'), Rounding.Up)).to.be.bignumber.equal('3');
+      expect(await this.math.log2(MAX_UINT256, Rounding.Up)).to.be.bignumber.equal('256');
+      expect(await this.math.log10(MAX_UINT256, Rounding.Down)).to.be.bignumber.equal('77');
+      expect(await this.math.log256(MAX_UINT256, Rounding.Down)).to.be.bignumber.equal('31');
+    });
+  });
+
+  describe('fuzzing against BigInt', function () {
+    const rng = random(1337);
+    const runs = 8;
+
+    for (const [ name, rounding ] of Object.entries(Rounding)) {
+      it(`mulDiv rounding ${name}`, async function () {
+        for (let i = 0; i < runs; ++i) {
+          const a = rng(256);
+          const b = rng(256);
+          const denominator = rng(256) || ONE;
+          const expected = reference.mulDiv(a, b, denominator, rounding);
+
+          const result = this.math.mulDiv(a.toString(), b.toString(), denominator.toString(), rounding);
+
+          if (expected > MAX) {
+            await expectRevert.unspecified(result);
+          } else {
+            expect(await result).to.be.bignumber.equal(expected.toString());
+          }
+        }
+      });
+
+      for (const fn of [ 'sqrt', 'log2', 'log10', 'log256' ]) {
+        it(`${fn} rounding ${name}`, async function () {
+          for (let i = 0; i < runs; ++i) {
+            const a = rng(256);
+            expect(await this.math[fn](a.toString(), rounding))
+              .to.be.bignumber.equal(reference[fn](a, rounding).toString());
+          }
+        });
+      }
+    }
+  });
 });
@@ -2,6 +2,8 @@ const { BN, expectRevert } = require('@openzeppelin/test-helpers');
 
 const { expect } = require('chai');
 
+const { UINT_LENGTHS, INT_LENGTHS } = require('../../../scripts/generate/templates/SafeCast.opts');
+
 const SafeCastMock = artifacts.require('SafeCastMock');
 
 contract('SafeCast', async (accounts) => {
@@ -41,7 +43,7 @@ contract('SafeCast', async (accounts) => {
     });
   }
 
-  [8, 16, 32, 64, 96, 128, 224].forEach(bits => testToUint(bits));
+  UINT_LENGTHS.forEach(bits => testToUint(bits));
 
   describe('toUint256', () => {
     const maxInt256 = new BN('2').pow(new BN(255)).subn(1);
@@ -129,7 +131,7 @@ contract('SafeCast', async (accounts) => {
     });
   }
 
-  [8, 16, 32, 64, 128].forEach(bits => testToInt(bits));
+  INT_LENGTHS.forEach(bits => testToInt(bits));
 
   describe('toInt256', () => {
     const maxUint256 = new BN('2').pow(new BN(256)).subn(1);
@@ -1,96 +1,172 @@
-const { expectEvent } = require('@openzeppelin/test-helpers');
+const { BN, expectEvent } = require('@openzeppelin/test-helpers');
 const { expectRevertCustomError } = require('../../helpers/customError');
 
-const Bytes32DequeMock = artifacts.require('Bytes32DequeMock');
-
 /** Rebuild the content of the deque as a JS array. */
 async function getContent (deque) {
   const length = await deque.length().then(bn => bn.toNumber());
   const values = await Promise.all(Array(length).fill().map((_, i) => deque.at(i)));
-  return values;
+  return values.map(String);
 }
 
 contract('DoubleEndedQueue', function (accounts) {
-  const bytesA = '0xdeadbeef'.padEnd(66, '0');
-  const bytesB = '0x0123456789'.padEnd(66, '0');
-  const bytesC = '0x42424242'.padEnd(66, '0');
-  const bytesD = '0x171717'.padEnd(66, '0');
-
-  beforeEach(async function () {
-    this.deque = await Bytes32DequeMock.new();
-  });
-
-  describe('when empty', function () {
-    it('getters', async function () {
-      expect(await this.deque.empty()).to.be.equal(true);
-      expect(await getContent(this.deque)).to.have.ordered.members([]);
-    });
-
-    it('reverts on accesses', async function () {
-      await expectRevertCustomError(this.deque.popBack(), 'Empty()');
-      await expectRevertCustomError(this.deque.popFront(), 'Empty()');
-      await expectRevertCustomError(this.deque.back(), 'Empty()');
-      await expectRevertCustomError(this.deque.front(), 'Empty()');
-    });
-  });
-
-  describe('when not empty', function () {
-    beforeEach(async function () {
-      await this.deque.pushBack(bytesB);
-      await this.deque.pushFront(bytesA);
-      await this.deque.pushBack(bytesC);
-      this.content = [ bytesA, bytesB, bytesC ];
-    });
-
-    it('getters', async function () {
-      expect(await this.deque.empty()).to.be.equal(false);
-      expect(await this.deque.length()).to.be.bignumber.equal(this.content.length.toString());
-      expect(await this.deque.front()).to.be.equal(this.content[0]);
-      expect(await this.deque.back()).to.be.equal(this.content[this.content.length - 1]);
-      expect(await getContent(this.deque)).to.have.ordered.members(this.content);
-    });
-
-    it('out of bounds access', async function () {
-      await expectRevertCustomError(this.deque.at(this.content.length), 'OutOfBounds()');
-    });
-
-    describe('push', function () {
-      it('front', async function () {
-        await this.deque.pushFront(bytesD);
-        this.content.unshift(bytesD); // add element at the beginning
-
-        expect(await getContent(this.deque)).to.have.ordered.members(this.content);
+  const TYPES = {
+    Bytes32: [ '0xdeadbeef', '0x0123456789', '0x42424242', '0x171717', '0x5f5f5f' ].map(v => v.padEnd(66, '0')),
+    Address: accounts.slice(0, 5),
+    Uint256: [ '7891', '451', '9592328', '1717', '42' ].map(v => new BN(v)),
+  };
+
+  for (const [ type, values ] of Object.entries(TYPES)) {
+    const [ valueA, valueB, valueC, valueD, valueE ] = values;
+
+    describe(`${type}Deque`, function () {
+      beforeEach(async function () {
+        this.deque = await artifacts.require(`${type}DequeMock`).new();
       });
 
-      it('back', async function () {
-        await this.deque.pushBack(bytesD);
-        this.content.push(bytesD); // add element at the end
-
-        expect(await getContent(this.deque)).to.have.ordered.members(this.content);
+      describe('when empty', function () {
+        it('getters', async function () {
+          expect(await this.deque.empty()).to.be.equal(true);
+          expect(await getContent(this.deque)).to.have.ordered.members([]);
+          expect(await this.deque.slice(0, 0)).to.have.ordered.members([]);
+        });
+
+        it('reverts on accesses', async function () {
+          await expectRevertCustomError(this.deque.popBack(), 'Empty()');
+          await expectRevertCustomError(this.deque.popFront(), 'Empty()');
+          await expectRevertCustomError(this.deque.back(), 'Empty()');
+          await expectRevertCustomError(this.deque.front(), 'Empty()');
+          await expectRevertCustomError(this.deque.popFrontMany(1), 'OutOfBounds()');
+          await expectRevertCustomError(this.deque.slice(0, 1), 'OutOfBounds()');
+        });
+
+        it('push back many', async function () {
+          await this.deque.pushBackMany([ valueA, valueB, valueC ]);
+
+          expect(await getContent(this.deque)).to.have.ordered.members([ valueA, valueB, valueC ].map(String));
+        });
       });
-    });
 
-    describe('pop', function () {
-      it('front', async function () {
-        const value = this.content.shift(); // remove first element
-        expectEvent(await this.deque.popFront(), 'OperationResult', { value });
+      describe('when not empty', function () {
+        beforeEach(async function () {
+          await this.deque.pushBack(valueB);
+          await this.deque.pushFront(valueA);
+          await this.deque.pushBack(valueC);
+          this.content = [ valueA, valueB, valueC ].map(String);
+        });
+
+        it('getters', async function () {
+          expect(await this.deque.empty()).to.be.equal(false);
+          expect(await this.deque.length()).to.be.bignumber.equal(this.content.length.toString());
+          expect(String(await this.deque.front())).to.be.equal(this.content[0]);
+          expect(String(await this.deque.back())).to.be.equal(this.content[this.content.length - 1]);
+          expect(await getContent(this.deque)).to.have.ordered.members(this.content);
+        });
+
+        it('out of bounds access', async function () {
+          await expectRevertCustomError(this.deque.at(this.content.length), 'OutOfBounds()');
+        });
+
+        describe('push', function () {
+          it('front', async function () {
+            await this.deque.pushFront(valueD);
+            this.content.unshift(String(valueD)); // add element at the beginning
+
+            expect(await getContent(this.deque)).to.have.ordered.members(this.content);
+          });
+
+          it('back', async function () {
+            await this.deque.pushBack(valueD);
+            this.content.push(String(valueD)); // add element at the end
+
+            expect(await getContent(this.deque)).to.have.ordered.members(this.content);
+          });
+
+          it('back many', async function () {
+            await this.deque.pushBackMany([ valueD, valueE ]);
+            this.content.push(String(valueD), String(valueE)); // add elements at the end, in order
+
+            expect(await getContent(this.deque)).to.have.ordered.members(this.content);
+          });
+
+          it('back none', async function () {
+            await this.deque.pushBackMany([]);
+
+            expect(await getContent(this.deque)).to.have.ordered.members(this.content);
+          });
+        });
+
+        describe('pop', function () {
+          it('front', async function () {
+            const value = this.content.shift(); // remove first element
+            expectEvent(await this.deque.popFront(), 'OperationResult', { value });
+
+            expect(await getContent(this.deque)).to.have.ordered.members(this.content);
+          });
+
+          it('back', async function () {
+            const value = this.content.pop(); // remove last element
+            expectEvent(await this.deque.popBack(), 'OperationResult', { value });
+
+            expect(await getContent(this.deque)).to.have.ordered.members(this.content);
+          });
+
+          it('front many', async function () {
+            const values = this.content.splice(0, 2); // remove first two elements
+            const { logs } = await this.deque.popFrontMany(2);
+
+            expect(logs[0].event).to.be.equal('OperationResults');
+            expect(logs[0].args.values.map(String)).to.have.ordered.members(values);
+            expect(await getContent(this.deque)).to.have.ordered.members(this.content);
+          });
+
+          it('front all', async function () {
+            await this.deque.popFrontMany(this.content.length);
+
+            expect(await this.deque.empty()).to.be.equal(true);
+            expect(await getContent(this.deque)).to.have.ordered.members([]);
+          });
+
+          it('front too many', async function () {
+            await expectRevertCustomError(this.deque.popFrontMany(this.content.length + 1), 'OutOfBounds()');
+          });
+        });
+
+        describe('slice', function () {
+          it('whole queue', async function () {
+            const values = await this.deque.slice(0, this.content.length);
+            expect(values.map(String)).to.have.ordered.members(this.content);
+          });
+
+          it('part of the queue', async function () {
+            const values = await this.deque.slice(1, 3);
+            expect(values.map(String)).to.have.ordered.members(this.content.slice(1, 3));
+          });
+
+          it('empty range', async function () {
+            expect(await this.deque.slice(2, 2)).to.have.ordered.members([]);
+          });
+
+          it('after popping from the front', async function () {
+            await this.deque.popFront();
+            this.content.shift();
+
+            const values = await this.deque.slice(0, this.content.length);
+            expect(values.map(String)).to.have.ordered.members(this.content);
+          });
+
+          it('out of bounds', async function () {
+            await expectRevertCustomError(this.deque.slice(2, 1), 'OutOfBounds()');
+            await expectRevertCustomError(this.deque.slice(0, this.content.length + 1), 'OutOfBounds()');
+          });
+        });
 
-        expect(await getContent(this.deque)).to.have.ordered.members(this.content);
+        it('clear', async function () {
+          await this.deque.clear();
+
+          expect(await this.deque.empty()).to.be.equal(true);
+          expect(await getContent(this.deque)).to.have.ordered.members([]);
+        });
       });
-
-      it('back', async function () {
-        const value = this.content.pop(); // remove last element
-        expectEvent(await this.deque.popBack(), 'OperationResult', { value });
-
-        expect(await getContent(this.deque)).to.have.ordered.members(this.content);
-      });
-    });
-
-    it('clear', async function () {
-      await this.deque.clear();
-
-      expect(await this.deque.empty()).to.be.equal(true);
-      expect(await getContent(this.deque)).to.have.ordered.members([]);
     });
-  });
+  }
 });
@@ -1,4 +1,4 @@
-const { expectEvent, expectRevert } = require('@openzeppelin/test-helpers');
+const { constants, expectEvent, expectRevert } = require('@openzeppelin/test-helpers');
 const { expect } = require('chai');
 
 const zip = require('lodash.zip');
@@ -30,6 +30,28 @@ function shouldBehaveLikeMap (keys, values, zeroValue) {
     }))).to.have.same.deep.members(
       zip(keys.map(k => k.toString()), values.map(v => v.toString())),
     );
+
+    const returnedKeys = await map.keys();
+    expect(
+      returnedKeys.map(k => k.toString()),
+    ).to.have.same.members(
+      keys.map(k => k.toString()),
+    );
+
+    // Pages follow the order of the keys
+    expect(
+      (await map.keysRange(0, keys.length)).map(k => k.toString()),
+    ).to.have.ordered.members(
+      returnedKeys.map(k => k.toString()),
+    );
+
+    const entries = await map.entries(0, keys.length);
+    const returnedValues = await Promise.all(returnedKeys.map(key => map.get(key)));
+    expect(
+      zip(entries[0].map(k => k.toString()), entries[1].map(v => v.toString())),
+    ).to.have.deep.ordered.members(
+      zip(returnedKeys.map(k => k.toString()), returnedValues.map(v => v.toString())),
+    );
   }
 
   it('starts empty', async function () {
@@ -133,6 +155,45 @@ function shouldBehaveLikeMap (keys, values, zeroValue) {
     });
   });
 
+  describe('pagination', function () {
+    beforeEach(async function () {
+      await this.map.set(keyA, valueA);
+      await this.map.set(keyB, valueB);
+      await this.map.set(keyC, valueC);
+
+      this.keys = (await this.map.keys()).map(k => k.toString());
+      this.values = await Promise.all(this.keys.map(async k => (await this.map.get(k)).toString()));
+    });
+
+    it('returns a page of keys', async function () {
+      expect((await this.map.keysRange(0, 2)).map(k => k.toString()))
+        .to.have.ordered.members(this.keys.slice(0, 2));
+      expect((await this.map.keysRange(1, 1)).map(k => k.toString()))
+        .to.have.ordered.members(this.keys.slice(1, 2));
+      expect((await this.map.keysRange(2, 2)).map(k => k.toString()))
+        .to.have.ordered.members(this.keys.slice(2));
+      expect(await this.map.keysRange(3, 1)).to.be.deep.equal([]);
+    });
+
+    it('returns a page of entries', async function () {
+      const entries = await this.map.entries(1, 2);
+      expect(entries[0].map(k => k.toString())).to.have.ordered.members(this.keys.slice(1, 3));
+      expect(entries[1].map(v => v.toString())).to.have.ordered.members(this.values.slice(1, 3));
+    });
+
+    it('truncates the last page', async function () {
+      const entries = await this.map.entries(2, constants.MAX_UINT256);
+      expect(entries[0].map(k => k.toString())).to.have.ordered.members(this.keys.slice(2));
+      expect(entries[1].map(v => v.toString())).to.have.ordered.members(this.values.slice(2));
+    });
+
+    it('returns an empty page past the end of the map', async function () {
+      const entries = await this.map.entries(constants.MAX_UINT256, 1);
+      expect(entries[0]).to.be.deep.equal([]);
+      expect(entries[1]).to.be.deep.equal([]);
+    });
+  });
+
   describe('read', function () {
     beforeEach(async function () {
       await this.map.set(keyA, valueA);
@@ -1,72 +1,49 @@
 const { BN, constants } = require('@openzeppelin/test-helpers');
 
-const AddressToUintMapMock = artifacts.require('AddressToUintMapMock');
-const UintToAddressMapMock = artifacts.require('UintToAddressMapMock');
-const Bytes32ToBytes32MapMock = artifacts.require('Bytes32ToBytes32MapMock');
-const UintToUintMapMock = artifacts.require('UintToUintMapMock');
-
 const { shouldBehaveLikeMap } = require('./EnumerableMap.behavior');
 
 contract('EnumerableMap', function (accounts) {
   const [ accountA, accountB, accountC ] = accounts;
 
-  const keyA = new BN('7891');
-  const keyB = new BN('451');
-  const keyC = new BN('9592328');
+  const uintA = new BN('7891');
+  const uintB = new BN('451');
+  const uintC = new BN('9592328');
 
   const bytesA = '0xdeadbeef'.padEnd(66, '0');
   const bytesB = '0x0123456789'.padEnd(66, '0');
   const bytesC = '0x42424242'.padEnd(66, '0');
 
-  // AddressToUintMap
-  describe('AddressToUintMap', function () {
-    beforeEach(async function () {
-      this.map = await AddressToUintMapMock.new();
-    });
-
-    shouldBehaveLikeMap(
-      [accountA, accountB, accountC],
-      [keyA, keyB, keyC],
-      new BN('0'),
-    );
-  });
-
-  // UintToAddressMap
-  describe('UintToAddressMap', function () {
-    beforeEach(async function () {
-      this.map = await UintToAddressMapMock.new();
-    });
-
-    shouldBehaveLikeMap(
-      [keyA, keyB, keyC],
-      [accountA, accountB, accountC],
-      constants.ZERO_ADDRESS,
-    );
-  });
-
-  // Bytes32ToBytes32Map
-  describe('Bytes32ToBytes32Map', function () {
-    beforeEach(async function () {
-      this.map = await Bytes32ToBytes32MapMock.new();
-    });
-
-    shouldBehaveLikeMap(
-      [keyA, keyB, keyC].map(k => ('0x' + k.toString(16)).padEnd(66, '0')),
-      [bytesA, bytesB, bytesC],
-      constants.ZERO_BYTES32,
-    );
-  });
-
-  // UintToUintMap
-  describe('UintToUintMap', function () {
-    beforeEach(async function () {
-      this.map = await UintToUintMapMock.new();
-    });
-
-    shouldBehaveLikeMap(
-      [ keyA, keyB, keyC ],
-      [ keyA, keyB, keyC ].map(k => k.add(new BN('1332'))),
-      new BN('0'),
-    );
-  });
+  // Three distinct values and the default value of each type. Values are shifted when used as values of a map, so
+  // that keys and values differ for maps whose keys and values have the same type.
+  const TYPES = {
+    Uint: {
+      keys: [ uintA, uintB, uintC ],
+      values: [ uintA, uintB, uintC ].map(v => v.add(new BN('1332'))),
+      zero: new BN('0'),
+    },
+    Address: {
+      keys: [ accountA, accountB, accountC ],
+      values: [ accountC, accountA, accountB ],
+      zero: constants.ZERO_ADDRESS,
+    },
+    Bytes32: {
+      keys: [ uintA, uintB, uintC ].map(k => ('0x' + k.toString(16)).padEnd(66, '0')),
+      values: [ bytesA, bytesB, bytesC ],
+      zero: constants.ZERO_BYTES32,
+    },
+  };
+
+  for (const key of Object.keys(TYPES)) {
+    for (const value of Object.keys(TYPES)) {
+      const name = `${key}To${value}Map`;
+
+      describe(name, function () {
+        beforeEach(async function () {
+          this.map = await artifacts.require(`${name}Mock`).new();
+        });
+
+        shouldBehaveLikeMap(TYPES[key].keys, TYPES[value].values, TYPES[value].zero);
+      });
+    }
+  }
 });
@@ -1,4 +1,4 @@
-const { expectEvent, expectRevert } = require('@openzeppelin/test-helpers');
+const { constants, expectEvent, expectRevert } = require('@openzeppelin/test-helpers');
 const { expect } = require('chai');
 
 function shouldBehaveLikeSet (valueA, valueB, valueC) {
@@ -24,6 +24,13 @@ function shouldBehaveLikeSet (valueA, valueB, valueC) {
     ).to.have.same.members(
       values.map(v => v.toString()),
     );
+
+    // Pages follow the order of the values
+    expect(
+      (await set.valuesRange(0, values.length)).map(v => v.toString()),
+    ).to.have.ordered.members(
+      returnedValues.map(v => v.toString()),
+    );
   }
 
   it('starts empty', async function () {
@@ -64,6 +71,44 @@ function shouldBehaveLikeSet (valueA, valueB, valueC) {
     });
   });
 
+  describe('valuesRange', function () {
+    beforeEach(async function () {
+      await this.set.add(valueA);
+      await this.set.add(valueB);
+      await this.set.add(valueC);
+
+      this.values = (await this.set.values()).map(v => v.toString());
+    });
+
+    it('returns a page of values', async function () {
+      expect((await this.set.valuesRange(0, 2)).map(v => v.toString()))
+        .to.have.ordered.members(this.values.slice(0, 2));
+      expect((await this.set.valuesRange(1, 1)).map(v => v.toString()))
+        .to.have.ordered.members(this.values.slice(1, 2));
+    });
+
+    it('truncates the last page', async function () {
+      expect((await this.set.valuesRange(2, 2)).map(v => v.toString()))
+        .to.have.ordered.members(this.values.slice(2));
+      expect((await this.set.valuesRange(1, constants.MAX_UINT256)).map(v => v.toString()))
+        .to.have.ordered.members(this.values.slice(1));
+    });
+
+    it('returns an empty page past the end of the set', async function () {
+      expect(await this.set.valuesRange(0, 0)).to.be.deep.equal([]);
+      expect(await this.set.valuesRange(3, 1)).to.be.deep.equal([]);
+      expect(await this.set.valuesRange(constants.MAX_UINT256, constants.MAX_UINT256)).to.be.deep.equal([]);
+    });
+
+    it('covers the set when paginating', async function () {
+      const pages = [];
+      for (let offset = 0; offset < this.values.length; offset += 2) {
+        pages.push(...await this.set.valuesRange(offset, 2));
+      }
+      expect(pages.map(v => v.toString())).to.have.ordered.members(this.values);
+    });
+  });
+
   describe('remove', function () {
     it('removes added values', async function () {
       await this.set.add(valueA);